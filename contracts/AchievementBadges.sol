@@ -2,223 +2,478 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
 import "./ReputationNFT.sol";
+import "./ProtocolAccess.sol";
 
 /**
  * @title AchievementBadges
- * @dev Gamification layer with achievement NFTs that provide reputation bonuses
+ * @dev Gamification layer with achievement NFTs that provide reputation bonuses. Achievements
+ * live in an extensible catalog: each one tracks a progress metric reported by the protocol and
+ * unlocks one or more levels as the user crosses its thresholds.
  */
-contract AchievementBadges is ERC721, Ownable {
+contract AchievementBadges is ERC721, ProtocolAccess {
+    using Strings for uint256;
+
     ReputationNFT public reputationNFT;
 
-    enum AchievementType {
-        FirstLoan,           // First loan taken
-        FirstRepayment,      // First loan fully repaid
-        PerfectPayback,      // Repaid early
-        TenXBorrower,        // Completed 10 loans
-        CircleBuilder,       // Created a trust circle
-        TrustedMember,       // Received 5 vouches
-        DiamondTier,         // Reached Diamond tier
-        Lender,              // Deposited liquidity
-        BigLender            // Deposited over 1 ETH
+    // Progress counters reported by protocol contracts
+    enum Metric {
+        LoansTaken,          // Loans borrowed
+        LoansRepaid,         // Loans repaid in full
+        EarlyRepayments,     // Loans repaid before their due date
+        CirclesCreated,      // Trust circles created
+        VouchesReceived,     // Vouches received across all circles
+        ReputationTier,      // Highest reputation tier reached (0 = Bronze ... 4 = Diamond)
+        AmountDeposited      // Total liquidity deposited (in wei)
     }
 
     struct Achievement {
         string name;
         string description;
-        uint256 reputationBonus;
-        string imageURI;
+        Metric metric;
+        uint256[] thresholds;   // Progress needed for each level, ascending
+        uint256[] bonuses;      // Reputation bonus awarded at each level
+        uint256 expiresAt;      // Last moment the achievement can be earned (0 = never)
+        bool active;
     }
 
+    // IDs of the achievements seeded at deployment
+    uint256 public constant FIRST_LOAN = 0;
+    uint256 public constant FIRST_REPAYMENT = 1;
+    uint256 public constant PERFECT_PAYBACK = 2;
+    uint256 public constant VETERAN_BORROWER = 3;
+    uint256 public constant CIRCLE_BUILDER = 4;
+    uint256 public constant TRUSTED_MEMBER = 5;
+    uint256 public constant DIAMOND_TIER = 6;
+    uint256 public constant LENDER = 7;
+    uint256 public constant WHALE = 8;
+
+    uint256 public constant MAX_LEVELS = 5;
+
     // Token ID counter
     uint256 private _tokenIdCounter;
 
-    // Achievement definitions
-    mapping(AchievementType => Achievement) public achievements;
+    // Achievement catalog, indexed by achievement ID
+    Achievement[] private _achievements;
+
+    // Achievement IDs that track each metric
+    mapping(Metric => uint256[]) private _achievementsByMetric;
+
+    // Progress per user and metric
+    mapping(address => mapping(Metric => uint256)) public progress;
+
+    // Level reached per user and achievement (0 = locked)
+    mapping(address => mapping(uint256 => uint256)) public achievementLevel;
+
+    // Badge token per user and achievement; the token is upgraded in place as levels unlock
+    mapping(address => mapping(uint256 => uint256)) public achievementTokenId;
 
-    // Track unlocked achievements per user
-    mapping(address => mapping(AchievementType => bool)) public hasAchievement;
-    mapping(address => mapping(AchievementType => uint256)) public achievementTokenId;
+    // Achievement ID and level of each badge token
+    mapping(uint256 => uint256) public tokenAchievement;
+    mapping(uint256 => uint256) public tokenLevel;
 
-    // Authorized contracts
-    mapping(address => bool) public authorizedUnlockers;
+    // Governance address allowed to manage the catalog alongside param admins
+    address public governance;
 
     // Events
-    event AchievementUnlocked(address indexed user, AchievementType indexed achievementType, uint256 tokenId);
+    event AchievementUnlocked(address indexed user, uint256 indexed achievementId, uint256 level, uint256 tokenId);
+    event AchievementAdded(uint256 indexed achievementId, string name, Metric metric, uint256 levels);
+    event AchievementActiveSet(uint256 indexed achievementId, bool active);
+    event AchievementExpirySet(uint256 indexed achievementId, uint256 expiresAt);
+    event ProgressUpdated(address indexed user, Metric indexed metric, uint256 value);
+    event GovernanceUpdated(address indexed governance);
 
-    constructor(address _reputationNFT) ERC721("TrustCircle Achievements", "ACHIEVE") Ownable(msg.sender) {
+    modifier onlyCatalogAdmin() {
+        require(msg.sender == governance || roles.hasRole(PARAM_ADMIN_ROLE, msg.sender), "Not catalog admin");
+        _;
+    }
+
+    constructor(address _reputationNFT, address _roles) ERC721("TrustCircle Achievements", "ACHIEVE") {
+        _setRoles(_roles);
         reputationNFT = ReputationNFT(_reputationNFT);
         _tokenIdCounter = 1;
         _initializeAchievements();
     }
 
     /**
-     * @dev Initialize achievement definitions
+     * @dev Seed the catalog with the launch achievements
      */
     function _initializeAchievements() internal {
-        achievements[AchievementType.FirstLoan] = Achievement({
-            name: "First Steps",
-            description: "Took your first loan",
-            reputationBonus: 20,
-            imageURI: "ipfs://QmFirstLoan"
-        });
-
-        achievements[AchievementType.FirstRepayment] = Achievement({
-            name: "Trustworthy",
-            description: "Repaid your first loan",
-            reputationBonus: 30,
-            imageURI: "ipfs://QmFirstRepayment"
-        });
-
-        achievements[AchievementType.PerfectPayback] = Achievement({
-            name: "Early Bird",
-            description: "Repaid a loan early",
-            reputationBonus: 40,
-            imageURI: "ipfs://QmPerfectPayback"
-        });
-
-        achievements[AchievementType.TenXBorrower] = Achievement({
-            name: "Veteran Borrower",
-            description: "Completed 10 loans successfully",
-            reputationBonus: 100,
-            imageURI: "ipfs://QmTenXBorrower"
-        });
-
-        achievements[AchievementType.CircleBuilder] = Achievement({
-            name: "Circle Builder",
-            description: "Created a trust circle",
-            reputationBonus: 50,
-            imageURI: "ipfs://QmCircleBuilder"
-        });
-
-        achievements[AchievementType.TrustedMember] = Achievement({
-            name: "Community Trusted",
-            description: "Received 5 vouches from circle members",
-            reputationBonus: 60,
-            imageURI: "ipfs://QmTrustedMember"
-        });
-
-        achievements[AchievementType.DiamondTier] = Achievement({
-            name: "Diamond Elite",
-            description: "Reached Diamond reputation tier",
-            reputationBonus: 150,
-            imageURI: "ipfs://QmDiamondTier"
-        });
-
-        achievements[AchievementType.Lender] = Achievement({
-            name: "Supporter",
-            description: "Provided liquidity to the pool",
-            reputationBonus: 25,
-            imageURI: "ipfs://QmLender"
-        });
-
-        achievements[AchievementType.BigLender] = Achievement({
-            name: "Whale",
-            description: "Deposited over 1 ETH",
-            reputationBonus: 75,
-            imageURI: "ipfs://QmBigLender"
-        });
-    }
-
-    /**
-     * @dev Unlock an achievement for a user
-     * @param user Address of the user
-     * @param achievementType Type of achievement
+        _addAchievement("First Steps", "Took your first loan", Metric.LoansTaken, _levels(1), _levels(20), 0);
+        _addAchievement("Trustworthy", "Repaid your first loan", Metric.LoansRepaid, _levels(1), _levels(30), 0);
+        _addAchievement("Early Bird", "Repaid a loan early", Metric.EarlyRepayments, _levels(1), _levels(40), 0);
+
+        uint256[] memory loanThresholds = new uint256[](3);
+        loanThresholds[0] = 5;
+        loanThresholds[1] = 10;
+        loanThresholds[2] = 25;
+        uint256[] memory loanBonuses = new uint256[](3);
+        loanBonuses[0] = 50;
+        loanBonuses[1] = 100;
+        loanBonuses[2] = 150;
+        _addAchievement(
+            "Veteran Borrower",
+            "Completed 5, 10 and 25 loans successfully",
+            Metric.LoansRepaid,
+            loanThresholds,
+            loanBonuses,
+            0
+        );
+
+        _addAchievement("Circle Builder", "Created a trust circle", Metric.CirclesCreated, _levels(1), _levels(50), 0);
+        _addAchievement(
+            "Community Trusted",
+            "Received 5 vouches from circle members",
+            Metric.VouchesReceived,
+            _levels(5),
+            _levels(60),
+            0
+        );
+        _addAchievement(
+            "Diamond Elite",
+            "Reached Diamond reputation tier",
+            Metric.ReputationTier,
+            _levels(4),
+            _levels(150),
+            0
+        );
+        _addAchievement("Supporter", "Provided liquidity to the pool", Metric.AmountDeposited, _levels(1), _levels(25), 0);
+        _addAchievement("Whale", "Deposited 1 ETH or more", Metric.AmountDeposited, _levels(1 ether), _levels(75), 0);
+    }
+
+    /**
+     * @dev Add an achievement to the catalog
+     * @param name Display name
+     * @param description Display description
+     * @param metric Progress metric the achievement tracks
+     * @param thresholds Progress needed for each level, strictly ascending
+     * @param bonuses Reputation bonus awarded at each level
+     * @param expiresAt Last moment the achievement can be earned (0 = never)
      */
-    function unlockAchievement(address user, AchievementType achievementType) external {
-        require(authorizedUnlockers[msg.sender] || msg.sender == owner(), "Not authorized");
-        require(!hasAchievement[user][achievementType], "Achievement already unlocked");
+    function addAchievement(
+        string memory name,
+        string memory description,
+        Metric metric,
+        uint256[] memory thresholds,
+        uint256[] memory bonuses,
+        uint256 expiresAt
+    ) external onlyCatalogAdmin returns (uint256) {
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry in the past");
+        return _addAchievement(name, description, metric, thresholds, bonuses, expiresAt);
+    }
 
-        uint256 tokenId = _tokenIdCounter++;
-        _safeMint(user, tokenId);
+    /**
+     * @dev Enable or retire an achievement; retired achievements can no longer be earned
+     * @param achievementId ID of the achievement
+     * @param active Whether the achievement can be earned
+     */
+    function setAchievementActive(uint256 achievementId, bool active) external onlyCatalogAdmin {
+        require(achievementId < _achievements.length, "Unknown achievement");
+        _achievements[achievementId].active = active;
+        emit AchievementActiveSet(achievementId, active);
+    }
 
-        hasAchievement[user][achievementType] = true;
-        achievementTokenId[user][achievementType] = tokenId;
+    /**
+     * @dev Change the deadline for earning an achievement
+     * @param achievementId ID of the achievement
+     * @param expiresAt Last moment the achievement can be earned (0 = never)
+     */
+    function setAchievementExpiry(uint256 achievementId, uint256 expiresAt) external onlyCatalogAdmin {
+        require(achievementId < _achievements.length, "Unknown achievement");
+        _achievements[achievementId].expiresAt = expiresAt;
+        emit AchievementExpirySet(achievementId, expiresAt);
+    }
 
-        // Award reputation bonus
-        Achievement memory achievement = achievements[achievementType];
-        reputationNFT.updateReputation(user, int256(achievement.reputationBonus));
+    /**
+     * @dev Set the governance address allowed to manage the catalog
+     * @param _governance Address of the governance contract (zero to disable)
+     */
+    function setGovernance(address _governance) external onlyRole(PARAM_ADMIN_ROLE) {
+        governance = _governance;
+        emit GovernanceUpdated(_governance);
+    }
 
-        emit AchievementUnlocked(user, achievementType, tokenId);
+    /**
+     * @dev Unlock the first level of an achievement for a user
+     * @param user Address of the user
+     * @param achievementId ID of the achievement
+     */
+    function unlockAchievement(address user, uint256 achievementId) external onlyRole(UPDATER_ROLE) {
+        require(achievementId < _achievements.length, "Unknown achievement");
+        require(achievementLevel[user][achievementId] == 0, "Achievement already unlocked");
+
+        uint256 tokenId = _unlockLevels(user, achievementId, 1);
+        _safeMint(user, tokenId);
     }
 
     /**
-     * @dev Set authorized contract
-     * @param unlocker Address of the contract
-     * @param authorized Authorization status
+     * @dev Add to a counter metric and unlock any levels it reaches. Never reverts for
+     * users without a reputation NFT, so the triggering transaction always goes through.
+     * @param user Address of the user
+     * @param metric Metric to increase
+     * @param amount Amount to add
      */
-    function setAuthorizedUnlocker(address unlocker, bool authorized) external onlyOwner {
-        authorizedUnlockers[unlocker] = authorized;
+    function addProgress(address user, Metric metric, uint256 amount) external onlyRole(UPDATER_ROLE) {
+        _setProgress(user, metric, progress[user][metric] + amount);
+    }
+
+    /**
+     * @dev Raise a level metric to a new high-water mark and unlock any levels it reaches
+     * @param user Address of the user
+     * @param metric Metric to update
+     * @param value New value (ignored if below the current progress)
+     */
+    function recordProgress(address user, Metric metric, uint256 value) external onlyRole(UPDATER_ROLE) {
+        if (value > progress[user][metric]) {
+            _setProgress(user, metric, value);
+        }
     }
 
     /**
      * @dev Check if user has specific achievement
      * @param user Address of the user
-     * @param achievementType Type of achievement
+     * @param achievementId ID of the achievement
      */
-    function checkAchievement(address user, AchievementType achievementType) external view returns (bool) {
-        return hasAchievement[user][achievementType];
+    function checkAchievement(address user, uint256 achievementId) external view returns (bool) {
+        return achievementLevel[user][achievementId] > 0;
     }
 
     /**
      * @dev Get all unlocked achievements for a user
      * @param user Address of the user
      */
-    function getUserAchievements(address user) external view returns (AchievementType[] memory) {
+    function getUserAchievements(address user) external view returns (uint256[] memory) {
         uint256 count = 0;
-        
+
         // Count unlocked achievements
-        for (uint256 i = 0; i < 9; i++) {
-            if (hasAchievement[user][AchievementType(i)]) {
+        for (uint256 i = 0; i < _achievements.length; i++) {
+            if (achievementLevel[user][i] > 0) {
                 count++;
             }
         }
-        
+
         // Build array
-        AchievementType[] memory userAchievements = new AchievementType[](count);
+        uint256[] memory userAchievements = new uint256[](count);
         uint256 index = 0;
-        
-        for (uint256 i = 0; i < 9; i++) {
-            if (hasAchievement[user][AchievementType(i)]) {
-                userAchievements[index] = AchievementType(i);
+
+        for (uint256 i = 0; i < _achievements.length; i++) {
+            if (achievementLevel[user][i] > 0) {
+                userAchievements[index] = i;
                 index++;
             }
         }
-        
+
         return userAchievements;
     }
 
+    /**
+     * @dev Get an achievement definition
+     * @param achievementId ID of the achievement
+     */
+    function getAchievement(uint256 achievementId) external view returns (Achievement memory) {
+        require(achievementId < _achievements.length, "Unknown achievement");
+        return _achievements[achievementId];
+    }
+
+    /**
+     * @dev Get the number of achievements in the catalog
+     */
+    function getAchievementCount() external view returns (uint256) {
+        return _achievements.length;
+    }
+
     /**
      * @dev Get token URI for achievement badge
      * @param tokenId Token ID
      */
     function tokenURI(uint256 tokenId) public view override returns (string memory) {
         _requireOwned(tokenId);
-        
-        // Find achievement type for this token
-        address owner = ownerOf(tokenId);
-        AchievementType achievementType;
-        
-        for (uint256 i = 0; i < 9; i++) {
-            if (achievementTokenId[owner][AchievementType(i)] == tokenId) {
-                achievementType = AchievementType(i);
-                break;
-            }
+
+        uint256 achievementId = tokenAchievement[tokenId];
+        Achievement storage achievement = _achievements[achievementId];
+        uint256 level = tokenLevel[tokenId];
+
+        uint256 totalBonus = 0;
+        for (uint256 i = 0; i < level; i++) {
+            totalBonus += achievement.bonuses[i];
         }
-        
-        Achievement memory achievement = achievements[achievementType];
-        
+
+        string memory svg = _generateSVG(achievement, level);
         return string(abi.encodePacked(
             "data:application/json;base64,",
             Base64.encode(bytes(string(abi.encodePacked(
                 '{"name":"', achievement.name, '",',
                 '"description":"', achievement.description, '",',
-                '"image":"', achievement.imageURI, '",',
+                '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(svg)), '",',
                 '"attributes":[',
-                '{"trait_type":"Reputation Bonus","value":', uint256(achievement.reputationBonus), '}',
+                '{"trait_type":"Achievement","value":', achievementId.toString(), '},',
+                '{"trait_type":"Level","value":"', _levelName(achievement, level), '"},',
+                '{"trait_type":"Reputation Bonus","value":', totalBonus.toString(), '}',
                 ']}'
             ))))
         ));
     }
+
+    /**
+     * @dev Generate SVG badge art for an achievement at a level
+     * @param achievement Achievement definition
+     * @param level Level reached
+     */
+    function _generateSVG(Achievement storage achievement, uint256 level) internal view returns (string memory) {
+        string[5] memory levelColors = [
+            "#CD7F32", // Bronze
+            "#C0C0C0", // Silver
+            "#FFD700", // Gold
+            "#E5E4E2", // Platinum
+            "#B9F2FF"  // Diamond
+        ];
+
+        // Single-level achievements use the gold badge
+        string memory color = achievement.thresholds.length == 1 ? levelColors[2] : levelColors[level - 1];
+
+        return string(abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">',
+            '<defs>',
+            '<linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">',
+            '<stop offset="0%" style="stop-color:#1a1a2e"/>',
+            '<stop offset="100%" style="stop-color:#16213e"/>',
+            '</linearGradient>',
+            '</defs>',
+            '<rect width="400" height="400" fill="url(#bg)"/>',
+            '<polygon points="200,60 290,110 290,210 200,260 110,210 110,110" fill="', color, '" opacity="0.3"/>',
+            '<polygon points="200,85 265,122 265,198 200,235 135,198 135,122" fill="', color, '"/>',
+            '<text x="200" y="172" font-family="Arial" font-size="40" fill="white" text-anchor="middle" font-weight="bold">',
+            level.toString(),
+            '</text>',
+            '<text x="200" y="310" font-family="Arial" font-size="26" fill="white" text-anchor="middle" font-weight="bold">',
+            achievement.name,
+            '</text>',
+            '<text x="200" y="350" font-family="Arial" font-size="18" fill="#aaa" text-anchor="middle">',
+            _levelName(achievement, level),
+            '</text>',
+            '</svg>'
+        ));
+    }
+
+    /**
+     * @dev Display name of a level
+     * @param achievement Achievement definition
+     * @param level Level reached
+     */
+    function _levelName(Achievement storage achievement, uint256 level) internal view returns (string memory) {
+        if (achievement.thresholds.length == 1) return "Unlocked";
+        string[5] memory levelNames = ["Bronze", "Silver", "Gold", "Platinum", "Diamond"];
+        return levelNames[level - 1];
+    }
+
+    /**
+     * @dev Validate and store a catalog entry
+     */
+    function _addAchievement(
+        string memory name,
+        string memory description,
+        Metric metric,
+        uint256[] memory thresholds,
+        uint256[] memory bonuses,
+        uint256 expiresAt
+    ) internal returns (uint256) {
+        require(bytes(name).length > 0, "Invalid name");
+        require(thresholds.length > 0 && thresholds.length <= MAX_LEVELS, "Invalid level count");
+        require(bonuses.length == thresholds.length, "Bonus per level required");
+        require(thresholds[0] > 0, "Thresholds must be positive");
+        for (uint256 i = 1; i < thresholds.length; i++) {
+            require(thresholds[i] > thresholds[i - 1], "Thresholds must ascend");
+        }
+
+        uint256 achievementId = _achievements.length;
+        _achievements.push(Achievement({
+            name: name,
+            description: description,
+            metric: metric,
+            thresholds: thresholds,
+            bonuses: bonuses,
+            expiresAt: expiresAt,
+            active: true
+        }));
+        _achievementsByMetric[metric].push(achievementId);
+
+        emit AchievementAdded(achievementId, name, metric, thresholds.length);
+        return achievementId;
+    }
+
+    /**
+     * @dev Store new progress and unlock every level it reaches
+     * @param user Address of the user
+     * @param metric Metric that changed
+     * @param value New progress value
+     */
+    function _setProgress(address user, Metric metric, uint256 value) internal {
+        progress[user][metric] = value;
+        emit ProgressUpdated(user, metric, value);
+
+        // Bonuses need a reputation NFT; progress is kept so levels unlock on the next update
+        if (reputationNFT.userToTokenId(user) == 0) return;
+
+        uint256[] storage ids = _achievementsByMetric[metric];
+        for (uint256 i = 0; i < ids.length; i++) {
+            Achievement storage achievement = _achievements[ids[i]];
+            if (!achievement.active) continue;
+            if (achievement.expiresAt != 0 && block.timestamp > achievement.expiresAt) continue;
+
+            uint256 current = achievementLevel[user][ids[i]];
+            uint256 reached = current;
+            while (reached < achievement.thresholds.length && value >= achievement.thresholds[reached]) {
+                reached++;
+            }
+
+            if (reached > current) {
+                // Plain mint: a receiver hook must not be able to block the caller
+                uint256 tokenId = _unlockLevels(user, ids[i], reached);
+                if (current == 0) {
+                    _mint(user, tokenId);
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Raise a user's level for an achievement and award the bonuses of the new levels
+     * @param user Address of the user
+     * @param achievementId ID of the achievement
+     * @param level Level reached
+     */
+    function _unlockLevels(address user, uint256 achievementId, uint256 level) internal returns (uint256) {
+        Achievement storage achievement = _achievements[achievementId];
+        uint256 current = achievementLevel[user][achievementId];
+
+        uint256 tokenId = achievementTokenId[user][achievementId];
+        if (tokenId == 0) {
+            tokenId = _tokenIdCounter++;
+            achievementTokenId[user][achievementId] = tokenId;
+            tokenAchievement[tokenId] = achievementId;
+        }
+        achievementLevel[user][achievementId] = level;
+        tokenLevel[tokenId] = level;
+
+        uint256 bonus = 0;
+        for (uint256 i = current; i < level; i++) {
+            bonus += achievement.bonuses[i];
+            emit AchievementUnlocked(user, achievementId, i + 1, tokenId);
+        }
+
+        // Award reputation bonus
+        reputationNFT.updateReputation(user, int256(bonus), ReputationNFT.ReputationReason.Achievement);
+        return tokenId;
+    }
+
+    /**
+     * @dev Build a single-level thresholds or bonuses array
+     */
+    function _levels(uint256 value) internal pure returns (uint256[] memory) {
+        uint256[] memory values = new uint256[](1);
+        values[0] = value;
+        return values;
+    }
 }
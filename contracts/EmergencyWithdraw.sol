@@ -1,14 +1,19 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "./ReputationNFT.sol";
+import "./LendingPool.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 /**
  * @title EmergencyWithdraw
- * @dev Timelock mechanism for emergency withdrawals with reputation penalty
+ * @dev Timelocked fast path out of LendingPool that skips the withdrawal queue
+ * in exchange for a reputation penalty
  */
-contract EmergencyWithdraw is Ownable, ReentrancyGuard {
+contract EmergencyWithdraw is ReentrancyGuard {
+    ReputationNFT public reputationNFT;
+    LendingPool public lendingPool;
+
     struct WithdrawalRequest {
         address user;
         uint256 amount;
@@ -30,7 +35,10 @@ contract EmergencyWithdraw is Ownable, ReentrancyGuard {
     event WithdrawalExecuted(address indexed user, uint256 amount);
     event WithdrawalCancelled(address indexed user);
 
-    constructor() Ownable(msg.sender) {}
+    constructor(address _reputationNFT, address _lendingPool) {
+        reputationNFT = ReputationNFT(_reputationNFT);
+        lendingPool = LendingPool(payable(_lendingPool));
+    }
 
     /**
      * @dev Request emergency withdrawal
@@ -38,7 +46,11 @@ contract EmergencyWithdraw is Ownable, ReentrancyGuard {
      */
     function requestWithdrawal(uint256 amount) external {
         require(amount > 0, "Invalid amount");
-        require(withdrawalRequests[msg.sender].requestTime == 0, "Withdrawal already requested");
+        // Skipping the queue costs reputation, so only lenders who have some at stake may do it
+        require(reputationNFT.userToTokenId(msg.sender) != 0, "No reputation NFT");
+        WithdrawalRequest storage existing = withdrawalRequests[msg.sender];
+        require(existing.requestTime == 0 || existing.executed, "Withdrawal already requested");
+        require(lendingPool.getLenderValue(msg.sender) >= amount, "Insufficient deposited balance");
 
         withdrawalRequests[msg.sender] = WithdrawalRequest({
             user: msg.sender,
@@ -61,10 +73,17 @@ contract EmergencyWithdraw is Ownable, ReentrancyGuard {
 
         request.executed = true;
 
-        emit WithdrawalExecuted(msg.sender, request.amount);
+        // Reputation penalty for jumping the queue
+        reputationNFT.updateReputation(
+            msg.sender,
+            -int256(EMERGENCY_PENALTY),
+            ReputationNFT.ReputationReason.EmergencyWithdrawal
+        );
 
-        // Note: Actual withdrawal logic would be in LendingPool
-        // This contract just manages the timelock
+        // Pool pays out directly to the lender
+        lendingPool.emergencyWithdrawFor(msg.sender, request.amount);
+
+        emit WithdrawalExecuted(msg.sender, request.amount);
     }
 
     /**
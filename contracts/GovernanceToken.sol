@@ -1,13 +1,19 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "./ProtocolParameters.sol";
 
 /**
  * @title GovernanceToken
- * @dev Simple governance for protocol parameter changes
+ * @dev Simple governance for protocol parameter changes. Voting power comes from
+ * ReputationNFT vote checkpoints at the block before the proposal was created.
+ * Passed proposals are scheduled in ProtocolParameters and take effect after its timelock.
  */
-contract GovernanceToken is Ownable {
+contract GovernanceToken {
+    ProtocolParameters public parameters;
+    IVotes public reputationNFT;
+
     struct Proposal {
         uint256 id;
         string description;
@@ -16,6 +22,7 @@ contract GovernanceToken is Ownable {
         uint256 againstVotes;
         uint256 startTime;
         uint256 endTime;
+        uint256 snapshot;       // Block whose vote checkpoints count for this proposal
         bool executed;
         ProposalType proposalType;
         uint256 newValue;
@@ -36,31 +43,21 @@ contract GovernanceToken is Ownable {
     mapping(uint256 => mapping(address => bool)) public hasVoted;
     mapping(uint256 => mapping(address => bool)) public votes; // true = for, false = against
 
-    // Voting power based on reputation (simplified)
-    mapping(address => uint256) public votingPower;
-
     // Constants
     uint256 public constant VOTING_PERIOD = 3 days;
-    uint256 public constant QUORUM = 100; // Minimum votes needed
+    uint256 public constant QUORUM_PERCENT = 20; // Share of the voting supply at the snapshot that must vote
 
     // Events
     event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description);
     event VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight);
     event ProposalExecuted(uint256 indexed proposalId, bool passed);
 
-    constructor() Ownable(msg.sender) {
+    constructor(address _parameters, address _reputationNFT) {
+        parameters = ProtocolParameters(_parameters);
+        reputationNFT = IVotes(_reputationNFT);
         proposalCount = 0;
     }
 
-    /**
-     * @dev Set voting power for user (called by ReputationNFT)
-     * @param user Address of the user
-     * @param power Voting power amount
-     */
-    function setVotingPower(address user, uint256 power) external onlyOwner {
-        votingPower[user] = power;
-    }
-
     /**
      * @dev Create a new proposal
      * @param description Proposal description
@@ -72,7 +69,8 @@ contract GovernanceToken is Ownable {
         ProposalType proposalType,
         uint256 newValue
     ) external returns (uint256) {
-        require(votingPower[msg.sender] > 0, "No voting power");
+        require(reputationNFT.getVotes(msg.sender) > 0, "No voting power");
+        require(parameters.isWithinBounds(getParameterKey(proposalType), newValue), "Value out of bounds");
         
         uint256 proposalId = proposalCount++;
         
@@ -84,6 +82,7 @@ contract GovernanceToken is Ownable {
             againstVotes: 0,
             startTime: block.timestamp,
             endTime: block.timestamp + VOTING_PERIOD,
+            snapshot: block.number - 1,
             executed: false,
             proposalType: proposalType,
             newValue: newValue
@@ -102,9 +101,10 @@ contract GovernanceToken is Ownable {
         Proposal storage proposal = proposals[proposalId];
         require(block.timestamp < proposal.endTime, "Voting ended");
         require(!hasVoted[proposalId][msg.sender], "Already voted");
-        require(votingPower[msg.sender] > 0, "No voting power");
 
-        uint256 weight = votingPower[msg.sender];
+        uint256 weight = reputationNFT.getPastVotes(msg.sender, proposal.snapshot);
+        require(weight > 0, "No voting power");
+
         hasVoted[proposalId][msg.sender] = true;
         votes[proposalId][msg.sender] = support;
 
@@ -129,11 +129,21 @@ contract GovernanceToken is Ownable {
         proposal.executed = true;
 
         bool passed = proposal.forVotes > proposal.againstVotes && 
-                     (proposal.forVotes + proposal.againstVotes) >= QUORUM;
+                     (proposal.forVotes + proposal.againstVotes) >= quorum(proposalId);
+
+        if (passed) {
+            parameters.scheduleChange(getParameterKey(proposal.proposalType), proposal.newValue);
+        }
 
         emit ProposalExecuted(proposalId, passed);
+    }
 
-        // Note: Actual execution would update relevant contracts
+    /**
+     * @dev Votes a proposal needs: QUORUM_PERCENT of all voting units at its snapshot
+     * @param proposalId ID of the proposal
+     */
+    function quorum(uint256 proposalId) public view returns (uint256) {
+        return reputationNFT.getPastTotalSupply(proposals[proposalId].snapshot) * QUORUM_PERCENT / 100;
     }
 
     /**
@@ -144,6 +154,26 @@ contract GovernanceToken is Ownable {
         return proposals[proposalId];
     }
 
+    /**
+     * @dev Get the ProtocolParameters key changed by a proposal type
+     * @param proposalType Type of proposal
+     */
+    function getParameterKey(ProposalType proposalType) public view returns (bytes32) {
+        if (proposalType == ProposalType.ChangeInterestRate) return parameters.BASE_RATE();
+        if (proposalType == ProposalType.ChangeMinReputation) return parameters.MIN_CIRCLE_REPUTATION();
+        if (proposalType == ProposalType.ChangeLoanDuration) return parameters.MAX_LOAN_DURATION();
+        return parameters.EXTENSION_FEE_PERCENT();
+    }
+
+    /**
+     * @dev Get a user's voting power for a proposal (votes delegated to them at its snapshot)
+     * @param proposalId ID of the proposal
+     * @param user Address to check
+     */
+    function getVotingPower(uint256 proposalId, address user) external view returns (uint256) {
+        return reputationNFT.getPastVotes(user, proposals[proposalId].snapshot);
+    }
+
     /**
      * @dev Check if user has voted
      * @param proposalId ID of the proposal
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title IInterestRateModel
+ * @dev Pluggable curve that prices borrowing from pool utilization
+ */
+interface IInterestRateModel {
+    /**
+     * @dev Get the market borrow rate before reputation adjustments
+     * @param totalLiquidity Total assets owned by the pool
+     * @param totalBorrowed Amount currently lent out
+     * @return Annual rate in basis points
+     */
+    function getBorrowRate(uint256 totalLiquidity, uint256 totalBorrowed) external view returns (uint256);
+}
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./IInterestRateModel.sol";
+import "./ProtocolParameters.sol";
+
+/**
+ * @title KinkInterestRateModel
+ * @dev Utilization-based rate curve with a gentle slope up to the optimal
+ * utilization and a steep slope above it to pull liquidity back into the pool.
+ * The base rate is read from the governance-controlled ProtocolParameters.
+ */
+contract KinkInterestRateModel is IInterestRateModel {
+    uint256 public constant UTILIZATION_PRECISION = 10000; // 100% in basis points
+
+    ProtocolParameters public immutable parameters;
+    uint256 public immutable slope1;              // Rate added between 0% and optimal utilization
+    uint256 public immutable slope2;              // Rate added between optimal and 100% utilization
+    uint256 public immutable optimalUtilization;  // Kink point (basis points)
+
+    constructor(address _parameters, uint256 _slope1, uint256 _slope2, uint256 _optimalUtilization) {
+        require(_optimalUtilization > 0 && _optimalUtilization < UTILIZATION_PRECISION, "Invalid optimal utilization");
+        parameters = ProtocolParameters(_parameters);
+        slope1 = _slope1;
+        slope2 = _slope2;
+        optimalUtilization = _optimalUtilization;
+    }
+
+    /**
+     * @dev Rate at 0% utilization (basis points)
+     */
+    function baseRate() public view returns (uint256) {
+        return parameters.getParameter(parameters.BASE_RATE());
+    }
+
+    /**
+     * @dev Get the utilization of a pool
+     * @param totalLiquidity Total assets owned by the pool
+     * @param totalBorrowed Amount currently lent out
+     */
+    function getUtilization(uint256 totalLiquidity, uint256 totalBorrowed) public pure returns (uint256) {
+        if (totalLiquidity == 0) return 0;
+        uint256 utilization = (totalBorrowed * UTILIZATION_PRECISION) / totalLiquidity;
+        return utilization > UTILIZATION_PRECISION ? UTILIZATION_PRECISION : utilization;
+    }
+
+    /**
+     * @dev Get the market borrow rate for the current utilization
+     * @param totalLiquidity Total assets owned by the pool
+     * @param totalBorrowed Amount currently lent out
+     */
+    function getBorrowRate(uint256 totalLiquidity, uint256 totalBorrowed) external view returns (uint256) {
+        uint256 utilization = getUtilization(totalLiquidity, totalBorrowed);
+        uint256 base = baseRate();
+
+        if (utilization <= optimalUtilization) {
+            return base + (utilization * slope1) / optimalUtilization;
+        }
+
+        uint256 excess = utilization - optimalUtilization;
+        return base + slope1 + (excess * slope2) / (UTILIZATION_PRECISION - optimalUtilization);
+    }
+}
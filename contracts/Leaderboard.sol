@@ -1,13 +1,17 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "./ScoreIndex.sol";
+import "./ProtocolAccess.sol";
 
 /**
  * @title Leaderboard
- * @dev Track and display top performers
+ * @dev Track and display top performers. Stats are pushed by protocol contracts holding
+ * the updater role (ReputationNFT, LendingPool) and ranked with ScoreIndex.
  */
-contract Leaderboard is Ownable {
+contract Leaderboard is ProtocolAccess {
+    using ScoreIndex for ScoreIndex.Index;
+
     struct UserStats {
         address user;
         uint256 reputation;
@@ -26,49 +30,59 @@ contract Leaderboard is Ownable {
     // Track if user is registered
     mapping(address => bool) public isRegistered;
 
+    // Rankings
+    ScoreIndex.Index private _reputationIndex;
+    ScoreIndex.Index private _loansIndex;
+
     // Events
     event UserRegistered(address indexed user);
     event StatsUpdated(address indexed user, uint256 reputation, uint256 loansCompleted);
 
-    constructor() Ownable(msg.sender) {}
+    constructor(address _roles) {
+        _setRoles(_roles);
+    }
 
     /**
-     * @dev Register user in leaderboard
+     * @dev Update user's reputation (called by ReputationNFT)
      * @param user Address of user
+     * @param reputation Current reputation score
      */
-    function registerUser(address user) external onlyOwner {
-        if (!isRegistered[user]) {
-            users.push(user);
-            isRegistered[user] = true;
-            emit UserRegistered(user);
-        }
+    function updateReputation(address user, uint256 reputation) external onlyRole(UPDATER_ROLE) {
+        UserStats storage stats = _register(user);
+        stats.reputation = reputation;
+        stats.lastUpdated = block.timestamp;
+        _reputationIndex.set(user, reputation);
+
+        emit StatsUpdated(user, reputation, stats.loansCompleted);
     }
 
     /**
-     * @dev Update user stats
+     * @dev Update user's loan history (called by ReputationNFT when a loan is recorded)
      * @param user Address of user
-     * @param reputation Current reputation score
      * @param loansCompleted Total loans completed
      * @param totalRepaid Total amount repaid
+     */
+    function updateLoanStats(address user, uint256 loansCompleted, uint256 totalRepaid) external onlyRole(UPDATER_ROLE) {
+        UserStats storage stats = _register(user);
+        stats.loansCompleted = loansCompleted;
+        stats.totalRepaid = totalRepaid;
+        stats.lastUpdated = block.timestamp;
+        _loansIndex.set(user, loansCompleted);
+
+        emit StatsUpdated(user, stats.reputation, loansCompleted);
+    }
+
+    /**
+     * @dev Update user's trust score (called by LendingPool)
+     * @param user Address of user
      * @param trustScore Current trust score
      */
-    function updateStats(
-        address user,
-        uint256 reputation,
-        uint256 loansCompleted,
-        uint256 totalRepaid,
-        uint256 trustScore
-    ) external onlyOwner {
-        userStats[user] = UserStats({
-            user: user,
-            reputation: reputation,
-            loansCompleted: loansCompleted,
-            totalRepaid: totalRepaid,
-            trustScore: trustScore,
-            lastUpdated: block.timestamp
-        });
-
-        emit StatsUpdated(user, reputation, loansCompleted);
+    function updateTrustScore(address user, uint256 trustScore) external onlyRole(UPDATER_ROLE) {
+        UserStats storage stats = _register(user);
+        stats.trustScore = trustScore;
+        stats.lastUpdated = block.timestamp;
+
+        emit StatsUpdated(user, stats.reputation, stats.loansCompleted);
     }
 
     /**
@@ -76,37 +90,7 @@ contract Leaderboard is Ownable {
      * @param count Number of top users to return
      */
     function getTopByReputation(uint256 count) external view returns (UserStats[] memory) {
-        if (count > users.length) count = users.length;
-        
-        UserStats[] memory topUsers = new UserStats[](count);
-        
-        // Simple bubble sort for top N (good enough for hackathon demo)
-        for (uint256 i = 0; i < count; i++) {
-            uint256 maxRep = 0;
-            uint256 maxIndex = 0;
-            
-            for (uint256 j = 0; j < users.length; j++) {
-                if (userStats[users[j]].reputation > maxRep) {
-                    bool alreadyIncluded = false;
-                    for (uint256 k = 0; k < i; k++) {
-                        if (topUsers[k].user == users[j]) {
-                            alreadyIncluded = true;
-                            break;
-                        }
-                    }
-                    if (!alreadyIncluded) {
-                        maxRep = userStats[users[j]].reputation;
-                        maxIndex = j;
-                    }
-                }
-            }
-            
-            if (maxRep > 0) {
-                topUsers[i] = userStats[users[maxIndex]];
-            }
-        }
-        
-        return topUsers;
+        return _statsFor(_reputationIndex.top(count));
     }
 
     /**
@@ -114,53 +98,23 @@ contract Leaderboard is Ownable {
      * @param count Number of top users to return
      */
     function getTopByLoans(uint256 count) external view returns (UserStats[] memory) {
-        if (count > users.length) count = users.length;
-        
-        UserStats[] memory topUsers = new UserStats[](count);
-        
-        for (uint256 i = 0; i < count; i++) {
-            uint256 maxLoans = 0;
-            uint256 maxIndex = 0;
-            
-            for (uint256 j = 0; j < users.length; j++) {
-                if (userStats[users[j]].loansCompleted > maxLoans) {
-                    bool alreadyIncluded = false;
-                    for (uint256 k = 0; k < i; k++) {
-                        if (topUsers[k].user == users[j]) {
-                            alreadyIncluded = true;
-                            break;
-                        }
-                    }
-                    if (!alreadyIncluded) {
-                        maxLoans = userStats[users[j]].loansCompleted;
-                        maxIndex = j;
-                    }
-                }
-            }
-            
-            if (maxLoans > 0) {
-                topUsers[i] = userStats[users[maxIndex]];
-            }
-        }
-        
-        return topUsers;
+        return _statsFor(_loansIndex.top(count));
     }
 
     /**
-     * @dev Get user's rank by reputation
+     * @dev Get user's rank by reputation (0 if not registered)
      * @param user Address to check
      */
     function getUserRank(address user) external view returns (uint256) {
-        uint256 rank = 1;
-        uint256 userRep = userStats[user].reputation;
-        
-        for (uint256 i = 0; i < users.length; i++) {
-            if (users[i] != user && userStats[users[i]].reputation > userRep) {
-                rank++;
-            }
-        }
-        
-        return rank;
+        return _reputationIndex.rankOf(user);
+    }
+
+    /**
+     * @dev Get user's rank by loans completed (0 if not registered)
+     * @param user Address to check
+     */
+    function getUserLoansRank(address user) external view returns (uint256) {
+        return _loansIndex.rankOf(user);
     }
 
     /**
@@ -169,4 +123,29 @@ contract Leaderboard is Ownable {
     function getTotalUsers() external view returns (uint256) {
         return users.length;
     }
+
+    /**
+     * @dev Register user on first update so they appear in both rankings
+     */
+    function _register(address user) internal returns (UserStats storage stats) {
+        stats = userStats[user];
+        if (!isRegistered[user]) {
+            users.push(user);
+            isRegistered[user] = true;
+            stats.user = user;
+            _reputationIndex.set(user, 0);
+            _loansIndex.set(user, 0);
+            emit UserRegistered(user);
+        }
+    }
+
+    /**
+     * @dev Load stats for a list of users
+     */
+    function _statsFor(address[] memory accounts) internal view returns (UserStats[] memory result) {
+        result = new UserStats[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            result[i] = userStats[accounts[i]];
+        }
+    }
 }
@@ -1,197 +1,106 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "./ReputationNFT.sol";
-import "./TrustCircle.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./LendingPoolCore.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 
 /**
  * @title LendingPool
- * @dev Core lending and borrowing functionality with reputation-based rates
+ * @dev ETH lending pool with utilization- and reputation-based rates. Loans are backed by
+ * the ETH guarantee funds of the borrower's trust circles, and members can borrow against
+ * credit delegated to them by other members of their circles.
+ * Deployed behind a UUPS proxy; upgrades are authorized by the upgrader role (the timelock).
  */
-contract LendingPool is Ownable, ReentrancyGuard {
-    ReputationNFT public reputationNFT;
-    TrustCircle public trustCircle;
+contract LendingPool is LendingPoolCore, UUPSUpgradeable {
+    // LoanExtension contract allowed to extend loan durations
+    address public loanExtension;
 
-    struct Loan {
-        address borrower;
-        uint256 amount;
-        uint256 interestRate;      // Annual rate in basis points (e.g., 500 = 5%)
-        uint256 startTime;
-        uint256 duration;          // Loan duration in seconds
-        uint256 amountRepaid;
-        bool active;
-        bool defaulted;
-    }
-
-    struct LenderInfo {
-        uint256 deposited;
-        uint256 earned;
-        uint256 lastDepositTime;
-    }
-
-    // Loan ID counter
-    uint256 private _loanIdCounter;
-
-    // Mapping from loan ID to loan data
-    mapping(uint256 => Loan) public loans;
+    // Delegator whose limit backs each delegated loan
+    mapping(uint256 => address) public loanDelegators;
 
-    // Mapping from borrower to their loan IDs
-    mapping(address => uint256[]) public borrowerLoans;
+    uint256 public constant QUEUE_PAYOUT_GAS = 30000; // Gas forwarded with each queue payout
+    uint256 public constant DELEGATOR_PENALTY_SHARE = 50; // Percent of the default penalty the delegator also takes
 
-    // Mapping from lender to their info
-    mapping(address => LenderInfo) public lenders;
+    event LoanExtensionUpdated(address indexed loanExtension);
+    event DelegatedLoanOpened(uint256 indexed loanId, address indexed delegate, address indexed delegator, uint256 amount);
+    event LoanExtended(uint256 indexed loanId, uint256 additionalDuration, uint256 newDuration, uint256 fee);
 
-    // Total liquidity in the pool
-    uint256 public totalLiquidity;
-
-    // Total amount currently borrowed
-    uint256 public totalBorrowed;
-
-    // Constants
-    uint256 public constant BASE_RATE = 1000;        // 10% base rate (in basis points)
-    uint256 public constant MIN_RATE = 300;          // 3% minimum rate
-    uint256 public constant MAX_RATE = 3000;         // 30% maximum rate
-    uint256 public constant GRACE_PERIOD = 7 days;   // Grace period before default
-    uint256 public constant MIN_LOAN = 0.01 ether;   // Minimum loan amount
-    uint256 public constant MAX_LOAN = 10 ether;     // Maximum single loan
-    
-    // Events
-    event Deposited(address indexed lender, uint256 amount);
-    event Withdrawn(address indexed lender, uint256 amount);
-    event LoanRequested(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 rate);
-    event LoanRepaid(uint256 indexed loanId, address indexed borrower, uint256 amount, bool early);
-    event LoanDefaulted(uint256 indexed loanId, address indexed borrower, uint256 amountOwed);
-
-    constructor(address _reputationNFT, address _trustCircle) Ownable(msg.sender) {
-        reputationNFT = ReputationNFT(_reputationNFT);
-        trustCircle = TrustCircle(_trustCircle);
-        _loanIdCounter = 1;
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
     }
 
     /**
-     * @dev Deposit liquidity to the pool
+     * @dev Initialize the proxy
+     * @param _reputationNFT Address of the ReputationNFT contract
+     * @param _trustCircle Address of the TrustCircle contract
+     * @param _interestRateModel Address of the interest rate model
+     * @param _parameters Address of the ProtocolParameters contract
+     * @param _roles Address of the ProtocolRoles registry
      */
-    function deposit() external payable nonReentrant {
-        require(msg.value > 0, "Must deposit some ETH");
-        
-        LenderInfo storage lender = lenders[msg.sender];
-        lender.deposited += msg.value;
-        lender.lastDepositTime = block.timestamp;
-        totalLiquidity += msg.value;
+    function initialize(
+        address _reputationNFT,
+        address _trustCircle,
+        address _interestRateModel,
+        address _parameters,
+        address _roles
+    ) external initializer {
+        __LendingPoolCore_init(
+            _reputationNFT,
+            _trustCircle,
+            _interestRateModel,
+            _parameters,
+            0.01 ether,  // Minimum loan amount
+            10 ether,    // Maximum single loan
+            0.001 ether, // 0.1 ETH of credit per 100 reputation points
+            _roles
+        );
+    }
 
-        emit Deposited(msg.sender, msg.value);
+    /**
+     * @dev Set the LoanExtension contract allowed to extend loans
+     * @param _loanExtension Address of the LoanExtension contract
+     */
+    function setLoanExtension(address _loanExtension) external onlyRole(PARAM_ADMIN_ROLE) {
+        loanExtension = _loanExtension;
+        emit LoanExtensionUpdated(_loanExtension);
     }
 
     /**
-     * @dev Withdraw liquidity from the pool
-     * @param amount Amount to withdraw
+     * @dev Deposit liquidity to the pool and mint pool shares
      */
-    function withdraw(uint256 amount) external nonReentrant {
-        LenderInfo storage lender = lenders[msg.sender];
-        require(lender.deposited >= amount, "Insufficient deposited balance");
-        require(totalLiquidity >= totalBorrowed + amount, "Insufficient pool liquidity");
-        
-        lender.deposited -= amount;
-        totalLiquidity -= amount;
-        
-        (bool success, ) = msg.sender.call{value: amount}("");
-        require(success, "Transfer failed");
+    function deposit() external payable whenNotPaused nonReentrant {
+        require(msg.value > 0, "Must deposit some ETH");
 
-        emit Withdrawn(msg.sender, amount);
+        _deposit(msg.sender, msg.value);
+        _addProgress(msg.sender, AchievementBadges.Metric.AmountDeposited, msg.value);
     }
 
     /**
-     * @dev Request a loan
+     * @dev Borrow against credit another circle member delegated to you. The loan counts
+     * against the delegator's limit until repaid, and the delegator shares the reputation
+     * penalty if it defaults.
+     * @param delegator Member whose limit backs the loan
      * @param amount Amount to borrow
      * @param duration Loan duration in days
      */
-    function borrow(uint256 amount, uint256 duration) external nonReentrant returns (uint256) {
-        require(amount >= MIN_LOAN && amount <= MAX_LOAN, "Invalid loan amount");
-        require(duration >= 7 && duration <= 365, "Invalid duration (7-365 days)");
-        require(totalLiquidity - totalBorrowed >= amount, "Insufficient pool liquidity");
-        
-        // Check reputation
-        uint256 reputation = reputationNFT.getReputationScore(msg.sender);
-        require(reputation > 0, "No reputation NFT");
-        
-        // Calculate borrowing limit based on reputation and trust score
-        uint256 borrowingLimit = _calculateBorrowingLimit(msg.sender, reputation);
-        require(amount <= borrowingLimit, "Amount exceeds borrowing limit");
-        
-        // Calculate interest rate based on reputation
-        uint256 interestRate = _calculateInterestRate(msg.sender, reputation);
-        
-        uint256 loanId = _loanIdCounter++;
-        loans[loanId] = Loan({
-            borrower: msg.sender,
-            amount: amount,
-            interestRate: interestRate,
-            startTime: block.timestamp,
-            duration: duration * 1 days,
-            amountRepaid: 0,
-            active: true,
-            defaulted: false
-        });
-        
-        borrowerLoans[msg.sender].push(loanId);
-        totalBorrowed += amount;
-        
-        (bool success, ) = msg.sender.call{value: amount}("");
-        require(success, "Transfer failed");
+    function borrowWithDelegation(address delegator, uint256 amount, uint256 duration) external whenNotPaused nonReentrant returns (uint256) {
+        uint256 loanId = _borrow(delegator, amount, duration);
+        loanDelegators[loanId] = delegator;
 
-        emit LoanRequested(loanId, msg.sender, amount, interestRate);
-        
-        // Small reputation boost for taking responsible loan
-        if (amount <= borrowingLimit / 2) {
-            reputationNFT.updateReputation(msg.sender, 5);
-        }
-        
+        emit DelegatedLoanOpened(loanId, msg.sender, delegator, amount);
         return loanId;
     }
 
     /**
-     * @dev Repay a loan (full or partial)
+     * @dev Repay a loan (full or partial); any excess is refunded
      * @param loanId ID of the loan to repay
      */
     function repay(uint256 loanId) external payable nonReentrant {
-        Loan storage loan = loans[loanId];
-        require(loan.active, "Loan is not active");
-        require(msg.sender == loan.borrower, "Not the borrower");
         require(msg.value > 0, "Must send some ETH");
-        
-        uint256 totalOwed = _calculateTotalOwed(loanId);
-        uint256 payment = msg.value;
-        
-        // Cap payment at total owed
-        if (payment > totalOwed - loan.amountRepaid) {
-            payment = totalOwed - loan.amountRepaid;
-        }
-        
-        loan.amountRepaid += payment;
-        totalBorrowed -= payment > loan.amount ? loan.amount : payment;
-        
-        // Check if loan is fully repaid
-        bool fullyRepaid = loan.amountRepaid >= totalOwed;
-        bool earlyRepayment = fullyRepaid && block.timestamp < loan.startTime + loan.duration;
-        
-        if (fullyRepaid) {
-            loan.active = false;
-            
-            // Record successful loan completion
-            reputationNFT.recordLoan(msg.sender, loan.amount, loan.amountRepaid);
-            
-            // Reputation boost for repayment
-            int256 reputationBonus = 30;
-            if (earlyRepayment) {
-                reputationBonus = 50; // Extra bonus for early repayment
-            }
-            reputationNFT.updateReputation(msg.sender, reputationBonus);
-            
-            emit LoanRepaid(loanId, msg.sender, loan.amountRepaid, earlyRepayment);
-        }
-        
+
+        uint256 payment = _repay(loanId, msg.value);
+
         // Return excess payment
         if (msg.value > payment) {
             (bool success, ) = msg.sender.call{value: msg.value - payment}("");
@@ -200,140 +109,115 @@ contract LendingPool is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Mark a loan as defaulted (can be called by anyone after grace period)
+     * @dev Extend an active loan (LoanExtension only); the fee sent along is paid to lenders.
+     * The due date moves, but interest stays priced on the original duration.
      * @param loanId ID of the loan
+     * @param additionalDuration Extra time in seconds
      */
-    function markDefaulted(uint256 loanId) external {
+    function extendLoan(uint256 loanId, uint256 additionalDuration) external payable nonReentrant {
+        require(msg.sender == loanExtension, "Only loan extension contract");
+        
         Loan storage loan = loans[loanId];
         require(loan.active, "Loan is not active");
-        require(!loan.defaulted, "Already marked as defaulted");
-        
-        uint256 deadline = loan.startTime + loan.duration + GRACE_PERIOD;
-        require(block.timestamp > deadline, "Grace period not over");
-        
-        uint256 totalOwed = _calculateTotalOwed(loanId);
-        require(loan.amountRepaid < totalOwed, "Loan is repaid");
-        
-        loan.active = false;
-        loan.defaulted = true;
+        require(block.timestamp <= getDueDate(loanId) + GRACE_PERIOD, "Grace period over");
         
-        // Severe reputation penalty for default
-        reputationNFT.updateReputation(loan.borrower, -200);
+        loanExtensions[loanId] += additionalDuration;
         
-        // Slash trust circles
-        uint256[] memory circles = trustCircle.getUserCircles(loan.borrower);
-        for (uint256 i = 0; i < circles.length; i++) {
-            trustCircle.slashCircle(circles[i], loan.borrower);
-        }
-        
-        emit LoanDefaulted(loanId, loan.borrower, totalOwed - loan.amountRepaid);
+        // Extension fees raise the value of every pool share
+        totalLiquidity += msg.value;
+
+        emit LoanExtended(loanId, additionalDuration, getDueDate(loanId) - loan.startTime, msg.value);
+        _emitPoolState();
     }
 
     /**
-     * @dev Calculate interest rate based on reputation
-     * @param borrower Address of the borrower
-     * @param reputation Reputation score
+     * @dev Accept guarantee payouts from TrustCircle
      */
-    function _calculateInterestRate(address borrower, uint256 reputation) internal view returns (uint256) {
-        // Base rate adjusted by reputation
-        // Higher reputation = lower rate
-        uint256 rate = BASE_RATE;
-        
-        if (reputation >= 800) {
-            rate = MIN_RATE; // Diamond/Platinum: 3%
-        } else if (reputation >= 500) {
-            rate = 500; // Gold: 5%
-        } else if (reputation >= 200) {
-            rate = 800; // Silver: 8%
-        }
-        
-        // Trust circle discount (up to 2% reduction)
-        uint256 trustScore = trustCircle.getTrustScore(borrower);
-        uint256 discount = (trustScore / 100) * 20; // 0.2% per 100 trust points
-        if (discount > 200) discount = 200; // Cap at 2%
-        
-        if (rate > discount) {
-            rate -= discount;
-        } else {
-            rate = MIN_RATE;
-        }
-        
-        return rate < MIN_RATE ? MIN_RATE : rate;
+    receive() external payable {
+        require(msg.sender == address(trustCircle), "Only trust circle");
     }
 
     /**
-     * @dev Calculate borrowing limit
-     * @param borrower Address of the borrower
-     * @param reputation Reputation score
+     * @dev Track the new debt against the borrower's circle guarantees
      */
-    function _calculateBorrowingLimit(address borrower, uint256 reputation) internal view returns (uint256) {
-        // Base limit from reputation (0.1 ETH per 100 reputation points)
-        uint256 baseLimit = (reputation * 0.001 ether) / 100 * 100;
-        
-        // Trust circle multiplier (up to 2x)
-        uint256 trustScore = trustCircle.getTrustScore(borrower);
-        uint256 multiplier = 100 + (trustScore / 10); // 1.0x to 2.0x
-        if (multiplier > 200) multiplier = 200;
-        
-        uint256 limit = (baseLimit * multiplier) / 100;
-        
-        // Cap at MAX_LOAN
-        return limit > MAX_LOAN ? MAX_LOAN : limit;
+    function _onBorrow(address borrower, uint256 amount) internal override {
+        trustCircle.addGuaranteedDebt(borrower, amount);
     }
 
     /**
-     * @dev Calculate total amount owed for a loan
-     * @param loanId ID of the loan
+     * @dev Draw on the delegation, which checks it is still valid and has room for the loan
      */
-    function _calculateTotalOwed(uint256 loanId) internal view returns (uint256) {
-        Loan storage loan = loans[loanId];
-        
-        // Simple interest calculation
-        uint256 interest = (loan.amount * loan.interestRate * loan.duration) / (365 days * 10000);
-        return loan.amount + interest;
+    function _useDelegatedCredit(address delegator, uint256 amount) internal override {
+        trustCircle.useDelegatedCredit(delegator, msg.sender, amount);
     }
 
     /**
-     * @dev Get borrowing limit for a user
-     * @param borrower Address of the borrower
+     * @dev Release repaid principal from the borrower's circle guarantees and delegation
      */
-    function getBorrowingLimit(address borrower) external view returns (uint256) {
-        uint256 reputation = reputationNFT.getReputationScore(borrower);
-        if (reputation == 0) return 0;
-        return _calculateBorrowingLimit(borrower, reputation);
+    function _onPrincipalRepaid(uint256 loanId, address borrower, uint256 amount) internal override {
+        trustCircle.removeGuaranteedDebt(borrower, amount);
+
+        address delegator = loanDelegators[loanId];
+        if (delegator != address(0)) {
+            trustCircle.releaseDelegatedCredit(delegator, borrower, amount);
+        }
     }
 
     /**
-     * @dev Get interest rate for a user
-     * @param borrower Address of the borrower
+     * @dev Write off a delegated loan's credit and pass part of the penalty to the delegator
      */
-    function getInterestRate(address borrower) external view returns (uint256) {
-        uint256 reputation = reputationNFT.getReputationScore(borrower);
-        if (reputation == 0) return MAX_RATE;
-        return _calculateInterestRate(borrower, reputation);
+    function _onDefault(uint256 loanId, uint256 unpaidPrincipal) internal override {
+        address delegator = loanDelegators[loanId];
+        if (delegator == address(0)) return;
+
+        trustCircle.releaseDelegatedCredit(delegator, loans[loanId].borrower, unpaidPrincipal);
+        reputationNFT.updateReputation(
+            delegator,
+            (DEFAULT_PENALTY * int256(DELEGATOR_PENALTY_SHARE)) / 100,
+            ReputationNFT.ReputationReason.DelegatedDefault
+        );
     }
 
     /**
-     * @dev Get loan details
-     * @param loanId ID of the loan
+     * @dev Cover the outstanding debt from the stakes of the defaulter's vouchers
      */
-    function getLoan(uint256 loanId) external view returns (Loan memory) {
-        return loans[loanId];
+    function _coverDefault(address borrower, uint256 unpaidPrincipal, uint256 debt) internal override returns (uint256) {
+        trustCircle.removeGuaranteedDebt(borrower, unpaidPrincipal);
+        return trustCircle.coverDefault(borrower, debt);
     }
 
     /**
-     * @dev Get total owed for a loan
-     * @param loanId ID of the loan
+     * @dev Stakes backing the borrower across their circles
      */
-    function getTotalOwed(uint256 loanId) external view returns (uint256) {
-        return _calculateTotalOwed(loanId);
+    function _guaranteeHeadroom(address borrower) internal view override returns (uint256) {
+        return trustCircle.getGuaranteeBacking(borrower);
     }
 
     /**
-     * @dev Get all loans for a borrower
-     * @param borrower Address of the borrower
+     * @dev Delegated credit drawn by open loans
      */
-    function getBorrowerLoans(address borrower) external view returns (uint256[] memory) {
-        return borrowerLoans[borrower];
+    function _delegatedCreditInUse(address delegator) internal view override returns (uint256) {
+        return trustCircle.delegatedCreditInUse(delegator);
     }
+
+    /**
+     * @dev Send ETH, reverting if the recipient rejects it
+     */
+    function _sendAsset(address to, uint256 amount) internal override {
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "Transfer failed");
+    }
+
+    /**
+     * @dev Send ETH with a gas cap so a recipient cannot stall the withdrawal queue
+     */
+    function _trySendAsset(address to, uint256 amount) internal override returns (bool) {
+        (bool success, ) = to.call{value: amount, gas: QUEUE_PAYOUT_GAS}("");
+        return success;
+    }
+
+    /**
+     * @dev Only the upgrader role (the governance timelock) can upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(UPGRADER_ROLE) {}
 }
@@ -0,0 +1,1236 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ReputationNFT.sol";
+import "./TrustCircle.sol";
+import "./IInterestRateModel.sol";
+import "./ProtocolParameters.sol";
+import "./AchievementBadges.sol";
+import "./ProtocolAccess.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+
+/**
+ * @title LendingPoolCore
+ * @dev Lending and borrowing logic shared by every pool, with utilization- and
+ * reputation-based rates. Pools differ only in the asset they lend and how it moves.
+ * Pausers can halt deposits, borrowing and withdrawals; repayments and defaults still go through.
+ * Initializer-based so pools can run behind a proxy; pool contracts append new storage
+ * after the gap at the end of this contract's layout.
+ */
+abstract contract LendingPoolCore is ProtocolAccess, ReentrancyGuardUpgradeable, PausableUpgradeable {
+    ReputationNFT public reputationNFT;
+    TrustCircle public trustCircle;
+    IInterestRateModel public interestRateModel;
+    ProtocolParameters public parameters;
+
+    // EmergencyWithdraw contract allowed to skip the withdrawal queue
+    address public emergencyWithdraw;
+
+    // Leaderboard that receives borrower trust scores (optional)
+    Leaderboard public leaderboard;
+
+    // Achievement badges unlocked by borrowing, repaying and lending (optional)
+    AchievementBadges public achievementBadges;
+
+    struct Loan {
+        address borrower;
+        uint256 amount;
+        uint256 interestRate;      // Annual rate in basis points (e.g., 500 = 5%)
+        uint256 startTime;
+        uint256 duration;          // Loan duration in seconds
+        uint256 amountRepaid;
+        bool active;
+        bool defaulted;
+    }
+
+    enum RepaymentFrequency { None, Weekly, Monthly }
+
+    struct InstallmentPlan {
+        RepaymentFrequency frequency;
+        uint256 installments;      // Number of installments, the last one due at maturity
+        uint256 missedInstallments; // Installments penalized as missed, including ones since paid late
+        uint256 lateFees;          // Late fees added to the amount owed
+        uint256 checkedInstallments; // Installments whose grace period had passed at the last charge
+    }
+
+    struct LenderInfo {
+        uint256 deposited;         // Principal still in the pool (cost basis of shares)
+        uint256 earned;            // Yield realized on withdrawal
+        uint256 lastDepositTime;
+        uint256 shares;            // Pool shares owned by the lender
+    }
+
+    struct QueuedWithdrawal {
+        address lender;
+        uint256 shares;            // Shares still waiting to be paid out
+        uint256 principal;         // Cost basis of the queued shares
+        uint256 requestTime;
+    }
+
+    // Loan ID counter
+    uint256 private _loanIdCounter;
+
+    // Mapping from loan ID to loan data
+    mapping(uint256 => Loan) public loans;
+
+    // Mapping from borrower to their loan IDs
+    mapping(address => uint256[]) public borrowerLoans;
+
+    // Mapping from loan ID to its installment plan (frequency None = single payment)
+    mapping(uint256 => InstallmentPlan) public installmentPlans;
+
+    // Mapping from lender to their info
+    mapping(address => LenderInfo) public lenders;
+
+    // Per-asset loan limits, in units of the pool asset
+    uint256 public minLoan;
+    uint256 public maxLoan;
+
+    // Borrowing limit granted per reputation point, in units of the pool asset
+    uint256 public creditPerPoint;
+
+    // Total assets owned by the pool (cash + outstanding principal + realized interest)
+    uint256 public totalLiquidity;
+
+    // Total pool shares minted to lenders
+    uint256 public totalShares;
+
+    // Total amount currently borrowed
+    uint256 public totalBorrowed;
+
+    // Number of loans that ended in default
+    uint256 public defaultedLoans;
+
+    // FIFO queue of withdrawals waiting for liquidity
+    QueuedWithdrawal[] public withdrawalQueue;
+    uint256 public withdrawalQueueHead;
+
+    // Timelocked emergency withdrawals, paid ahead of the regular queue
+    QueuedWithdrawal[] public priorityQueue;
+    uint256 public priorityQueueHead;
+
+    // Mapping from lender to their queue index + 1 (0 = not queued)
+    mapping(address => uint256) private _queuePosition;
+
+    // Queue payouts that could not be pushed to the lender
+    mapping(address => uint256) public pendingPayouts;
+
+    // Time each loan's due date was pushed back by paid extensions; interest still
+    // accrues over the original duration only
+    mapping(uint256 => uint256) public loanExtensions;
+
+    // Reserved slots so new core storage does not shift the pools' own variables
+    uint256[49] private __gap;
+
+    // Constants
+    uint256 public constant MIN_RATE = 300;          // 3% minimum rate
+    uint256 public constant MAX_RATE = 3000;         // 30% maximum rate
+    uint256 public constant GRACE_PERIOD = 7 days;   // Grace period before default
+    uint256 public constant MAX_QUEUE_PAYOUTS = 10;  // Queue entries visited per transaction
+    uint256 public constant INSTALLMENT_GRACE = 2 days; // Grace period before an installment is missed
+    uint256 public constant LATE_FEE = 500;          // 5% of the installment per missed installment
+    int256 public constant MISSED_INSTALLMENT_PENALTY = -15; // Reputation per missed installment
+    uint256 public constant MAX_MISSED_INSTALLMENTS = 3; // Missed installments before default
+    int256 public constant DEFAULT_PENALTY = -200;   // Reputation lost by a defaulting borrower
+    uint256 public constant CREDIT_PRECISION = 1e18; // Scale of the credit TrustCircle tracks across pools
+    
+    // Events
+    event Deposited(address indexed lender, uint256 amount, uint256 shares);
+    event Withdrawn(address indexed lender, uint256 amount, uint256 shares);
+    event LoanRequested(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 rate);
+    event LoanRepaid(uint256 indexed loanId, address indexed borrower, uint256 amount, bool early);
+    event LoanDefaulted(uint256 indexed loanId, address indexed borrower, uint256 amountOwed);
+    event InterestDistributed(uint256 indexed loanId, uint256 interest);
+    event InterestRateModelUpdated(address indexed model);
+    event EmergencyWithdrawUpdated(address indexed emergencyWithdraw);
+    event LeaderboardUpdated(address indexed leaderboard);
+    event AchievementBadgesUpdated(address indexed achievementBadges);
+    event WithdrawalQueued(address indexed lender, uint256 shares, uint256 position);
+    event QueuedWithdrawalPaid(address indexed lender, uint256 amount, uint256 shares);
+    event QueuedWithdrawalCancelled(address indexed lender, uint256 shares);
+    event EmergencyWithdrawal(address indexed lender, uint256 amount, uint256 shares);
+    event DefaultCovered(uint256 indexed loanId, uint256 amount);
+    event InstallmentPlanCreated(uint256 indexed loanId, RepaymentFrequency frequency, uint256 installments);
+    event InstallmentMissed(uint256 indexed loanId, address indexed borrower, uint256 installment, uint256 lateFee);
+    event PoolStateUpdated(uint256 totalLiquidity, uint256 totalBorrowed, uint256 loansIssued, uint256 loansDefaulted);
+
+    /**
+     * @dev Wire the pool to the protocol and set its loan limits
+     */
+    function __LendingPoolCore_init(
+        address _reputationNFT,
+        address _trustCircle,
+        address _interestRateModel,
+        address _parameters,
+        uint256 _minLoan,
+        uint256 _maxLoan,
+        uint256 _creditPerPoint,
+        address _roles
+    ) internal onlyInitializing {
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        _setRoles(_roles);
+        require(_minLoan > 0 && _minLoan <= _maxLoan, "Invalid loan limits");
+        require(_creditPerPoint > 0, "Invalid credit per point");
+
+        reputationNFT = ReputationNFT(_reputationNFT);
+        trustCircle = TrustCircle(_trustCircle);
+        interestRateModel = IInterestRateModel(_interestRateModel);
+        parameters = ProtocolParameters(_parameters);
+        minLoan = _minLoan;
+        maxLoan = _maxLoan;
+        creditPerPoint = _creditPerPoint;
+        _loanIdCounter = 1;
+    }
+
+    /**
+     * @dev Swap the interest rate curve used for new loans
+     * @param model Address of the interest rate model
+     */
+    function setInterestRateModel(address model) external onlyRole(PARAM_ADMIN_ROLE) {
+        require(model != address(0), "Invalid model");
+        interestRateModel = IInterestRateModel(model);
+        emit InterestRateModelUpdated(model);
+    }
+
+    /**
+     * @dev Set the EmergencyWithdraw contract allowed to skip the withdrawal queue
+     * @param _emergencyWithdraw Address of the EmergencyWithdraw contract
+     */
+    function setEmergencyWithdraw(address _emergencyWithdraw) external onlyRole(PARAM_ADMIN_ROLE) {
+        emergencyWithdraw = _emergencyWithdraw;
+        emit EmergencyWithdrawUpdated(_emergencyWithdraw);
+    }
+
+    /**
+     * @dev Set the leaderboard that receives borrower trust scores
+     * @param _leaderboard Address of the leaderboard (zero to disable)
+     */
+    function setLeaderboard(address _leaderboard) external onlyRole(PARAM_ADMIN_ROLE) {
+        leaderboard = Leaderboard(_leaderboard);
+        emit LeaderboardUpdated(_leaderboard);
+    }
+
+    /**
+     * @dev Set the achievement badges contract unlocked by pool activity
+     * @param _achievementBadges Address of the badges contract (zero to disable)
+     */
+    function setAchievementBadges(address _achievementBadges) external onlyRole(PARAM_ADMIN_ROLE) {
+        achievementBadges = AchievementBadges(_achievementBadges);
+        emit AchievementBadgesUpdated(_achievementBadges);
+    }
+
+    /**
+     * @dev Halt deposits, borrowing and withdrawals
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Resume deposits, borrowing and withdrawals
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Mint pool shares for liquidity the pool has already received
+     * @param account Address of the lender
+     * @param amount Amount deposited
+     */
+    function _deposit(address account, uint256 amount) internal {
+        // Shares left over after defaults wiped out the pool would take a cut of new deposits
+        require(totalLiquidity > 0 || totalShares == 0, "Pool is insolvent");
+        uint256 shares = _convertToShares(amount, false);
+        require(shares > 0, "Deposit too small");
+
+        LenderInfo storage lender = lenders[account];
+        lender.deposited += amount;
+        lender.shares += shares;
+        lender.lastDepositTime = block.timestamp;
+        totalShares += shares;
+        totalLiquidity += amount;
+
+        emit Deposited(account, amount, shares);
+
+        _processWithdrawalQueue();
+        _emitPoolState();
+    }
+
+    /**
+     * @dev Withdraw liquidity from the pool, burning the shares it is worth
+     * @param amount Amount to withdraw
+     */
+    function withdraw(uint256 amount) external whenNotPaused nonReentrant {
+        require(amount > 0, "Invalid amount");
+
+        // Queued lenders are paid before anyone else
+        _processWithdrawalQueue();
+        require(_queuesEmpty(), "Insufficient pool liquidity");
+
+        uint256 shares = _convertToShares(amount, true);
+        _withdraw(msg.sender, amount, shares);
+    }
+
+    /**
+     * @dev Redeem pool shares for their current value (principal plus accrued yield)
+     * @param shares Number of shares to redeem
+     */
+    function redeem(uint256 shares) external whenNotPaused nonReentrant returns (uint256) {
+        require(shares > 0, "Invalid amount");
+
+        // Queued lenders are paid before anyone else
+        _processWithdrawalQueue();
+        require(_queuesEmpty(), "Insufficient pool liquidity");
+
+        uint256 amount = _convertToAssets(shares);
+        _withdraw(msg.sender, amount, shares);
+        return amount;
+    }
+
+    /**
+     * @dev Join the withdrawal queue when the pool lacks liquidity; queued shares
+     * keep earning yield until they are paid out as repayments come in
+     * @param shares Number of shares to queue
+     */
+    function queueWithdrawal(uint256 shares) external whenNotPaused nonReentrant {
+        require(shares > 0, "Invalid amount");
+        uint256 principal = _escrowShares(msg.sender, shares);
+
+        uint256 position = _queuePosition[msg.sender];
+        if (position == 0) {
+            withdrawalQueue.push(QueuedWithdrawal({
+                lender: msg.sender,
+                shares: shares,
+                principal: principal,
+                requestTime: block.timestamp
+            }));
+            position = withdrawalQueue.length;
+            _queuePosition[msg.sender] = position;
+        } else {
+            QueuedWithdrawal storage entry = withdrawalQueue[position - 1];
+            entry.shares += shares;
+            entry.principal += principal;
+        }
+
+        emit WithdrawalQueued(msg.sender, shares, position - withdrawalQueueHead);
+
+        _processWithdrawalQueue();
+    }
+
+    /**
+     * @dev Leave the withdrawal queue and take back the shares not yet paid out
+     */
+    function cancelQueuedWithdrawal() external nonReentrant {
+        uint256 position = _queuePosition[msg.sender];
+        require(position != 0, "No queued withdrawal");
+
+        QueuedWithdrawal storage entry = withdrawalQueue[position - 1];
+        uint256 shares = entry.shares;
+
+        LenderInfo storage lender = lenders[msg.sender];
+        lender.shares += shares;
+        lender.deposited += entry.principal;
+
+        entry.shares = 0;
+        entry.principal = 0;
+        delete _queuePosition[msg.sender];
+
+        emit QueuedWithdrawalCancelled(msg.sender, shares);
+    }
+
+    /**
+     * @dev Pay out queued withdrawals with the liquidity currently available
+     */
+    function processWithdrawalQueue() external nonReentrant {
+        _processWithdrawalQueue();
+        _emitPoolState();
+    }
+
+    /**
+     * @dev Claim queue payouts that could not be sent automatically
+     */
+    function claimPendingPayout() external whenNotPaused nonReentrant {
+        uint256 amount = pendingPayouts[msg.sender];
+        require(amount > 0, "Nothing to claim");
+
+        pendingPayouts[msg.sender] = 0;
+        _sendAsset(msg.sender, amount);
+    }
+
+    /**
+     * @dev Timelocked fast path out of the pool (EmergencyWithdraw only). The withdrawal
+     * is paid ahead of the regular queue as soon as liquidity allows.
+     * @param account Address of the lender
+     * @param amount Amount to withdraw
+     */
+    function emergencyWithdrawFor(address account, uint256 amount) external whenNotPaused nonReentrant {
+        require(msg.sender == emergencyWithdraw, "Only emergency withdraw contract");
+        require(amount > 0, "Invalid amount");
+
+        uint256 shares = _convertToShares(amount, true);
+        uint256 principal = _escrowShares(account, shares);
+
+        priorityQueue.push(QueuedWithdrawal({
+            lender: account,
+            shares: shares,
+            principal: principal,
+            requestTime: block.timestamp
+        }));
+
+        emit EmergencyWithdrawal(account, amount, shares);
+
+        _processWithdrawalQueue();
+        _emitPoolState();
+    }
+
+    /**
+     * @dev Burn shares and send their value to the lender
+     * @param account Address of the lender
+     * @param amount Amount to send
+     * @param shares Number of shares to burn
+     */
+    function _withdraw(address account, uint256 amount, uint256 shares) internal {
+        LenderInfo storage lender = lenders[account];
+        require(lender.shares >= shares, "Insufficient deposited balance");
+        require(totalLiquidity >= totalBorrowed + amount, "Insufficient pool liquidity");
+        
+        // Release principal pro rata to the shares burned; anything above it is yield
+        uint256 principal = (lender.deposited * shares) / lender.shares;
+        if (amount > principal) {
+            lender.earned += amount - principal;
+        }
+
+        lender.deposited -= principal;
+        lender.shares -= shares;
+        totalShares -= shares;
+        totalLiquidity -= amount;
+        
+        _sendAsset(account, amount);
+
+        emit Withdrawn(account, amount, shares);
+        _emitPoolState();
+    }
+
+    /**
+     * @dev Request a loan
+     * @param amount Amount to borrow
+     * @param duration Loan duration in days
+     */
+    function borrow(uint256 amount, uint256 duration) external whenNotPaused nonReentrant returns (uint256) {
+        return _borrow(msg.sender, amount, duration);
+    }
+
+    /**
+     * @dev Request a loan repaid in weekly or monthly installments. Each missed installment
+     * adds a late fee and a reputation penalty; MAX_MISSED_INSTALLMENTS installments overdue
+     * and unpaid at once let anyone mark the loan defaulted before maturity.
+     * @param amount Amount to borrow
+     * @param duration Loan duration in days
+     * @param frequency How often an installment is due
+     */
+    function borrowWithInstallments(
+        uint256 amount,
+        uint256 duration,
+        RepaymentFrequency frequency
+    ) external whenNotPaused nonReentrant returns (uint256) {
+        require(frequency != RepaymentFrequency.None, "Invalid frequency");
+
+        uint256 interval = _installmentInterval(frequency);
+        uint256 installments = (duration * 1 days + interval - 1) / interval;
+        require(installments >= 2, "Duration too short for schedule");
+
+        uint256 loanId = _borrow(msg.sender, amount, duration);
+        installmentPlans[loanId] = InstallmentPlan({
+            frequency: frequency,
+            installments: installments,
+            missedInstallments: 0,
+            lateFees: 0,
+            checkedInstallments: 0
+        });
+
+        emit InstallmentPlanCreated(loanId, frequency, installments);
+        return loanId;
+    }
+
+    /**
+     * @dev Open a loan for the caller after checking the creditor's limit
+     * @param creditor Account whose borrowing limit backs the loan (the caller, or a delegator)
+     * @param amount Amount to borrow
+     * @param duration Loan duration in days
+     */
+    function _borrow(address creditor, uint256 amount, uint256 duration) internal returns (uint256) {
+        require(amount >= minLoan && amount <= maxLoan, "Invalid loan amount");
+        require(
+            duration >= 7 && duration <= parameters.getParameter(parameters.MAX_LOAN_DURATION()),
+            "Invalid duration"
+        );
+        require(totalLiquidity - totalBorrowed >= amount, "Insufficient pool liquidity");
+        
+        // Check reputation
+        uint256 reputation = reputationNFT.getReputationScore(msg.sender);
+        require(reputation > 0, "No reputation NFT");
+        
+        // Calculate borrowing limit based on reputation and trust score
+        uint256 borrowingLimit = creditor == msg.sender
+            ? _calculateBorrowingLimit(msg.sender, reputation)
+            : _calculateBorrowingLimit(creditor, reputationNFT.getReputationScore(creditor));
+        require(amount <= borrowingLimit, "Amount exceeds borrowing limit");
+
+        // Reserve delegated credit before the loan is opened or paid out
+        if (creditor != msg.sender) {
+            _useDelegatedCredit(creditor, amount);
+        }
+        
+        // Calculate interest rate based on reputation
+        uint256 interestRate = _calculateInterestRate(msg.sender, reputation);
+        
+        uint256 loanId = _loanIdCounter++;
+        loans[loanId] = Loan({
+            borrower: msg.sender,
+            amount: amount,
+            interestRate: interestRate,
+            startTime: block.timestamp,
+            duration: duration * 1 days,
+            amountRepaid: 0,
+            active: true,
+            defaulted: false
+        });
+        
+        borrowerLoans[msg.sender].push(loanId);
+        totalBorrowed += amount;
+        trustCircle.loanOpened(msg.sender);
+        trustCircle.addCreditInUse(msg.sender, _toCredit(amount));
+        _onBorrow(msg.sender, amount);
+        
+        _sendAsset(msg.sender, amount);
+
+        emit LoanRequested(loanId, msg.sender, amount, interestRate);
+        _emitPoolState();
+        
+        // Small reputation boost for taking responsible loan
+        if (amount <= borrowingLimit / 2) {
+            reputationNFT.updateReputation(msg.sender, 5, ReputationNFT.ReputationReason.Borrow);
+        }
+
+        _pushTrustScore(msg.sender);
+        _addProgress(msg.sender, AchievementBadges.Metric.LoansTaken, 1);
+        
+        return loanId;
+    }
+
+    /**
+     * @dev Apply a repayment the pool has already received (full or partial)
+     * @param loanId ID of the loan to repay
+     * @param amount Amount received; anything above what is owed is not applied
+     */
+    function _repay(uint256 loanId, uint256 amount) internal returns (uint256) {
+        Loan storage loan = loans[loanId];
+        uint256 remaining = _chargeAndGetRemaining(loanId);
+        require(msg.sender == loan.borrower, "Not the borrower");
+        require(amount > 0, "Must repay something");
+        
+        uint256 totalOwed = _calculateTotalOwed(loanId);
+        
+        // Cap payment at total owed
+        uint256 payment = amount > remaining ? remaining : amount;
+        
+        // Split the payment into principal and interest
+        uint256 principalBefore = loan.amountRepaid < loan.amount ? loan.amountRepaid : loan.amount;
+        loan.amountRepaid += payment;
+        uint256 principalAfter = loan.amountRepaid < loan.amount ? loan.amountRepaid : loan.amount;
+        uint256 principalPaid = principalAfter - principalBefore;
+        uint256 interestPaid = payment - principalPaid;
+
+        totalBorrowed -= principalPaid;
+        if (principalPaid > 0) {
+            trustCircle.removeCreditInUse(msg.sender, _toCredit(principalPaid));
+            _onPrincipalRepaid(loanId, msg.sender, principalPaid);
+        }
+
+        // Interest belongs to lenders: it raises the value of every pool share
+        if (interestPaid > 0) {
+            totalLiquidity += interestPaid;
+            emit InterestDistributed(loanId, interestPaid);
+        }
+        
+        // Check if loan is fully repaid
+        bool fullyRepaid = loan.amountRepaid >= totalOwed;
+        bool earlyRepayment = fullyRepaid && block.timestamp < getDueDate(loanId);
+        
+        if (fullyRepaid) {
+            loan.active = false;
+            trustCircle.loanClosed(msg.sender);
+            
+            // Record successful loan completion
+            _recordLoan(msg.sender, loan.amount, loan.amountRepaid);
+            
+            // Reputation boost for repayment
+            int256 reputationBonus = 30;
+            if (earlyRepayment) {
+                reputationBonus = 50; // Extra bonus for early repayment
+            }
+            reputationNFT.updateReputation(msg.sender, reputationBonus, ReputationNFT.ReputationReason.Repayment);
+            _pushTrustScore(msg.sender);
+
+            _addProgress(msg.sender, AchievementBadges.Metric.LoansRepaid, 1);
+            if (earlyRepayment) {
+                _addProgress(msg.sender, AchievementBadges.Metric.EarlyRepayments, 1);
+            }
+            
+            emit LoanRepaid(loanId, msg.sender, loan.amountRepaid, earlyRepayment);
+        }
+
+        // Repayments free up liquidity for queued withdrawals
+        _processWithdrawalQueue();
+        _emitPoolState();
+
+        return payment;
+    }
+
+    /**
+     * @dev Charge missed installments on an active loan, then get what is still owed on it
+     * @param loanId ID of the loan
+     */
+    function _chargeAndGetRemaining(uint256 loanId) internal returns (uint256) {
+        require(loans[loanId].active, "Loan is not active");
+
+        // A late payment still pays the fee and penalty of every installment it comes after
+        if (installmentPlans[loanId].frequency != RepaymentFrequency.None) {
+            _chargeMissedInstallments(loanId);
+        }
+        return _calculateTotalOwed(loanId) - loans[loanId].amountRepaid;
+    }
+
+    /**
+     * @dev Apply late fees and reputation penalties for installments past their grace
+     * period (can be called by anyone)
+     * @param loanId ID of the loan
+     */
+    function chargeMissedInstallments(uint256 loanId) external nonReentrant {
+        require(loans[loanId].active, "Loan is not active");
+        require(installmentPlans[loanId].frequency != RepaymentFrequency.None, "No installment plan");
+        _chargeMissedInstallments(loanId);
+    }
+
+    /**
+     * @dev Mark a loan as defaulted (can be called by anyone after grace period, or
+     * once an installment loan has MAX_MISSED_INSTALLMENTS installments overdue and unpaid)
+     * @param loanId ID of the loan
+     */
+    function markDefaulted(uint256 loanId) external {
+        Loan storage loan = loans[loanId];
+        require(loan.active, "Loan is not active");
+        require(!loan.defaulted, "Already marked as defaulted");
+        
+        InstallmentPlan storage plan = installmentPlans[loanId];
+        if (plan.frequency != RepaymentFrequency.None) {
+            _chargeMissedInstallments(loanId);
+        }
+
+        uint256 deadline = getDueDate(loanId) + GRACE_PERIOD;
+        require(
+            block.timestamp > deadline || _countOverdueInstallments(loanId) >= MAX_MISSED_INSTALLMENTS,
+            "Grace period not over"
+        );
+        
+        uint256 totalOwed = _calculateTotalOwed(loanId);
+        require(loan.amountRepaid < totalOwed, "Loan is repaid");
+        
+        loan.active = false;
+        loan.defaulted = true;
+        defaultedLoans++;
+        trustCircle.loanClosed(loan.borrower);
+
+        // Write off the unpaid principal; lenders absorb the loss through the share price
+        uint256 unpaidPrincipal = loan.amountRepaid < loan.amount ? loan.amount - loan.amountRepaid : 0;
+        totalBorrowed -= unpaidPrincipal;
+        totalLiquidity -= unpaidPrincipal;
+        trustCircle.removeCreditInUse(loan.borrower, _toCredit(unpaidPrincipal));
+
+        // Circle guarantee funds cover what they can before lenders take the loss
+        uint256 covered = _coverDefault(loan.borrower, unpaidPrincipal, totalOwed - loan.amountRepaid);
+        if (covered > 0) {
+            totalLiquidity += covered;
+            emit DefaultCovered(loanId, covered);
+        }
+        
+        // Severe reputation penalty for default
+        reputationNFT.updateReputation(loan.borrower, DEFAULT_PENALTY, ReputationNFT.ReputationReason.Default);
+        _onDefault(loanId, unpaidPrincipal);
+        
+        // Slash trust circles
+        uint256[] memory circles = trustCircle.getUserCircles(loan.borrower);
+        for (uint256 i = 0; i < circles.length; i++) {
+            trustCircle.slashCircle(circles[i], loan.borrower);
+        }
+        
+        emit LoanDefaulted(loanId, loan.borrower, totalOwed - loan.amountRepaid);
+        _emitPoolState();
+    }
+
+    /**
+     * @dev Penalize every installment that passed its grace period unpaid since the last check
+     * @param loanId ID of the loan
+     */
+    function _chargeMissedInstallments(uint256 loanId) internal {
+        Loan storage loan = loans[loanId];
+        InstallmentPlan storage plan = installmentPlans[loanId];
+
+        uint256 pastDue = _countPastDueInstallments(loanId);
+        if (pastDue <= plan.checkedInstallments) return;
+
+        // Installments paid before their grace period ended, or already checked, are not missed
+        uint256 firstMissed = _firstUnpaidInstallment(loanId);
+        if (firstMissed < plan.checkedInstallments) {
+            firstMissed = plan.checkedInstallments;
+        }
+        plan.checkedInstallments = pastDue;
+        if (firstMissed >= pastDue) return;
+
+        uint256 newlyMissed = pastDue - firstMissed;
+        uint256 lateFee = ((_calculateTotalOwed(loanId) - plan.lateFees) / plan.installments) * LATE_FEE / 10000;
+
+        for (uint256 i = firstMissed; i < pastDue; i++) {
+            emit InstallmentMissed(loanId, loan.borrower, i, lateFee);
+        }
+
+        plan.missedInstallments += newlyMissed;
+        plan.lateFees += lateFee * newlyMissed;
+
+        reputationNFT.updateReputation(
+            loan.borrower,
+            MISSED_INSTALLMENT_PENALTY * int256(newlyMissed),
+            ReputationNFT.ReputationReason.MissedInstallment
+        );
+    }
+
+    /**
+     * @dev Count the installments whose grace period has passed without the repayments
+     * covering them. Late fees already charged are due immediately, so catching up means
+     * paying them too.
+     * @param loanId ID of the loan
+     */
+    function _countOverdueInstallments(uint256 loanId) internal view returns (uint256) {
+        uint256 pastDue = _countPastDueInstallments(loanId);
+        uint256 firstUnpaid = _firstUnpaidInstallment(loanId);
+        return pastDue > firstUnpaid ? pastDue - firstUnpaid : 0;
+    }
+
+    /**
+     * @dev Count the installments whose grace period has passed, paid or not
+     * @param loanId ID of the loan
+     */
+    function _countPastDueInstallments(uint256 loanId) internal view returns (uint256 count) {
+        uint256 installments = installmentPlans[loanId].installments;
+        while (count < installments && block.timestamp > _installmentDueDate(loanId, count) + INSTALLMENT_GRACE) {
+            count++;
+        }
+    }
+
+    /**
+     * @dev Index of the first installment the repayments do not cover
+     * (installments when the schedule is fully paid)
+     * @param loanId ID of the loan
+     */
+    function _firstUnpaidInstallment(uint256 loanId) internal view returns (uint256 index) {
+        uint256 installments = installmentPlans[loanId].installments;
+        uint256 repaid = loans[loanId].amountRepaid;
+        while (index < installments && repaid >= _cumulativeInstallmentDue(loanId, index)) {
+            index++;
+        }
+    }
+
+    /**
+     * @dev Due date of an installment; the last one is due at maturity
+     * @param loanId ID of the loan
+     * @param index Installment index, starting at 0
+     */
+    function _installmentDueDate(uint256 loanId, uint256 index) internal view returns (uint256) {
+        Loan storage loan = loans[loanId];
+        InstallmentPlan storage plan = installmentPlans[loanId];
+
+        if (index + 1 >= plan.installments) {
+            return getDueDate(loanId);
+        }
+        return loan.startTime + _installmentInterval(plan.frequency) * (index + 1);
+    }
+
+    /**
+     * @dev Total the borrower must have repaid once an installment is paid, late fees included
+     * @param loanId ID of the loan
+     * @param index Installment index, starting at 0
+     */
+    function _cumulativeInstallmentDue(uint256 loanId, uint256 index) internal view returns (uint256) {
+        InstallmentPlan storage plan = installmentPlans[loanId];
+        uint256 scheduled = _calculateTotalOwed(loanId) - plan.lateFees;
+        return (scheduled * (index + 1)) / plan.installments + plan.lateFees;
+    }
+
+    /**
+     * @dev Seconds between installments
+     * @param frequency Repayment frequency
+     */
+    function _installmentInterval(RepaymentFrequency frequency) internal pure returns (uint256) {
+        return frequency == RepaymentFrequency.Weekly ? 7 days : 30 days;
+    }
+
+    /**
+     * @dev Move a lender's shares and their cost basis into withdrawal escrow
+     * @param account Address of the lender
+     * @param shares Number of shares to escrow
+     */
+    function _escrowShares(address account, uint256 shares) internal returns (uint256) {
+        LenderInfo storage lender = lenders[account];
+        require(lender.shares >= shares, "Insufficient deposited balance");
+
+        uint256 principal = (lender.deposited * shares) / lender.shares;
+        lender.deposited -= principal;
+        lender.shares -= shares;
+        return principal;
+    }
+
+    /**
+     * @dev Pay emergency withdrawals first, then the FIFO queue, with the liquidity
+     * currently available. Bounded to MAX_QUEUE_PAYOUTS entries per call, cancelled
+     * ones included, so queue-and-cancel spam cannot make a call run out of gas.
+     */
+    function _processWithdrawalQueue() internal {
+        if (paused()) return;
+
+        uint256 payouts;
+        (priorityQueueHead, payouts) = _payQueue(priorityQueue, priorityQueueHead, 0, false);
+        (withdrawalQueueHead, ) = _payQueue(withdrawalQueue, withdrawalQueueHead, payouts, true);
+    }
+
+    /**
+     * @dev Pay entries of a withdrawal queue in order, partially filling the first
+     * entry that cannot be paid in full
+     * @param queue Queue to pay
+     * @param head Index of the first unpaid entry
+     * @param payouts Entries already paid or skipped in this transaction
+     * @param trackPositions Whether entries are indexed in _queuePosition
+     */
+    function _payQueue(
+        QueuedWithdrawal[] storage queue,
+        uint256 head,
+        uint256 payouts,
+        bool trackPositions
+    ) internal returns (uint256, uint256) {
+        while (head < queue.length && payouts < MAX_QUEUE_PAYOUTS) {
+            QueuedWithdrawal storage entry = queue[head];
+
+            // Skip cancelled entries, counting them toward the bound
+            if (entry.shares == 0) {
+                head++;
+                payouts++;
+                continue;
+            }
+
+            uint256 available = totalLiquidity - totalBorrowed;
+            if (available == 0) break;
+
+            uint256 shares = entry.shares;
+            uint256 amount = _convertToAssets(shares);
+            if (amount > available) {
+                amount = available;
+                shares = _convertToShares(amount, true);
+                if (shares > entry.shares) shares = entry.shares;
+            }
+            if (amount == 0) break;
+
+            // Release principal pro rata to the shares paid; anything above it is yield
+            uint256 principal = (entry.principal * shares) / entry.shares;
+            if (amount > principal) {
+                lenders[entry.lender].earned += amount - principal;
+            }
+
+            entry.shares -= shares;
+            entry.principal -= principal;
+            totalShares -= shares;
+            totalLiquidity -= amount;
+
+            address lender = entry.lender;
+            if (entry.shares == 0) {
+                if (trackPositions) {
+                    delete _queuePosition[lender];
+                }
+                head++;
+            }
+
+            // Never let a reverting recipient block the queue
+            if (!_trySendAsset(lender, amount)) {
+                pendingPayouts[lender] += amount;
+            }
+
+            emit QueuedWithdrawalPaid(lender, amount, shares);
+            payouts++;
+        }
+
+        return (head, payouts);
+    }
+
+    /**
+     * @dev Check that no withdrawals are waiting for liquidity
+     */
+    function _queuesEmpty() internal view returns (bool) {
+        return priorityQueueHead == priorityQueue.length && withdrawalQueueHead == withdrawalQueue.length;
+    }
+
+    /**
+     * @dev Convert an amount of the pool asset to pool shares at the current share price
+     * @param amount Amount of the pool asset
+     * @param roundUp Whether to round in favor of the pool
+     */
+    function _convertToShares(uint256 amount, bool roundUp) internal view returns (uint256) {
+        if (totalShares == 0 || totalLiquidity == 0) return amount;
+        uint256 shares = (amount * totalShares) / totalLiquidity;
+        if (roundUp && (shares * totalLiquidity) / totalShares < amount) {
+            shares++;
+        }
+        return shares;
+    }
+
+    /**
+     * @dev Convert pool shares to their current value in the pool asset
+     * @param shares Number of shares
+     */
+    function _convertToAssets(uint256 shares) internal view returns (uint256) {
+        if (totalShares == 0) return shares;
+        return (shares * totalLiquidity) / totalShares;
+    }
+
+    /**
+     * @dev Send pool assets, reverting if the transfer fails
+     * @param to Recipient
+     * @param amount Amount to send
+     */
+    function _sendAsset(address to, uint256 amount) internal virtual;
+
+    /**
+     * @dev Send pool assets without reverting; queue payouts fall back to pendingPayouts
+     * @param to Recipient
+     * @param amount Amount to send
+     */
+    function _trySendAsset(address to, uint256 amount) internal virtual returns (bool);
+
+    /**
+     * @dev Record a completed loan on the borrower's reputation NFT
+     * @param borrower Address of the borrower
+     * @param amount Principal borrowed
+     * @param repaid Total repaid
+     */
+    function _recordLoan(address borrower, uint256 amount, uint256 repaid) internal virtual {
+        reputationNFT.recordLoan(borrower, amount, repaid);
+    }
+
+    /**
+     * @dev Called when a loan is opened; guaranteed pools track the debt in TrustCircle
+     * @param borrower Address of the borrower
+     * @param amount Principal borrowed
+     */
+    function _onBorrow(address borrower, uint256 amount) internal virtual {}
+
+    /**
+     * @dev Draw a loan on credit delegated to the borrower, before the loan is opened
+     * @param delegator Address of the delegator
+     * @param amount Principal borrowed
+     */
+    function _useDelegatedCredit(address delegator, uint256 amount) internal virtual {}
+
+    /**
+     * @dev Called when principal is repaid
+     * @param loanId ID of the loan
+     * @param borrower Address of the borrower
+     * @param amount Principal repaid
+     */
+    function _onPrincipalRepaid(uint256 loanId, address borrower, uint256 amount) internal virtual {}
+
+    /**
+     * @dev Called when a loan is marked defaulted, after the borrower's penalty
+     * @param loanId ID of the loan
+     * @param unpaidPrincipal Principal written off
+     */
+    function _onDefault(uint256 loanId, uint256 unpaidPrincipal) internal virtual {}
+
+    /**
+     * @dev Draw on circle guarantee funds when a loan defaults; pools without a
+     * guarantee cover nothing
+     * @param borrower Address of the defaulter
+     * @param unpaidPrincipal Principal written off
+     * @param debt Total still owed
+     */
+    function _coverDefault(address borrower, uint256 unpaidPrincipal, uint256 debt) internal virtual returns (uint256) {}
+
+    /**
+     * @dev Extra borrowing limit from circle guarantee stakes
+     * @param borrower Address of the borrower
+     */
+    function _guaranteeHeadroom(address borrower) internal view virtual returns (uint256) {}
+
+    /**
+     * @dev Part of a user's limit lent to other members and drawn by open loans
+     * @param delegator Address of the delegator
+     */
+    function _delegatedCreditInUse(address delegator) internal view virtual returns (uint256) {}
+
+    /**
+     * @dev Snapshot pool totals so analytics can chart them over time
+     */
+    function _emitPoolState() internal {
+        emit PoolStateUpdated(totalLiquidity, totalBorrowed, _loanIdCounter - 1, defaultedLoans);
+    }
+
+    /**
+     * @dev Report achievement progress if badges are enabled
+     * @param user Address of the user
+     * @param metric Metric to increase
+     * @param amount Amount to add
+     */
+    function _addProgress(address user, AchievementBadges.Metric metric, uint256 amount) internal {
+        if (address(achievementBadges) != address(0)) {
+            achievementBadges.addProgress(user, metric, amount);
+        }
+    }
+
+    /**
+     * @dev Report a borrower's trust score to the leaderboard
+     * @param borrower Address of the borrower
+     */
+    function _pushTrustScore(address borrower) internal {
+        if (address(leaderboard) != address(0)) {
+            leaderboard.updateTrustScore(borrower, trustCircle.getTrustScore(borrower));
+        }
+    }
+
+    /**
+     * @dev Calculate interest rate from pool utilization and reputation
+     * @param borrower Address of the borrower
+     * @param reputation Reputation score
+     */
+    function _calculateInterestRate(address borrower, uint256 reputation) internal view returns (uint256) {
+        // Market rate from the utilization curve
+        uint256 rate = interestRateModel.getBorrowRate(totalLiquidity, totalBorrowed);
+        
+        // Reputation tier premium on top of the market rate
+        // Higher reputation = lower premium; Platinum/Diamond pay the market rate
+        if (reputation < 200) {
+            rate += 700; // Bronze: +7%
+        } else if (reputation < 500) {
+            rate += 500; // Silver: +5%
+        } else if (reputation < 800) {
+            rate += 200; // Gold: +2%
+        }
+        
+        // Trust circle discount (up to 2% reduction)
+        uint256 trustScore = trustCircle.getTrustScore(borrower);
+        uint256 discount = (trustScore / 100) * 20; // 0.2% per 100 trust points
+        if (discount > 200) discount = 200; // Cap at 2%
+        
+        if (rate > discount) {
+            rate -= discount;
+        } else {
+            rate = MIN_RATE;
+        }
+        
+        if (rate > MAX_RATE) rate = MAX_RATE;
+        return rate < MIN_RATE ? MIN_RATE : rate;
+    }
+
+    /**
+     * @dev Calculate borrowing limit
+     * @param borrower Address of the borrower
+     * @param reputation Reputation score
+     */
+    function _calculateBorrowingLimit(address borrower, uint256 reputation) internal view returns (uint256) {
+        // Base limit from reputation (creditPerPoint per reputation point)
+        uint256 baseLimit = reputation * creditPerPoint;
+        
+        // Trust circle multiplier (up to 2x)
+        uint256 trustScore = trustCircle.getTrustScore(borrower);
+        uint256 multiplier = 100 + (trustScore / 10); // 1.0x to 2.0x
+        if (multiplier > 200) multiplier = 200;
+        uint256 limit = (baseLimit * multiplier) / 100;
+
+        // Set aside credit drawn by open loans in every pool, in this pool's asset
+        uint256 drawn = (trustCircle.creditInUse(borrower) * creditPerPoint) / CREDIT_PRECISION;
+        limit = limit > drawn ? limit - drawn : 0;
+        
+        // Circle guarantee stakes backing the borrower raise the limit further
+        limit += _guaranteeHeadroom(borrower);
+        
+        // Cap at the pool's maximum loan, then set aside credit delegated to open loans
+        if (limit > maxLoan) limit = maxLoan;
+        uint256 delegated = _delegatedCreditInUse(borrower);
+        return limit > delegated ? limit - delegated : 0;
+    }
+
+    /**
+     * @dev Convert an amount of the pool's asset to reputation credit
+     * @param amount Amount of the asset
+     */
+    function _toCredit(uint256 amount) internal view returns (uint256) {
+        return (amount * CREDIT_PRECISION) / creditPerPoint;
+    }
+
+    /**
+     * @dev Calculate total amount owed for a loan
+     * @param loanId ID of the loan
+     */
+    function _calculateTotalOwed(uint256 loanId) internal view returns (uint256) {
+        Loan storage loan = loans[loanId];
+        
+        // Simple interest calculation, plus any late installment fees
+        uint256 interest = (loan.amount * loan.interestRate * loan.duration) / (365 days * 10000);
+        return loan.amount + interest + installmentPlans[loanId].lateFees;
+    }
+
+    /**
+     * @dev Get borrowing limit for a user
+     * @param borrower Address of the borrower
+     */
+    function getBorrowingLimit(address borrower) external view returns (uint256) {
+        uint256 reputation = reputationNFT.getReputationScore(borrower);
+        if (reputation == 0) return 0;
+        return _calculateBorrowingLimit(borrower, reputation);
+    }
+
+    /**
+     * @dev Get interest rate for a user
+     * @param borrower Address of the borrower
+     */
+    function getInterestRate(address borrower) external view returns (uint256) {
+        uint256 reputation = reputationNFT.getReputationScore(borrower);
+        if (reputation == 0) return MAX_RATE;
+        return _calculateInterestRate(borrower, reputation);
+    }
+
+    /**
+     * @dev Get pool utilization in basis points
+     */
+    function getUtilization() external view returns (uint256) {
+        if (totalLiquidity == 0) return 0;
+        return (totalBorrowed * 10000) / totalLiquidity;
+    }
+
+    /**
+     * @dev Get loan details
+     * @param loanId ID of the loan
+     */
+    function getLoan(uint256 loanId) external view returns (Loan memory) {
+        return loans[loanId];
+    }
+
+    /**
+     * @dev Get the due date of a loan, including any extensions
+     * @param loanId ID of the loan
+     */
+    function getDueDate(uint256 loanId) public view returns (uint256) {
+        Loan storage loan = loans[loanId];
+        return loan.startTime + loan.duration + loanExtensions[loanId];
+    }
+
+    /**
+     * @dev Get total owed for a loan
+     * @param loanId ID of the loan
+     */
+    function getTotalOwed(uint256 loanId) external view returns (uint256) {
+        return _calculateTotalOwed(loanId);
+    }
+
+    /**
+     * @dev Get the due date and cumulative amount due of every installment
+     * @param loanId ID of the loan
+     */
+    function getInstallmentSchedule(uint256 loanId) external view returns (uint256[] memory, uint256[] memory) {
+        uint256 installments = installmentPlans[loanId].installments;
+        uint256[] memory dueDates = new uint256[](installments);
+        uint256[] memory amountsDue = new uint256[](installments);
+
+        for (uint256 i = 0; i < installments; i++) {
+            dueDates[i] = _installmentDueDate(loanId, i);
+            amountsDue[i] = _cumulativeInstallmentDue(loanId, i);
+        }
+        return (dueDates, amountsDue);
+    }
+
+    /**
+     * @dev Get the next unpaid installment of a loan, what is still owed on it and how many
+     * installments are overdue and unpaid (installments = index when the schedule is fully paid)
+     * @param loanId ID of the loan
+     */
+    function getNextInstallment(uint256 loanId) external view returns (
+        uint256 index,
+        uint256 dueDate,
+        uint256 amountDue,
+        uint256 missedInstallments
+    ) {
+        index = _firstUnpaidInstallment(loanId);
+        if (index < installmentPlans[loanId].installments) {
+            dueDate = _installmentDueDate(loanId, index);
+            amountDue = _cumulativeInstallmentDue(loanId, index) - loans[loanId].amountRepaid;
+        }
+        missedInstallments = _countOverdueInstallments(loanId);
+    }
+
+    /**
+     * @dev Get all loans for a borrower
+     * @param borrower Address of the borrower
+     */
+    function getBorrowerLoans(address borrower) external view returns (uint256[] memory) {
+        return borrowerLoans[borrower];
+    }
+
+    /**
+     * @dev Get the number of shares a deposit would mint
+     * @param amount Amount of the pool asset
+     */
+    function convertToShares(uint256 amount) external view returns (uint256) {
+        return _convertToShares(amount, false);
+    }
+
+    /**
+     * @dev Get the current value of a number of shares
+     * @param shares Number of shares
+     */
+    function convertToAssets(uint256 shares) external view returns (uint256) {
+        return _convertToAssets(shares);
+    }
+
+    /**
+     * @dev Get the current value of a lender's position (principal plus accrued yield)
+     * @param lender Address of the lender
+     */
+    function getLenderValue(address lender) external view returns (uint256) {
+        return _convertToAssets(lenders[lender].shares);
+    }
+
+    /**
+     * @dev Get a lender's place in the withdrawal queue (1 = next in line, 0 = not queued)
+     * @param lender Address of the lender
+     */
+    function getQueuePosition(address lender) external view returns (uint256) {
+        uint256 position = _queuePosition[lender];
+        if (position == 0) return 0;
+        return position - withdrawalQueueHead;
+    }
+
+    /**
+     * @dev Get a lender's queued withdrawal
+     * @param lender Address of the lender
+     */
+    function getQueuedWithdrawal(address lender) external view returns (QueuedWithdrawal memory) {
+        uint256 position = _queuePosition[lender];
+        if (position == 0) return QueuedWithdrawal(address(0), 0, 0, 0);
+        return withdrawalQueue[position - 1];
+    }
+
+    /**
+     * @dev Get the number of entries still waiting in the withdrawal queue
+     */
+    function getQueueLength() external view returns (uint256) {
+        return withdrawalQueue.length - withdrawalQueueHead;
+    }
+}
\ No newline at end of file
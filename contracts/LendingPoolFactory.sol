@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./TokenLendingPool.sol";
+
+/**
+ * @title LendingPoolFactory
+ * @dev Deploy one TokenLendingPool per ERC-20 asset. Every pool shares the same
+ * ReputationNFT, TrustCircle and ProtocolRoles registry; each new pool must be granted
+ * the updater and slasher roles before it can lend.
+ */
+contract LendingPoolFactory is ProtocolAccess {
+    address public immutable reputationNFT;
+    address public immutable trustCircle;
+    address public immutable parameters;
+
+    // Mapping from asset to its pool
+    mapping(address => address) public poolForAsset;
+
+    // All pools in creation order
+    address[] public allPools;
+
+    // Events
+    event PoolCreated(
+        address indexed asset,
+        address indexed pool,
+        address interestRateModel,
+        uint256 minLoan,
+        uint256 maxLoan,
+        uint256 creditPerPoint
+    );
+
+    constructor(address _reputationNFT, address _trustCircle, address _parameters, address _roles) {
+        _setRoles(_roles);
+        reputationNFT = _reputationNFT;
+        trustCircle = _trustCircle;
+        parameters = _parameters;
+    }
+
+    /**
+     * @dev Deploy the lending pool for an asset
+     * @param asset ERC-20 token lent by the pool
+     * @param interestRateModel Rate curve for the asset
+     * @param minLoan Minimum loan, in units of the asset
+     * @param maxLoan Maximum single loan, in units of the asset
+     * @param creditPerPoint Borrowing limit per reputation point, in units of the asset
+     */
+    function createPool(
+        address asset,
+        address interestRateModel,
+        uint256 minLoan,
+        uint256 maxLoan,
+        uint256 creditPerPoint
+    ) external onlyRole(PARAM_ADMIN_ROLE) returns (address) {
+        require(poolForAsset[asset] == address(0), "Pool already exists");
+        require(interestRateModel != address(0), "Invalid model");
+
+        TokenLendingPool pool = new TokenLendingPool(
+            asset,
+            reputationNFT,
+            trustCircle,
+            interestRateModel,
+            parameters,
+            minLoan,
+            maxLoan,
+            creditPerPoint,
+            address(roles)
+        );
+
+        poolForAsset[asset] = address(pool);
+        allPools.push(address(pool));
+
+        emit PoolCreated(asset, address(pool), interestRateModel, minLoan, maxLoan, creditPerPoint);
+        return address(pool);
+    }
+
+    /**
+     * @dev Get every pool created by the factory
+     */
+    function getPools() external view returns (address[] memory) {
+        return allPools;
+    }
+
+    /**
+     * @dev Get the number of pools
+     */
+    function getPoolCount() external view returns (uint256) {
+        return allPools.length;
+    }
+}
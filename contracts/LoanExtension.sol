@@ -3,13 +3,12 @@ pragma solidity ^0.8.24;
 
 import "./ReputationNFT.sol";
 import "./LendingPool.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title LoanExtension
- * @dev Allow borrowers to request loan extensions with fees
+ * @dev Allow borrowers to extend loans in LendingPool for a fee paid to the pool's lenders
  */
-contract LoanExtension is Ownable {
+contract LoanExtension {
     ReputationNFT public reputationNFT;
     LendingPool public lendingPool;
 
@@ -25,9 +24,6 @@ contract LoanExtension is Ownable {
     // Mapping from loan ID to extension request
     mapping(uint256 => Extension) public extensions;
 
-    // Extension fee percentage (5%)
-    uint256 public constant EXTENSION_FEE_PERCENT = 5;
-
     // Small reputation penalty for requesting extension
     uint256 public constant EXTENSION_PENALTY = 10;
 
@@ -36,9 +32,9 @@ contract LoanExtension is Ownable {
     event ExtensionApproved(uint256 indexed loanId, address indexed borrower);
     event ExtensionExecuted(uint256 indexed loanId, uint256 newEndTime);
 
-    constructor(address _reputationNFT, address _lendingPool) Ownable(msg.sender) {
+    constructor(address _reputationNFT, address _lendingPool) {
         reputationNFT = ReputationNFT(_reputationNFT);
-        lendingPool = LendingPool(_lendingPool);
+        lendingPool = LendingPool(payable(_lendingPool));
     }
 
     /**
@@ -55,8 +51,7 @@ contract LoanExtension is Ownable {
         require(loan.borrower == msg.sender, "Not the borrower");
         require(loan.active, "Loan not active");
 
-        // Calculate extension fee (5% of remaining amount)
-        uint256 extensionFee = (loan.amount * EXTENSION_FEE_PERCENT) / 100;
+        uint256 extensionFee = _calculateExtensionFee(loan.amount);
         require(msg.value >= extensionFee, "Insufficient extension fee");
 
         extensions[loanId] = Extension({
@@ -65,15 +60,23 @@ contract LoanExtension is Ownable {
             extensionFee: extensionFee,
             requestTime: block.timestamp,
             approved: true, // Auto-approve if fee paid
-            executed: false
+            executed: true
         });
 
         // Small reputation penalty
-        reputationNFT.updateReputation(msg.sender, -int256(EXTENSION_PENALTY));
+        reputationNFT.updateReputation(
+            msg.sender,
+            -int256(EXTENSION_PENALTY),
+            ReputationNFT.ReputationReason.ExtensionPenalty
+        );
 
         emit ExtensionRequested(loanId, additionalDays, extensionFee);
         emit ExtensionApproved(loanId, msg.sender);
 
+        // Push the deadline out in the pool and hand the fee to lenders
+        lendingPool.extendLoan{value: extensionFee}(loanId, additionalDays * 1 days);
+        emit ExtensionExecuted(loanId, lendingPool.getDueDate(loanId));
+
         // Refund excess
         if (msg.value > extensionFee) {
             (bool success, ) = msg.sender.call{value: msg.value - extensionFee}("");
@@ -82,11 +85,11 @@ contract LoanExtension is Ownable {
     }
 
     /**
-     * @dev Check if loan has approved extension
+     * @dev Check if loan has been extended
      * @param loanId ID of the loan
      */
     function hasExtension(uint256 loanId) external view returns (bool) {
-        return extensions[loanId].approved && !extensions[loanId].executed;
+        return extensions[loanId].approved && extensions[loanId].executed;
     }
 
     /**
@@ -98,10 +101,19 @@ contract LoanExtension is Ownable {
     }
 
     /**
-     * @dev Withdraw collected fees (owner only)
+     * @dev Get the fee required to extend a loan
+     * @param loanId ID of the loan
+     */
+    function getExtensionFee(uint256 loanId) external view returns (uint256) {
+        return _calculateExtensionFee(lendingPool.getLoan(loanId).amount);
+    }
+
+    /**
+     * @dev Calculate extension fee as the governed percentage of the loan amount
+     * @param amount Loan amount
      */
-    function withdrawFees() external onlyOwner {
-        (bool success, ) = owner().call{value: address(this).balance}("");
-        require(success, "Withdrawal failed");
+    function _calculateExtensionFee(uint256 amount) internal view returns (uint256) {
+        ProtocolParameters parameters = lendingPool.parameters();
+        return (amount * parameters.getParameter(parameters.EXTENSION_FEE_PERCENT())) / 100;
     }
-}
+}
\ No newline at end of file
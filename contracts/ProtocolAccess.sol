@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "./ProtocolRoles.sol";
+
+/**
+ * @title ProtocolAccess
+ * @dev Base for contracts whose permissions live in the shared ProtocolRoles registry
+ */
+abstract contract ProtocolAccess {
+    // Role IDs, matching ProtocolRoles
+    bytes32 internal constant UPDATER_ROLE = keccak256("UPDATER_ROLE");
+    bytes32 internal constant SLASHER_ROLE = keccak256("SLASHER_ROLE");
+    bytes32 internal constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 internal constant PARAM_ADMIN_ROLE = keccak256("PARAM_ADMIN_ROLE");
+    bytes32 internal constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    ProtocolRoles public roles;
+
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+
+    /**
+     * @dev Point the contract at the registry (from the constructor or initializer)
+     * @param _roles Address of the ProtocolRoles registry
+     */
+    function _setRoles(address _roles) internal {
+        require(_roles != address(0), "Invalid roles");
+        roles = ProtocolRoles(_roles);
+    }
+
+    /**
+     * @dev Revert unless the caller holds a role in the registry
+     * @param role Role to check
+     */
+    function _checkRole(bytes32 role) internal view {
+        if (!roles.hasRole(role, msg.sender)) {
+            revert IAccessControl.AccessControlUnauthorizedAccount(msg.sender, role);
+        }
+    }
+}
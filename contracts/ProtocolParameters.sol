@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ProtocolAccess.sol";
+
+/**
+ * @title ProtocolParameters
+ * @dev Governance-controlled registry of protocol parameters. Changes are
+ * bounds-checked and only take effect after a timelock.
+ */
+contract ProtocolParameters is ProtocolAccess {
+    struct Parameter {
+        uint256 value;
+        uint256 minValue;
+        uint256 maxValue;
+        bool exists;
+    }
+
+    struct PendingChange {
+        uint256 newValue;
+        uint256 executeAfter;   // Timestamp when the change can be applied (0 = none)
+    }
+
+    // Parameter keys
+    bytes32 public constant BASE_RATE = keccak256("BASE_RATE");                           // Basis points
+    bytes32 public constant MIN_CIRCLE_REPUTATION = keccak256("MIN_CIRCLE_REPUTATION");   // Reputation points
+    bytes32 public constant MAX_LOAN_DURATION = keccak256("MAX_LOAN_DURATION");           // Days
+    bytes32 public constant EXTENSION_FEE_PERCENT = keccak256("EXTENSION_FEE_PERCENT");   // Percent of loan amount
+
+    // Delay between a proposal passing and the change taking effect
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+
+    // Governance contract allowed to schedule changes
+    address public governance;
+
+    // Mapping from key to parameter
+    mapping(bytes32 => Parameter) public parameters;
+
+    // Mapping from key to scheduled change
+    mapping(bytes32 => PendingChange) public pendingChanges;
+
+    // Events
+    event ParameterDefined(bytes32 indexed key, uint256 value, uint256 minValue, uint256 maxValue);
+    event ChangeScheduled(bytes32 indexed key, uint256 newValue, uint256 executeAfter);
+    event ChangeExecuted(bytes32 indexed key, uint256 oldValue, uint256 newValue);
+    event GovernanceUpdated(address indexed governance);
+
+    constructor(address _roles) {
+        _setRoles(_roles);
+        _defineParameter(BASE_RATE, 300, 0, 1500);
+        _defineParameter(MIN_CIRCLE_REPUTATION, 200, 0, 1000);
+        _defineParameter(MAX_LOAN_DURATION, 365, 30, 730);
+        _defineParameter(EXTENSION_FEE_PERCENT, 5, 0, 20);
+    }
+
+    modifier onlyGovernance() {
+        require(msg.sender == governance, "Only governance");
+        _;
+    }
+
+    /**
+     * @dev Set the governance contract allowed to schedule changes
+     * @param _governance Address of the governance contract
+     */
+    function setGovernance(address _governance) external onlyRole(PARAM_ADMIN_ROLE) {
+        governance = _governance;
+        emit GovernanceUpdated(_governance);
+    }
+
+    /**
+     * @dev Register a new parameter (existing values can only change through governance)
+     * @param key Parameter key
+     * @param value Initial value
+     * @param minValue Lowest value governance may set
+     * @param maxValue Highest value governance may set
+     */
+    function defineParameter(bytes32 key, uint256 value, uint256 minValue, uint256 maxValue) external onlyRole(PARAM_ADMIN_ROLE) {
+        require(!parameters[key].exists, "Parameter already defined");
+        _defineParameter(key, value, minValue, maxValue);
+    }
+
+    /**
+     * @dev Schedule a parameter change after a proposal passes
+     * @param key Parameter key
+     * @param newValue New value
+     */
+    function scheduleChange(bytes32 key, uint256 newValue) external onlyGovernance {
+        require(isWithinBounds(key, newValue), "Value out of bounds");
+
+        uint256 executeAfter = block.timestamp + TIMELOCK_DELAY;
+        pendingChanges[key] = PendingChange({
+            newValue: newValue,
+            executeAfter: executeAfter
+        });
+
+        emit ChangeScheduled(key, newValue, executeAfter);
+    }
+
+    /**
+     * @dev Apply a scheduled change once its timelock has passed (callable by anyone)
+     * @param key Parameter key
+     */
+    function executeChange(bytes32 key) external {
+        PendingChange memory change = pendingChanges[key];
+        require(change.executeAfter != 0, "No change scheduled");
+        require(block.timestamp >= change.executeAfter, "Timelock not expired");
+
+        Parameter storage parameter = parameters[key];
+        uint256 oldValue = parameter.value;
+        parameter.value = change.newValue;
+        delete pendingChanges[key];
+
+        emit ChangeExecuted(key, oldValue, change.newValue);
+    }
+
+    /**
+     * @dev Get the current value of a parameter
+     * @param key Parameter key
+     */
+    function getParameter(bytes32 key) external view returns (uint256) {
+        require(parameters[key].exists, "Unknown parameter");
+        return parameters[key].value;
+    }
+
+    /**
+     * @dev Check if a value is allowed for a parameter
+     * @param key Parameter key
+     * @param value Value to check
+     */
+    function isWithinBounds(bytes32 key, uint256 value) public view returns (bool) {
+        Parameter memory parameter = parameters[key];
+        return parameter.exists && value >= parameter.minValue && value <= parameter.maxValue;
+    }
+
+    /**
+     * @dev Store a parameter definition
+     */
+    function _defineParameter(bytes32 key, uint256 value, uint256 minValue, uint256 maxValue) internal {
+        require(minValue <= value && value <= maxValue, "Invalid bounds");
+        parameters[key] = Parameter({
+            value: value,
+            minValue: minValue,
+            maxValue: maxValue,
+            exists: true
+        });
+        emit ParameterDefined(key, value, minValue, maxValue);
+    }
+}
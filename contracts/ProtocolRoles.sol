@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+
+/**
+ * @title ProtocolRoles
+ * @dev Role registry shared by every protocol contract. Each contract checks the caller's
+ * role here instead of keeping its own owner or allowlist, so permissions are granted
+ * and revoked in one place. Role members are enumerable so a deployment can be audited.
+ */
+contract ProtocolRoles is AccessControlEnumerable {
+    // Protocol contracts that push reputation, achievement, leaderboard and circle updates
+    bytes32 public constant UPDATER_ROLE = keccak256("UPDATER_ROLE");
+    // Lending pools that slash circles and claim guarantee stakes after a default
+    bytes32 public constant SLASHER_ROLE = keccak256("SLASHER_ROLE");
+    // Operators who can halt borrowing, deposits and withdrawals in an emergency
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // Operators who configure contract wiring and parameters
+    bytes32 public constant PARAM_ADMIN_ROLE = keccak256("PARAM_ADMIN_ROLE");
+    // Governance timelock that upgrades the proxied core contracts
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    /**
+     * @param admin Account managing every role except UPGRADER_ROLE
+     * @param upgrader Timelock holding UPGRADER_ROLE. The role administers itself, so only
+     * the timelock can grant or revoke it and the admin cannot bypass the upgrade delay.
+     */
+    constructor(address admin, address upgrader) {
+        require(admin != address(0), "Invalid admin");
+        require(upgrader != address(0), "Invalid upgrader");
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _setRoleAdmin(UPGRADER_ROLE, UPGRADER_ROLE);
+        _grantRole(UPGRADER_ROLE, upgrader);
+    }
+}
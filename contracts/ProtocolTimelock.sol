@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title ProtocolTimelock
+ * @dev Timelock holding the upgrader role. Proposers schedule upgrades of the proxied core
+ * contracts, and anyone can execute them once the delay has passed, giving users time to
+ * review a new implementation (or exit) before it goes live.
+ */
+contract ProtocolTimelock is TimelockController {
+    /**
+     * @param minDelay Seconds between scheduling and executing an operation
+     * @param proposers Accounts allowed to schedule and cancel operations
+     * @param admin Optional account allowed to manage timelock roles (zero for none)
+     */
+    constructor(uint256 minDelay, address[] memory proposers, address admin)
+        TimelockController(minDelay, proposers, _openExecution(), admin)
+    {}
+
+    /**
+     * @dev Executor list granting the executor role to everyone
+     */
+    function _openExecution() private pure returns (address[] memory executors) {
+        executors = new address[](1);
+    }
+}
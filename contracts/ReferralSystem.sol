@@ -2,12 +2,13 @@
 pragma solidity ^0.8.24;
 
 import "./ReputationNFT.sol";
+import "./ProtocolAccess.sol";
 
 /**
  * @title ReferralSystem
- * @dev Incentivize user growth through referral bonuses
+ * @dev Incentivize user growth through referral bonuses, paid once the referred user repays a loan
  */
-contract ReferralSystem {
+contract ReferralSystem is ProtocolAccess {
     ReputationNFT public reputationNFT;
 
     struct Referral {
@@ -15,6 +16,7 @@ contract ReferralSystem {
         address referred;
         uint256 timestamp;
         bool rewardClaimed;
+        uint256 loansAtRegistration; // Loans the referred user had completed when referred
     }
 
     // Mapping from referred user to referral info
@@ -23,20 +25,43 @@ contract ReferralSystem {
     // Mapping from referrer to list of referred users
     mapping(address => address[]) public referrerToReferrals;
 
+    // Rewards claimed per referrer, in total and per epoch
+    mapping(address => uint256) public rewardedReferrals;
+    mapping(address => mapping(uint256 => uint256)) public rewardsInEpoch;
+
+    // Sybil limits
+    uint256 public maxRewardsPerEpoch = 5;
+    ReputationNFT.Tier public minReferrerTier = ReputationNFT.Tier.Silver;
+
     // Referral rewards
     uint256 public constant REFERRER_BONUS = 30; // Referrer gets 30 reputation
     uint256 public constant REFERRED_BONUS = 20; // New user gets 20 reputation
     uint256 public constant MILESTONE_BONUS = 50; // Bonus for every 5 referrals
+    uint256 public constant EPOCH_DURATION = 30 days;
 
     // Events
     event UserReferred(address indexed referrer, address indexed referred, uint256 timestamp);
     event ReferralRewardClaimed(address indexed referrer, address indexed referred, uint256 referrerBonus, uint256 referredBonus);
     event MilestoneReached(address indexed referrer, uint256 totalReferrals, uint256 bonus);
+    event ReferralLimitsUpdated(uint256 maxRewardsPerEpoch, ReputationNFT.Tier minReferrerTier);
 
-    constructor(address _reputationNFT) {
+    constructor(address _reputationNFT, address _roles) {
+        _setRoles(_roles);
         reputationNFT = ReputationNFT(_reputationNFT);
     }
 
+    /**
+     * @dev Update the sybil limits
+     * @param _maxRewardsPerEpoch Rewards a referrer can claim per epoch
+     * @param _minReferrerTier Lowest reputation tier allowed to refer users
+     */
+    function setReferralLimits(uint256 _maxRewardsPerEpoch, ReputationNFT.Tier _minReferrerTier) external onlyRole(PARAM_ADMIN_ROLE) {
+        require(_maxRewardsPerEpoch > 0, "Invalid epoch cap");
+        maxRewardsPerEpoch = _maxRewardsPerEpoch;
+        minReferrerTier = _minReferrerTier;
+        emit ReferralLimitsUpdated(_maxRewardsPerEpoch, _minReferrerTier);
+    }
+
     /**
      * @dev Register a referral
      * @param referrer Address of the referrer
@@ -49,12 +74,17 @@ contract ReferralSystem {
         // Check that both users have reputation NFTs
         require(reputationNFT.userToTokenId(referrer) != 0, "Referrer has no reputation NFT");
         require(reputationNFT.userToTokenId(msg.sender) != 0, "User has no reputation NFT");
+        require(
+            reputationNFT.getReputationData(referrer).currentTier >= minReferrerTier,
+            "Referrer tier too low"
+        );
 
         referrals[msg.sender] = Referral({
             referrer: referrer,
             referred: msg.sender,
             timestamp: block.timestamp,
-            rewardClaimed: false
+            rewardClaimed: false,
+            loansAtRegistration: reputationNFT.getReputationData(msg.sender).loansCompleted
         });
 
         referrerToReferrals[referrer].push(msg.sender);
@@ -63,7 +93,7 @@ contract ReferralSystem {
     }
 
     /**
-     * @dev Claim referral rewards (called when referred user completes first loan)
+     * @dev Claim referral rewards once the referred user has repaid a loan since the referral
      * @param referred Address of the referred user
      */
     function claimReferralReward(address referred) external {
@@ -71,13 +101,27 @@ contract ReferralSystem {
         require(referral.referrer != address(0), "No referral found");
         require(!referral.rewardClaimed, "Reward already claimed");
         require(msg.sender == referral.referrer, "Not the referrer");
+        require(_repaidSinceReferral(referral), "Referred user has not repaid a loan");
+
+        uint256 epoch = getCurrentEpoch();
+        require(rewardsInEpoch[msg.sender][epoch] < maxRewardsPerEpoch, "Epoch reward cap reached");
 
         // Mark as claimed
         referral.rewardClaimed = true;
+        rewardsInEpoch[msg.sender][epoch]++;
+        rewardedReferrals[msg.sender]++;
 
         // Award bonuses
-        reputationNFT.updateReputation(referral.referrer, int256(REFERRER_BONUS));
-        reputationNFT.updateReputation(referred, int256(REFERRED_BONUS));
+        reputationNFT.updateReputation(
+            referral.referrer,
+            int256(REFERRER_BONUS),
+            ReputationNFT.ReputationReason.Referral
+        );
+        reputationNFT.updateReputation(
+            referred,
+            int256(REFERRED_BONUS),
+            ReputationNFT.ReputationReason.Referral
+        );
 
         emit ReferralRewardClaimed(
             referral.referrer,
@@ -87,13 +131,53 @@ contract ReferralSystem {
         );
 
         // Check for milestone bonus
-        uint256 totalReferrals = referrerToReferrals[referral.referrer].length;
+        uint256 totalReferrals = rewardedReferrals[referral.referrer];
         if (totalReferrals % 5 == 0) {
-            reputationNFT.updateReputation(referral.referrer, int256(MILESTONE_BONUS));
+            reputationNFT.updateReputation(
+                referral.referrer,
+                int256(MILESTONE_BONUS),
+                ReputationNFT.ReputationReason.Referral
+            );
             emit MilestoneReached(referral.referrer, totalReferrals, MILESTONE_BONUS);
         }
     }
 
+    /**
+     * @dev Get the current reward epoch
+     */
+    function getCurrentEpoch() public view returns (uint256) {
+        return block.timestamp / EPOCH_DURATION;
+    }
+
+    /**
+     * @dev Get the rewards a referrer can still claim this epoch
+     * @param referrer Address of the referrer
+     */
+    function getRemainingRewards(address referrer) external view returns (uint256) {
+        uint256 claimed = rewardsInEpoch[referrer][getCurrentEpoch()];
+        return claimed >= maxRewardsPerEpoch ? 0 : maxRewardsPerEpoch - claimed;
+    }
+
+    /**
+     * @dev Check whether the reward for a referral is unlocked and unclaimed
+     * @param referred Address of the referred user
+     */
+    function isRewardClaimable(address referred) external view returns (bool) {
+        Referral memory referral = referrals[referred];
+        return referral.referrer != address(0) &&
+            !referral.rewardClaimed &&
+            _repaidSinceReferral(referral);
+    }
+
+    /**
+     * @dev Check whether the referred user completed a loan after being referred, so
+     * referring someone with a repayment history earns nothing
+     * @param referral Referral to check
+     */
+    function _repaidSinceReferral(Referral memory referral) internal view returns (bool) {
+        return reputationNFT.getReputationData(referral.referred).loansCompleted > referral.loansAtRegistration;
+    }
+
     /**
      * @dev Get all referrals for a referrer
      * @param referrer Address of the referrer
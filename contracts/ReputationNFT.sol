@@ -1,17 +1,26 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/governance/utils/VotesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./Leaderboard.sol";
+import "./AchievementBadges.sol";
+import "./ProtocolAccess.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
 import "@openzeppelin/contracts/utils/Base64.sol";
 
 /**
  * @title ReputationNFT
  * @dev Dynamic, soulbound NFT representing user reputation in TrustCircle
- * Reputation evolves based on lending behavior and cannot be transferred
+ * Reputation evolves based on lending behavior and cannot be transferred.
+ * Also tracks per-block checkpointed governance votes derived from score and tier.
+ * Scores of inactive users decay toward a baseline, and default penalties are recovered
+ * gradually after a streak of clean repayments. Both are applied lazily: views return the
+ * effective score, and the stored score catches up on the user's next update or sync.
+ * Deployed behind a UUPS proxy; upgrades are authorized by the upgrader role (the timelock).
  */
-contract ReputationNFT is ERC721, Ownable {
+contract ReputationNFT is ERC721Upgradeable, ProtocolAccess, VotesUpgradeable, UUPSUpgradeable {
     using Strings for uint256;
 
     // Reputation tiers
@@ -23,6 +32,26 @@ contract ReputationNFT is ERC721, Ownable {
         Diamond    // 950-1000 points
     }
 
+    // Cause of a reputation change, recorded with every update
+    enum ReputationReason {
+        Manual,              // Direct adjustment by an authorized updater
+        Borrow,              // Responsible borrowing
+        Repayment,           // Loan repaid in full
+        CircleJoin,          // Joined a trust circle
+        Vouch,               // Received enough vouches
+        Achievement,         // Achievement bonus
+        Referral,            // Referral and milestone bonuses
+        Default,             // Own loan defaulted
+        DefaultSlash,        // Circle slash after a member defaulted
+        ExtensionPenalty,    // Loan extension
+        EmergencyWithdrawal, // Emergency exit from the pool
+        MissedInstallment,   // Installment not paid by its due date
+        MissedContribution,  // Savings circle contribution not paid by the end of its round
+        DelegatedDefault,    // Share of the default penalty of a member borrowing delegated credit
+        Decay,               // Inactivity decay toward the baseline
+        Rehabilitation       // Default penalty recovered after a clean repayment streak
+    }
+
     struct ReputationData {
         uint256 score;           // Current reputation score (0-1000)
         uint256 loansCompleted;  // Number of loans successfully repaid
@@ -32,6 +61,23 @@ contract ReputationNFT is ERC721, Ownable {
         Tier currentTier;        // Current reputation tier
     }
 
+    struct DecayModel {
+        uint256 baseline;          // Inactive scores above this decay toward it
+        uint256 gracePeriod;       // Inactivity before decay starts
+        uint256 decayPerPeriod;    // Points lost per DECAY_PERIOD of inactivity
+        uint256 recoveryPerPeriod; // Penalty points recovered per DECAY_PERIOD of rehabilitation
+        uint256 rehabStreak;       // Clean repayments after a default before recovery starts
+    }
+
+    struct Rehabilitation {
+        uint256 decayedUntil;      // Decay applied up to this time
+        uint256 penaltyBalance;    // Default penalties not yet recovered
+        uint256 cleanStreak;       // Loans repaid since the last default penalty
+        uint256 recoveringSince;   // Recovery applied up to this time (zero when not recovering)
+    }
+
+    uint256 public constant DECAY_PERIOD = 30 days;
+
     // Token ID counter
     uint256 private _tokenIdCounter;
 
@@ -41,23 +87,67 @@ contract ReputationNFT is ERC721, Ownable {
     // Mapping from token ID to reputation data
     mapping(uint256 => ReputationData) public reputationData;
 
-    // Authorized contracts that can update reputation
-    mapping(address => bool) public authorizedUpdaters;
+    // Leaderboard that receives score and loan updates (optional)
+    Leaderboard public leaderboard;
+
+    // Achievement badges that track the highest tier reached (optional)
+    AchievementBadges public achievementBadges;
+
+    // Decay and recovery settings
+    DecayModel public decayModel;
+
+    // Lazy decay and recovery state per token
+    mapping(uint256 => Rehabilitation) public rehabilitation;
 
     // Events
     event ReputationMinted(address indexed user, uint256 indexed tokenId);
-    event ReputationUpdated(uint256 indexed tokenId, int256 delta, uint256 newScore, Tier newTier);
-    event AuthorizedUpdaterSet(address indexed updater, bool authorized);
+    event ReputationUpdated(
+        uint256 indexed tokenId,
+        int256 delta,
+        uint256 newScore,
+        Tier newTier,
+        ReputationReason indexed reason
+    );
+    event LeaderboardUpdated(address indexed leaderboard);
+    event AchievementBadgesUpdated(address indexed achievementBadges);
+    event DecayModelUpdated(
+        uint256 baseline,
+        uint256 gracePeriod,
+        uint256 decayPerPeriod,
+        uint256 recoveryPerPeriod,
+        uint256 rehabStreak
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy
+     * @param _roles Address of the ProtocolRoles registry
+     */
+    function initialize(address _roles) external initializer {
+        __ERC721_init("TrustCircle Reputation", "TRUST");
+        __EIP712_init("TrustCircle Reputation", "1");
+        __Votes_init();
+        _setRoles(_roles);
 
-    constructor() ERC721("TrustCircle Reputation", "TRUST") Ownable(msg.sender) {
         _tokenIdCounter = 1; // Start token IDs at 1
+        decayModel = DecayModel({
+            baseline: 300,
+            gracePeriod: 90 days,
+            decayPerPeriod: 10,
+            recoveryPerPeriod: 25,
+            rehabStreak: 3
+        });
     }
 
     /**
      * @dev Mint a new reputation NFT to a user
      * @param user Address to mint the NFT to
      */
-    function mint(address user) external onlyOwner returns (uint256) {
+    function mint(address user) external onlyRole(UPDATER_ROLE) returns (uint256) {
         require(userToTokenId[user] == 0, "User already has reputation NFT");
         
         uint256 tokenId = _tokenIdCounter++;
@@ -73,33 +163,107 @@ contract ReputationNFT is ERC721, Ownable {
             currentTier: Tier.Bronze
         });
 
+        // Issue voting units and self-delegate so the holder can vote right away
+        _transferVotingUnits(address(0), user, _votingUnitsFor(100, Tier.Bronze));
+        _delegate(user, user);
+
+        if (address(leaderboard) != address(0)) {
+            leaderboard.updateReputation(user, 100);
+        }
+
         emit ReputationMinted(user, tokenId);
         return tokenId;
     }
 
     /**
-     * @dev Update user's reputation score
+     * @dev Update user's reputation score as a manual adjustment
      * @param user Address of the user
      * @param delta Change in reputation (can be negative)
      */
     function updateReputation(address user, int256 delta) external {
-        require(authorizedUpdaters[msg.sender], "Not authorized to update reputation");
+        _updateReputation(user, delta, ReputationReason.Manual);
+    }
+
+    /**
+     * @dev Update user's reputation score, recording the cause of the change
+     * @param user Address of the user
+     * @param delta Change in reputation (can be negative)
+     * @param reason Cause of the change
+     */
+    function updateReputation(address user, int256 delta, ReputationReason reason) external {
+        _updateReputation(user, delta, reason);
+    }
+
+    /**
+     * @dev Apply a reputation change and move the matching voting units
+     * @param user Address of the user
+     * @param delta Change in reputation (can be negative)
+     * @param reason Cause of the change
+     */
+    function _updateReputation(address user, int256 delta, ReputationReason reason) internal {
+        _checkRole(UPDATER_ROLE);
         
-        uint256 tokenId = userToTokenId[user];
-        require(tokenId != 0, "User has no reputation NFT");
+        uint256 tokenId = _requireToken(user);
+
+        // Changes apply to the effective score
+        _applyDecay(user, tokenId);
         
         ReputationData storage data = reputationData[tokenId];
+        uint256 oldScore = data.score;
         
         // Calculate new score with bounds checking
         int256 newScore = int256(data.score) + delta;
         if (newScore < 0) newScore = 0;
         if (newScore > 1000) newScore = 1000;
         
-        data.score = uint256(newScore);
         data.lastUpdated = block.timestamp;
-        data.currentTier = _getTier(data.score);
+        _setScore(user, tokenId, uint256(newScore), delta, reason);
 
-        emit ReputationUpdated(tokenId, delta, data.score, data.currentTier);
+        // Default penalties are recoverable once the user rebuilds a clean streak
+        bool defaultPenalty = reason == ReputationReason.Default
+            || reason == ReputationReason.DefaultSlash
+            || reason == ReputationReason.DelegatedDefault;
+        if (defaultPenalty && uint256(newScore) < oldScore) {
+            Rehabilitation storage rehab = rehabilitation[tokenId];
+            rehab.penaltyBalance += oldScore - uint256(newScore);
+            rehab.cleanStreak = 0;
+            rehab.recoveringSince = 0;
+        }
+    }
+
+    /**
+     * @dev Store a new score and move the matching tier, voting units and leaderboard entry
+     * @param user Address of the user
+     * @param tokenId Token ID of the user
+     * @param score New score
+     * @param delta Change reported with the update
+     * @param reason Cause of the change
+     */
+    function _setScore(address user, uint256 tokenId, uint256 score, int256 delta, ReputationReason reason) internal {
+        ReputationData storage data = reputationData[tokenId];
+        Tier oldTier = data.currentTier;
+        uint256 oldUnits = _votingUnitsFor(data.score, oldTier);
+
+        data.score = score;
+        data.currentTier = _getTier(score);
+
+        // Move the delegate's votes by the change in voting units
+        uint256 newUnits = _votingUnitsFor(data.score, data.currentTier);
+        if (newUnits > oldUnits) {
+            _transferVotingUnits(address(0), user, newUnits - oldUnits);
+        } else if (oldUnits > newUnits) {
+            _transferVotingUnits(user, address(0), oldUnits - newUnits);
+        }
+
+        if (address(leaderboard) != address(0)) {
+            leaderboard.updateReputation(user, data.score);
+        }
+
+        emit ReputationUpdated(tokenId, delta, data.score, data.currentTier, reason);
+
+        if (data.currentTier > oldTier && address(achievementBadges) != address(0)) {
+            achievementBadges.recordProgress(user, AchievementBadges.Metric.ReputationTier, uint256(data.currentTier));
+        }
     }
 
     /**
@@ -108,27 +272,78 @@ contract ReputationNFT is ERC721, Ownable {
      * @param amount Amount borrowed
      * @param repaid Amount repaid
      */
-    function recordLoan(address user, uint256 amount, uint256 repaid) external {
-        require(authorizedUpdaters[msg.sender], "Not authorized");
+    function recordLoan(address user, uint256 amount, uint256 repaid) external onlyRole(UPDATER_ROLE) {
         
-        uint256 tokenId = userToTokenId[user];
-        require(tokenId != 0, "User has no reputation NFT");
+        uint256 tokenId = _requireToken(user);
         
+        _applyDecay(user, tokenId);
+
         ReputationData storage data = reputationData[tokenId];
         data.loansCompleted++;
         data.totalBorrowed += amount;
         data.totalRepaid += repaid;
         data.lastUpdated = block.timestamp;
+
+        // A long enough clean streak starts recovering default penalties
+        Rehabilitation storage rehab = rehabilitation[tokenId];
+        rehab.cleanStreak++;
+        if (rehab.cleanStreak >= decayModel.rehabStreak && rehab.penaltyBalance > 0 && rehab.recoveringSince == 0) {
+            rehab.recoveringSince = block.timestamp;
+        }
+
+        if (address(leaderboard) != address(0)) {
+            leaderboard.updateLoanStats(user, data.loansCompleted, data.totalRepaid);
+        }
+    }
+
+    /**
+     * @dev Configure decay and recovery; applies to all time not yet synced
+     * @param baseline Inactive scores above this decay toward it
+     * @param gracePeriod Inactivity in seconds before decay starts
+     * @param decayPerPeriod Points lost per DECAY_PERIOD of inactivity
+     * @param recoveryPerPeriod Penalty points recovered per DECAY_PERIOD of rehabilitation
+     * @param rehabStreak Clean repayments after a default before recovery starts
+     */
+    function setDecayModel(
+        uint256 baseline,
+        uint256 gracePeriod,
+        uint256 decayPerPeriod,
+        uint256 recoveryPerPeriod,
+        uint256 rehabStreak
+    ) external onlyRole(PARAM_ADMIN_ROLE) {
+        require(baseline <= 1000, "Invalid baseline");
+        require(rehabStreak > 0, "Invalid streak");
+
+        decayModel = DecayModel(baseline, gracePeriod, decayPerPeriod, recoveryPerPeriod, rehabStreak);
+        emit DecayModelUpdated(baseline, gracePeriod, decayPerPeriod, recoveryPerPeriod, rehabStreak);
+    }
+
+    /**
+     * @dev Write a user's pending decay and recovery to storage so votes and the
+     * leaderboard reflect the effective score (can be called by anyone)
+     * @param user Address of the user
+     */
+    function syncReputation(address user) external {
+        uint256 tokenId = _requireToken(user);
+        _applyDecay(user, tokenId);
+    }
+
+    /**
+     * @dev Set the leaderboard that receives score and loan updates
+     * @param _leaderboard Address of the leaderboard (zero to disable)
+     */
+    function setLeaderboard(address _leaderboard) external onlyRole(PARAM_ADMIN_ROLE) {
+        leaderboard = Leaderboard(_leaderboard);
+        emit LeaderboardUpdated(_leaderboard);
     }
 
     /**
-     * @dev Set authorized contract that can update reputation
-     * @param updater Address of the contract
-     * @param authorized Whether the contract is authorized
+     * @dev Set the achievement badges contract notified of tier changes
+     * @param _achievementBadges Address of the badges contract (zero to disable)
      */
-    function setAuthorizedUpdater(address updater, bool authorized) external onlyOwner {
-        authorizedUpdaters[updater] = authorized;
-        emit AuthorizedUpdaterSet(updater, authorized);
+    function setAchievementBadges(address _achievementBadges) external onlyRole(PARAM_ADMIN_ROLE) {
+        achievementBadges = AchievementBadges(_achievementBadges);
+        emit AchievementBadgesUpdated(_achievementBadges);
     }
 
     /**
@@ -138,17 +353,152 @@ contract ReputationNFT is ERC721, Ownable {
     function getReputationScore(address user) external view returns (uint256) {
         uint256 tokenId = userToTokenId[user];
         if (tokenId == 0) return 0;
-        return reputationData[tokenId].score;
+        (uint256 score, , ) = _effectiveScore(tokenId, block.timestamp);
+        return score;
     }
 
     /**
-     * @dev Get full reputation data for a user
+     * @dev Get full reputation data for a user, with the effective score and tier
      * @param user Address of the user
      */
     function getReputationData(address user) external view returns (ReputationData memory) {
+        uint256 tokenId = _requireToken(user);
+        return _effectiveData(tokenId);
+    }
+
+    /**
+     * @dev Get the score a user will have at a future time if nothing else changes
+     * @param user Address of the user
+     * @param timestamp Time to project to
+     */
+    function getProjectedScore(address user, uint256 timestamp) external view returns (uint256) {
         uint256 tokenId = userToTokenId[user];
+        if (tokenId == 0) return 0;
+        (uint256 score, , ) = _effectiveScore(tokenId, timestamp > block.timestamp ? timestamp : block.timestamp);
+        return score;
+    }
+
+    /**
+     * @dev Token ID of a user, reverting if they have none
+     * @param user Address of the user
+     */
+    function _requireToken(address user) internal view returns (uint256 tokenId) {
+        tokenId = userToTokenId[user];
         require(tokenId != 0, "User has no reputation NFT");
-        return reputationData[tokenId];
+    }
+
+    /**
+     * @dev Store pending recovery and decay, each as its own reputation update
+     * @param user Address of the user
+     * @param tokenId Token ID of the user
+     */
+    function _applyDecay(address user, uint256 tokenId) internal {
+        ReputationData storage data = reputationData[tokenId];
+        (, uint256 recovered, uint256 decayed) = _effectiveScore(tokenId, block.timestamp);
+        Rehabilitation storage rehab = rehabilitation[tokenId];
+        DecayModel memory model = decayModel;
+
+        if (rehab.recoveringSince != 0) {
+            rehab.penaltyBalance -= recovered;
+            // Carry the unrecovered part of a period forward; stop once the penalty is recovered
+            if (rehab.penaltyBalance == 0 || data.score + recovered == 1000) {
+                rehab.recoveringSince = 0;
+            } else if (recovered > 0) {
+                rehab.recoveringSince += (recovered * DECAY_PERIOD) / model.recoveryPerPeriod;
+            }
+        }
+        if (recovered > 0) {
+            _setScore(user, tokenId, data.score + recovered, int256(recovered), ReputationReason.Rehabilitation);
+        }
+
+        if (decayed > 0) {
+            uint256 decayStart = _decayStart(tokenId);
+            rehab.decayedUntil = data.score - decayed == model.baseline
+                ? block.timestamp
+                : decayStart + (decayed * DECAY_PERIOD) / model.decayPerPeriod;
+            _setScore(user, tokenId, data.score - decayed, -int256(decayed), ReputationReason.Decay);
+        } else if (data.score <= model.baseline) {
+            // Nothing to decay: time at or below the baseline never decays later
+            rehab.decayedUntil = block.timestamp;
+        }
+    }
+
+    /**
+     * @dev Effective score at a time, with the recovery and decay not yet stored
+     * @param tokenId Token ID
+     * @param at Time to evaluate
+     */
+    function _effectiveScore(uint256 tokenId, uint256 at) internal view returns (uint256 score, uint256 recovered, uint256 decayed) {
+        score = reputationData[tokenId].score;
+        Rehabilitation storage rehab = rehabilitation[tokenId];
+        DecayModel memory model = decayModel;
+
+        if (rehab.recoveringSince != 0 && at > rehab.recoveringSince) {
+            recovered = ((at - rehab.recoveringSince) * model.recoveryPerPeriod) / DECAY_PERIOD;
+            if (recovered > rehab.penaltyBalance) recovered = rehab.penaltyBalance;
+            if (score + recovered > 1000) recovered = 1000 - score;
+            score += recovered;
+        }
+
+        uint256 decayStart = _decayStart(tokenId);
+        if (at > decayStart && score > model.baseline) {
+            decayed = ((at - decayStart) * model.decayPerPeriod) / DECAY_PERIOD;
+            if (decayed > score - model.baseline) decayed = score - model.baseline;
+            score -= decayed;
+        }
+    }
+
+    /**
+     * @dev Time from which inactivity decay has not been applied yet
+     * @param tokenId Token ID
+     */
+    function _decayStart(uint256 tokenId) internal view returns (uint256) {
+        uint256 start = reputationData[tokenId].lastUpdated + decayModel.gracePeriod;
+        uint256 decayedUntil = rehabilitation[tokenId].decayedUntil;
+        return decayedUntil > start ? decayedUntil : start;
+    }
+
+    /**
+     * @dev Reputation data with the effective score and tier
+     * @param tokenId Token ID
+     */
+    function _effectiveData(uint256 tokenId) internal view returns (ReputationData memory data) {
+        data = reputationData[tokenId];
+        (data.score, , ) = _effectiveScore(tokenId, block.timestamp);
+        data.currentTier = _getTier(data.score);
+    }
+
+    /**
+     * @dev Get the voting units a user contributes to their delegate
+     * @param user Address of the user
+     */
+    function getVotingUnits(address user) external view returns (uint256) {
+        return _getVotingUnits(user);
+    }
+
+    /**
+     * @dev Voting units held by a user, used by Votes when delegating
+     */
+    function _getVotingUnits(address account) internal view override returns (uint256) {
+        uint256 tokenId = userToTokenId[account];
+        if (tokenId == 0) return 0;
+        ReputationData memory data = reputationData[tokenId];
+        return _votingUnitsFor(data.score, data.currentTier);
+    }
+
+    /**
+     * @dev Voting units for a score: score weighted by a tier multiplier
+     * (Bronze 1x, Silver 1.25x, Gold 1.5x, Platinum 2x, Diamond 3x)
+     * @param score Reputation score
+     * @param tier Reputation tier
+     */
+    function _votingUnitsFor(uint256 score, Tier tier) internal pure returns (uint256) {
+        uint256 multiplier = 100;
+        if (tier == Tier.Diamond) multiplier = 300;
+        else if (tier == Tier.Platinum) multiplier = 200;
+        else if (tier == Tier.Gold) multiplier = 150;
+        else if (tier == Tier.Silver) multiplier = 125;
+        return (score * multiplier) / 100;
     }
 
     /**
@@ -163,12 +513,20 @@ contract ReputationNFT is ERC721, Ownable {
         return Tier.Bronze;
     }
 
+    /**
+     * @dev Display name of a tier
+     */
+    function _tierName(Tier tier) internal pure returns (string memory) {
+        string[5] memory tierNames = ["Bronze", "Silver", "Gold", "Platinum", "Diamond"];
+        return tierNames[uint256(tier)];
+    }
+
     /**
      * @dev Generate SVG for reputation NFT
      * @param tokenId Token ID
      */
     function _generateSVG(uint256 tokenId) internal view returns (string memory) {
-        ReputationData memory data = reputationData[tokenId];
+        ReputationData memory data = _effectiveData(tokenId);
         
         string[5] memory tierColors = [
             "#CD7F32", // Bronze
@@ -178,7 +536,6 @@ contract ReputationNFT is ERC721, Ownable {
             "#B9F2FF"  // Diamond
         ];
         
-        string[5] memory tierNames = ["Bronze", "Silver", "Gold", "Platinum", "Diamond"];
         
         return string(abi.encodePacked(
             '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 600">',
@@ -195,7 +552,7 @@ contract ReputationNFT is ERC721, Ownable {
             data.score.toString(),
             '</text>',
             '<text x="200" y="320" font-family="Arial" font-size="32" fill="white" text-anchor="middle" font-weight="bold">',
-            tierNames[uint256(data.currentTier)],
+            _tierName(data.currentTier),
             '</text>',
             '<text x="200" y="380" font-family="Arial" font-size="18" fill="#aaa" text-anchor="middle">',
             'Loans Completed: ', data.loansCompleted.toString(),
@@ -214,8 +571,7 @@ contract ReputationNFT is ERC721, Ownable {
     function tokenURI(uint256 tokenId) public view override returns (string memory) {
         _requireOwned(tokenId);
         
-        ReputationData memory data = reputationData[tokenId];
-        string[5] memory tierNames = ["Bronze", "Silver", "Gold", "Platinum", "Diamond"];
+        ReputationData memory data = _effectiveData(tokenId);
         
         string memory svg = _generateSVG(tokenId);
         string memory json = Base64.encode(
@@ -227,7 +583,7 @@ contract ReputationNFT is ERC721, Ownable {
                         '"image": "data:image/svg+xml;base64,', Base64.encode(bytes(svg)), '",',
                         '"attributes": [',
                         '{"trait_type": "Reputation Score", "value": ', data.score.toString(), '},',
-                        '{"trait_type": "Tier", "value": "', tierNames[uint256(data.currentTier)], '"},',
+                        '{"trait_type": "Tier", "value": "', _tierName(data.currentTier), '"},',
                         '{"trait_type": "Loans Completed", "value": ', data.loansCompleted.toString(), '},',
                         '{"trait_type": "Total Borrowed", "value": ', (data.totalBorrowed / 1e18).toString(), '},',
                         '{"trait_type": "Total Repaid", "value": ', (data.totalRepaid / 1e18).toString(), '}',
@@ -253,4 +609,9 @@ contract ReputationNFT is ERC721, Ownable {
         
         return super._update(to, tokenId, auth);
     }
+
+    /**
+     * @dev Only the upgrader role (the governance timelock) can upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(UPGRADER_ROLE) {}
 }
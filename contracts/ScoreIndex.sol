@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title ScoreIndex
+ * @dev Accounts bucketed by score (0-1023) for bounded-gas ranking.
+ * A Fenwick tree of bucket sizes answers "how many rank above" in 10 steps,
+ * and a bitmap of non-empty buckets lets top-N reads skip empty scores.
+ * Scores above MAX_SCORE share the top bucket; ties keep no particular order.
+ */
+library ScoreIndex {
+    uint256 internal constant MAX_SCORE = 1023;
+    uint256 private constant TREE_SIZE = 1024;
+
+    struct Index {
+        mapping(uint256 => address[]) buckets;      // Score => accounts with that score
+        mapping(address => uint256) positions;      // Position in bucket + 1 (0 = not indexed)
+        mapping(address => uint256) scores;         // Account => bucketed score
+        mapping(uint256 => uint256) tree;           // Fenwick tree of bucket sizes (1-based)
+        uint256[4] occupied;                        // Bitmap of non-empty buckets
+        uint256 size;
+    }
+
+    /**
+     * @dev Insert an account or move it to a new score
+     */
+    function set(Index storage index, address account, uint256 score) internal {
+        if (score > MAX_SCORE) score = MAX_SCORE;
+
+        if (index.positions[account] != 0) {
+            if (index.scores[account] == score) return;
+            _remove(index, account);
+        }
+
+        address[] storage bucket = index.buckets[score];
+        bucket.push(account);
+        index.positions[account] = bucket.length;
+        index.scores[account] = score;
+        index.size++;
+
+        if (bucket.length == 1) {
+            index.occupied[score >> 8] |= 1 << (score & 0xff);
+        }
+        _updateTree(index, score, true);
+    }
+
+    /**
+     * @dev Check if an account is indexed
+     */
+    function contains(Index storage index, address account) internal view returns (bool) {
+        return index.positions[account] != 0;
+    }
+
+    /**
+     * @dev 1-based rank of an account (accounts with equal scores share a rank), 0 if not indexed
+     */
+    function rankOf(Index storage index, address account) internal view returns (uint256) {
+        if (index.positions[account] == 0) return 0;
+        return index.size - _countUpTo(index, index.scores[account]) + 1;
+    }
+
+    /**
+     * @dev Up to `count` accounts ordered from highest to lowest score
+     */
+    function top(Index storage index, uint256 count) internal view returns (address[] memory accounts) {
+        if (count > index.size) count = index.size;
+        accounts = new address[](count);
+
+        uint256 filled = 0;
+        for (uint256 word = 4; word > 0 && filled < count; ) {
+            word--;
+            uint256 bits = index.occupied[word];
+
+            while (bits != 0 && filled < count) {
+                uint256 bit = Math.log2(bits);
+                address[] storage bucket = index.buckets[(word << 8) | bit];
+
+                for (uint256 i = 0; i < bucket.length && filled < count; i++) {
+                    accounts[filled++] = bucket[i];
+                }
+                bits &= ~(uint256(1) << bit);
+            }
+        }
+    }
+
+    /**
+     * @dev Remove an account from its bucket (swap and pop)
+     */
+    function _remove(Index storage index, address account) private {
+        uint256 score = index.scores[account];
+        address[] storage bucket = index.buckets[score];
+
+        uint256 position = index.positions[account];
+        address last = bucket[bucket.length - 1];
+        bucket[position - 1] = last;
+        index.positions[last] = position;
+        bucket.pop();
+
+        delete index.positions[account];
+        index.size--;
+
+        if (bucket.length == 0) {
+            index.occupied[score >> 8] &= ~(uint256(1) << (score & 0xff));
+        }
+        _updateTree(index, score, false);
+    }
+
+    /**
+     * @dev Add or remove one account from a bucket's count in the Fenwick tree
+     */
+    function _updateTree(Index storage index, uint256 score, bool increment) private {
+        for (uint256 i = score + 1; i <= TREE_SIZE; i += i & (~i + 1)) {
+            if (increment) {
+                index.tree[i]++;
+            } else {
+                index.tree[i]--;
+            }
+        }
+    }
+
+    /**
+     * @dev Number of accounts with a score of at most `score`
+     */
+    function _countUpTo(Index storage index, uint256 score) private view returns (uint256 count) {
+        for (uint256 i = score + 1; i > 0; i -= i & (~i + 1)) {
+            count += index.tree[i];
+        }
+    }
+}
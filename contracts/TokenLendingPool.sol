@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./LendingPoolCore.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title TokenLendingPool
+ * @dev ERC-20 lending pool (e.g. a stablecoin), deployed per asset by LendingPoolFactory.
+ * Fee-on-transfer and rebasing tokens are not supported.
+ * Deployed directly rather than behind a proxy, so it initializes in its constructor.
+ */
+contract TokenLendingPool is LendingPoolCore {
+    using SafeERC20 for IERC20;
+
+    // Asset lent and borrowed in this pool
+    IERC20 public immutable asset;
+
+    constructor(
+        address _asset,
+        address _reputationNFT,
+        address _trustCircle,
+        address _interestRateModel,
+        address _parameters,
+        uint256 _minLoan,
+        uint256 _maxLoan,
+        uint256 _creditPerPoint,
+        address _roles
+    ) initializer {
+        __LendingPoolCore_init(
+            _reputationNFT,
+            _trustCircle,
+            _interestRateModel,
+            _parameters,
+            _minLoan,
+            _maxLoan,
+            _creditPerPoint,
+            _roles
+        );
+        require(_asset != address(0), "Invalid asset");
+        asset = IERC20(_asset);
+    }
+
+    /**
+     * @dev Deposit liquidity to the pool and mint pool shares (requires approval)
+     * @param amount Amount of the asset to deposit
+     */
+    function deposit(uint256 amount) external whenNotPaused nonReentrant {
+        require(amount > 0, "Must deposit some tokens");
+
+        asset.safeTransferFrom(msg.sender, address(this), amount);
+        _deposit(msg.sender, amount);
+    }
+
+    /**
+     * @dev Repay a loan (full or partial); only what is still owed is pulled (requires approval)
+     * @param loanId ID of the loan to repay
+     * @param amount Maximum amount of the asset to repay
+     */
+    function repay(uint256 loanId, uint256 amount) external nonReentrant {
+        // Late fees count toward what is owed, so charge them before capping the payment
+        uint256 remaining = _chargeAndGetRemaining(loanId);
+        uint256 payment = amount > remaining ? remaining : amount;
+
+        // Pull first so queued withdrawals can be paid from this repayment
+        asset.safeTransferFrom(msg.sender, address(this), payment);
+        _repay(loanId, payment);
+    }
+
+    /**
+     * @dev Record the completed loan without amounts; reputation totals are kept in ETH
+     */
+    function _recordLoan(address borrower, uint256, uint256) internal override {
+        reputationNFT.recordLoan(borrower, 0, 0);
+    }
+
+    /**
+     * @dev Transfer tokens, reverting if the transfer fails
+     */
+    function _sendAsset(address to, uint256 amount) internal override {
+        asset.safeTransfer(to, amount);
+    }
+
+    /**
+     * @dev Transfer tokens without reverting (e.g. a blocklisted recipient)
+     */
+    function _trySendAsset(address to, uint256 amount) internal override returns (bool) {
+        return asset.trySafeTransfer(to, amount);
+    }
+}
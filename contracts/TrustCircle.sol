@@ -2,13 +2,29 @@
 pragma solidity ^0.8.24;
 
 import "./ReputationNFT.sol";
+import "./ProtocolParameters.sol";
+import "./AchievementBadges.sol";
+import "./ProtocolAccess.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 
 /**
  * @title TrustCircle
- * @dev Manages trust circles where users vouch for each other to increase lending capacity
+ * @dev Manages trust circles where users vouch for each other to increase lending capacity.
+ * Members can stake ETH into a circle's guarantee fund: the stake raises the borrowing
+ * limit of the members they vouched for and covers those members' defaults.
+ * A circle can also run a rotating savings round (ROSCA): every member contributes a fixed
+ * amount each round and one member receives the pot, in a fixed, random or bid-based order.
+ * Members can delegate part of their borrowing limit to another member of a shared circle.
+ * Members can leave or be voted out once they owe nothing, and the creator can hand the
+ * circle over or dissolve it.
+ * Deployed behind a UUPS proxy; upgrades are authorized by the upgrader role (the timelock).
  */
-contract TrustCircle {
+contract TrustCircle is ProtocolAccess, UUPSUpgradeable {
     ReputationNFT public reputationNFT;
+    ProtocolParameters public parameters;
+
+    // Achievement badges unlocked by circle activity (optional)
+    AchievementBadges public achievementBadges;
 
     struct Circle {
         string name;
@@ -20,32 +36,147 @@ contract TrustCircle {
         mapping(address => bool) isMember;
         mapping(address => address[]) vouches; // who vouched for whom
         mapping(address => bool) invitations;  // pending invitations
+        mapping(address => address[]) vouchedFor; // whom each member vouched for
+        mapping(address => mapping(address => uint256)) vouchExpiry; // member => voucher => expiry
+        mapping(address => bool) vouchBonusPaid; // members already rewarded for reaching VOUCHES_REQUIRED
+    }
+
+    enum PayoutOrder {
+        Fixed,  // Member order in the circle
+        Random, // Shuffled when the rotation starts
+        Bid     // Each round goes to the member giving up the largest discount
+    }
+
+    struct Rosca {
+        uint256 circleId;
+        uint256 contribution;    // Paid by every participant each round
+        uint256 roundLength;     // Seconds per round
+        PayoutOrder payoutOrder;
+        uint256 startTime;
+        uint256 currentRound;    // Index of the open round
+        bool active;
+        address[] participants;  // Circle members when the rotation started
+        address[] recipients;    // Pot recipient per round (Bid order fills it as rounds close)
+        address highestBidder;   // Bid order: winner of the open round so far
+        uint256 highestBid;      // Discount the winning bidder gives up
+        uint256 roundStart;      // When the open round opened; its deadline is one roundLength later
+    }
+
+    struct CreditDelegation {
+        uint256 circleId;        // Circle the delegator and delegate share
+        uint256 amount;          // Most the delegate may owe against the delegation
+        uint256 expiresAt;       // No new loans against the delegation after this time
+        uint256 used;            // Principal the delegate currently owes against it
     }
 
     // Circle ID counter
     uint256 private _circleIdCounter;
 
+    // ROSCA ID counter
+    uint256 private _roscaIdCounter;
+
     // Mapping from circle ID to circle data
     mapping(uint256 => Circle) public circles;
 
     // Mapping from user to their circles
     mapping(address => uint256[]) public userCircles;
 
+    // Guarantee fund: total staked per circle and stake per member
+    mapping(uint256 => uint256) public circleStakes;
+    mapping(uint256 => mapping(address => uint256)) public memberStakes;
+
+    // Outstanding principal each member owes to guaranteed pools
+    mapping(address => uint256) public guaranteedDebt;
+
+    // Open loans per user across all lending pools
+    mapping(address => uint256) public openLoans;
+
+    // Members who voted to remove a member, per circle
+    mapping(uint256 => mapping(address => address[])) private _removalVotes;
+
+    // Savings rotations and the latest rotation of each circle
+    mapping(uint256 => Rosca) public roscas;
+    mapping(uint256 => uint256) public circleRosca;
+
+    // Contributions per rotation, round and member, and the pot collected per round
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public hasContributed;
+    mapping(uint256 => mapping(uint256 => uint256)) public roundPots;
+
+    // Members who already received a pot, and contributions each member missed
+    mapping(uint256 => mapping(address => bool)) public hasReceivedPot;
+    mapping(uint256 => mapping(address => uint256)) public missedContributions;
+
+    // Pots, bid discounts and refunded stakes waiting to be withdrawn
+    mapping(address => uint256) public savingsBalances;
+
+    // Credit delegations from delegator to delegate, and who delegates to whom
+    mapping(address => mapping(address => CreditDelegation)) public creditDelegations;
+    mapping(address => address[]) private _delegatesOf;
+    mapping(address => address[]) private _delegatorsOf;
+
+    // Delegated credit drawn by open loans, per delegator
+    mapping(address => uint256) public delegatedCreditInUse;
+
+    // Reputation credit drawn by open loans across all lending pools, per borrower, in
+    // reputation points scaled by 1e18 so pools lending different assets add up
+    mapping(address => uint256) public creditInUse;
+
     // Constants
     uint256 public constant MAX_MEMBERS = 15;
     uint256 public constant MIN_MEMBERS = 3;
     uint256 public constant VOUCHES_REQUIRED = 2; // Members need 2 vouches to be fully verified
+    uint256 public constant VOUCH_DURATION = 180 days; // Vouches stop adding trust unless renewed
+    uint256 public constant VOUCH_POINTS_PER_TIER = 10; // Trust points per vouch: 10 (Bronze) to 50 (Diamond)
+    uint256 public constant MIN_ROUND_LENGTH = 1 days;
+    int256 public constant MISSED_CONTRIBUTION_PENALTY = -25;
+    int256 public constant MISSED_CONTRIBUTION_VOUCHER_PENALTY = -5;
 
     // Events
     event CircleCreated(uint256 indexed circleId, address indexed creator, string name, uint256 minReputation);
     event MemberInvited(uint256 indexed circleId, address indexed member);
     event MemberJoined(uint256 indexed circleId, address indexed member);
     event MemberVouched(uint256 indexed circleId, address indexed voucher, address indexed member);
+    event VouchRenewed(uint256 indexed circleId, address indexed voucher, address indexed member, uint256 expiresAt);
+    event VouchRevoked(uint256 indexed circleId, address indexed voucher, address indexed member);
+    event MemberLeft(uint256 indexed circleId, address indexed member);
+    event RemovalVoted(uint256 indexed circleId, address indexed voter, address indexed member, uint256 votes);
+    event MemberRemoved(uint256 indexed circleId, address indexed member);
+    event CircleAdminTransferred(uint256 indexed circleId, address indexed previousCreator, address indexed newCreator);
+    event CircleDissolved(uint256 indexed circleId);
     event CircleSlashed(uint256 indexed circleId, address indexed defaulter, uint256 affectedMembers);
+    event AchievementBadgesUpdated(address indexed achievementBadges);
+    event Staked(uint256 indexed circleId, address indexed member, uint256 amount);
+    event Unstaked(uint256 indexed circleId, address indexed member, uint256 amount);
+    event GuaranteeClaimed(uint256 indexed circleId, address indexed defaulter, address indexed voucher, uint256 amount);
+    event RoscaStarted(uint256 indexed roscaId, uint256 indexed circleId, uint256 contribution, uint256 roundLength, PayoutOrder payoutOrder);
+    event ContributionMade(uint256 indexed roscaId, uint256 indexed round, address indexed member, uint256 amount);
+    event BidPlaced(uint256 indexed roscaId, uint256 indexed round, address indexed member, uint256 discount);
+    event ContributionMissed(uint256 indexed roscaId, uint256 indexed round, address indexed member);
+    event PotPaid(uint256 indexed roscaId, uint256 indexed round, address indexed recipient, uint256 amount, uint256 discount);
+    event RoscaCompleted(uint256 indexed roscaId, uint256 indexed circleId);
+    event SavingsWithdrawn(address indexed member, uint256 amount);
+    event CreditDelegated(uint256 indexed circleId, address indexed delegator, address indexed delegate, uint256 amount, uint256 expiresAt);
+    event CreditRevoked(address indexed delegator, address indexed delegate);
+    event DelegatedCreditUsed(address indexed delegator, address indexed delegate, uint256 amount);
+    event DelegatedCreditReleased(address indexed delegator, address indexed delegate, uint256 amount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
-    constructor(address _reputationNFT) {
+    /**
+     * @dev Initialize the proxy
+     * @param _reputationNFT Address of the ReputationNFT contract
+     * @param _parameters Address of the ProtocolParameters contract
+     * @param _roles Address of the ProtocolRoles registry
+     */
+    function initialize(address _reputationNFT, address _parameters, address _roles) external initializer {
+        _setRoles(_roles);
         reputationNFT = ReputationNFT(_reputationNFT);
+        parameters = ProtocolParameters(_parameters);
         _circleIdCounter = 1;
+        _roscaIdCounter = 1;
     }
 
     /**
@@ -58,7 +189,10 @@ contract TrustCircle {
         require(minReputation <= 1000, "Invalid minimum reputation");
         
         uint256 userReputation = reputationNFT.getReputationScore(msg.sender);
-        require(userReputation >= 200, "Insufficient reputation to create circle");
+        require(
+            userReputation >= parameters.getParameter(parameters.MIN_CIRCLE_REPUTATION()),
+            "Insufficient reputation to create circle"
+        );
 
         uint256 circleId = _circleIdCounter++;
         Circle storage circle = circles[circleId];
@@ -74,9 +208,20 @@ contract TrustCircle {
         userCircles[msg.sender].push(circleId);
 
         emit CircleCreated(circleId, msg.sender, name, minReputation);
+
+        _addProgress(msg.sender, AchievementBadges.Metric.CirclesCreated, 1);
         return circleId;
     }
 
+    /**
+     * @dev Set the achievement badges contract unlocked by circle activity
+     * @param _achievementBadges Address of the badges contract (zero to disable)
+     */
+    function setAchievementBadges(address _achievementBadges) external onlyRole(PARAM_ADMIN_ROLE) {
+        achievementBadges = AchievementBadges(_achievementBadges);
+        emit AchievementBadgesUpdated(_achievementBadges);
+    }
+
     /**
      * @dev Invite a member to the circle
      * @param circleId ID of the circle
@@ -116,7 +261,7 @@ contract TrustCircle {
         emit MemberJoined(circleId, msg.sender);
         
         // Bonus reputation for joining circle
-        reputationNFT.updateReputation(msg.sender, 10);
+        reputationNFT.updateReputation(msg.sender, 10, ReputationNFT.ReputationReason.CircleJoin);
     }
 
     /**
@@ -130,19 +275,245 @@ contract TrustCircle {
         require(circle.isMember[msg.sender], "Not a member");
         require(circle.isMember[member], "Target is not a member");
         require(msg.sender != member, "Cannot vouch for yourself");
+        require(circle.vouchExpiry[member][msg.sender] == 0, "Already vouched");
         
-        // Check if already vouched
         address[] storage vouchers = circle.vouches[member];
-        for (uint256 i = 0; i < vouchers.length; i++) {
-            require(vouchers[i] != msg.sender, "Already vouched");
-        }
-        
         vouchers.push(msg.sender);
+        circle.vouchedFor[msg.sender].push(member);
+        circle.vouchExpiry[member][msg.sender] = block.timestamp + VOUCH_DURATION;
         emit MemberVouched(circleId, msg.sender, member);
         
-        // Bonus reputation for receiving vouch
-        if (vouchers.length >= VOUCHES_REQUIRED) {
-            reputationNFT.updateReputation(member, 20);
+        // One-time reputation bonus for becoming fully vouched, so revoking and re-vouching earns nothing
+        if (vouchers.length >= VOUCHES_REQUIRED && !circle.vouchBonusPaid[member]) {
+            circle.vouchBonusPaid[member] = true;
+            reputationNFT.updateReputation(member, 20, ReputationNFT.ReputationReason.Vouch);
+        }
+
+        _addProgress(member, AchievementBadges.Metric.VouchesReceived, 1);
+    }
+
+    /**
+     * @dev Renew a vouch for another VOUCH_DURATION
+     * @param circleId ID of the circle
+     * @param member Member you vouched for
+     */
+    function renewVouch(uint256 circleId, address member) external {
+        Circle storage circle = circles[circleId];
+        require(circle.active, "Circle is not active");
+        require(circle.vouchExpiry[member][msg.sender] != 0, "Not vouched");
+
+        uint256 expiresAt = block.timestamp + VOUCH_DURATION;
+        circle.vouchExpiry[member][msg.sender] = expiresAt;
+        emit VouchRenewed(circleId, msg.sender, member, expiresAt);
+    }
+
+    /**
+     * @dev Withdraw a vouch. Expired vouches stop adding trust but still count for slashing
+     * until revoked, and a vouch cannot be revoked while the member has an open loan.
+     * @param circleId ID of the circle
+     * @param member Member you vouched for
+     */
+    function revokeVouch(uint256 circleId, address member) external {
+        Circle storage circle = circles[circleId];
+        require(circle.vouchExpiry[member][msg.sender] != 0, "Not vouched");
+        require(openLoans[member] == 0, "Member has an active loan");
+
+        _removeAddress(circle.vouches[member], msg.sender);
+        _removeAddress(circle.vouchedFor[msg.sender], member);
+        delete circle.vouchExpiry[member][msg.sender];
+
+        emit VouchRevoked(circleId, msg.sender, member);
+    }
+
+    /**
+     * @dev Leave a circle. The creator has to hand the circle over first, or dissolve it.
+     * @param circleId ID of the circle
+     */
+    function leaveCircle(uint256 circleId) external {
+        Circle storage circle = circles[circleId];
+        require(circle.active, "Circle is not active");
+        require(circle.isMember[msg.sender], "Not a member");
+        require(circle.creator != msg.sender, "Creator must transfer or dissolve");
+
+        _removeMember(circleId, msg.sender);
+        emit MemberLeft(circleId, msg.sender);
+    }
+
+    /**
+     * @dev Vote to remove a member; they are removed once more than half of the other
+     * current members voted. Votes are only taken while the member could leave.
+     * @param circleId ID of the circle
+     * @param member Member to remove
+     */
+    function voteToRemove(uint256 circleId, address member) external {
+        Circle storage circle = circles[circleId];
+        require(circle.active, "Circle is not active");
+        require(circle.isMember[msg.sender], "Not a member");
+        require(circle.isMember[member], "Target is not a member");
+        require(msg.sender != member, "Cannot vote to remove yourself");
+        require(circle.creator != member, "Cannot remove the creator");
+        _requireRemovable(circleId, member);
+
+        // Drop the votes of members who have left since, so only current members decide
+        address[] storage votes = _removalVotes[circleId][member];
+        for (uint256 i = votes.length; i > 0; i--) {
+            address voter = votes[i - 1];
+            require(voter != msg.sender, "Already voted");
+            if (!circle.isMember[voter]) {
+                votes[i - 1] = votes[votes.length - 1];
+                votes.pop();
+            }
+        }
+        votes.push(msg.sender);
+        emit RemovalVoted(circleId, msg.sender, member, votes.length);
+
+        if (votes.length * 2 > circle.members.length - 1) {
+            _removeMember(circleId, member);
+            emit MemberRemoved(circleId, member);
+        }
+    }
+
+    /**
+     * @dev Hand the circle over to another member (creator only)
+     * @param circleId ID of the circle
+     * @param newCreator Member taking over
+     */
+    function transferCircleAdmin(uint256 circleId, address newCreator) external {
+        Circle storage circle = circles[circleId];
+        require(circle.active, "Circle is not active");
+        require(circle.creator == msg.sender, "Only circle creator");
+        require(circle.isMember[newCreator] && newCreator != msg.sender, "Invalid new creator");
+
+        circle.creator = newCreator;
+        emit CircleAdminTransferred(circleId, msg.sender, newCreator);
+    }
+
+    /**
+     * @dev Dissolve the circle (creator only) once no member owes a pool. Every member
+     * leaves; stakes are refunded to their savings balance.
+     * @param circleId ID of the circle
+     */
+    function dissolveCircle(uint256 circleId) external {
+        Circle storage circle = circles[circleId];
+        require(circle.active, "Circle is not active");
+        require(circle.creator == msg.sender, "Only circle creator");
+        require(!roscas[circleRosca[circleId]].active, "Savings rotation running");
+
+        for (uint256 i = 0; i < circle.members.length; i++) {
+            address member = circle.members[i];
+            require(openLoans[member] == 0, "Members have open loans");
+            _refundStake(circleId, member);
+            _removeCircleId(userCircles[member], circleId);
+        }
+
+        circle.active = false;
+        emit CircleDissolved(circleId);
+    }
+
+    /**
+     * @dev Track a loan opened by a user (updater role only)
+     * @param borrower Address of the borrower
+     */
+    function loanOpened(address borrower) external onlyRole(UPDATER_ROLE) {
+        openLoans[borrower]++;
+    }
+
+    /**
+     * @dev Track a loan repaid or defaulted (updater role only)
+     * @param borrower Address of the borrower
+     */
+    function loanClosed(address borrower) external onlyRole(UPDATER_ROLE) {
+        if (openLoans[borrower] > 0) openLoans[borrower]--;
+    }
+
+    /**
+     * @dev Revert unless a member can be taken out of a circle
+     * @param circleId ID of the circle
+     * @param member Member to check
+     */
+    function _requireRemovable(uint256 circleId, address member) internal view {
+        require(openLoans[member] == 0, "Member has open loans");
+        require(delegatedCreditInUse[member] == 0, "Delegated credit in use");
+        require(getExposure(circleId, member) == 0, "Stake backs outstanding loans");
+
+        Rosca storage rosca = roscas[circleRosca[circleId]];
+        require(!rosca.active || !_isParticipant(rosca, member), "Savings rotation running");
+    }
+
+    /**
+     * @dev Take a member out of a circle, with their vouches, circle entry and stake.
+     * Members who owe a pool, back someone else's loan or take part in a running
+     * savings rotation cannot leave.
+     * @param circleId ID of the circle
+     * @param member Member to remove
+     */
+    function _removeMember(uint256 circleId, address member) internal {
+        Circle storage circle = circles[circleId];
+        _requireRemovable(circleId, member);
+
+        // Drop the vouches the member gave and received in this circle
+        address[] storage vouchers = circle.vouches[member];
+        for (uint256 i = 0; i < vouchers.length; i++) {
+            _removeAddress(circle.vouchedFor[vouchers[i]], member);
+            delete circle.vouchExpiry[member][vouchers[i]];
+        }
+        delete circle.vouches[member];
+
+        address[] storage vouchees = circle.vouchedFor[member];
+        for (uint256 i = 0; i < vouchees.length; i++) {
+            _removeAddress(circle.vouches[vouchees[i]], member);
+            delete circle.vouchExpiry[vouchees[i]][member];
+        }
+        delete circle.vouchedFor[member];
+
+        _refundStake(circleId, member);
+        _removeAddress(circle.members, member);
+        circle.isMember[member] = false;
+        delete _removalVotes[circleId][member];
+        _removeCircleId(userCircles[member], circleId);
+    }
+
+    /**
+     * @dev Move a member's stake in a circle to their withdrawable savings balance
+     * @param circleId ID of the circle
+     * @param member Member address
+     */
+    function _refundStake(uint256 circleId, address member) internal {
+        uint256 memberStake = memberStakes[circleId][member];
+        if (memberStake == 0) return;
+
+        memberStakes[circleId][member] = 0;
+        circleStakes[circleId] -= memberStake;
+        savingsBalances[member] += memberStake;
+    }
+
+    /**
+     * @dev Remove an address from a list, swapping the last entry into its place
+     * @param list List to update
+     * @param item Address to remove
+     */
+    function _removeAddress(address[] storage list, address item) internal {
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == item) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                return;
+            }
+        }
+    }
+
+    /**
+     * @dev Remove a circle ID from a user's circles, swapping the last entry into its place
+     * @param list List to update
+     * @param circleId Circle ID to remove
+     */
+    function _removeCircleId(uint256[] storage list, uint256 circleId) internal {
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == circleId) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                return;
+            }
         }
     }
 
@@ -151,23 +522,601 @@ contract TrustCircle {
      * @param circleId ID of the circle
      * @param defaulter Address of the defaulting member
      */
-    function slashCircle(uint256 circleId, address defaulter) external {
-        // Only lending pool contract can call this
-        require(msg.sender == address(reputationNFT.owner()), "Only authorized contracts");
-        
+    function slashCircle(uint256 circleId, address defaulter) external onlyRole(SLASHER_ROLE) {
+        require(circles[circleId].isMember[defaulter], "Not a circle member");
+
+        // Slash the defaulter heavily and their vouchers moderately
+        _slash(circleId, defaulter, -150, -30, ReputationNFT.ReputationReason.DefaultSlash);
+    }
+
+    /**
+     * @dev Slash a member and everyone who vouched for them in the circle
+     * @param circleId ID of the circle
+     * @param member Address of the slashed member
+     * @param memberPenalty Reputation change for the member
+     * @param voucherPenalty Reputation change for each voucher
+     * @param reason Cause recorded with the reputation changes
+     */
+    function _slash(
+        uint256 circleId,
+        address member,
+        int256 memberPenalty,
+        int256 voucherPenalty,
+        ReputationNFT.ReputationReason reason
+    ) internal {
+        reputationNFT.updateReputation(member, memberPenalty, reason);
+
+        address[] storage vouchers = circles[circleId].vouches[member];
+        for (uint256 i = 0; i < vouchers.length; i++) {
+            reputationNFT.updateReputation(vouchers[i], voucherPenalty, reason);
+        }
+
+        emit CircleSlashed(circleId, member, vouchers.length);
+    }
+
+    /**
+     * @dev Stake ETH into a circle's guarantee fund
+     * @param circleId ID of the circle
+     */
+    function stake(uint256 circleId) external payable {
         Circle storage circle = circles[circleId];
-        require(circle.isMember[defaulter], "Not a circle member");
-        
-        // Slash the defaulter heavily
-        reputationNFT.updateReputation(defaulter, -150);
-        
-        // Slash vouchers moderately
-        address[] storage vouchers = circle.vouches[defaulter];
+        require(circle.active, "Circle is not active");
+        require(circle.isMember[msg.sender], "Not a member");
+        require(msg.value > 0, "Must stake some ETH");
+
+        memberStakes[circleId][msg.sender] += msg.value;
+        circleStakes[circleId] += msg.value;
+
+        emit Staked(circleId, msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Withdraw stake once no member you vouched for owes a guaranteed pool
+     * @param circleId ID of the circle
+     * @param amount Amount to withdraw
+     */
+    function unstake(uint256 circleId, uint256 amount) external {
+        require(amount > 0 && memberStakes[circleId][msg.sender] >= amount, "Insufficient stake");
+        require(getExposure(circleId, msg.sender) == 0, "Stake backs outstanding loans");
+
+        memberStakes[circleId][msg.sender] -= amount;
+        circleStakes[circleId] -= amount;
+
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit Unstaked(circleId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Track principal borrowed from a guaranteed pool (updater role only)
+     * @param borrower Address of the borrower
+     * @param amount Principal borrowed
+     */
+    function addGuaranteedDebt(address borrower, uint256 amount) external onlyRole(UPDATER_ROLE) {
+        guaranteedDebt[borrower] += amount;
+    }
+
+    /**
+     * @dev Track principal repaid or written off (updater role only)
+     * @param borrower Address of the borrower
+     * @param amount Principal no longer owed
+     */
+    function removeGuaranteedDebt(address borrower, uint256 amount) external onlyRole(UPDATER_ROLE) {
+        guaranteedDebt[borrower] -= amount > guaranteedDebt[borrower] ? guaranteedDebt[borrower] : amount;
+    }
+
+    /**
+     * @dev Track reputation credit drawn from a lending pool (updater role only)
+     * @param borrower Address of the borrower
+     * @param credit Credit drawn, in reputation points scaled by 1e18
+     */
+    function addCreditInUse(address borrower, uint256 credit) external onlyRole(UPDATER_ROLE) {
+        creditInUse[borrower] += credit;
+    }
+
+    /**
+     * @dev Track reputation credit freed by principal repaid or written off (updater role only)
+     * @param borrower Address of the borrower
+     * @param credit Credit freed, in reputation points scaled by 1e18
+     */
+    function removeCreditInUse(address borrower, uint256 credit) external onlyRole(UPDATER_ROLE) {
+        creditInUse[borrower] -= credit > creditInUse[borrower] ? creditInUse[borrower] : credit;
+    }
+
+    /**
+     * @dev Cover a defaulter's debt from the stakes of their vouchers, pro rata to each
+     * voucher's stake, circle by circle. The amount covered is sent to the calling pool.
+     * @param defaulter Address of the defaulting member
+     * @param debt Outstanding debt to cover
+     */
+    function coverDefault(address defaulter, uint256 debt) external onlyRole(SLASHER_ROLE) returns (uint256) {
+        uint256 remaining = debt;
+        uint256[] storage defaulterCircles = userCircles[defaulter];
+
+        for (uint256 i = 0; i < defaulterCircles.length && remaining > 0; i++) {
+            remaining -= _claimGuarantee(defaulterCircles[i], defaulter, remaining);
+        }
+
+        uint256 covered = debt - remaining;
+        if (covered > 0) {
+            (bool success, ) = msg.sender.call{value: covered}("");
+            require(success, "Transfer failed");
+        }
+        return covered;
+    }
+
+    /**
+     * @dev Take up to `amount` from the stakes of a defaulter's vouchers in one circle
+     * @param circleId ID of the circle
+     * @param defaulter Address of the defaulting member
+     * @param amount Most to take
+     */
+    function _claimGuarantee(uint256 circleId, address defaulter, uint256 amount) internal returns (uint256) {
+        if (!circles[circleId].active) return 0;
+
+        address[] storage vouchers = circles[circleId].vouches[defaulter];
+        uint256 backing = _backing(circleId, defaulter);
+        if (backing == 0) return 0;
+
+        uint256 claim = amount < backing ? amount : backing;
+        uint256 claimed;
+
         for (uint256 i = 0; i < vouchers.length; i++) {
-            reputationNFT.updateReputation(vouchers[i], -30);
+            uint256 voucherStake = memberStakes[circleId][vouchers[i]];
+            if (voucherStake == 0) continue;
+
+            // Pro rata share, rounded down in the vouchers' favor
+            uint256 share = (claim * voucherStake) / backing;
+            if (share == 0) continue;
+
+            memberStakes[circleId][vouchers[i]] -= share;
+            claimed += share;
+            emit GuaranteeClaimed(circleId, defaulter, vouchers[i], share);
+        }
+
+        circleStakes[circleId] -= claimed;
+        return claimed;
+    }
+
+    /**
+     * @dev Total staked by a member's vouchers in one circle
+     * @param circleId ID of the circle
+     * @param member Member address
+     */
+    function _backing(uint256 circleId, address member) internal view returns (uint256) {
+        address[] storage vouchers = circles[circleId].vouches[member];
+        uint256 total;
+        for (uint256 i = 0; i < vouchers.length; i++) {
+            total += memberStakes[circleId][vouchers[i]];
+        }
+        return total;
+    }
+
+    /**
+     * @dev Stake a member's vouchers in one circle have not yet committed: each voucher's
+     * stake less the guaranteed debt of everyone they vouch for, so one stake never backs
+     * more borrowing across its vouchees than it can cover
+     * @param circleId ID of the circle
+     * @param member Member address
+     */
+    function _uncommittedBacking(uint256 circleId, address member) internal view returns (uint256) {
+        address[] storage vouchers = circles[circleId].vouches[member];
+        uint256 total;
+        for (uint256 i = 0; i < vouchers.length; i++) {
+            uint256 voucherStake = memberStakes[circleId][vouchers[i]];
+            uint256 exposure = getExposure(circleId, vouchers[i]);
+            if (voucherStake > exposure) total += voucherStake - exposure;
+        }
+        return total;
+    }
+
+    /**
+     * @dev Get the stake backing a member in one circle (their vouchers' stakes)
+     * @param circleId ID of the circle
+     * @param member Member address
+     */
+    function getMemberBacking(uint256 circleId, address member) external view returns (uint256) {
+        return _backing(circleId, member);
+    }
+
+    /**
+     * @dev Get the stake backing a user across all active circles that is not already
+     * committed to other loans; guaranteed pools add it to the user's borrowing limit
+     * @param user User address
+     */
+    function getGuaranteeBacking(address user) external view returns (uint256) {
+        uint256[] storage userCircleIds = userCircles[user];
+        uint256 total;
+        for (uint256 i = 0; i < userCircleIds.length; i++) {
+            if (circles[userCircleIds[i]].active) {
+                total += _uncommittedBacking(userCircleIds[i], user);
+            }
+        }
+        return total;
+    }
+
+    /**
+     * @dev Get the guaranteed debt a member's stake is exposed to: the outstanding
+     * principal of everyone they vouched for in the circle
+     * @param circleId ID of the circle
+     * @param member Member address
+     */
+    function getExposure(uint256 circleId, address member) public view returns (uint256) {
+        address[] storage vouchees = circles[circleId].vouchedFor[member];
+        uint256 total;
+        for (uint256 i = 0; i < vouchees.length; i++) {
+            total += guaranteedDebt[vouchees[i]];
+        }
+        return total;
+    }
+
+    /**
+     * @dev Start a savings rotation with the current members (circle creator only). The
+     * rotation runs one round per member; random order is drawn from the block's randomness,
+     * which is good enough for a circle of people who know each other but not tamper-proof.
+     * @param circleId ID of the circle
+     * @param contribution Amount every member pays each round
+     * @param roundLength Length of each round in seconds
+     * @param payoutOrder How each round's recipient is chosen
+     */
+    function startRosca(
+        uint256 circleId,
+        uint256 contribution,
+        uint256 roundLength,
+        PayoutOrder payoutOrder
+    ) external returns (uint256) {
+        Circle storage circle = circles[circleId];
+        require(circle.active, "Circle is not active");
+        require(circle.creator == msg.sender, "Only circle creator");
+        require(!roscas[circleRosca[circleId]].active, "Rotation already running");
+        require(circle.members.length >= MIN_MEMBERS, "Not enough members");
+        require(contribution > 0, "Invalid contribution");
+        require(roundLength >= MIN_ROUND_LENGTH, "Round too short");
+
+        uint256 roscaId = _roscaIdCounter++;
+        Rosca storage rosca = roscas[roscaId];
+
+        rosca.circleId = circleId;
+        rosca.contribution = contribution;
+        rosca.roundLength = roundLength;
+        rosca.payoutOrder = payoutOrder;
+        rosca.startTime = block.timestamp;
+        rosca.roundStart = block.timestamp;
+        rosca.active = true;
+        rosca.participants = circle.members;
+
+        if (payoutOrder == PayoutOrder.Fixed) {
+            rosca.recipients = circle.members;
+        } else if (payoutOrder == PayoutOrder.Random) {
+            address[] memory order = circle.members;
+            for (uint256 i = order.length - 1; i > 0; i--) {
+                uint256 j = uint256(keccak256(abi.encode(block.prevrandao, roscaId, i))) % (i + 1);
+                (order[i], order[j]) = (order[j], order[i]);
+            }
+            rosca.recipients = order;
+        }
+
+        circleRosca[circleId] = roscaId;
+
+        emit RoscaStarted(roscaId, circleId, contribution, roundLength, payoutOrder);
+        return roscaId;
+    }
+
+    /**
+     * @dev Pay this round's contribution to the circle's running rotation
+     * @param circleId ID of the circle
+     */
+    function contribute(uint256 circleId) external payable {
+        uint256 roscaId = circleRosca[circleId];
+        Rosca storage rosca = roscas[roscaId];
+        require(rosca.active, "No active rotation");
+        require(_isParticipant(rosca, msg.sender), "Not a participant");
+        require(block.timestamp < getRoundDeadline(roscaId), "Round is over");
+        require(msg.value == rosca.contribution, "Incorrect contribution");
+
+        uint256 round = rosca.currentRound;
+        require(!hasContributed[roscaId][round][msg.sender], "Already contributed");
+
+        hasContributed[roscaId][round][msg.sender] = true;
+        roundPots[roscaId][round] += msg.value;
+
+        emit ContributionMade(roscaId, round, msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Bid for this round's pot (bid order only). The highest discount wins; the
+     * discount is shared among the round's other contributors.
+     * @param circleId ID of the circle
+     * @param discount Amount of the pot the bidder gives up
+     */
+    function placeBid(uint256 circleId, uint256 discount) external {
+        uint256 roscaId = circleRosca[circleId];
+        Rosca storage rosca = roscas[roscaId];
+        require(rosca.active, "No active rotation");
+        require(rosca.payoutOrder == PayoutOrder.Bid, "Rotation does not take bids");
+        require(block.timestamp < getRoundDeadline(roscaId), "Round is over");
+        require(hasContributed[roscaId][rosca.currentRound][msg.sender], "Contribute before bidding");
+        require(!hasReceivedPot[roscaId][msg.sender], "Already received a pot");
+        require(discount > rosca.highestBid, "Bid too low");
+        require(discount < rosca.contribution * rosca.participants.length, "Bid exceeds pot");
+
+        rosca.highestBidder = msg.sender;
+        rosca.highestBid = discount;
+
+        emit BidPlaced(roscaId, rosca.currentRound, msg.sender, discount);
+    }
+
+    /**
+     * @dev Close the round once its deadline passed: slash members who missed their
+     * contribution and credit the pot to the round's recipient. A recipient who missed
+     * their own contribution forfeits the pot to the members who paid. Anyone can call this.
+     * @param circleId ID of the circle
+     */
+    function closeRound(uint256 circleId) external {
+        uint256 roscaId = circleRosca[circleId];
+        Rosca storage rosca = roscas[roscaId];
+        require(rosca.active, "No active rotation");
+        require(block.timestamp >= getRoundDeadline(roscaId), "Round still open");
+
+        uint256 round = rosca.currentRound;
+        address recipient = _roundRecipient(roscaId, rosca);
+        hasReceivedPot[roscaId][recipient] = true;
+
+        // Missed contributions go through the circle's slashing logic
+        uint256 otherContributors;
+        for (uint256 i = 0; i < rosca.participants.length; i++) {
+            address member = rosca.participants[i];
+            if (hasContributed[roscaId][round][member]) {
+                if (member != recipient) otherContributors++;
+            } else {
+                missedContributions[roscaId][member]++;
+                emit ContributionMissed(roscaId, round, member);
+                _slash(
+                    rosca.circleId,
+                    member,
+                    MISSED_CONTRIBUTION_PENALTY,
+                    MISSED_CONTRIBUTION_VOUCHER_PENALTY,
+                    ReputationNFT.ReputationReason.MissedContribution
+                );
+            }
+        }
+
+        uint256 pot = roundPots[roscaId][round];
+        uint256 discount = recipient == rosca.highestBidder && otherContributors > 0 ? rosca.highestBid : 0;
+        if (discount > pot || !hasContributed[roscaId][round][recipient]) discount = pot;
+
+        // Share the winning discount among the other contributors; dust stays with the recipient
+        if (discount > 0) {
+            uint256 share = discount / otherContributors;
+            for (uint256 i = 0; i < rosca.participants.length; i++) {
+                address member = rosca.participants[i];
+                if (member != recipient && hasContributed[roscaId][round][member]) {
+                    savingsBalances[member] += share;
+                }
+            }
+            discount = share * otherContributors;
+        }
+
+        savingsBalances[recipient] += pot - discount;
+        emit PotPaid(roscaId, round, recipient, pot - discount, discount);
+
+        // The next round gets a full window even when this one was closed late
+        rosca.currentRound = round + 1;
+        rosca.roundStart = block.timestamp;
+        rosca.highestBidder = address(0);
+        rosca.highestBid = 0;
+
+        if (rosca.currentRound == rosca.participants.length) {
+            rosca.active = false;
+            emit RoscaCompleted(roscaId, rosca.circleId);
         }
-        
-        emit CircleSlashed(circleId, defaulter, vouchers.length);
+    }
+
+    /**
+     * @dev Withdraw pots and bid discounts credited to you
+     */
+    function withdrawSavings() external {
+        uint256 amount = savingsBalances[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        savingsBalances[msg.sender] = 0;
+
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit SavingsWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Pick the recipient of the open round, recording it for bid order
+     * @param roscaId ID of the rotation
+     * @param rosca Rotation data
+     */
+    function _roundRecipient(uint256 roscaId, Rosca storage rosca) internal returns (address) {
+        if (rosca.payoutOrder != PayoutOrder.Bid) {
+            return rosca.recipients[rosca.currentRound];
+        }
+
+        address recipient = rosca.highestBidder;
+        if (recipient == address(0)) {
+            // Without bids the pot goes to the first member still waiting for one
+            for (uint256 i = 0; i < rosca.participants.length; i++) {
+                if (!hasReceivedPot[roscaId][rosca.participants[i]]) {
+                    recipient = rosca.participants[i];
+                    break;
+                }
+            }
+        }
+        rosca.recipients.push(recipient);
+        return recipient;
+    }
+
+    /**
+     * @dev Check if an address takes part in a rotation
+     * @param rosca Rotation data
+     * @param user User address
+     */
+    function _isParticipant(Rosca storage rosca, address user) internal view returns (bool) {
+        for (uint256 i = 0; i < rosca.participants.length; i++) {
+            if (rosca.participants[i] == user) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @dev Get the end of a rotation's open round
+     * @param roscaId ID of the rotation
+     */
+    function getRoundDeadline(uint256 roscaId) public view returns (uint256) {
+        Rosca storage rosca = roscas[roscaId];
+        return rosca.roundStart + rosca.roundLength;
+    }
+
+    /**
+     * @dev Get who pays into a rotation and who received each closed round's pot
+     * @param roscaId ID of the rotation
+     */
+    function getRoscaMembers(uint256 roscaId) external view returns (address[] memory participants, address[] memory recipients) {
+        return (roscas[roscaId].participants, roscas[roscaId].recipients);
+    }
+
+    /**
+     * @dev Get which participants paid into a round
+     * @param roscaId ID of the rotation
+     * @param round Round index
+     */
+    function getRoundContributions(uint256 roscaId, uint256 round) external view returns (address[] memory participants, bool[] memory paid) {
+        participants = roscas[roscaId].participants;
+        paid = new bool[](participants.length);
+        for (uint256 i = 0; i < participants.length; i++) {
+            paid[i] = hasContributed[roscaId][round][participants[i]];
+        }
+    }
+
+    /**
+     * @dev Get the recipient of the open round: the scheduled member, or the highest
+     * bidder so far for bid order (zero if nobody bid yet)
+     * @param roscaId ID of the rotation
+     */
+    function getNextRecipient(uint256 roscaId) external view returns (address) {
+        Rosca storage rosca = roscas[roscaId];
+        if (!rosca.active) return address(0);
+        if (rosca.payoutOrder == PayoutOrder.Bid) return rosca.highestBidder;
+        return rosca.recipients[rosca.currentRound];
+    }
+
+    /**
+     * @dev Let another member of a shared circle borrow against part of your limit.
+     * Calling again updates the cap and expiry of an existing delegation.
+     * @param circleId ID of a circle both members belong to
+     * @param delegate Member allowed to borrow
+     * @param amount Most the delegate may owe against your limit
+     * @param expiresAt Time after which no new loans can use the delegation
+     */
+    function delegateCredit(uint256 circleId, address delegate, uint256 amount, uint256 expiresAt) external {
+        Circle storage circle = circles[circleId];
+        require(circle.active, "Circle is not active");
+        require(circle.isMember[msg.sender], "Not a member");
+        require(circle.isMember[delegate], "Target is not a member");
+        require(msg.sender != delegate, "Cannot delegate to yourself");
+        require(amount > 0, "Invalid amount");
+        require(expiresAt > block.timestamp, "Invalid expiry");
+
+        CreditDelegation storage delegation = creditDelegations[msg.sender][delegate];
+        require(amount >= delegation.used, "Below credit in use");
+
+        if (delegation.expiresAt == 0) {
+            _delegatesOf[msg.sender].push(delegate);
+            _delegatorsOf[delegate].push(msg.sender);
+        }
+
+        delegation.circleId = circleId;
+        delegation.amount = amount;
+        delegation.expiresAt = expiresAt;
+
+        emit CreditDelegated(circleId, msg.sender, delegate, amount, expiresAt);
+    }
+
+    /**
+     * @dev Stop a delegate from opening new loans against your limit; loans already open
+     * keep using it until repaid
+     * @param delegate Member to revoke
+     */
+    function revokeCredit(address delegate) external {
+        CreditDelegation storage delegation = creditDelegations[msg.sender][delegate];
+        require(delegation.amount > 0, "No delegation");
+
+        delegation.amount = delegation.used;
+        delegation.expiresAt = block.timestamp;
+
+        emit CreditRevoked(msg.sender, delegate);
+    }
+
+    /**
+     * @dev Draw on a delegation for a new loan (updater role only)
+     * @param delegator Address of the delegator
+     * @param delegate Address of the borrowing delegate
+     * @param amount Principal borrowed
+     */
+    function useDelegatedCredit(address delegator, address delegate, uint256 amount) external onlyRole(UPDATER_ROLE) {
+        CreditDelegation storage delegation = creditDelegations[delegator][delegate];
+        Circle storage circle = circles[delegation.circleId];
+        require(circle.active, "Circle is not active");
+        require(circle.isMember[delegator] && circle.isMember[delegate], "No longer circle members");
+        require(block.timestamp < delegation.expiresAt, "Delegation expired");
+        require(delegation.used + amount <= delegation.amount, "Exceeds delegated credit");
+
+        delegation.used += amount;
+        delegatedCreditInUse[delegator] += amount;
+
+        emit DelegatedCreditUsed(delegator, delegate, amount);
+    }
+
+    /**
+     * @dev Return delegated credit once principal is repaid or written off (updater role only)
+     * @param delegator Address of the delegator
+     * @param delegate Address of the delegate
+     * @param amount Principal no longer owed
+     */
+    function releaseDelegatedCredit(address delegator, address delegate, uint256 amount) external onlyRole(UPDATER_ROLE) {
+        CreditDelegation storage delegation = creditDelegations[delegator][delegate];
+        if (amount > delegation.used) amount = delegation.used;
+
+        delegation.used -= amount;
+        delegatedCreditInUse[delegator] -= amount;
+
+        emit DelegatedCreditReleased(delegator, delegate, amount);
+    }
+
+    /**
+     * @dev Get how much more a delegate can borrow against a delegation right now
+     * (before the delegator's own limit is checked)
+     * @param delegator Address of the delegator
+     * @param delegate Address of the delegate
+     */
+    function getAvailableDelegatedCredit(address delegator, address delegate) external view returns (uint256) {
+        CreditDelegation storage delegation = creditDelegations[delegator][delegate];
+        Circle storage circle = circles[delegation.circleId];
+        if (block.timestamp >= delegation.expiresAt || !circle.active) return 0;
+        if (!circle.isMember[delegator] || !circle.isMember[delegate]) return 0;
+        return delegation.amount - delegation.used;
+    }
+
+    /**
+     * @dev Get the members a user ever delegated credit to
+     * @param delegator Address of the delegator
+     */
+    function getDelegates(address delegator) external view returns (address[] memory) {
+        return _delegatesOf[delegator];
+    }
+
+    /**
+     * @dev Get the members who ever delegated credit to a user
+     * @param delegate Address of the delegate
+     */
+    function getDelegators(address delegate) external view returns (address[] memory) {
+        return _delegatorsOf[delegate];
     }
 
     /**
@@ -178,6 +1127,15 @@ contract TrustCircle {
         return circles[circleId].members;
     }
 
+    /**
+     * @dev Get the members who voted to remove a member
+     * @param circleId ID of the circle
+     * @param member Member address
+     */
+    function getRemovalVotes(uint256 circleId, address member) external view returns (address[] memory) {
+        return _removalVotes[circleId][member];
+    }
+
     /**
      * @dev Get vouches for a member in a circle
      * @param circleId ID of the circle
@@ -187,6 +1145,34 @@ contract TrustCircle {
         return circles[circleId].vouches[member];
     }
 
+    /**
+     * @dev Get the members someone vouches for in a circle
+     * @param circleId ID of the circle
+     * @param voucher Voucher address
+     */
+    function getVouchedFor(uint256 circleId, address voucher) external view returns (address[] memory) {
+        return circles[circleId].vouchedFor[voucher];
+    }
+
+    /**
+     * @dev Get when a vouch stops adding trust (zero if there is no vouch)
+     * @param circleId ID of the circle
+     * @param member Member vouched for
+     * @param voucher Voucher address
+     */
+    function getVouchExpiry(uint256 circleId, address member, address voucher) external view returns (uint256) {
+        return circles[circleId].vouchExpiry[member][voucher];
+    }
+
+    /**
+     * @dev Trust points a vouch from this user is worth, by their reputation tier
+     * @param voucher Voucher address
+     */
+    function getVouchWeight(address voucher) public view returns (uint256) {
+        ReputationNFT.Tier tier = reputationNFT.getReputationData(voucher).currentTier;
+        return (uint256(tier) + 1) * VOUCH_POINTS_PER_TIER;
+    }
+
     /**
      * @dev Get user's circles
      * @param user User address
@@ -214,13 +1200,18 @@ contract TrustCircle {
         
         for (uint256 i = 0; i < userCircleIds.length; i++) {
             Circle storage circle = circles[userCircleIds[i]];
-            if (circle.active) {
+            // Circles below the minimum size do not count
+            if (circle.active && circle.members.length >= MIN_MEMBERS) {
                 // Base points for being in a circle
                 totalScore += 50;
                 
-                // Additional points for vouches
-                uint256 vouchCount = circle.vouches[user].length;
-                totalScore += vouchCount * 25;
+                // Additional points for unexpired vouches, weighted by the voucher's tier
+                address[] storage vouchers = circle.vouches[user];
+                for (uint256 j = 0; j < vouchers.length; j++) {
+                    if (circle.vouchExpiry[user][vouchers[j]] > block.timestamp) {
+                        totalScore += getVouchWeight(vouchers[j]);
+                    }
+                }
                 
                 // Bonus for established circles (older than 30 days)
                 if (block.timestamp - circle.createdAt > 30 days) {
@@ -231,4 +1222,21 @@ contract TrustCircle {
         
         return totalScore;
     }
+
+    /**
+     * @dev Report achievement progress if badges are enabled
+     * @param user Address of the user
+     * @param metric Metric to increase
+     * @param amount Amount to add
+     */
+    function _addProgress(address user, AchievementBadges.Metric metric, uint256 amount) internal {
+        if (address(achievementBadges) != address(0)) {
+            achievementBadges.addProgress(user, metric, amount);
+        }
+    }
+
+    /**
+     * @dev Only the upgrader role (the governance timelock) can upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(UPGRADER_ROLE) {}
 }
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../ReputationNFT.sol";
+import "../TrustCircle.sol";
+import "../LendingPool.sol";
+
+/**
+ * @title ReputationNFTV2
+ * @dev Next version of ReputationNFT for upgrade tests: appends storage and migrates it.
+ * The proxy was initialized by V1, so V2 only has a reinitializer.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract ReputationNFTV2 is ReputationNFT {
+    uint256 public migratedAt;
+
+    function migrateToV2() external reinitializer(2) {
+        migratedAt = block.timestamp;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
+
+/**
+ * @title TrustCircleV2
+ * @dev Next version of TrustCircle for upgrade tests: appends storage and migrates it.
+ * The proxy was initialized by V1, so V2 only has a reinitializer.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract TrustCircleV2 is TrustCircle {
+    uint256 public migratedAt;
+
+    function migrateToV2() external reinitializer(2) {
+        migratedAt = block.timestamp;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
+
+/**
+ * @title LendingPoolV2
+ * @dev Next version of LendingPool for upgrade tests: appends storage and migrates it.
+ * The proxy was initialized by V1, so V2 only has a reinitializer.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract LendingPoolV2 is LendingPool {
+    uint256 public migratedAt;
+
+    function migrateToV2() external reinitializer(2) {
+        migratedAt = block.timestamp;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -2,38 +2,64 @@ import { useState, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
 import confetti from 'canvas-confetti';
 import ConstellationBackground from './components/ConstellationBackground';
+import ActivityFeed from './components/ActivityFeed';
+import Analytics from './components/Analytics';
+import AchievementGallery from './components/AchievementGallery';
+import Referrals from './components/Referrals';
+import AssetSelector from './components/AssetSelector';
+import CircleGuarantees from './components/CircleGuarantees';
+import CircleDetail from './components/CircleDetail';
+import CreditDelegation from './components/CreditDelegation';
+import CircleManagement from './components/CircleManagement';
+import Vouches from './components/Vouches';
+import Governance from './components/Governance';
+import Leaderboard from './components/Leaderboard';
+import {
+  SUPPORTED_CHAINS,
+  getDeployment,
+  connectContracts,
+  TOKEN_LENDING_POOL_ABI,
+  ERC20_ABI
+} from './contracts';
 import './App.css';
 
-const REPUTATION_NFT_ABI = [
-  "function mint(address user) external returns (uint256)",
-  "function getReputationScore(address user) external view returns (uint256)",
-  "function getReputationData(address user) external view returns (tuple(uint256 score, uint256 loansCompleted, uint256 totalBorrowed, uint256 totalRepaid, uint256 lastUpdated, uint8 currentTier))",
-  "function userToTokenId(address user) external view returns (uint256)"
-];
-
-const LENDING_POOL_ABI = [
-  "function deposit() external payable",
-  "function withdraw(uint256 amount) external",
-  "function borrow(uint256 amount, uint256 duration) external returns (uint256)",
-  "function repay(uint256 loanId) external payable",
-  "function getBorrowingLimit(address borrower) external view returns (uint256)",
-  "function getInterestRate(address borrower) external view returns (uint256)",
-  "function getLoan(uint256 loanId) external view returns (tuple(address borrower, uint256 amount, uint256 interestRate, uint256 startTime, uint256 duration, uint256 amountRepaid, bool active, bool defaulted))",
-  "function getBorrowerLoans(address borrower) external view returns (uint256[])",
-  "function getTotalOwed(uint256 loanId) external view returns (uint256)",
-  "function totalLiquidity() external view returns (uint256)",
-  "function lenders(address) external view returns (tuple(uint256 deposited, uint256 earned, uint256 lastDepositTime))"
-];
-
-const TRUST_CIRCLE_ABI = [
-  "function createCircle(string memory name, uint256 minReputation) external returns (uint256)",
-  "function getUserCircles(address user) external view returns (uint256[])",
-  "function getCircleMembers(uint256 circleId) external view returns (address[])",
-  "function getTrustScore(address user) external view returns (uint256)",
-  "function inviteMember(uint256 circleId, address member) external",
-  "function acceptInvitation(uint256 circleId) external",
-  "function vouchForMember(uint256 circleId, address member) external"
-];
+// Order matches LendingPool.RepaymentFrequency
+const INSTALLMENT_FREQUENCIES = ['Single', 'Weekly', 'Monthly'];
+
+// The ETH pool plus every ERC-20 pool deployed by the factory
+const loadMarkets = async (lendingPool, lendingPoolFactory, signer) => {
+  const markets = [{ key: 'ETH', symbol: 'ETH', decimals: 18, pool: lendingPool, token: null }];
+
+  const poolAddresses = await lendingPoolFactory.getPools();
+  for (const address of poolAddresses) {
+    const pool = new ethers.Contract(address, TOKEN_LENDING_POOL_ABI, signer);
+    const token = new ethers.Contract(await pool.asset(), ERC20_ABI, signer);
+    markets.push({
+      key: address,
+      symbol: await token.symbol(),
+      decimals: Number(await token.decimals()),
+      pool,
+      token
+    });
+  }
+  return markets;
+};
+
+// Let a pool pull ERC-20 tokens, approving only when the allowance is too low
+const ensureAllowance = async (market, owner, amount) => {
+  const spender = await market.pool.getAddress();
+  if (await market.token.allowance(owner, spender) < amount) {
+    const tx = await market.token.approve(spender, amount);
+    await tx.wait();
+  }
+};
+
+const formatCountdown = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${days}d ${hours}h ${minutes}m ${seconds % 60}s`;
+};
 
 const MarketPulse = () => {
   return (
@@ -146,18 +172,18 @@ function App() {
   const [loans, setLoans] = useState([]);
   const [circles, setCircles] = useState([]);
   const [poolStats, setPoolStats] = useState(null);
+  const [selectedMarket, setSelectedMarket] = useState('ETH');
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('dashboard');
+  const [activeTab, setActiveTab] = useState(() =>
+    new URLSearchParams(window.location.search).has('ref') ? 'referrals' : 'dashboard'
+  );
   const [txHash, setTxHash] = useState('');
   const [theme, setTheme] = useState(() => {
     return localStorage.getItem('theme') || 'dark';
   });
 
-  const CONTRACT_ADDRESSES = {
-    reputationNFT: "0x...",
-    lendingPool: "0x...",
-    trustCircle: "0x..."
-  };
+  // Chain the wallet is on when the protocol is not deployed there
+  const [unsupportedChainId, setUnsupportedChainId] = useState(null);
 
   const tierNames = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
   const tierColors = ['#CD7F32', '#C0C0C0', '#FFD700', '#E5E4E2', '#B9F2FF'];
@@ -167,6 +193,14 @@ function App() {
     localStorage.setItem('theme', theme);
   }, [theme]);
 
+  // Contracts are bound to one chain's addresses, so start over when the wallet switches
+  useEffect(() => {
+    if (!window.ethereum) return;
+    const reload = () => window.location.reload();
+    window.ethereum.on('chainChanged', reload);
+    return () => window.ethereum.removeListener('chainChanged', reload);
+  }, []);
+
   const toggleTheme = () => {
     setTheme(prevTheme => prevTheme === 'dark' ? 'light' : 'dark');
   };
@@ -181,19 +215,30 @@ function App() {
       setLoading(true);
       const provider = new ethers.BrowserProvider(window.ethereum);
       const accounts = await provider.send("eth_requestAccounts", []);
+
+      // Addresses come from the deployment on the wallet's network
+      const { chainId } = await provider.getNetwork();
+      const deployment = getDeployment(chainId);
+      if (!deployment) {
+        setUnsupportedChainId(Number(chainId));
+        setLoading(false);
+        return;
+      }
+      setUnsupportedChainId(null);
+
       const signer = await provider.getSigner();
 
       setProvider(provider);
       setSigner(signer);
       setAccount(accounts[0]);
 
-      const reputationNFT = new ethers.Contract(CONTRACT_ADDRESSES.reputationNFT, REPUTATION_NFT_ABI, signer);
-      const lendingPool = new ethers.Contract(CONTRACT_ADDRESSES.lendingPool, LENDING_POOL_ABI, signer);
-      const trustCircle = new ethers.Contract(CONTRACT_ADDRESSES.trustCircle, TRUST_CIRCLE_ABI, signer);
+      const bound = connectContracts(deployment, signer);
+      const markets = await loadMarkets(bound.lendingPool, bound.lendingPoolFactory, signer);
 
-      setContracts({ reputationNFT, lendingPool, trustCircle });
+      const contractsObj = { ...bound, markets };
+      setContracts(contractsObj);
 
-      await loadUserData(accounts[0], { reputationNFT, lendingPool, trustCircle });
+      await loadUserData(accounts[0], contractsObj);
       setLoading(false);
     } catch (error) {
       console.error('Error connecting wallet:', error);
@@ -201,37 +246,98 @@ function App() {
     }
   };
 
-  const loadUserData = async (address, contractsObj) => {
+  // The chainChanged listener reloads the app once the wallet has switched
+  const switchChain = async (chainId) => {
     try {
-      const contracts = contractsObj || contracts;
-      if (!contracts) return;
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: ethers.toQuantity(chainId) }]
+      });
+    } catch (error) {
+      console.error('Error switching network:', error);
+    }
+  };
+
+  const loadUserData = async (address, contractsObj, marketKey = selectedMarket) => {
+    try {
+      const activeContracts = contractsObj || contracts;
+      if (!activeContracts) return;
+
+      const market = activeContracts.markets.find((m) => m.key === marketKey) || activeContracts.markets[0];
+      const { pool, decimals } = market;
 
-      const score = await contracts.reputationNFT.getReputationScore(address);
+      const score = await activeContracts.reputationNFT.getReputationScore(address);
       if (score > 0) {
-        const data = await contracts.reputationNFT.getReputationData(address);
-        const borrowingLimit = await contracts.lendingPool.getBorrowingLimit(address);
-        const interestRate = await contracts.lendingPool.getInterestRate(address);
-        const trustScore = await contracts.trustCircle.getTrustScore(address);
-        const circleIds = await contracts.trustCircle.getUserCircles(address);
-        const loanIds = await contracts.lendingPool.getBorrowerLoans(address);
-
-        const loanDetails = await Promise.all(
-          loanIds.map(async (id) => {
-            const loan = await contracts.lendingPool.getLoan(id);
-            const totalOwed = await contracts.lendingPool.getTotalOwed(id);
-            return { id, ...loan, totalOwed };
-          })
-        );
+        const data = await activeContracts.reputationNFT.getReputationData(address);
+        const borrowingLimit = await pool.getBorrowingLimit(address);
+        const interestRate = await pool.getInterestRate(address);
+        const trustScore = await activeContracts.trustCircle.getTrustScore(address);
+        const circleIds = await activeContracts.trustCircle.getUserCircles(address);
+        // Loans from every market; extensions are only offered by the ETH pool
+        const loanDetails = (await Promise.all(activeContracts.markets.map(async (loanMarket) => {
+          const loanPool = loanMarket.pool;
+          const loanIds = await loanPool.getBorrowerLoans(address);
+
+          return Promise.all(loanIds.map(async (id) => {
+            const loan = await loanPool.getLoan(id);
+            const totalOwed = await loanPool.getTotalOwed(id);
+            const extensible = loanMarket.token === null;
+            const extensionFee = extensible ? await activeContracts.loanExtension.getExtensionFee(id) : 0n;
+            const extended = extensible ? await activeContracts.loanExtension.hasExtension(id) : true;
+            const plan = await loanPool.installmentPlans(id);
+            let schedule = null;
+            if (plan.installments > 0n) {
+              const [dueDates, amountsDue] = await loanPool.getInstallmentSchedule(id);
+              const next = await loanPool.getNextInstallment(id);
+              schedule = {
+                frequency: Number(plan.frequency),
+                lateFees: plan.lateFees,
+                missed: Number(next.missedInstallments),
+                installments: dueDates.map((dueDate, i) => ({
+                  dueDate: Number(dueDate),
+                  paid: loan.amountRepaid >= amountsDue[i]
+                })),
+                next: next.index < plan.installments
+                  ? {
+                    index: Number(next.index),
+                    dueDate: Number(next.dueDate),
+                    amountDue: next.amountDue,
+                    overdue: Number(next.dueDate) * 1000 < Date.now()
+                  }
+                  : null
+              };
+            }
+            return { id, ...loan, totalOwed, extensionFee, extended, schedule, market: loanMarket };
+          }));
+        }))).flat();
 
         setLoans(loanDetails);
 
-        const totalLiquidity = await contracts.lendingPool.totalLiquidity();
-        const lenderInfo = await contracts.lendingPool.lenders(address);
+        const totalLiquidity = await pool.totalLiquidity();
+        const lenderInfo = await pool.lenders(address);
+        const lenderValue = await pool.getLenderValue(address);
+        const utilization = await pool.getUtilization();
+        const queuePosition = await pool.getQueuePosition(address);
+        const queued = await pool.getQueuedWithdrawal(address);
+        const queuedValue = await pool.convertToAssets(queued.shares);
+        const emergencyRequest = await activeContracts.emergencyWithdraw.withdrawalRequests(address);
+        const emergencyRemaining = await activeContracts.emergencyWithdraw.getTimeRemaining(address);
 
         setPoolStats({
-          totalLiquidity: ethers.formatEther(totalLiquidity),
-          userDeposited: ethers.formatEther(lenderInfo.deposited)
+          totalLiquidity: ethers.formatUnits(totalLiquidity, decimals),
+          utilization: Number(utilization) / 100,
+          userDeposited: ethers.formatUnits(lenderInfo.deposited, decimals),
+          userShares: ethers.formatUnits(lenderInfo.shares, decimals),
+          userValue: ethers.formatUnits(lenderValue, decimals),
+          userEarned: ethers.formatUnits(lenderInfo.earned, decimals),
+          queuePosition: Number(queuePosition),
+          queuedValue: ethers.formatUnits(queuedValue, decimals),
+          // Emergency withdrawals only exist for the ETH pool
+          emergencyAmount: market.token === null && emergencyRequest.requestTime > 0 && !emergencyRequest.executed
+            ? ethers.formatEther(emergencyRequest.amount)
+            : null
         });
+        setEmergencyCountdown(Number(emergencyRemaining));
 
         setReputationData({
           score: Number(data.score),
@@ -239,7 +345,7 @@ function App() {
           loansCompleted: Number(data.loansCompleted),
           totalBorrowed: ethers.formatEther(data.totalBorrowed),
           totalRepaid: ethers.formatEther(data.totalRepaid),
-          borrowingLimit: ethers.formatEther(borrowingLimit),
+          borrowingLimit: ethers.formatUnits(borrowingLimit, decimals),
           interestRate: Number(interestRate) / 100,
           trustScore: Number(trustScore),
           circles: circleIds.length
@@ -280,8 +386,17 @@ function App() {
     }
   };
 
+  const activeMarket = contracts?.markets.find((m) => m.key === selectedMarket) || contracts?.markets[0];
+  const assetSymbol = activeMarket ? activeMarket.symbol : 'ETH';
+
+  const handleSelectMarket = async (key) => {
+    setSelectedMarket(key);
+    await loadUserData(account, contracts, key);
+  };
+
   const [borrowAmount, setBorrowAmount] = useState('');
   const [borrowDuration, setBorrowDuration] = useState('30');
+  const [borrowFrequency, setBorrowFrequency] = useState('0');
 
   const handleBorrow = async () => {
     try {
@@ -291,8 +406,11 @@ function App() {
       }
 
       setLoading(true);
-      const amount = ethers.parseEther(borrowAmount);
-      const tx = await contracts.lendingPool.borrow(amount, parseInt(borrowDuration));
+      const amount = ethers.parseUnits(borrowAmount, activeMarket.decimals);
+      const frequency = parseInt(borrowFrequency);
+      const tx = frequency === 0
+        ? await activeMarket.pool.borrow(amount, parseInt(borrowDuration))
+        : await activeMarket.pool.borrowWithInstallments(amount, parseInt(borrowDuration), frequency);
       setTxHash(tx.hash);
       await tx.wait();
       await loadUserData(account);
@@ -308,10 +426,16 @@ function App() {
     }
   };
 
-  const handleRepay = async (loanId, totalOwed) => {
+  const handleRepay = async (loan, amount, installment = false) => {
     try {
       setLoading(true);
-      const tx = await contracts.lendingPool.repay(loanId, { value: totalOwed });
+      let tx;
+      if (loan.market.token) {
+        await ensureAllowance(loan.market, account, amount);
+        tx = await loan.market.pool.repay(loan.id, amount);
+      } else {
+        tx = await loan.market.pool.repay(loan.id, { value: amount });
+      }
       setTxHash(tx.hash);
       await tx.wait();
       await loadUserData(account);
@@ -323,7 +447,7 @@ function App() {
         origin: { y: 0.6 },
         colors: ['#10B981', '#34D399']
       });
-      alert('Loan repaid successfully!');
+      alert(installment ? 'Installment paid successfully!' : 'Loan repaid successfully!');
     } catch (error) {
       console.error('Error repaying:', error);
       setLoading(false);
@@ -332,6 +456,27 @@ function App() {
     }
   };
 
+  const [extensionDays, setExtensionDays] = useState({});
+
+  const handleRequestExtension = async (loanId, extensionFee) => {
+    try {
+      setLoading(true);
+      const days = parseInt(extensionDays[loanId] || '14');
+      const tx = await contracts.loanExtension.requestExtension(loanId, days, { value: extensionFee });
+      setTxHash(tx.hash);
+      await tx.wait();
+      await loadUserData(account);
+      setLoading(false);
+      setTxHash('');
+      alert(`Loan extended by ${days} days!`);
+    } catch (error) {
+      console.error('Error extending loan:', error);
+      setLoading(false);
+      setTxHash('');
+      alert('Error extending loan: ' + (error.reason || error.message));
+    }
+  };
+
   const [depositAmount, setDepositAmount] = useState('');
   const [withdrawAmount, setWithdrawAmount] = useState('');
 
@@ -343,8 +488,14 @@ function App() {
       }
 
       setLoading(true);
-      const amount = ethers.parseEther(depositAmount);
-      const tx = await contracts.lendingPool.deposit({ value: amount });
+      const amount = ethers.parseUnits(depositAmount, activeMarket.decimals);
+      let tx;
+      if (activeMarket.token) {
+        await ensureAllowance(activeMarket, account, amount);
+        tx = await activeMarket.pool.deposit(amount);
+      } else {
+        tx = await activeMarket.pool.deposit({ value: amount });
+      }
       setTxHash(tx.hash);
       await tx.wait();
       await loadUserData(account);
@@ -368,8 +519,8 @@ function App() {
       }
 
       setLoading(true);
-      const amount = ethers.parseEther(withdrawAmount);
-      const tx = await contracts.lendingPool.withdraw(amount);
+      const amount = ethers.parseUnits(withdrawAmount, activeMarket.decimals);
+      const tx = await activeMarket.pool.withdraw(amount);
       setTxHash(tx.hash);
       await tx.wait();
       await loadUserData(account);
@@ -385,6 +536,138 @@ function App() {
     }
   };
 
+  const handleWithdrawAll = async () => {
+    try {
+      setLoading(true);
+      const lenderInfo = await activeMarket.pool.lenders(account);
+      const tx = await activeMarket.pool.redeem(lenderInfo.shares);
+      setTxHash(tx.hash);
+      await tx.wait();
+      await loadUserData(account);
+      setLoading(false);
+      setTxHash('');
+      alert('Withdrawn successfully!');
+    } catch (error) {
+      console.error('Error withdrawing:', error);
+      setLoading(false);
+      setTxHash('');
+      alert('Error withdrawing: ' + (error.reason || error.message));
+    }
+  };
+
+  const [emergencyCountdown, setEmergencyCountdown] = useState(0);
+  const countdownRunning = emergencyCountdown > 0;
+
+  useEffect(() => {
+    if (!countdownRunning) return;
+    const timer = setInterval(() => {
+      setEmergencyCountdown(prev => Math.max(prev - 1, 0));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [countdownRunning]);
+
+  const handleQueueWithdrawal = async () => {
+    try {
+      if (!withdrawAmount || parseFloat(withdrawAmount) <= 0) {
+        alert('Please enter a valid amount');
+        return;
+      }
+
+      setLoading(true);
+      const shares = await activeMarket.pool.convertToShares(ethers.parseUnits(withdrawAmount, activeMarket.decimals));
+      const tx = await activeMarket.pool.queueWithdrawal(shares);
+      setTxHash(tx.hash);
+      await tx.wait();
+      await loadUserData(account);
+      setWithdrawAmount('');
+      setLoading(false);
+      setTxHash('');
+      alert('Joined the withdrawal queue!');
+    } catch (error) {
+      console.error('Error queueing withdrawal:', error);
+      setLoading(false);
+      setTxHash('');
+      alert('Error queueing withdrawal: ' + (error.reason || error.message));
+    }
+  };
+
+  const handleCancelQueue = async () => {
+    try {
+      setLoading(true);
+      const tx = await activeMarket.pool.cancelQueuedWithdrawal();
+      setTxHash(tx.hash);
+      await tx.wait();
+      await loadUserData(account);
+      setLoading(false);
+      setTxHash('');
+      alert('Left the withdrawal queue');
+    } catch (error) {
+      console.error('Error leaving queue:', error);
+      setLoading(false);
+      setTxHash('');
+      alert('Error leaving queue: ' + (error.reason || error.message));
+    }
+  };
+
+  const handleRequestEmergency = async () => {
+    try {
+      if (!withdrawAmount || parseFloat(withdrawAmount) <= 0) {
+        alert('Please enter a valid amount');
+        return;
+      }
+
+      setLoading(true);
+      const tx = await contracts.emergencyWithdraw.requestWithdrawal(ethers.parseEther(withdrawAmount));
+      setTxHash(tx.hash);
+      await tx.wait();
+      await loadUserData(account);
+      setWithdrawAmount('');
+      setLoading(false);
+      setTxHash('');
+      alert('Emergency withdrawal requested. It can be executed after the 7-day timelock.');
+    } catch (error) {
+      console.error('Error requesting emergency withdrawal:', error);
+      setLoading(false);
+      setTxHash('');
+      alert('Error requesting emergency withdrawal: ' + (error.reason || error.message));
+    }
+  };
+
+  const handleExecuteEmergency = async () => {
+    try {
+      setLoading(true);
+      const tx = await contracts.emergencyWithdraw.executeWithdrawal();
+      setTxHash(tx.hash);
+      await tx.wait();
+      await loadUserData(account);
+      setLoading(false);
+      setTxHash('');
+      alert('Emergency withdrawal executed!');
+    } catch (error) {
+      console.error('Error executing emergency withdrawal:', error);
+      setLoading(false);
+      setTxHash('');
+      alert('Error executing emergency withdrawal: ' + (error.reason || error.message));
+    }
+  };
+
+  const handleCancelEmergency = async () => {
+    try {
+      setLoading(true);
+      const tx = await contracts.emergencyWithdraw.cancelWithdrawal();
+      setTxHash(tx.hash);
+      await tx.wait();
+      await loadUserData(account);
+      setLoading(false);
+      setTxHash('');
+    } catch (error) {
+      console.error('Error cancelling emergency withdrawal:', error);
+      setLoading(false);
+      setTxHash('');
+      alert('Error cancelling emergency withdrawal: ' + (error.reason || error.message));
+    }
+  };
+
   const [circleName, setCircleName] = useState('');
   const [minReputation, setMinReputation] = useState('100');
 
@@ -449,6 +732,20 @@ function App() {
         </div>
       </header>
 
+      {unsupportedChainId !== null && (
+        <div className="network-warning">
+          <span>
+            ⚠️ TrustCircle is not deployed on chain {unsupportedChainId}.
+            {SUPPORTED_CHAINS.length > 0 ? ' Switch to a supported network:' : ' No networks are configured yet.'}
+          </span>
+          {SUPPORTED_CHAINS.map(({ chainId, network }) => (
+            <button key={chainId} className="btn btn-secondary" onClick={() => switchChain(chainId)}>
+              {network} ({chainId})
+            </button>
+          ))}
+        </div>
+      )}
+
       {txHash && (
         <div className="tx-notification">
           <div className="spinner"></div>
@@ -516,6 +813,36 @@ function App() {
               >
                 Trust Circles
               </button>
+              <button
+                className={`tab ${activeTab === 'analytics' ? 'tab-active' : ''}`}
+                onClick={() => setActiveTab('analytics')}
+              >
+                Analytics
+              </button>
+              <button
+                className={`tab ${activeTab === 'achievements' ? 'tab-active' : ''}`}
+                onClick={() => setActiveTab('achievements')}
+              >
+                Achievements
+              </button>
+              <button
+                className={`tab ${activeTab === 'referrals' ? 'tab-active' : ''}`}
+                onClick={() => setActiveTab('referrals')}
+              >
+                Referrals
+              </button>
+              <button
+                className={`tab ${activeTab === 'leaderboard' ? 'tab-active' : ''}`}
+                onClick={() => setActiveTab('leaderboard')}
+              >
+                Leaderboard
+              </button>
+              <button
+                className={`tab ${activeTab === 'governance' ? 'tab-active' : ''}`}
+                onClick={() => setActiveTab('governance')}
+              >
+                Governance
+              </button>
             </div>
 
             {activeTab === 'dashboard' && (
@@ -572,7 +899,7 @@ function App() {
 
                     <div className="grid grid-3">
                       <div className="stat-card">
-                        <div className="stat-value gradient-text">{parseFloat(reputationData.borrowingLimit).toFixed(2)} ETH</div>
+                        <div className="stat-value gradient-text">{parseFloat(reputationData.borrowingLimit).toFixed(2)} {assetSymbol}</div>
                         <div className="stat-label">Borrowing Limit</div>
                       </div>
                       <div className="stat-card">
@@ -592,30 +919,98 @@ function App() {
                           {loans.map((loan, index) => (
                             <div key={index} className="loan-item">
                               <div className="loan-info">
-                                <span className="loan-amount">{ethers.formatEther(loan.amount)} ETH</span>
+                                <span className="loan-amount">{ethers.formatUnits(loan.amount, loan.market.decimals)} {loan.market.symbol}</span>
                                 <span className={`badge ${loan.active ? 'badge-warning' : loan.defaulted ? 'badge-error' : 'badge-success'}`}>
                                   {loan.active ? 'Active' : loan.defaulted ? 'Defaulted' : 'Repaid'}
                                 </span>
                               </div>
                               <div className="loan-details">
                                 <span>Rate: {Number(loan.interestRate) / 100}%</span>
-                                <span>Owed: {ethers.formatEther(loan.totalOwed)} ETH</span>
-                                <span>Repaid: {ethers.formatEther(loan.amountRepaid)} ETH</span>
+                                <span>Owed: {ethers.formatUnits(loan.totalOwed, loan.market.decimals)} {loan.market.symbol}</span>
+                                <span>Repaid: {ethers.formatUnits(loan.amountRepaid, loan.market.decimals)} {loan.market.symbol}</span>
                               </div>
+                              {loan.schedule && (
+                                <div className="loan-schedule">
+                                  <div className="loan-details">
+                                    <span>{INSTALLMENT_FREQUENCIES[loan.schedule.frequency]} installments</span>
+                                    {loan.schedule.missed > 0 && (
+                                      <span className="badge badge-error">{loan.schedule.missed} missed</span>
+                                    )}
+                                    {loan.schedule.lateFees > 0n && (
+                                      <span>Late fees: {ethers.formatUnits(loan.schedule.lateFees, loan.market.decimals)} {loan.market.symbol}</span>
+                                    )}
+                                  </div>
+                                  {loan.active && loan.schedule.next && (
+                                    <div className="loan-next-installment">
+                                      <span>
+                                        Next: {ethers.formatUnits(loan.schedule.next.amountDue, loan.market.decimals)} {loan.market.symbol} due {new Date(loan.schedule.next.dueDate * 1000).toLocaleDateString()}
+                                      </span>
+                                      {loan.schedule.next.overdue && <span className="badge badge-error">Overdue</span>}
+                                    </div>
+                                  )}
+                                  <div className="installment-list">
+                                    {loan.schedule.installments.map((installment, i) => (
+                                      <span
+                                        key={i}
+                                        className={`installment ${installment.paid ? 'installment-paid' : ''} ${loan.schedule.next?.index === i ? 'installment-next' : ''}`}
+                                        title={new Date(installment.dueDate * 1000).toLocaleDateString()}
+                                      >
+                                        {i + 1}
+                                      </span>
+                                    ))}
+                                  </div>
+                                </div>
+                              )}
                               {loan.active && (
-                                <button
-                                  className="btn btn-primary btn-sm"
-                                  onClick={() => handleRepay(loan.id, loan.totalOwed)}
-                                  disabled={loading}
-                                >
-                                  Repay Loan
-                                </button>
+                                <div className="withdrawal-actions">
+                                  {loan.schedule?.next && (
+                                    <button
+                                      className="btn btn-primary btn-sm"
+                                      onClick={() => handleRepay(loan, loan.schedule.next.amountDue, true)}
+                                      disabled={loading}
+                                    >
+                                      Pay Installment
+                                    </button>
+                                  )}
+                                  <button
+                                    className={`btn btn-sm ${loan.schedule?.next ? 'btn-outline' : 'btn-primary'}`}
+                                    onClick={() => handleRepay(loan, loan.totalOwed - loan.amountRepaid)}
+                                    disabled={loading}
+                                  >
+                                    Repay Loan
+                                  </button>
+                                </div>
+                              )}
+                              {loan.active && !loan.extended && (
+                                <div className="loan-extension">
+                                  <select
+                                    className="input-field"
+                                    value={extensionDays[loan.id] || '14'}
+                                    onChange={(e) => setExtensionDays({ ...extensionDays, [loan.id]: e.target.value })}
+                                  >
+                                    <option value="7">+7 days</option>
+                                    <option value="14">+14 days</option>
+                                    <option value="30">+30 days</option>
+                                    <option value="60">+60 days</option>
+                                    <option value="90">+90 days</option>
+                                  </select>
+                                  <span className="text-muted">Fee: {ethers.formatEther(loan.extensionFee)} ETH</span>
+                                  <button
+                                    className="btn btn-outline btn-sm"
+                                    onClick={() => handleRequestExtension(loan.id, loan.extensionFee)}
+                                    disabled={loading}
+                                  >
+                                    Request Extension
+                                  </button>
+                                </div>
                               )}
                             </div>
                           ))}
                         </div>
                       </div>
                     )}
+
+                    <ActivityFeed account={account} contracts={contracts} />
                   </>
                 )}
               </div>
@@ -627,9 +1022,11 @@ function App() {
                   <h2 className="card-title">Borrow Funds</h2>
                   <p className="text-secondary">Access uncollateralized loans based on your reputation</p>
 
+                  <AssetSelector markets={contracts.markets} selected={selectedMarket} onSelect={handleSelectMarket} disabled={loading} />
+
                   <div className="borrow-form">
                     <div className="input-group">
-                      <label className="input-label">Amount (ETH)</label>
+                      <label className="input-label">Amount ({assetSymbol})</label>
                       <input
                         type="number"
                         className="input-field"
@@ -639,7 +1036,7 @@ function App() {
                         step="0.01"
                         max={reputationData.borrowingLimit}
                       />
-                      <small className="text-muted">Maximum: {parseFloat(reputationData.borrowingLimit).toFixed(2)} ETH</small>
+                      <small className="text-muted">Maximum: {parseFloat(reputationData.borrowingLimit).toFixed(2)} {assetSymbol}</small>
                     </div>
 
                     <div className="input-group">
@@ -657,7 +1054,31 @@ function App() {
                       </select>
                     </div>
 
+                    <div className="input-group">
+                      <label className="input-label">Repayment Schedule</label>
+                      <select
+                        className="input-field"
+                        value={borrowFrequency}
+                        onChange={(e) => setBorrowFrequency(e.target.value)}
+                      >
+                        <option value="0">Single payment at maturity</option>
+                        <option value="1">Weekly installments</option>
+                        <option value="2">Monthly installments</option>
+                      </select>
+                      {borrowFrequency !== '0' && (
+                        <small className="text-muted">
+                          {Math.ceil(parseInt(borrowDuration) / (borrowFrequency === '1' ? 7 : 30))} installments. Missed installments add a 5% late fee and -15 reputation; 3 installments overdue and unpaid at once default the loan.
+                        </small>
+                      )}
+                    </div>
+
                     <div className="loan-preview">
+                      {poolStats && (
+                        <div className="preview-item">
+                          <span>Pool Utilization:</span>
+                          <span>{poolStats.utilization.toFixed(2)}%</span>
+                        </div>
+                      )}
                       <div className="preview-item">
                         <span>Interest Rate:</span>
                         <span className="gradient-text">{reputationData.interestRate}%</span>
@@ -665,7 +1086,7 @@ function App() {
                       {borrowAmount && (
                         <div className="preview-item">
                           <span>Estimated Interest:</span>
-                          <span>{(parseFloat(borrowAmount) * reputationData.interestRate / 100 * parseInt(borrowDuration) / 365).toFixed(4)} ETH</span>
+                          <span>{(parseFloat(borrowAmount) * reputationData.interestRate / 100 * parseInt(borrowDuration) / 365).toFixed(4)} {assetSymbol}</span>
                         </div>
                       )}
                     </div>
@@ -688,16 +1109,32 @@ function App() {
                   <h2 className="card-title">Provide Liquidity</h2>
                   <p className="text-secondary">Earn interest by supplying liquidity to the pool</p>
 
+                  {contracts && (
+                    <AssetSelector markets={contracts.markets} selected={selectedMarket} onSelect={handleSelectMarket} disabled={loading} />
+                  )}
+
                   {poolStats && (
                     <div className="grid grid-2 mb-4">
                       <div className="stat-card">
-                        <div className="stat-value gradient-text">{parseFloat(poolStats.totalLiquidity).toFixed(2)} ETH</div>
+                        <div className="stat-value gradient-text">{parseFloat(poolStats.totalLiquidity).toFixed(2)} {assetSymbol}</div>
                         <div className="stat-label">Total Pool Liquidity</div>
                       </div>
                       <div className="stat-card">
-                        <div className="stat-value gradient-text">{parseFloat(poolStats.userDeposited).toFixed(2)} ETH</div>
+                        <div className="stat-value gradient-text">{parseFloat(poolStats.userDeposited).toFixed(2)} {assetSymbol}</div>
                         <div className="stat-label">Your Deposited</div>
                       </div>
+                      <div className="stat-card">
+                        <div className="stat-value gradient-text">{parseFloat(poolStats.userShares).toFixed(4)}</div>
+                        <div className="stat-label">Your Pool Shares</div>
+                      </div>
+                      <div className="stat-card">
+                        <div className="stat-value gradient-text">{parseFloat(poolStats.userValue).toFixed(4)} {assetSymbol}</div>
+                        <div className="stat-label">Current Value</div>
+                      </div>
+                      <div className="stat-card">
+                        <div className="stat-value gradient-text">{parseFloat(poolStats.userEarned).toFixed(4)} {assetSymbol}</div>
+                        <div className="stat-label">Realized Yield</div>
+                      </div>
                     </div>
                   )}
 
@@ -705,7 +1142,7 @@ function App() {
                     <div className="lending-form">
                       <h3>Deposit</h3>
                       <div className="input-group">
-                        <label className="input-label">Amount (ETH)</label>
+                        <label className="input-label">Amount ({assetSymbol})</label>
                         <input
                           type="number"
                           className="input-field"
@@ -727,7 +1164,7 @@ function App() {
                     <div className="lending-form">
                       <h3>Withdraw</h3>
                       <div className="input-group">
-                        <label className="input-label">Amount (ETH)</label>
+                        <label className="input-label">Amount ({assetSymbol})</label>
                         <input
                           type="number"
                           className="input-field"
@@ -744,8 +1181,78 @@ function App() {
                       >
                         {loading ? 'Processing...' : 'Withdraw'}
                       </button>
+                      <button
+                        className="btn btn-outline"
+                        onClick={handleWithdrawAll}
+                        disabled={loading || !poolStats || parseFloat(poolStats.userShares) === 0}
+                      >
+                        Withdraw All
+                      </button>
+                      <p className="text-muted">Pool fully lent out? Queue your withdrawal and get paid as loans are repaid.</p>
+                      <button
+                        className="btn btn-outline"
+                        onClick={handleQueueWithdrawal}
+                        disabled={loading || !withdrawAmount}
+                      >
+                        Join Withdrawal Queue
+                      </button>
+                      {!activeMarket?.token && (
+                        <button
+                          className="btn btn-outline"
+                          onClick={handleRequestEmergency}
+                          disabled={loading || !withdrawAmount || (poolStats && poolStats.emergencyAmount)}
+                        >
+                          Emergency Withdrawal (7-day timelock)
+                        </button>
+                      )}
                     </div>
                   </div>
+
+                  {poolStats && poolStats.queuePosition > 0 && (
+                    <div className="withdrawal-status">
+                      <h3>Withdrawal Queue</h3>
+                      <div className="preview-item">
+                        <span>Your Position:</span>
+                        <span className="gradient-text">#{poolStats.queuePosition}</span>
+                      </div>
+                      <div className="preview-item">
+                        <span>Waiting to be Paid:</span>
+                        <span>{parseFloat(poolStats.queuedValue).toFixed(4)} {assetSymbol}</span>
+                      </div>
+                      <button className="btn btn-outline btn-sm" onClick={handleCancelQueue} disabled={loading}>
+                        Leave Queue
+                      </button>
+                    </div>
+                  )}
+
+                  {poolStats && poolStats.emergencyAmount && (
+                    <div className="withdrawal-status">
+                      <h3>Emergency Withdrawal</h3>
+                      <div className="preview-item">
+                        <span>Amount:</span>
+                        <span>{parseFloat(poolStats.emergencyAmount).toFixed(4)} ETH</span>
+                      </div>
+                      <div className="preview-item">
+                        <span>Timelock:</span>
+                        <span className="gradient-text">
+                          {emergencyCountdown > 0 ? formatCountdown(emergencyCountdown) : 'Ready'}
+                        </span>
+                      </div>
+                      <p className="text-muted">Executing applies a 50 point reputation penalty and pays you ahead of the queue.</p>
+                      <div className="withdrawal-actions">
+                        <button
+                          className="btn btn-primary btn-sm"
+                          onClick={handleExecuteEmergency}
+                          disabled={loading || emergencyCountdown > 0}
+                        >
+                          Execute
+                        </button>
+                        <button className="btn btn-outline btn-sm" onClick={handleCancelEmergency} disabled={loading}>
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -797,9 +1304,57 @@ function App() {
                       Join circles to receive vouches from trusted members and unlock better loan terms.
                     </p>
                   </div>
+
+                  <Vouches contracts={contracts} account={account} />
+
+                  <CircleGuarantees contracts={contracts} account={account} />
+
+                  <CircleDetail contracts={contracts} account={account} />
+
+                  <CreditDelegation
+                    contracts={contracts}
+                    account={account}
+                    onLoanOpened={() => loadUserData(account, contracts)}
+                  />
+
+                  <CircleManagement
+                    contracts={contracts}
+                    account={account}
+                    onChange={() => loadUserData(account, contracts)}
+                  />
                 </div>
               </div>
             )}
+
+            {activeTab === 'analytics' && reputationData && (
+              <div className="fade-in">
+                <Analytics reputationData={reputationData} contracts={contracts} account={account} />
+              </div>
+            )}
+
+            {activeTab === 'achievements' && (
+              <div className="fade-in">
+                <AchievementGallery contracts={contracts} account={account} />
+              </div>
+            )}
+
+            {activeTab === 'referrals' && reputationData && (
+              <div className="fade-in">
+                <Referrals contracts={contracts} account={account} />
+              </div>
+            )}
+
+            {activeTab === 'leaderboard' && (
+              <div className="fade-in">
+                <Leaderboard contracts={contracts} account={account} />
+              </div>
+            )}
+
+            {activeTab === 'governance' && (
+              <div className="fade-in">
+                <Governance contracts={contracts} account={account} />
+              </div>
+            )}
           </>
         )}
       </main>
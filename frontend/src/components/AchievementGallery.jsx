@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import './AchievementGallery.css';
+
+const LEVEL_NAMES = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
+const TIER_NAMES = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
+
+// Order matches AchievementBadges.Metric
+const METRICS = [
+    { icon: '💰', format: (value) => `${value} loans` },
+    { icon: '✅', format: (value) => `${value} repaid` },
+    { icon: '⚡', format: (value) => `${value} early` },
+    { icon: '🤝', format: (value) => `${value} circles` },
+    { icon: '👍', format: (value) => `${value} vouches` },
+    { icon: '💎', format: (value) => TIER_NAMES[Number(value)] },
+    { icon: '🏦', format: (value) => `${parseFloat(ethers.formatEther(value)).toFixed(2)} ETH` },
+];
+
+// Badge image embedded in the token's on-chain metadata
+const getBadgeImage = async (achievementBadges, tokenId) => {
+    const uri = await achievementBadges.tokenURI(tokenId);
+    const metadata = JSON.parse(atob(uri.split(',')[1]));
+    return metadata.image;
+};
+
+const fetchGallery = async (achievementBadges, account) => {
+    const count = Number(await achievementBadges.getAchievementCount());
+    const progress = await Promise.all(METRICS.map((_, metric) => achievementBadges.progress(account, metric)));
+
+    const achievements = await Promise.all(Array.from({ length: count }, async (_, id) => {
+        const [achievement, level, tokenId] = await Promise.all([
+            achievementBadges.getAchievement(id),
+            achievementBadges.achievementLevel(account, id),
+            achievementBadges.achievementTokenId(account, id),
+        ]);
+        const thresholds = [...achievement.thresholds];
+        const bonuses = [...achievement.bonuses].map(Number);
+        const reached = Number(level);
+        const metric = Number(achievement.metric);
+        const current = progress[metric];
+        const next = thresholds[reached];
+
+        return {
+            id,
+            name: achievement.name,
+            description: achievement.description,
+            metric,
+            levels: thresholds.length,
+            level: reached,
+            bonus: bonuses.slice(0, reached).reduce((total, bonus) => total + bonus, 0),
+            nextBonus: bonuses[reached],
+            current,
+            next,
+            percent: next === undefined ? 100 : Math.min(100, Number((current * 100n) / next)),
+            expiresAt: Number(achievement.expiresAt) * 1000,
+            active: achievement.active,
+            image: reached > 0 ? await getBadgeImage(achievementBadges, tokenId) : null,
+        };
+    }));
+
+    return { achievements, loadedAt: Date.now() };
+};
+
+function AchievementGallery({ contracts, account }) {
+    const [data, setData] = useState(null);
+    const [filter, setFilter] = useState('all');
+
+    useEffect(() => {
+        if (!contracts?.achievementBadges || !account) return;
+
+        let cancelled = false;
+        fetchGallery(contracts.achievementBadges, account)
+            .then((result) => {
+                if (!cancelled) setData(result);
+            })
+            .catch((error) => console.error('Error loading achievements:', error));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [contracts, account]);
+
+    if (!data) {
+        return <div className="glass-card text-center">Loading achievements...</div>;
+    }
+
+    const isAvailable = (achievement) => (
+        achievement.active && (achievement.expiresAt === 0 || achievement.expiresAt > data.loadedAt)
+    );
+    const unlockedCount = data.achievements.filter((achievement) => achievement.level > 0).length;
+    const visible = data.achievements.filter((achievement) => {
+        if (filter === 'unlocked') return achievement.level > 0;
+        if (filter === 'locked') return achievement.level === 0;
+        return true;
+    });
+
+    return (
+        <div className="gallery-container">
+            <div className="gallery-header">
+                <h2 className="gradient-text">🏅 Achievements</h2>
+                <p className="text-secondary">
+                    {unlockedCount} of {data.achievements.length} unlocked
+                </p>
+            </div>
+
+            <div className="gallery-filters">
+                {['all', 'unlocked', 'locked'].map((value) => (
+                    <button
+                        key={value}
+                        className={`btn ${filter === value ? 'btn-primary' : 'btn-outline'}`}
+                        onClick={() => setFilter(value)}
+                    >
+                        {value.charAt(0).toUpperCase() + value.slice(1)}
+                    </button>
+                ))}
+            </div>
+
+            <div className="gallery-grid">
+                {visible.map((achievement) => {
+                    const { format, icon } = METRICS[achievement.metric];
+                    const complete = achievement.next === undefined;
+
+                    return (
+                        <div
+                            key={achievement.id}
+                            className={`badge-card glass-card ${achievement.level > 0 ? 'badge-unlocked' : 'badge-locked'}`}
+                        >
+                            {achievement.image ? (
+                                <img className="badge-image" src={achievement.image} alt={achievement.name} />
+                            ) : (
+                                <div className="badge-placeholder">{icon}</div>
+                            )}
+
+                            <h4>{achievement.name}</h4>
+                            <p className="badge-description">{achievement.description}</p>
+
+                            {achievement.levels > 1 && (
+                                <div className="badge-levels">
+                                    {LEVEL_NAMES.slice(0, achievement.levels).map((name, index) => (
+                                        <span
+                                            key={name}
+                                            className={`badge-level ${index < achievement.level ? 'badge-level-reached' : ''}`}
+                                        >
+                                            {name}
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+
+                            {!complete && isAvailable(achievement) && (
+                                <div className="badge-progress">
+                                    <div className="badge-progress-bar">
+                                        <div className="badge-progress-fill" style={{ width: `${achievement.percent}%` }}></div>
+                                    </div>
+                                    <span className="badge-progress-label">
+                                        {format(achievement.current)} / {format(achievement.next)} · +{achievement.nextBonus} rep
+                                    </span>
+                                </div>
+                            )}
+
+                            <div className="badge-footer">
+                                {achievement.level > 0 && <span className="badge-bonus">+{achievement.bonus} rep earned</span>}
+                                {complete && <span className="badge-status badge-status-complete">Complete</span>}
+                                {!complete && !achievement.active && <span className="badge-status">Retired</span>}
+                                {!complete && achievement.active && !isAvailable(achievement) && (
+                                    <span className="badge-status">Expired</span>
+                                )}
+                                {!complete && isAvailable(achievement) && achievement.expiresAt > 0 && (
+                                    <span className="badge-status">
+                                        Ends {new Date(achievement.expiresAt).toLocaleDateString()}
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+export default AchievementGallery;
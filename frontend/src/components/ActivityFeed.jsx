@@ -1,65 +1,232 @@
 import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
 import './ActivityFeed.css';
 
+const PAGE_SIZE = 10;
+
+// Activity types shown by each filter button
+const FILTER_TYPES = {
+    all: null,
+    loans: ['borrow', 'repay', 'default'],
+    social: ['circle', 'vouch', 'referral'],
+    achievements: ['achievement'],
+};
+
+const LEVEL_NAMES = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
+
+// Achievement details from the on-chain catalog, fetched once per achievement
+const achievementCatalog = new Map();
+const getAchievementInfo = (achievementBadges, achievementId) => {
+    const key = achievementId.toString();
+    if (!achievementCatalog.has(key)) {
+        achievementCatalog.set(key, achievementBadges.getAchievement(achievementId).then((achievement) => ({
+            name: achievement.name,
+            tiered: achievement.thresholds.length > 1
+        })));
+    }
+    return achievementCatalog.get(key);
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+const formatEth = (wei) => `${parseFloat(ethers.formatEther(wei)).toFixed(4)} ETH`;
+
+// Event filters for everything involving the account, grouped by activity type
+const getActivitySources = (contracts, account) => {
+    const { lendingPool, trustCircle, achievementBadges, referralSystem } = contracts;
+
+    const sources = [
+        { type: 'borrow', contract: lendingPool, filter: lendingPool.filters.LoanRequested(null, account) },
+        { type: 'repay', contract: lendingPool, filter: lendingPool.filters.LoanRepaid(null, account) },
+        { type: 'default', contract: lendingPool, filter: lendingPool.filters.LoanDefaulted(null, account) },
+        { type: 'circle', contract: trustCircle, filter: trustCircle.filters.CircleCreated(null, account) },
+        { type: 'circle', contract: trustCircle, filter: trustCircle.filters.MemberJoined(null, account) },
+        { type: 'vouch', contract: trustCircle, filter: trustCircle.filters.MemberVouched(null, account) },
+        { type: 'vouch', contract: trustCircle, filter: trustCircle.filters.MemberVouched(null, null, account) },
+    ];
+
+    if (achievementBadges) {
+        sources.push({ type: 'achievement', contract: achievementBadges, filter: achievementBadges.filters.AchievementUnlocked(account) });
+    }
+
+    if (referralSystem) {
+        sources.push(
+            { type: 'referral', contract: referralSystem, filter: referralSystem.filters.ReferralRewardClaimed(account) },
+            { type: 'referral', contract: referralSystem, filter: referralSystem.filters.ReferralRewardClaimed(null, account) },
+            { type: 'referral', contract: referralSystem, filter: referralSystem.filters.MilestoneReached(account) }
+        );
+    }
+
+    return sources;
+};
+
+// Turn a decoded event log into a feed entry
+const toActivity = (type, log, timestamp, account, achievement) => {
+    const { args } = log;
+    const activity = {
+        id: `${log.transactionHash}-${log.index}`,
+        type,
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        timestamp,
+        status: 'completed',
+    };
+
+    switch (log.eventName) {
+        case 'LoanRequested':
+            return {
+                ...activity,
+                loanId: args.loanId.toString(),
+                amount: formatEth(args.amount),
+                status: 'active',
+                description: `Borrowed at ${(Number(args.rate) / 100).toFixed(2)}% APR (loan #${args.loanId})`
+            };
+        case 'LoanRepaid':
+            return {
+                ...activity,
+                loanId: args.loanId.toString(),
+                amount: formatEth(args.amount),
+                description: `Repaid loan #${args.loanId}${args.early ? ' early' : ''}`
+            };
+        case 'LoanDefaulted':
+            return {
+                ...activity,
+                loanId: args.loanId.toString(),
+                amount: formatEth(args.amountOwed),
+                status: 'failed',
+                description: `Loan #${args.loanId} defaulted`
+            };
+        case 'CircleCreated':
+            return { ...activity, description: `Created "${args.name}" trust circle` };
+        case 'MemberJoined':
+            return { ...activity, description: `Joined trust circle #${args.circleId}` };
+        case 'MemberVouched':
+            return {
+                ...activity,
+                description: args.voucher.toLowerCase() === account.toLowerCase()
+                    ? `Vouched for ${shortAddress(args.member)}`
+                    : `Received vouch from ${shortAddress(args.voucher)}`
+            };
+        case 'AchievementUnlocked':
+            return {
+                ...activity,
+                description: achievement.tiered
+                    ? `Reached ${LEVEL_NAMES[Number(args.level) - 1]} in "${achievement.name}"`
+                    : `Unlocked "${achievement.name}" achievement`
+            };
+        case 'ReferralRewardClaimed':
+            return args.referrer.toLowerCase() === account.toLowerCase()
+                ? { ...activity, description: `+${args.referrerBonus} reputation for referring ${shortAddress(args.referred)}` }
+                : { ...activity, description: `+${args.referredBonus} reputation for joining through a referral` };
+        case 'MilestoneReached':
+            return { ...activity, description: `Referral milestone: ${args.totalReferrals} referrals (+${args.bonus} reputation)` };
+        default:
+            return { ...activity, description: log.eventName };
+    }
+};
+
+// Mark borrows as repaid or defaulted once their loan closes
+const withLoanStatus = (activities) => {
+    const closed = new Map();
+    for (const activity of activities) {
+        if (activity.type === 'repay') closed.set(activity.loanId, 'completed');
+        if (activity.type === 'default') closed.set(activity.loanId, 'failed');
+    }
+    return activities.map((activity) => (
+        activity.type === 'borrow' && closed.has(activity.loanId)
+            ? { ...activity, status: closed.get(activity.loanId) }
+            : activity
+    ));
+};
+
+// Newest first, and drop duplicates delivered by both history and live events
+const mergeActivities = (current, incoming) => {
+    const byId = new Map(current.map((activity) => [activity.id, activity]));
+    for (const activity of incoming) byId.set(activity.id, activity);
+    const merged = [...byId.values()].sort((a, b) => (
+        b.blockNumber - a.blockNumber || b.logIndex - a.logIndex
+    ));
+    return withLoanStatus(merged);
+};
+
+const getBlockTimestamp = async (log) => (await log.getBlock()).timestamp * 1000;
+
+// Resolve the block timestamp and, for badges, the catalog entry of a log
+const describeLog = async (type, log, contracts, account, getTimestamp) => {
+    const achievement = log.eventName === 'AchievementUnlocked'
+        ? await getAchievementInfo(contracts.achievementBadges, log.args.achievementId)
+        : null;
+    return toActivity(type, log, await getTimestamp(log), account, achievement);
+};
+
+// Load the full history for an account
+const fetchActivities = async (contracts, account) => {
+    const sources = getActivitySources(contracts, account);
+    const blockTimes = new Map();
+    const getTimestamp = (log) => {
+        if (!blockTimes.has(log.blockNumber)) {
+            blockTimes.set(log.blockNumber, log.getBlock().then((block) => block.timestamp * 1000));
+        }
+        return blockTimes.get(log.blockNumber);
+    };
+
+    const results = await Promise.all(sources.map(async ({ type, contract, filter }) => {
+        const logs = await contract.queryFilter(filter);
+        return Promise.all(logs.map((log) => describeLog(type, log, contracts, account, getTimestamp)));
+    }));
+
+    return mergeActivities([], results.flat());
+};
+
 function ActivityFeed({ account, contracts }) {
     const [activities, setActivities] = useState([]);
     const [filter, setFilter] = useState('all');
+    const [page, setPage] = useState(0);
+    const [now, setNow] = useState(() => Date.now());
 
     useEffect(() => {
-        loadActivities();
-    }, [account, filter]);
-
-    const loadActivities = () => {
-        const mockActivities = [
-            {
-                id: 1,
-                type: 'borrow',
-                amount: '0.5 ETH',
-                timestamp: Date.now() - 3600000,
-                status: 'completed',
-                description: 'Borrowed 0.5 ETH at 5% APR'
-            },
-            {
-                id: 2,
-                type: 'repay',
-                amount: '0.52 ETH',
-                timestamp: Date.now() - 7200000,
-                status: 'completed',
-                description: 'Repaid loan with interest'
-            },
-            {
-                id: 3,
-                type: 'circle',
-                timestamp: Date.now() - 86400000,
-                status: 'completed',
-                description: 'Joined "DeFi Enthusiasts" trust circle'
-            },
-            {
-                id: 4,
-                type: 'achievement',
-                timestamp: Date.now() - 172800000,
-                status: 'completed',
-                description: 'Unlocked "First Repayment" achievement (+30 reputation)'
-            },
-            {
-                id: 5,
-                type: 'vouch',
-                timestamp: Date.now() - 259200000,
-                status: 'completed',
-                description: 'Received vouch from 0x789...def'
-            },
-        ];
-
-        setActivities(mockActivities);
-    };
+        if (!contracts?.lendingPool || !account) return;
+
+        let cancelled = false;
+        fetchActivities(contracts, account)
+            .then((history) => {
+                if (!cancelled) setActivities((current) => mergeActivities(current, history));
+            })
+            .catch((error) => console.error('Error loading activity:', error));
+
+        // Live updates for new events
+        const sources = getActivitySources(contracts, account);
+        const listeners = sources.map(({ type, contract, filter: eventFilter }) => {
+            const listener = async (...eventArgs) => {
+                const { log } = eventArgs[eventArgs.length - 1];
+                const activity = await describeLog(type, log, contracts, account, getBlockTimestamp);
+                setActivities((current) => mergeActivities(current, [activity]));
+            };
+            contract.on(eventFilter, listener);
+            return { contract, eventFilter, listener };
+        });
+
+        return () => {
+            cancelled = true;
+            listeners.forEach(({ contract, eventFilter, listener }) => contract.off(eventFilter, listener));
+        };
+    }, [account, contracts]);
+
+    // Keep relative timestamps fresh
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 30000);
+        return () => clearInterval(interval);
+    }, []);
 
     const getActivityIcon = (type) => {
         switch (type) {
             case 'borrow': return '💰';
             case 'repay': return '✅';
+            case 'default': return '⚠️';
             case 'circle': return '🤝';
             case 'achievement': return '🏆';
             case 'vouch': return '👍';
+            case 'referral': return '🎁';
             default: return '📌';
         }
     };
@@ -68,21 +235,33 @@ function ActivityFeed({ account, contracts }) {
         switch (type) {
             case 'borrow': return 'var(--secondary)';
             case 'repay': return 'var(--success)';
+            case 'default': return 'var(--error)';
             case 'circle': return 'var(--primary)';
             case 'achievement': return 'var(--accent)';
             case 'vouch': return 'var(--primary-light)';
+            case 'referral': return 'var(--secondary-light)';
             default: return 'var(--text-secondary)';
         }
     };
 
     const formatTimestamp = (timestamp) => {
-        const seconds = Math.floor((Date.now() - timestamp) / 1000);
+        const seconds = Math.max(0, Math.floor((now - timestamp) / 1000));
         if (seconds < 60) return 'Just now';
         if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
         if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
         return `${Math.floor(seconds / 86400)}d ago`;
     };
 
+    const changeFilter = (value) => {
+        setFilter(value);
+        setPage(0);
+    };
+
+    const types = FILTER_TYPES[filter];
+    const filtered = types ? activities.filter((activity) => types.includes(activity.type)) : activities;
+    const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+    const visible = filtered.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
     return (
         <div className="activity-feed-container">
             <div className="activity-header">
@@ -90,27 +269,36 @@ function ActivityFeed({ account, contracts }) {
                 <div className="activity-filters">
                     <button
                         className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
-                        onClick={() => setFilter('all')}
+                        onClick={() => changeFilter('all')}
                     >
                         All
                     </button>
                     <button
                         className={`filter-btn ${filter === 'loans' ? 'active' : ''}`}
-                        onClick={() => setFilter('loans')}
+                        onClick={() => changeFilter('loans')}
                     >
                         Loans
                     </button>
                     <button
                         className={`filter-btn ${filter === 'social' ? 'active' : ''}`}
-                        onClick={() => setFilter('social')}
+                        onClick={() => changeFilter('social')}
                     >
                         Social
                     </button>
+                    <button
+                        className={`filter-btn ${filter === 'achievements' ? 'active' : ''}`}
+                        onClick={() => changeFilter('achievements')}
+                    >
+                        Achievements
+                    </button>
                 </div>
             </div>
 
             <div className="activity-list">
-                {activities.map((activity) => (
+                {visible.length === 0 && (
+                    <p className="activity-empty">No activity yet</p>
+                )}
+                {visible.map((activity) => (
                     <div key={activity.id} className="activity-item slide-in">
                         <div className="activity-icon" style={{ color: getActivityColor(activity.type) }}>
                             {getActivityIcon(activity.type)}
@@ -120,14 +308,44 @@ function ActivityFeed({ account, contracts }) {
                             {activity.amount && (
                                 <span className="activity-amount">{activity.amount}</span>
                             )}
-                            <span className="activity-time">{formatTimestamp(activity.timestamp)}</span>
+                            <span className="activity-time">
+                                {formatTimestamp(activity.timestamp)} •{' '}
+                                <a
+                                    href={`https://sepolia.etherscan.io/tx/${activity.txHash}`}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    title={activity.txHash}
+                                >
+                                    {shortAddress(activity.txHash)}
+                                </a>
+                            </span>
                         </div>
-                        <div className="activity-status">
+                        <div className="activity-status" title={activity.status}>
                             <span className={`status-indicator ${activity.status}`}></span>
                         </div>
                     </div>
                 ))}
             </div>
+
+            {pageCount > 1 && (
+                <div className="activity-pagination">
+                    <button
+                        className="filter-btn"
+                        onClick={() => setPage(page - 1)}
+                        disabled={page === 0}
+                    >
+                        ← Newer
+                    </button>
+                    <span className="activity-time">Page {page + 1} of {pageCount}</span>
+                    <button
+                        className="filter-btn"
+                        onClick={() => setPage(page + 1)}
+                        disabled={page >= pageCount - 1}
+                    >
+                        Older →
+                    </button>
+                </div>
+            )}
         </div>
     );
 }
@@ -1,64 +1,335 @@
 import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
 import './Analytics.css';
 
-function Analytics({ reputationData, poolStats }) {
-    const [chartData, setChartData] = useState([]);
+const DAY = 24 * 60 * 60 * 1000;
+
+const TIME_RANGES = [
+    { key: '7d', label: '7D', duration: 7 * DAY },
+    { key: '30d', label: '30D', duration: 30 * DAY },
+    { key: '90d', label: '90D', duration: 90 * DAY },
+    { key: 'all', label: 'All', duration: Infinity },
+];
+
+// Order matches ReputationNFT.ReputationReason
+const REASON_LABELS = [
+    'Manual adjustment', 'Borrowing', 'Repayment', 'Circle join', 'Vouch', 'Achievement',
+    'Referral', 'Default', 'Default slash', 'Extension penalty', 'Emergency withdrawal',
+    'Missed installment', 'Missed contribution', 'Delegated default', 'Decay', 'Rehabilitation'
+];
+
+// Days ahead the score projection covers, one point per decay period
+const PROJECTION_DAYS = Array.from({ length: 13 }, (_, index) => index * 30);
+
+const POOL_METRICS = [
+    { key: 'liquidity', label: 'Liquidity', format: (value) => `${value.toFixed(2)} ETH` },
+    { key: 'borrowed', label: 'Borrowed', format: (value) => `${value.toFixed(2)} ETH` },
+    { key: 'utilization', label: 'Utilization', format: (value) => `${value.toFixed(1)}%` },
+    { key: 'defaultRate', label: 'Default Rate', format: (value) => `${value.toFixed(1)}%` },
+];
+
+// Most bars the reputation chart shows at once
+const MAX_BARS = 12;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Resolve block timestamps once per block
+const withTimestamps = async (logs) => {
+    const blockTimes = new Map();
+    return Promise.all(logs.map(async (log) => {
+        if (!blockTimes.has(log.blockNumber)) {
+            blockTimes.set(log.blockNumber, log.getBlock().then((block) => block.timestamp * 1000));
+        }
+        return { log, timestamp: await blockTimes.get(log.blockNumber) };
+    }));
+};
+
+// Rebuild a user's reputation timeline from mint and update events
+const fetchReputationHistory = async (contracts, account) => {
+    const { reputationNFT } = contracts;
+    const tokenId = await reputationNFT.userToTokenId(account);
+    if (tokenId === 0n) return [];
+
+    const [minted, updates] = await Promise.all([
+        reputationNFT.queryFilter(reputationNFT.filters.ReputationMinted(account)),
+        reputationNFT.queryFilter(reputationNFT.filters.ReputationUpdated(tokenId)),
+    ]);
+
+    const entries = await withTimestamps([...minted, ...updates]);
+    return entries
+        .sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index)
+        .map(({ log, timestamp }) => (
+            log.eventName === 'ReputationMinted'
+                ? { timestamp, score: 100, delta: 100, reason: null }
+                : {
+                    timestamp,
+                    score: Number(log.args.newScore),
+                    delta: Number(log.args.delta),
+                    reason: Number(log.args.reason)
+                }
+        ));
+};
+
+// Pool totals after every liquidity-changing transaction
+const fetchPoolHistory = async (contracts) => {
+    const { lendingPool } = contracts;
+    const logs = await lendingPool.queryFilter(lendingPool.filters.PoolStateUpdated());
+    const entries = await withTimestamps(logs);
+
+    return entries.map(({ log, timestamp }) => {
+        const liquidity = parseFloat(ethers.formatEther(log.args.totalLiquidity));
+        const borrowed = parseFloat(ethers.formatEther(log.args.totalBorrowed));
+        const loansIssued = Number(log.args.loansIssued);
+        return {
+            timestamp,
+            liquidity,
+            borrowed,
+            utilization: liquidity > 0 ? (borrowed / liquidity) * 100 : 0,
+            defaultRate: loansIssued > 0 ? (Number(log.args.loansDefaulted) / loansIssued) * 100 : 0,
+        };
+    });
+};
+
+// Effective score over the coming year if the user stays inactive, from chain time
+const fetchProjection = async (contracts, account) => {
+    const { reputationNFT } = contracts;
+    const tokenId = await reputationNFT.userToTokenId(account);
+    if (tokenId === 0n) return null;
+
+    const [latest, model, rehab] = await Promise.all([
+        reputationNFT.runner.provider.getBlock('latest'),
+        reputationNFT.decayModel(),
+        reputationNFT.rehabilitation(tokenId),
+    ]);
+    const points = await Promise.all(PROJECTION_DAYS.map(async (days) => {
+        const timestamp = latest.timestamp + days * 24 * 60 * 60;
+        const score = await reputationNFT.getProjectedScore(account, timestamp);
+        return { timestamp: timestamp * 1000, value: Number(score) };
+    }));
+
+    return {
+        points,
+        baseline: Number(model.baseline),
+        graceDays: Number(model.gracePeriod) / (24 * 60 * 60),
+        decayPerPeriod: Number(model.decayPerPeriod),
+        recoveryPerPeriod: Number(model.recoveryPerPeriod),
+        rehabStreak: Number(model.rehabStreak),
+        penaltyBalance: Number(rehab.penaltyBalance),
+        cleanStreak: Number(rehab.cleanStreak),
+        recovering: rehab.recoveringSince !== 0n,
+    };
+};
+
+const fetchAnalytics = async (contracts, account) => {
+    const [reputation, pool, projection] = await Promise.all([
+        fetchReputationHistory(contracts, account),
+        fetchPoolHistory(contracts),
+        fetchProjection(contracts, account),
+    ]);
+    return { reputation, pool, projection, loadedAt: Date.now() };
+};
+
+// Minimal SVG line chart for a single series
+function LineChart({ points, format }) {
+    if (points.length === 0) {
+        return <p className="chart-empty">No pool activity in this range</p>;
+    }
+
+    const width = 600;
+    const height = 200;
+    const values = points.map((point) => point.value);
+    const max = Math.max(...values, 0) || 1;
+    const first = points[0].timestamp;
+    const span = points[points.length - 1].timestamp - first || 1;
+
+    const coordinates = points.map((point) => {
+        const x = points.length === 1 ? width / 2 : ((point.timestamp - first) / span) * width;
+        const y = height - (point.value / max) * height;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    return (
+        <div className="line-chart">
+            <div className="line-chart-scale">
+                <span>{format(max)}</span>
+                <span>{format(0)}</span>
+            </div>
+            <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+                <polygon className="line-chart-area" points={`0,${height} ${coordinates.join(' ')} ${width},${height}`} />
+                <polyline className="line-chart-line" points={coordinates.join(' ')} />
+            </svg>
+            <div className="line-chart-axis">
+                <span>{formatDate(first)}</span>
+                <span>{formatDate(points[points.length - 1].timestamp)}</span>
+            </div>
+        </div>
+    );
+}
+
+function Analytics({ reputationData, contracts, account }) {
+    const [data, setData] = useState(null);
+    const [range, setRange] = useState('30d');
+    const [poolMetric, setPoolMetric] = useState('liquidity');
 
     useEffect(() => {
-        const mockHistory = [
-            { date: 'Jan 10', score: 100 },
-            { date: 'Jan 12', score: 150 },
-            { date: 'Jan 14', score: 180 },
-            { date: 'Jan 16', score: 220 },
-            { date: 'Jan 18', score: 200 },
-            { date: 'Today', score: reputationData?.score || 250 },
-        ];
-        setChartData(mockHistory);
-    }, [reputationData]);
-
-    const maxScore = Math.max(...chartData.map(d => d.score), 100);
+        if (!contracts?.reputationNFT || !account) return;
+
+        let cancelled = false;
+        fetchAnalytics(contracts, account)
+            .then((result) => {
+                if (!cancelled) setData(result);
+            })
+            .catch((error) => console.error('Error loading analytics:', error));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [contracts, account, reputationData]);
+
+    const { duration } = TIME_RANGES.find((option) => option.key === range);
+    const since = data ? data.loadedAt - duration : 0;
+    const reputationHistory = data ? data.reputation.filter((entry) => entry.timestamp >= since) : [];
+    const poolHistory = data ? data.pool.filter((entry) => entry.timestamp >= since) : [];
+    const chartData = reputationHistory.slice(-MAX_BARS);
+
+    // Score change within the range, against the last score before it
+    const before = data ? data.reputation.filter((entry) => entry.timestamp < since) : [];
+    const startScore = before.length > 0 ? before[before.length - 1].score : 0;
+    const endScore = reputationHistory.length > 0 ? reputationHistory[reputationHistory.length - 1].score : startScore;
+    const scoreChange = endScore - startScore;
+
+    // Net reputation change per cause within the range
+    const reasonTotals = new Map();
+    for (const entry of reputationHistory) {
+        if (entry.reason === null) continue;
+        reasonTotals.set(entry.reason, (reasonTotals.get(entry.reason) || 0) + entry.delta);
+    }
+
+    const metric = POOL_METRICS.find((option) => option.key === poolMetric);
+    const linePoints = poolHistory.map((entry) => ({ timestamp: entry.timestamp, value: entry[poolMetric] }));
+    const rangeLabel = range === 'all' ? 'all time' : `last ${range.toUpperCase()}`;
+    const projection = data?.projection;
+    const projectedScore = projection ? projection.points[projection.points.length - 1].value : 0;
 
     return (
         <div className="analytics-container">
             <h3 className="analytics-title">📊 Analytics Dashboard</h3>
 
+            <div className="range-selector">
+                {TIME_RANGES.map((option) => (
+                    <button
+                        key={option.key}
+                        className={`range-btn ${range === option.key ? 'active' : ''}`}
+                        onClick={() => setRange(option.key)}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
             <div className="chart-container glass-card">
                 <h4>Reputation History</h4>
-                <div className="chart">
-                    <div className="chart-grid">
-                        {[1000, 750, 500, 250, 0].map(value => (
-                            <div key={value} className="grid-line">
-                                <span className="grid-label">{value}</span>
+                {!data ? (
+                    <p className="chart-empty">Loading history...</p>
+                ) : chartData.length === 0 ? (
+                    <p className="chart-empty">No reputation changes in this range</p>
+                ) : (
+                    <div className="chart">
+                        <div className="chart-grid">
+                            {[1000, 750, 500, 250, 0].map(value => (
+                                <div key={value} className="grid-line">
+                                    <span className="grid-label">{value}</span>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="chart-bars">
+                            {chartData.map((entry, index) => {
+                                const height = (entry.score / 1000) * 100;
+                                const cause = entry.reason === null ? 'Minted' : REASON_LABELS[entry.reason];
+                                return (
+                                    <div key={index} className="bar-container">
+                                        <div
+                                            className="bar"
+                                            style={{ height: `${height}%` }}
+                                            data-value={entry.score}
+                                            title={`${cause}: ${entry.delta > 0 ? '+' : ''}${entry.delta}`}
+                                        >
+                                            <div className={`bar-fill ${entry.delta < 0 ? 'bar-fill-negative' : ''}`}></div>
+                                        </div>
+                                        <span className="bar-label">{formatDate(entry.timestamp)}</span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
+
+                {reasonTotals.size > 0 && (
+                    <div className="reason-list">
+                        {[...reasonTotals.entries()].map(([reason, total]) => (
+                            <div key={reason} className="reason-item">
+                                <span>{REASON_LABELS[reason]}</span>
+                                <span className={total >= 0 ? 'metric-change positive' : 'metric-change negative'}>
+                                    {total > 0 ? '+' : ''}{total}
+                                </span>
                             </div>
                         ))}
                     </div>
-                    <div className="chart-bars">
-                        {chartData.map((data, index) => {
-                            const height = (data.score / 1000) * 100;
-                            return (
-                                <div key={index} className="bar-container">
-                                    <div
-                                        className="bar"
-                                        style={{ height: `${height}%` }}
-                                        data-value={data.score}
-                                    >
-                                        <div className="bar-fill"></div>
-                                    </div>
-                                    <span className="bar-label">{data.date}</span>
-                                </div>
-                            );
-                        })}
+                )}
+            </div>
+
+            <div className="chart-container glass-card">
+                <div className="chart-header">
+                    <h4>Pool Activity</h4>
+                    <div className="range-selector">
+                        {POOL_METRICS.map((option) => (
+                            <button
+                                key={option.key}
+                                className={`range-btn ${poolMetric === option.key ? 'active' : ''}`}
+                                onClick={() => setPoolMetric(option.key)}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
                     </div>
                 </div>
+                <LineChart points={linePoints} format={metric.format} />
             </div>
 
+            {projection && (
+                <div className="chart-container glass-card">
+                    <div className="chart-header">
+                        <h4>Projected Reputation</h4>
+                        <span className={`metric-change ${projectedScore >= projection.points[0].value ? 'positive' : 'negative'}`}>
+                            {projectedScore} in 12 months
+                        </span>
+                    </div>
+                    <LineChart points={projection.points} format={(value) => value.toFixed(0)} />
+                    <div className="projection-notes">
+                        <p>
+                            Scores above {projection.baseline} lose {projection.decayPerPeriod} points
+                            every 30 days after {projection.graceDays} days without activity.
+                        </p>
+                        {projection.penaltyBalance > 0 && (
+                            <p>
+                                {projection.recovering
+                                    ? `Recovering ${projection.penaltyBalance} penalty points at ${projection.recoveryPerPeriod} every 30 days.`
+                                    : `${projection.penaltyBalance} penalty points start recovering after ${projection.rehabStreak} clean repayments (${projection.cleanStreak} so far).`}
+                            </p>
+                        )}
+                    </div>
+                </div>
+            )}
+
             <div className="metrics-grid">
                 <div className="metric-card glass-card">
                     <div className="metric-icon">💎</div>
                     <div className="metric-content">
                         <span className="metric-value">{reputationData?.score || 0}</span>
                         <span className="metric-label">Current Reputation</span>
-                        <span className="metric-change positive">+{Math.floor(Math.random() * 50)} this week</span>
+                        <span className={`metric-change ${scoreChange >= 0 ? 'positive' : 'negative'}`}>
+                            {scoreChange >= 0 ? '+' : ''}{scoreChange} {rangeLabel}
+                        </span>
                     </div>
                 </div>
 
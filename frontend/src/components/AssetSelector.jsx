@@ -0,0 +1,26 @@
+import './AssetSelector.css';
+
+// Pick which pool the Borrow and Lend forms act on
+function AssetSelector({ markets, selected, onSelect, disabled }) {
+    if (markets.length < 2) return null;
+
+    return (
+        <div className="asset-selector">
+            <span className="input-label">Asset</span>
+            <div className="asset-options">
+                {markets.map((market) => (
+                    <button
+                        key={market.key}
+                        className={`asset-option ${market.key === selected ? 'asset-option-active' : ''}`}
+                        onClick={() => onSelect(market.key)}
+                        disabled={disabled}
+                    >
+                        {market.symbol}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default AssetSelector;
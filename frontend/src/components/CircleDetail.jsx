@@ -0,0 +1,410 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import './CircleDetail.css';
+
+// Order matches TrustCircle.PayoutOrder
+const PAYOUT_ORDERS = ['Fixed', 'Random', 'Bid'];
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const formatEth = (value) => parseFloat(ethers.formatEther(value)).toFixed(4);
+
+const formatDate = (timestamp) => new Date(Number(timestamp) * 1000).toLocaleString();
+
+// Load the savings rotation of a circle, round by round
+const fetchRosca = async (trustCircle, roscaId, account) => {
+    const rosca = await trustCircle.roscas(roscaId);
+    const [participants, recipients] = await trustCircle.getRoscaMembers(roscaId);
+    const currentRound = Number(rosca.currentRound);
+    const payoutOrder = Number(rosca.payoutOrder);
+
+    const rounds = await Promise.all(participants.map(async (_, round) => {
+        const started = round < currentRound || (round === currentRound && rosca.active);
+        const [, paid] = started
+            ? await trustCircle.getRoundContributions(roscaId, round)
+            : [[], participants.map(() => false)];
+
+        return {
+            index: round,
+            closed: round < currentRound,
+            open: round === currentRound && rosca.active,
+            // Bid rounds only have a recipient once they close
+            recipient: recipients[round] || null,
+            paid
+        };
+    }));
+
+    const deadline = Number(await trustCircle.getRoundDeadline(roscaId));
+
+    return {
+        id: Number(roscaId),
+        contribution: rosca.contribution,
+        roundLength: Number(rosca.roundLength),
+        payoutOrder,
+        active: rosca.active,
+        currentRound,
+        highestBid: rosca.highestBid,
+        participants,
+        rounds,
+        deadline,
+        roundOver: deadline * 1000 <= Date.now(),
+        nextRecipient: await trustCircle.getNextRecipient(roscaId),
+        isParticipant: participants.some((member) => member.toLowerCase() === account.toLowerCase()),
+        hasReceived: await trustCircle.hasReceivedPot(roscaId, account),
+        missed: Number(await trustCircle.missedContributions(roscaId, account))
+    };
+};
+
+// Load every circle the user belongs to with its savings rotation
+const fetchCircleDetails = async (trustCircle, account) => {
+    const circleIds = await trustCircle.getUserCircles(account);
+
+    const circles = await Promise.all(circleIds.map(async (id) => {
+        const circle = await trustCircle.circles(id);
+        const roscaId = await trustCircle.circleRosca(id);
+
+        return {
+            id: Number(id),
+            name: circle.name,
+            creator: circle.creator,
+            active: circle.active,
+            members: await trustCircle.getCircleMembers(id),
+            rosca: roscaId > 0n ? await fetchRosca(trustCircle, roscaId, account) : null
+        };
+    }));
+
+    return {
+        circles,
+        savingsBalance: await trustCircle.savingsBalances(account)
+    };
+};
+
+function CircleDetail({ contracts, account }) {
+    const [data, setData] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [contribution, setContribution] = useState('');
+    const [roundDays, setRoundDays] = useState('7');
+    const [payoutOrder, setPayoutOrder] = useState('0');
+    const [bid, setBid] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const loadDetails = useCallback(async () => {
+        try {
+            setData(await fetchCircleDetails(contracts.trustCircle, account));
+        } catch (error) {
+            console.error('Error loading circle details:', error);
+        }
+    }, [contracts, account]);
+
+    useEffect(() => {
+        if (contracts?.trustCircle && account) {
+            fetchCircleDetails(contracts.trustCircle, account)
+                .then(setData)
+                .catch((error) => console.error('Error loading circle details:', error));
+        }
+    }, [contracts, account]);
+
+    const handleStart = async (circleId) => {
+        try {
+            if (!contribution || parseFloat(contribution) <= 0 || !roundDays || parseInt(roundDays) < 1) {
+                alert('Please enter a valid contribution and round length');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.trustCircle.startRosca(
+                circleId,
+                ethers.parseEther(contribution),
+                parseInt(roundDays) * DAY_SECONDS,
+                parseInt(payoutOrder)
+            );
+            await tx.wait();
+            await loadDetails();
+            setContribution('');
+            setLoading(false);
+        } catch (error) {
+            console.error('Error starting rotation:', error);
+            setLoading(false);
+            alert('Failed to start rotation: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleContribute = async (circleId, amount) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.contribute(circleId, { value: amount });
+            await tx.wait();
+            await loadDetails();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error contributing:', error);
+            setLoading(false);
+            alert('Failed to contribute: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleBid = async (circleId) => {
+        try {
+            if (!bid || parseFloat(bid) <= 0) {
+                alert('Please enter a valid discount');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.trustCircle.placeBid(circleId, ethers.parseEther(bid));
+            await tx.wait();
+            await loadDetails();
+            setBid('');
+            setLoading(false);
+        } catch (error) {
+            console.error('Error placing bid:', error);
+            setLoading(false);
+            alert('Failed to place bid: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleCloseRound = async (circleId) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.closeRound(circleId);
+            await tx.wait();
+            await loadDetails();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error closing round:', error);
+            setLoading(false);
+            alert('Failed to close round: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleWithdraw = async () => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.withdrawSavings();
+            await tx.wait();
+            await loadDetails();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error withdrawing savings:', error);
+            setLoading(false);
+            alert('Failed to withdraw savings: ' + (error.reason || error.message));
+        }
+    };
+
+    if (!data) {
+        return <div className="text-center text-secondary">Loading circle details...</div>;
+    }
+
+    if (data.circles.length === 0) {
+        return null;
+    }
+
+    const circle = data.circles.find((item) => item.id === selectedId) || data.circles[0];
+    const { rosca } = circle;
+    const isCreator = circle.creator.toLowerCase() === account.toLowerCase();
+    const label = (address) => address.toLowerCase() === account.toLowerCase() ? 'You' : shortAddress(address);
+    const openRound = rosca?.rounds.find((round) => round.open);
+    const ownIndex = rosca ? rosca.participants.findIndex((member) => member.toLowerCase() === account.toLowerCase()) : -1;
+    const hasPaid = openRound && ownIndex >= 0 && openRound.paid[ownIndex];
+
+    return (
+        <div className="circle-detail">
+            <h3>Circle Details</h3>
+
+            <div className="circle-detail-tabs">
+                {data.circles.map((item) => (
+                    <button
+                        key={item.id}
+                        className={`btn btn-sm ${item.id === circle.id ? 'btn-primary' : 'btn-outline'}`}
+                        onClick={() => setSelectedId(item.id)}
+                    >
+                        {item.name}
+                    </button>
+                ))}
+            </div>
+
+            <div className="circle-detail-card">
+                <div className="circle-detail-header">
+                    <span className="circle-detail-name">{circle.name}</span>
+                    <span className="text-secondary">{circle.members.length} members · created by {label(circle.creator)}</span>
+                </div>
+
+                <div className="circle-detail-members">
+                    {circle.members.map((member) => (
+                        <span key={member} className="circle-detail-member">{label(member)}</span>
+                    ))}
+                </div>
+
+                <h4>Savings Rotation</h4>
+                {data.savingsBalance > 0n && (
+                    <div className="savings-balance">
+                        <span>Ready to withdraw: <span className="gradient-text">{formatEth(data.savingsBalance)} ETH</span></span>
+                        <button
+                            className="btn btn-primary btn-sm"
+                            onClick={handleWithdraw}
+                            disabled={loading}
+                        >
+                            Withdraw
+                        </button>
+                    </div>
+                )}
+
+                {rosca && (
+                    <>
+                        <div className="savings-summary">
+                            <div>
+                                <span className="savings-label">Contribution</span>
+                                <span>{formatEth(rosca.contribution)} ETH / round</span>
+                            </div>
+                            <div>
+                                <span className="savings-label">Round length</span>
+                                <span>{rosca.roundLength / DAY_SECONDS} days</span>
+                            </div>
+                            <div>
+                                <span className="savings-label">Payout order</span>
+                                <span>{PAYOUT_ORDERS[rosca.payoutOrder]}</span>
+                            </div>
+                            <div>
+                                <span className="savings-label">Status</span>
+                                <span>
+                                    {rosca.active
+                                        ? `Round ${rosca.currentRound + 1} of ${rosca.participants.length}`
+                                        : 'Completed'}
+                                </span>
+                            </div>
+                        </div>
+
+                        {rosca.active && (
+                            <p className="text-secondary">
+                                {rosca.payoutOrder === 2
+                                    ? rosca.nextRecipient !== ethers.ZeroAddress
+                                        ? <>Leading bid: {label(rosca.nextRecipient)} gives up {formatEth(rosca.highestBid)} ETH. </>
+                                        : <>No bids yet. </>
+                                    : <>Next recipient: <span className="gradient-text">{label(rosca.nextRecipient)}</span>. </>}
+                                {rosca.roundOver
+                                    ? 'This round is over and can be closed.'
+                                    : `Contributions are due by ${formatDate(rosca.deadline)}.`}
+                            </p>
+                        )}
+                        {rosca.missed > 0 && (
+                            <p className="savings-missed">
+                                You missed {rosca.missed} contribution{rosca.missed > 1 ? 's' : ''} in this rotation.
+                            </p>
+                        )}
+
+                        <div className="savings-rounds">
+                            {rosca.rounds.map((round) => (
+                                <div
+                                    key={round.index}
+                                    className={`savings-round ${round.open ? 'savings-round-open' : ''} ${round.closed ? 'savings-round-closed' : ''}`}
+                                >
+                                    <div className="savings-round-header">
+                                        <span>Round {round.index + 1}</span>
+                                        <span className="text-secondary">
+                                            {round.recipient ? `Pot to ${label(round.recipient)}` : 'Recipient by bid'}
+                                        </span>
+                                    </div>
+                                    {(round.open || round.closed) && (
+                                        <div className="savings-payments">
+                                            {rosca.participants.map((member, i) => (
+                                                <span
+                                                    key={member}
+                                                    className={`savings-payment ${round.paid[i] ? 'savings-paid' : 'savings-unpaid'}`}
+                                                    title={round.paid[i] ? 'Paid' : 'Not paid'}
+                                                >
+                                                    {label(member)} {round.paid[i] ? '✓' : '✗'}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        {rosca.active && (
+                            <div className="savings-actions">
+                                {rosca.isParticipant && !rosca.roundOver && (
+                                    <button
+                                        className="btn btn-primary btn-sm"
+                                        onClick={() => handleContribute(circle.id, rosca.contribution)}
+                                        disabled={loading || hasPaid}
+                                    >
+                                        {hasPaid ? 'Paid This Round' : `Contribute ${formatEth(rosca.contribution)} ETH`}
+                                    </button>
+                                )}
+                                {rosca.payoutOrder === 2 && hasPaid && !rosca.hasReceived && !rosca.roundOver && (
+                                    <>
+                                        <input
+                                            type="number"
+                                            className="input-field"
+                                            placeholder="Discount (ETH)"
+                                            step="0.001"
+                                            value={bid}
+                                            onChange={(e) => setBid(e.target.value)}
+                                        />
+                                        <button className="btn btn-outline btn-sm" onClick={() => handleBid(circle.id)} disabled={loading}>
+                                            Place Bid
+                                        </button>
+                                    </>
+                                )}
+                                {rosca.roundOver && (
+                                    <button
+                                        className="btn btn-outline btn-sm"
+                                        onClick={() => handleCloseRound(circle.id)}
+                                        disabled={loading}
+                                    >
+                                        Close Round
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </>
+                )}
+
+                {!rosca?.active && isCreator && circle.active && (
+                    <div className="savings-start">
+                        <p className="text-secondary">
+                            Start a rotation with the current members: everyone pays in each round and one member takes
+                            the pot. Missed contributions cost the member 25 reputation and each of their vouchers 5,
+                            and a member who misses the round they were due to receive forfeits that pot to the others.
+                        </p>
+                        <div className="savings-start-fields">
+                            <input
+                                type="number"
+                                className="input-field"
+                                placeholder="Contribution (ETH)"
+                                step="0.01"
+                                value={contribution}
+                                onChange={(e) => setContribution(e.target.value)}
+                            />
+                            <input
+                                type="number"
+                                className="input-field"
+                                placeholder="Round length (days)"
+                                min="1"
+                                value={roundDays}
+                                onChange={(e) => setRoundDays(e.target.value)}
+                            />
+                            <select className="input-field" value={payoutOrder} onChange={(e) => setPayoutOrder(e.target.value)}>
+                                {PAYOUT_ORDERS.map((order, index) => (
+                                    <option key={order} value={index}>{order} order</option>
+                                ))}
+                            </select>
+                            <button className="btn btn-primary btn-sm" onClick={() => handleStart(circle.id)} disabled={loading}>
+                                Start Rotation
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {!rosca && !isCreator && (
+                    <p className="text-secondary">This circle has no savings rotation yet.</p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default CircleDetail;
@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import './CircleGuarantees.css';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const formatEth = (value) => parseFloat(ethers.formatEther(value)).toFixed(4);
+
+// Load the guarantee fund of every circle the user belongs to
+const fetchGuarantees = async (trustCircle, account) => {
+    const circleIds = await trustCircle.getUserCircles(account);
+
+    const circles = await Promise.all(circleIds.map(async (id) => {
+        const circle = await trustCircle.circles(id);
+        const members = await trustCircle.getCircleMembers(id);
+        const totalStaked = await trustCircle.circleStakes(id);
+
+        const memberStats = await Promise.all(members.map(async (member) => ({
+            address: member,
+            stake: await trustCircle.memberStakes(id, member),
+            exposure: await trustCircle.getExposure(id, member),
+            headroom: await trustCircle.getMemberBacking(id, member)
+        })));
+
+        return {
+            id: Number(id),
+            name: circle.name,
+            active: circle.active,
+            totalStaked,
+            members: memberStats
+        };
+    }));
+
+    return {
+        circles,
+        headroom: await trustCircle.getGuaranteeBacking(account)
+    };
+};
+
+function CircleGuarantees({ contracts, account }) {
+    const [data, setData] = useState(null);
+    const [amounts, setAmounts] = useState({});
+    const [loading, setLoading] = useState(false);
+
+    const loadGuarantees = useCallback(async () => {
+        try {
+            setData(await fetchGuarantees(contracts.trustCircle, account));
+        } catch (error) {
+            console.error('Error loading guarantees:', error);
+        }
+    }, [contracts, account]);
+
+    useEffect(() => {
+        if (contracts?.trustCircle && account) {
+            fetchGuarantees(contracts.trustCircle, account)
+                .then(setData)
+                .catch((error) => console.error('Error loading guarantees:', error));
+        }
+    }, [contracts, account]);
+
+    const handleStake = async (circleId) => {
+        try {
+            const amount = amounts[circleId];
+            if (!amount || parseFloat(amount) <= 0) {
+                alert('Please enter a valid amount');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.trustCircle.stake(circleId, { value: ethers.parseEther(amount) });
+            await tx.wait();
+            await loadGuarantees();
+            setAmounts({ ...amounts, [circleId]: '' });
+            setLoading(false);
+        } catch (error) {
+            console.error('Error staking:', error);
+            setLoading(false);
+            alert('Failed to stake: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleUnstake = async (circleId, stake) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.unstake(circleId, stake);
+            await tx.wait();
+            await loadGuarantees();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error unstaking:', error);
+            setLoading(false);
+            alert('Failed to unstake: ' + (error.reason || error.message));
+        }
+    };
+
+    if (!data) {
+        return <div className="text-center text-secondary">Loading guarantee funds...</div>;
+    }
+
+    if (data.circles.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="guarantees">
+            <h3>Guarantee Funds</h3>
+            <p className="text-secondary">
+                Stake ETH behind the members you vouch for. Your stake adds to their borrowing limit
+                and covers their debt if they default.
+            </p>
+            <p className="text-secondary">
+                Stakes backing you add <span className="gradient-text">{formatEth(data.headroom)} ETH</span> to your borrowing limit.
+            </p>
+
+            {data.circles.map((circle) => {
+                const own = circle.members.find((member) => member.address.toLowerCase() === account.toLowerCase());
+
+                return (
+                    <div key={circle.id} className="guarantee-circle">
+                        <div className="guarantee-header">
+                            <span className="guarantee-name">{circle.name}</span>
+                            <span className="text-secondary">Staked: {formatEth(circle.totalStaked)} ETH</span>
+                        </div>
+
+                        <div className="guarantee-table">
+                            <div className="guarantee-row guarantee-row-head">
+                                <span>Member</span>
+                                <span>Stake</span>
+                                <span>Exposure</span>
+                                <span>Headroom</span>
+                            </div>
+                            {circle.members.map((member) => (
+                                <div key={member.address} className="guarantee-row">
+                                    <span>{member === own ? 'You' : shortAddress(member.address)}</span>
+                                    <span>{formatEth(member.stake)} ETH</span>
+                                    <span className={member.exposure > 0n ? 'guarantee-exposed' : ''}>
+                                        {formatEth(member.exposure)} ETH
+                                    </span>
+                                    <span>{formatEth(member.headroom)} ETH</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        {circle.active && own && (
+                            <div className="guarantee-actions">
+                                <input
+                                    type="number"
+                                    className="input-field"
+                                    placeholder="0.0"
+                                    step="0.01"
+                                    value={amounts[circle.id] || ''}
+                                    onChange={(e) => setAmounts({ ...amounts, [circle.id]: e.target.value })}
+                                />
+                                <button className="btn btn-primary btn-sm" onClick={() => handleStake(circle.id)} disabled={loading}>
+                                    Stake
+                                </button>
+                                <button
+                                    className="btn btn-outline btn-sm"
+                                    onClick={() => handleUnstake(circle.id, own.stake)}
+                                    disabled={loading || own.stake === 0n || own.exposure > 0n}
+                                    title={own.exposure > 0n ? 'Locked while members you vouched for owe the pool' : ''}
+                                >
+                                    Unstake All
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default CircleGuarantees;
@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback } from 'react';
+import './CircleManagement.css';
+
+// Keep in sync with TrustCircle.MIN_MEMBERS
+const MIN_MEMBERS = 3;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Load the members of every circle the user belongs to with pending removal votes
+const fetchCircles = async (trustCircle, account) => {
+    const circleIds = await trustCircle.getUserCircles(account);
+
+    return Promise.all(circleIds.map(async (id) => {
+        const circle = await trustCircle.circles(id);
+        const members = await trustCircle.getCircleMembers(id);
+
+        const memberStats = await Promise.all(members.map(async (member) => {
+            // Votes of members who have left no longer count
+            const votes = (await trustCircle.getRemovalVotes(id, member)).filter((voter) => members.includes(voter));
+            return {
+                address: member,
+                votes: votes.length,
+                votedByYou: votes.some((voter) => voter.toLowerCase() === account.toLowerCase())
+            };
+        }));
+
+        return {
+            id: Number(id),
+            name: circle.name,
+            creator: circle.creator,
+            active: circle.active,
+            members: memberStats
+        };
+    }));
+};
+
+function CircleManagement({ contracts, account, onChange }) {
+    const [circles, setCircles] = useState(null);
+    const [newAdmins, setNewAdmins] = useState({});
+    const [loading, setLoading] = useState(false);
+
+    const loadCircles = useCallback(async () => {
+        try {
+            setCircles(await fetchCircles(contracts.trustCircle, account));
+        } catch (error) {
+            console.error('Error loading circles:', error);
+        }
+    }, [contracts, account]);
+
+    useEffect(() => {
+        if (contracts?.trustCircle && account) {
+            fetchCircles(contracts.trustCircle, account)
+                .then(setCircles)
+                .catch((error) => console.error('Error loading circles:', error));
+        }
+    }, [contracts, account]);
+
+    const handleLeave = async (circleId) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.leaveCircle(circleId);
+            await tx.wait();
+            await loadCircles();
+            if (onChange) await onChange();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error leaving circle:', error);
+            setLoading(false);
+            alert('Failed to leave circle: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleVoteToRemove = async (circleId, member) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.voteToRemove(circleId, member);
+            await tx.wait();
+            await loadCircles();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error voting to remove member:', error);
+            setLoading(false);
+            alert('Failed to vote: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleTransferAdmin = async (circleId) => {
+        try {
+            const newAdmin = newAdmins[circleId];
+            if (!newAdmin) {
+                alert('Please choose a member');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.trustCircle.transferCircleAdmin(circleId, newAdmin);
+            await tx.wait();
+            await loadCircles();
+            setNewAdmins({ ...newAdmins, [circleId]: '' });
+            setLoading(false);
+        } catch (error) {
+            console.error('Error transferring circle:', error);
+            setLoading(false);
+            alert('Failed to transfer circle: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleDissolve = async (circleId) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.dissolveCircle(circleId);
+            await tx.wait();
+            await loadCircles();
+            if (onChange) await onChange();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error dissolving circle:', error);
+            setLoading(false);
+            alert('Failed to dissolve circle: ' + (error.reason || error.message));
+        }
+    };
+
+    if (!circles) {
+        return <div className="text-center text-secondary">Loading circles...</div>;
+    }
+
+    if (circles.length === 0) {
+        return null;
+    }
+
+    const isYou = (address) => address.toLowerCase() === account.toLowerCase();
+
+    return (
+        <div className="circle-management">
+            <h3>Manage Circles</h3>
+            <p className="text-secondary">
+                Members can leave once they have no open loans and their stake backs nobody. A member is removed
+                when more than half of the other members vote for it.
+            </p>
+
+            {circles.map((circle) => {
+                const isCreator = isYou(circle.creator);
+                const others = circle.members.filter((member) => !isYou(member.address));
+                const votesNeeded = Math.floor((circle.members.length - 1) / 2) + 1;
+
+                return (
+                    <div key={circle.id} className="management-circle">
+                        <div className="management-header">
+                            <span className="management-name">{circle.name}</span>
+                            <span className="text-secondary">
+                                {circle.members.length} members{isCreator && ' · you are the admin'}
+                            </span>
+                        </div>
+                        {circle.members.length < MIN_MEMBERS && (
+                            <p className="management-warning">
+                                Below {MIN_MEMBERS} members this circle does not count towards trust scores.
+                            </p>
+                        )}
+
+                        <div className="management-members">
+                            {circle.members.map((member) => (
+                                <div key={member.address} className="management-member">
+                                    <span>
+                                        {isYou(member.address) ? 'You' : shortAddress(member.address)}
+                                        {member.address.toLowerCase() === circle.creator.toLowerCase() && ' (admin)'}
+                                    </span>
+                                    <span className="text-secondary">
+                                        {member.votes > 0 && `${member.votes}/${votesNeeded} removal votes`}
+                                    </span>
+                                    {!isYou(member.address) && member.address.toLowerCase() !== circle.creator.toLowerCase() && (
+                                        <button
+                                            className="btn btn-outline btn-sm"
+                                            onClick={() => handleVoteToRemove(circle.id, member.address)}
+                                            disabled={loading || member.votedByYou}
+                                        >
+                                            {member.votedByYou ? 'Voted' : 'Vote to Remove'}
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="management-actions">
+                            {isCreator ? (
+                                <>
+                                    <select
+                                        className="input-field"
+                                        value={newAdmins[circle.id] || ''}
+                                        onChange={(e) => setNewAdmins({ ...newAdmins, [circle.id]: e.target.value })}
+                                    >
+                                        <option value="">New admin</option>
+                                        {others.map((member) => (
+                                            <option key={member.address} value={member.address}>{shortAddress(member.address)}</option>
+                                        ))}
+                                    </select>
+                                    <button className="btn btn-outline btn-sm" onClick={() => handleTransferAdmin(circle.id)} disabled={loading}>
+                                        Transfer Admin
+                                    </button>
+                                    <button className="btn btn-outline btn-sm management-danger" onClick={() => handleDissolve(circle.id)} disabled={loading}>
+                                        Dissolve
+                                    </button>
+                                </>
+                            ) : (
+                                <button className="btn btn-outline btn-sm management-danger" onClick={() => handleLeave(circle.id)} disabled={loading}>
+                                    Leave Circle
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default CircleManagement;
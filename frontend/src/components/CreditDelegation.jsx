@@ -0,0 +1,305 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import './CreditDelegation.css';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const formatEth = (value) => parseFloat(ethers.formatEther(value)).toFixed(4);
+
+const formatDate = (timestamp) => new Date(Number(timestamp) * 1000).toLocaleDateString();
+
+// Load the user's circles, the credit they delegate and the credit delegated to them
+const fetchDelegations = async (trustCircle, lendingPool, account) => {
+    const circleIds = await trustCircle.getUserCircles(account);
+    const circles = await Promise.all(circleIds.map(async (id) => {
+        const circle = await trustCircle.circles(id);
+        const members = await trustCircle.getCircleMembers(id);
+        return {
+            id: Number(id),
+            name: circle.name,
+            active: circle.active,
+            members: members.filter((member) => member.toLowerCase() !== account.toLowerCase())
+        };
+    }));
+
+    const now = Math.floor(Date.now() / 1000);
+    const toRow = (delegation, available) => ({
+        circleId: Number(delegation.circleId),
+        amount: delegation.amount,
+        used: delegation.used,
+        expiresAt: Number(delegation.expiresAt),
+        expired: Number(delegation.expiresAt) <= now,
+        available
+    });
+
+    const granted = await Promise.all((await trustCircle.getDelegates(account)).map(async (delegate) => ({
+        address: delegate,
+        ...toRow(
+            await trustCircle.creditDelegations(account, delegate),
+            await trustCircle.getAvailableDelegatedCredit(account, delegate)
+        )
+    })));
+
+    const received = await Promise.all((await trustCircle.getDelegators(account)).map(async (delegator) => {
+        const available = await trustCircle.getAvailableDelegatedCredit(delegator, account);
+        const delegatorLimit = await lendingPool.getBorrowingLimit(delegator);
+        return {
+            address: delegator,
+            ...toRow(await trustCircle.creditDelegations(delegator, account), available),
+            // The delegator's own limit caps what the delegation can back
+            borrowable: available < delegatorLimit ? available : delegatorLimit
+        };
+    }));
+
+    return {
+        circles,
+        granted,
+        received,
+        inUse: await trustCircle.delegatedCreditInUse(account)
+    };
+};
+
+function CreditDelegation({ contracts, account, onLoanOpened }) {
+    const [data, setData] = useState(null);
+    const [circleId, setCircleId] = useState('');
+    const [delegate, setDelegate] = useState('');
+    const [amount, setAmount] = useState('');
+    const [days, setDays] = useState('30');
+    const [borrowAmounts, setBorrowAmounts] = useState({});
+    const [borrowDuration, setBorrowDuration] = useState('30');
+    const [loading, setLoading] = useState(false);
+
+    const loadDelegations = useCallback(async () => {
+        try {
+            setData(await fetchDelegations(contracts.trustCircle, contracts.lendingPool, account));
+        } catch (error) {
+            console.error('Error loading delegations:', error);
+        }
+    }, [contracts, account]);
+
+    useEffect(() => {
+        if (contracts?.trustCircle && contracts?.lendingPool && account) {
+            fetchDelegations(contracts.trustCircle, contracts.lendingPool, account)
+                .then(setData)
+                .catch((error) => console.error('Error loading delegations:', error));
+        }
+    }, [contracts, account]);
+
+    const handleDelegate = async () => {
+        try {
+            if (!circleId || !delegate) {
+                alert('Please choose a circle and a member');
+                return;
+            }
+            if (!amount || parseFloat(amount) <= 0 || !days || parseInt(days) < 1) {
+                alert('Please enter a valid amount and duration');
+                return;
+            }
+
+            setLoading(true);
+            const expiresAt = Math.floor(Date.now() / 1000) + parseInt(days) * DAY_SECONDS;
+            const tx = await contracts.trustCircle.delegateCredit(circleId, delegate, ethers.parseEther(amount), expiresAt);
+            await tx.wait();
+            await loadDelegations();
+            setAmount('');
+            setLoading(false);
+        } catch (error) {
+            console.error('Error delegating credit:', error);
+            setLoading(false);
+            alert('Failed to delegate credit: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleRevoke = async (delegateAddress) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.revokeCredit(delegateAddress);
+            await tx.wait();
+            await loadDelegations();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error revoking credit:', error);
+            setLoading(false);
+            alert('Failed to revoke credit: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleBorrow = async (delegator) => {
+        try {
+            const value = borrowAmounts[delegator];
+            if (!value || parseFloat(value) <= 0) {
+                alert('Please enter a valid amount');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.lendingPool.borrowWithDelegation(
+                delegator,
+                ethers.parseEther(value),
+                parseInt(borrowDuration)
+            );
+            await tx.wait();
+            await loadDelegations();
+            if (onLoanOpened) await onLoanOpened();
+            setBorrowAmounts({ ...borrowAmounts, [delegator]: '' });
+            setLoading(false);
+        } catch (error) {
+            console.error('Error borrowing delegated credit:', error);
+            setLoading(false);
+            alert('Failed to borrow: ' + (error.reason || error.message));
+        }
+    };
+
+    if (!data) {
+        return <div className="text-center text-secondary">Loading credit delegations...</div>;
+    }
+
+    if (data.circles.length === 0) {
+        return null;
+    }
+
+    const selectedCircle = data.circles.find((circle) => circle.id === parseInt(circleId));
+
+    return (
+        <div className="delegation">
+            <h3>Delegate Credit</h3>
+            <p className="text-secondary">
+                Lend part of your ETH borrowing limit to a member of one of your circles. While they owe the
+                pool, your own limit shrinks by what they drew; if they default you lose half of their 200 point
+                reputation penalty.
+            </p>
+            {data.inUse > 0n && (
+                <p className="text-secondary">
+                    Your limit is reduced by <span className="gradient-text">{formatEth(data.inUse)} ETH</span> of delegated credit in use.
+                </p>
+            )}
+
+            <div className="delegation-form">
+                <select
+                    className="input-field"
+                    value={circleId}
+                    onChange={(e) => {
+                        setCircleId(e.target.value);
+                        setDelegate('');
+                    }}
+                >
+                    <option value="">Circle</option>
+                    {data.circles.filter((circle) => circle.active).map((circle) => (
+                        <option key={circle.id} value={circle.id}>{circle.name}</option>
+                    ))}
+                </select>
+                <select className="input-field" value={delegate} onChange={(e) => setDelegate(e.target.value)} disabled={!selectedCircle}>
+                    <option value="">Member</option>
+                    {selectedCircle?.members.map((member) => (
+                        <option key={member} value={member}>{shortAddress(member)}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    className="input-field"
+                    placeholder="Amount (ETH)"
+                    step="0.01"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                />
+                <input
+                    type="number"
+                    className="input-field"
+                    placeholder="Days"
+                    min="1"
+                    value={days}
+                    onChange={(e) => setDays(e.target.value)}
+                />
+                <button className="btn btn-primary btn-sm" onClick={handleDelegate} disabled={loading}>
+                    Delegate
+                </button>
+            </div>
+
+            {data.granted.length > 0 && (
+                <div className="delegation-table">
+                    <h4>Credit You Delegate</h4>
+                    <div className="delegation-row delegation-row-head">
+                        <span>Member</span>
+                        <span>Cap</span>
+                        <span>In use</span>
+                        <span>Expires</span>
+                        <span></span>
+                    </div>
+                    {data.granted.map((row) => (
+                        <div key={row.address} className="delegation-row">
+                            <span>{shortAddress(row.address)}</span>
+                            <span>{formatEth(row.amount)} ETH</span>
+                            <span>{formatEth(row.used)} ETH</span>
+                            <span className={row.expired ? 'delegation-expired' : ''}>
+                                {row.expired ? 'Expired' : formatDate(row.expiresAt)}
+                            </span>
+                            <span>
+                                {!row.expired && (
+                                    <button className="btn btn-outline btn-sm" onClick={() => handleRevoke(row.address)} disabled={loading}>
+                                        Revoke
+                                    </button>
+                                )}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {data.received.length > 0 && (
+                <div className="delegation-table">
+                    <h4>Credit Delegated To You</h4>
+                    <div className="delegation-row delegation-row-head">
+                        <span>Delegator</span>
+                        <span>Available</span>
+                        <span>In use</span>
+                        <span>Expires</span>
+                        <span></span>
+                    </div>
+                    {data.received.map((row) => (
+                        <div key={row.address} className="delegation-row">
+                            <span>{shortAddress(row.address)}</span>
+                            <span>{formatEth(row.borrowable)} ETH</span>
+                            <span>{formatEth(row.used)} ETH</span>
+                            <span className={row.expired ? 'delegation-expired' : ''}>
+                                {row.expired ? 'Expired' : formatDate(row.expiresAt)}
+                            </span>
+                            <span className="delegation-borrow">
+                                {row.borrowable > 0n && (
+                                    <>
+                                        <input
+                                            type="number"
+                                            className="input-field"
+                                            placeholder="ETH"
+                                            step="0.01"
+                                            value={borrowAmounts[row.address] || ''}
+                                            onChange={(e) => setBorrowAmounts({ ...borrowAmounts, [row.address]: e.target.value })}
+                                        />
+                                        <button className="btn btn-primary btn-sm" onClick={() => handleBorrow(row.address)} disabled={loading}>
+                                            Borrow
+                                        </button>
+                                    </>
+                                )}
+                            </span>
+                        </div>
+                    ))}
+                    {data.received.some((row) => row.borrowable > 0n) && (
+                        <div className="delegation-duration">
+                            <label className="input-label">Loan duration (days)</label>
+                            <input
+                                type="number"
+                                className="input-field"
+                                min="7"
+                                value={borrowDuration}
+                                onChange={(e) => setBorrowDuration(e.target.value)}
+                            />
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default CreditDelegation;
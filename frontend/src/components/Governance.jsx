@@ -0,0 +1,392 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import './Governance.css';
+
+// Order matches GovernanceToken.ProposalType
+const PROPOSAL_TYPES = [
+    { label: 'Base Interest Rate', unit: 'bps', parameter: 'BASE_RATE' },
+    { label: 'Min Reputation to Create Circle', unit: 'points', parameter: 'MIN_CIRCLE_REPUTATION' },
+    { label: 'Max Loan Duration', unit: 'days', parameter: 'MAX_LOAN_DURATION' },
+    { label: 'Loan Extension Fee', unit: '%', parameter: 'EXTENSION_FEE_PERCENT' },
+];
+
+// Load voting power, delegation, active proposals and governed parameter values
+const fetchGovernanceData = async (contracts, account) => {
+    const { governanceToken, protocolParameters, reputationNFT, trustCircle } = contracts;
+
+    const power = await reputationNFT.getVotes(account);
+    const units = await reputationNFT.getVotingUnits(account);
+    const delegatee = await reputationNFT.delegates(account);
+
+    // Fellow circle members are the natural representatives to delegate to
+    const circleIds = await trustCircle.getUserCircles(account);
+    const memberLists = await Promise.all(circleIds.map((id) => trustCircle.getCircleMembers(id)));
+    const circleMembers = [...new Set(memberLists.flat())]
+        .filter((member) => member.toLowerCase() !== account.toLowerCase());
+
+    const activeIds = await governanceToken.getActiveProposals();
+    const proposals = await Promise.all(activeIds.map(async (id) => {
+        const proposal = await governanceToken.getProposal(id);
+        const voted = await governanceToken.hasUserVoted(id, account);
+        const snapshotPower = await governanceToken.getVotingPower(id, account);
+        return {
+            id: Number(id),
+            description: proposal.description,
+            proposer: proposal.proposer,
+            forVotes: Number(proposal.forVotes),
+            againstVotes: Number(proposal.againstVotes),
+            endTime: Number(proposal.endTime),
+            proposalType: Number(proposal.proposalType),
+            newValue: Number(proposal.newValue),
+            power: Number(snapshotPower),
+            voted
+        };
+    }));
+
+    const parameters = await Promise.all(PROPOSAL_TYPES.map(async (type) => {
+        const key = await protocolParameters[type.parameter]();
+        const [value, minValue, maxValue] = await protocolParameters.parameters(key);
+        const pending = await protocolParameters.pendingChanges(key);
+        return {
+            ...type,
+            key,
+            value: Number(value),
+            minValue: Number(minValue),
+            maxValue: Number(maxValue),
+            pendingValue: Number(pending.newValue),
+            executeAfter: Number(pending.executeAfter)
+        };
+    }));
+
+    return {
+        votingPower: Number(power),
+        votingUnits: Number(units),
+        delegatee,
+        circleMembers,
+        proposals,
+        parameters,
+        loadedAt: Math.floor(Date.now() / 1000)
+    };
+};
+
+function Governance({ contracts, account }) {
+    const [proposals, setProposals] = useState([]);
+    const [parameters, setParameters] = useState([]);
+    const [votingPower, setVotingPower] = useState(0);
+    const [votingUnits, setVotingUnits] = useState(0);
+    const [delegatee, setDelegatee] = useState('');
+    const [circleMembers, setCircleMembers] = useState([]);
+    const [delegateTo, setDelegateTo] = useState('');
+    const [proposalType, setProposalType] = useState(0);
+    const [newValue, setNewValue] = useState('');
+    const [description, setDescription] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [loadedAt, setLoadedAt] = useState(0);
+
+    const applyGovernanceData = useCallback((data) => {
+        setVotingPower(data.votingPower);
+        setVotingUnits(data.votingUnits);
+        setDelegatee(data.delegatee);
+        setCircleMembers(data.circleMembers);
+        setProposals(data.proposals);
+        setParameters(data.parameters);
+        setLoadedAt(data.loadedAt);
+    }, []);
+
+    const loadGovernance = async () => {
+        try {
+            applyGovernanceData(await fetchGovernanceData(contracts, account));
+        } catch (error) {
+            console.error('Error loading governance:', error);
+        }
+    };
+
+    useEffect(() => {
+        if (contracts?.governanceToken && account) {
+            fetchGovernanceData(contracts, account)
+                .then(applyGovernanceData)
+                .catch((error) => console.error('Error loading governance:', error));
+        }
+    }, [contracts, account, applyGovernanceData]);
+
+    const handleCreateProposal = async () => {
+        try {
+            if (!description || !newValue) {
+                alert('Please enter a description and a new value');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.governanceToken.createProposal(description, proposalType, parseInt(newValue));
+            await tx.wait();
+            await loadGovernance();
+            setDescription('');
+            setNewValue('');
+            setLoading(false);
+            alert('Proposal created!');
+        } catch (error) {
+            console.error('Error creating proposal:', error);
+            setLoading(false);
+            alert('Failed to create proposal: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleVote = async (proposalId, support) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.governanceToken.castVote(proposalId, support);
+            await tx.wait();
+            await loadGovernance();
+            setLoading(false);
+            alert('Vote cast!');
+        } catch (error) {
+            console.error('Error casting vote:', error);
+            setLoading(false);
+            alert('Failed to vote: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleDelegate = async (target) => {
+        try {
+            if (!ethers.isAddress(target)) {
+                alert('Please enter a valid address');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.reputationNFT.delegate(target);
+            await tx.wait();
+            await loadGovernance();
+            setDelegateTo('');
+            setLoading(false);
+            alert('Votes delegated!');
+        } catch (error) {
+            console.error('Error delegating votes:', error);
+            setLoading(false);
+            alert('Failed to delegate: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleApplyChange = async (key) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.protocolParameters.executeChange(key);
+            await tx.wait();
+            await loadGovernance();
+            setLoading(false);
+            alert('Parameter updated!');
+        } catch (error) {
+            console.error('Error applying change:', error);
+            setLoading(false);
+            alert('Failed to apply change: ' + (error.reason || error.message));
+        }
+    };
+
+    const selfDelegated = delegatee.toLowerCase() === account?.toLowerCase();
+    const selectedType = parameters[proposalType];
+
+    return (
+        <div className="governance-container">
+            <div className="governance-header">
+                <h2 className="gradient-text">🏛️ Governance</h2>
+                <p className="text-secondary">Vote on protocol parameters. Passed proposals apply after a 2 day timelock.</p>
+                <p className="text-muted">Your voting power: {votingPower}</p>
+            </div>
+
+            <div className="glass-card">
+                <h3 className="card-title">Delegation</h3>
+                <p className="text-secondary">
+                    Your reputation carries {votingUnits} votes (score weighted by tier).
+                    Delegate them to a circle representative or keep voting yourself.
+                </p>
+                <p className="text-muted">
+                    Delegated to: {selfDelegated ? 'yourself' : `${delegatee.slice(0, 6)}...${delegatee.slice(-4)}`}
+                </p>
+
+                <div className="input-group">
+                    <label className="input-label">Representative</label>
+                    {circleMembers.length > 0 && (
+                        <select
+                            className="input-field"
+                            value={delegateTo}
+                            onChange={(e) => setDelegateTo(e.target.value)}
+                        >
+                            <option value="">Choose a circle member...</option>
+                            {circleMembers.map((member) => (
+                                <option key={member} value={member}>{member}</option>
+                            ))}
+                        </select>
+                    )}
+                    <input
+                        type="text"
+                        className="input-field"
+                        placeholder="0x..."
+                        value={delegateTo}
+                        onChange={(e) => setDelegateTo(e.target.value)}
+                    />
+                </div>
+
+                <div className="vote-buttons">
+                    <button
+                        className="btn btn-primary"
+                        onClick={() => handleDelegate(delegateTo)}
+                        disabled={loading || !delegateTo}
+                    >
+                        Delegate
+                    </button>
+                    {!selfDelegated && (
+                        <button
+                            className="btn btn-outline"
+                            onClick={() => handleDelegate(account)}
+                            disabled={loading}
+                        >
+                            Vote Myself
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="glass-card">
+                <h3 className="card-title">Protocol Parameters</h3>
+                <div className="parameter-list">
+                    {parameters.map((param) => (
+                        <div key={param.parameter} className="parameter-item">
+                            <div>
+                                <span className="parameter-label">{param.label}</span>
+                                <span className="text-muted"> ({param.minValue}–{param.maxValue} {param.unit})</span>
+                            </div>
+                            <div className="parameter-value">
+                                {param.value} {param.unit}
+                                {param.executeAfter > 0 && (
+                                    <div className="parameter-pending">
+                                        → {param.pendingValue} {param.unit}
+                                        {param.executeAfter <= loadedAt ? (
+                                            <button
+                                                className="btn btn-sm btn-primary"
+                                                onClick={() => handleApplyChange(param.key)}
+                                                disabled={loading}
+                                            >
+                                                Apply
+                                            </button>
+                                        ) : (
+                                            <span className="text-muted">
+                                                {' '}after {new Date(param.executeAfter * 1000).toLocaleString()}
+                                            </span>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="glass-card">
+                <h3 className="card-title">Active Proposals</h3>
+                {proposals.length === 0 ? (
+                    <p className="text-secondary">No active proposals</p>
+                ) : (
+                    <div className="proposal-list">
+                        {proposals.map((proposal) => {
+                            const type = PROPOSAL_TYPES[proposal.proposalType];
+                            const totalVotes = proposal.forVotes + proposal.againstVotes;
+                            const forPercent = totalVotes > 0 ? (proposal.forVotes / totalVotes) * 100 : 0;
+
+                            return (
+                                <div key={proposal.id} className="proposal-item">
+                                    <div className="proposal-header">
+                                        <span className="proposal-id">#{proposal.id}</span>
+                                        <span className="proposal-description">{proposal.description}</span>
+                                    </div>
+                                    <p className="text-secondary">
+                                        Set {type.label} to {proposal.newValue} {type.unit}
+                                    </p>
+                                    <div className="vote-bar">
+                                        <div className="vote-bar-for" style={{ width: `${forPercent}%` }}></div>
+                                    </div>
+                                    <div className="proposal-meta text-muted">
+                                        <span>For: {proposal.forVotes} • Against: {proposal.againstVotes} • Your votes: {proposal.power}</span>
+                                        <span>Ends {new Date(proposal.endTime * 1000).toLocaleString()}</span>
+                                    </div>
+                                    {proposal.voted ? (
+                                        <p className="text-muted">You voted on this proposal</p>
+                                    ) : proposal.power === 0 ? (
+                                        <p className="text-muted">No voting power at this proposal&apos;s snapshot</p>
+                                    ) : (
+                                        <div className="vote-buttons">
+                                            <button
+                                                className="btn btn-sm btn-primary"
+                                                onClick={() => handleVote(proposal.id, true)}
+                                                disabled={loading}
+                                            >
+                                                Vote For
+                                            </button>
+                                            <button
+                                                className="btn btn-sm btn-outline"
+                                                onClick={() => handleVote(proposal.id, false)}
+                                                disabled={loading}
+                                            >
+                                                Vote Against
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            <div className="glass-card">
+                <h3 className="card-title">New Proposal</h3>
+                <div className="input-group">
+                    <label className="input-label">Parameter</label>
+                    <select
+                        className="input-field"
+                        value={proposalType}
+                        onChange={(e) => setProposalType(parseInt(e.target.value))}
+                    >
+                        {PROPOSAL_TYPES.map((type, index) => (
+                            <option key={type.parameter} value={index}>{type.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="input-group">
+                    <label className="input-label">
+                        New Value ({selectedType ? `${selectedType.minValue}–${selectedType.maxValue} ` : ''}{PROPOSAL_TYPES[proposalType].unit})
+                    </label>
+                    <input
+                        type="number"
+                        className="input-field"
+                        value={newValue}
+                        onChange={(e) => setNewValue(e.target.value)}
+                        min={selectedType?.minValue}
+                        max={selectedType?.maxValue}
+                    />
+                </div>
+
+                <div className="input-group">
+                    <label className="input-label">Description</label>
+                    <input
+                        type="text"
+                        className="input-field"
+                        placeholder="Why should this change?"
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                    />
+                </div>
+
+                <button
+                    className="btn btn-primary"
+                    onClick={handleCreateProposal}
+                    disabled={loading || votingPower === 0}
+                >
+                    {loading ? 'Submitting...' : 'Create Proposal'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default Governance;
@@ -1,51 +1,62 @@
 import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
 import './Leaderboard.css';
 
+const TOP_COUNT = 20;
+
+// Same thresholds as ReputationNFT._getTier
+const getTier = (score) => {
+    if (score >= 950) return 4;
+    if (score >= 800) return 3;
+    if (score >= 500) return 2;
+    if (score >= 200) return 1;
+    return 0;
+};
+
+// Load the top users and the connected user's rank for a ranking
+const fetchLeaderboard = async (leaderboard, account, sortBy) => {
+    const top = sortBy === 'loans'
+        ? await leaderboard.getTopByLoans(TOP_COUNT)
+        : await leaderboard.getTopByReputation(TOP_COUNT);
+    const rank = sortBy === 'loans'
+        ? await leaderboard.getUserLoansRank(account)
+        : await leaderboard.getUserRank(account);
+    const totalUsers = await leaderboard.getTotalUsers();
+
+    return {
+        sortBy,
+        users: top.map((stats) => ({
+            address: stats.user,
+            user: `${stats.user.slice(0, 6)}...${stats.user.slice(-4)}`,
+            reputation: Number(stats.reputation),
+            loansCompleted: Number(stats.loansCompleted),
+            totalRepaid: parseFloat(ethers.formatEther(stats.totalRepaid)).toFixed(2),
+            trustScore: Number(stats.trustScore),
+            tier: getTier(Number(stats.reputation))
+        })),
+        userRank: Number(rank),
+        totalUsers: Number(totalUsers)
+    };
+};
+
 function Leaderboard({ contracts, account }) {
-    const [topUsers, setTopUsers] = useState([]);
-    const [userRank, setUserRank] = useState(null);
+    const [data, setData] = useState(null);
     const [sortBy, setSortBy] = useState('reputation');
-    const [loading, setLoading] = useState(false);
 
     const tierNames = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
     const tierColors = ['#CD7F32', '#C0C0C0', '#FFD700', '#E5E4E2', '#B9F2FF'];
 
     useEffect(() => {
-        if (contracts?.leaderboard) {
-            loadLeaderboard();
-        }
-    }, [contracts, sortBy]);
-
-    const loadLeaderboard = async () => {
-        try {
-            setLoading(true);
-            const mockData = [
-                { user: '0x1234...5678', reputation: 950, loansCompleted: 15, totalRepaid: '12.5', trustScore: 250, tier: 4 },
-                { user: '0x2345...6789', reputation: 820, loansCompleted: 12, totalRepaid: '9.8', trustScore: 180, tier: 3 },
-                { user: '0x3456...7890', reputation: 680, loansCompleted: 8, totalRepaid: '6.2', trustScore: 140, tier: 2 },
-                { user: '0x4567...8901', reputation: 520, loansCompleted: 5, totalRepaid: '3.5', trustScore: 90, tier: 2 },
-                { user: '0x5678...9012', reputation: 380, loansCompleted: 3, totalRepaid: '1.8', trustScore: 60, tier: 1 },
-            ];
-
-            if (account) {
-                const currentUser = {
-                    user: `${account.slice(0, 6)}...${account.slice(-4)}`,
-                    reputation: 450,
-                    loansCompleted: 4,
-                    totalRepaid: '2.5',
-                    trustScore: 75,
-                    tier: 2
-                };
-                setUserRank(6);
-            }
-
-            setTopUsers(mockData);
-            setLoading(false);
-        } catch (error) {
-            console.error('Error loading leaderboard:', error);
-            setLoading(false);
+        if (contracts?.leaderboard && account) {
+            fetchLeaderboard(contracts.leaderboard, account, sortBy)
+                .then(setData)
+                .catch((error) => console.error('Error loading leaderboard:', error));
         }
-    };
+    }, [contracts, account, sortBy]);
+
+    const loading = !data || data.sortBy !== sortBy;
+    const topUsers = data?.users || [];
+    const userRank = data?.userRank;
 
     return (
         <div className="leaderboard-container">
@@ -54,10 +65,11 @@ function Leaderboard({ contracts, account }) {
                 <p className="text-secondary">Top performers in the TrustCircle community</p>
             </div>
 
-            {userRank && (
+            {userRank > 0 && (
                 <div className="user-rank-card glass-card">
                     <span className="rank-label">Your Rank:</span>
                     <span className="rank-value">#{userRank}</span>
+                    <span className="rank-label">of {data.totalUsers}</span>
                     <span className="rank-hint">Keep building reputation to climb higher!</span>
                 </div>
             )}
@@ -82,10 +94,15 @@ function Leaderboard({ contracts, account }) {
                     <div className="spinner"></div>
                     <p>Loading leaderboard...</p>
                 </div>
+            ) : topUsers.length === 0 ? (
+                <p className="text-secondary">No ranked users yet</p>
             ) : (
                 <div className="leaderboard-list">
                     {topUsers.map((user, index) => (
-                        <div key={index} className="leaderboard-item glass-card">
+                        <div
+                            key={user.address}
+                            className={`leaderboard-item glass-card ${user.address.toLowerCase() === account?.toLowerCase() ? 'leaderboard-item-self' : ''}`}
+                        >
                             <div className="rank-badge" style={{
                                 background: index < 3 ? `linear-gradient(135deg, ${tierColors[4]}, ${tierColors[3]})` : 'var(--bg-glass)'
                             }}>
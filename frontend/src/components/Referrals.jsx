@@ -0,0 +1,208 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import './Referrals.css';
+
+const TIER_NAMES = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Referrer address passed in a shared link (?ref=0x...)
+const getReferrerFromLink = () => {
+    const ref = new URLSearchParams(window.location.search).get('ref');
+    return ref && ethers.isAddress(ref) ? ref : '';
+};
+
+// Load the user's own referrer, the users they referred and their epoch limits
+const fetchReferralData = async (contracts, account) => {
+    const { referralSystem, reputationNFT } = contracts;
+
+    const referrer = await referralSystem.getReferrer(account);
+    const referredUsers = await referralSystem.getReferrals(account);
+    const referrals = await Promise.all(referredUsers.map(async (user) => {
+        const referral = await referralSystem.referrals(user);
+        const claimable = await referralSystem.isRewardClaimable(user);
+        return {
+            user,
+            timestamp: Number(referral.timestamp),
+            status: referral.rewardClaimed ? 'claimed' : claimable ? 'claimable' : 'pending'
+        };
+    }));
+
+    const data = await reputationNFT.getReputationData(account);
+    const minTier = await referralSystem.minReferrerTier();
+
+    return {
+        referrer: referrer === ethers.ZeroAddress ? null : referrer,
+        referrals,
+        remainingRewards: Number(await referralSystem.getRemainingRewards(account)),
+        maxRewardsPerEpoch: Number(await referralSystem.maxRewardsPerEpoch()),
+        minTier: Number(minTier),
+        eligible: Number(data.currentTier) >= Number(minTier)
+    };
+};
+
+function Referrals({ contracts, account }) {
+    const [data, setData] = useState(null);
+    const [referrerInput, setReferrerInput] = useState(getReferrerFromLink);
+    const [copied, setCopied] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const loadReferrals = useCallback(async () => {
+        try {
+            setData(await fetchReferralData(contracts, account));
+        } catch (error) {
+            console.error('Error loading referrals:', error);
+        }
+    }, [contracts, account]);
+
+    useEffect(() => {
+        if (contracts?.referralSystem && account) {
+            fetchReferralData(contracts, account)
+                .then(setData)
+                .catch((error) => console.error('Error loading referrals:', error));
+        }
+    }, [contracts, account]);
+
+    const referralLink = `${window.location.origin}${window.location.pathname}?ref=${account}`;
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(referralLink);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Error copying link:', error);
+            alert('Copy failed, please copy the link manually');
+        }
+    };
+
+    const handleRegister = async () => {
+        try {
+            if (!ethers.isAddress(referrerInput)) {
+                alert('Please enter a valid referrer address');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.referralSystem.registerReferral(referrerInput);
+            await tx.wait();
+            await loadReferrals();
+            setLoading(false);
+            alert('Referral registered! Your referrer is rewarded once you repay your first loan.');
+        } catch (error) {
+            console.error('Error registering referral:', error);
+            setLoading(false);
+            alert('Failed to register referral: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleClaim = async (user) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.referralSystem.claimReferralReward(user);
+            await tx.wait();
+            await loadReferrals();
+            setLoading(false);
+            alert('Referral reward claimed!');
+        } catch (error) {
+            console.error('Error claiming reward:', error);
+            setLoading(false);
+            alert('Failed to claim reward: ' + (error.reason || error.message));
+        }
+    };
+
+    if (!data) {
+        return <div className="glass-card text-center">Loading referrals...</div>;
+    }
+
+    return (
+        <div className="referrals-container">
+            <div className="referrals-header">
+                <h2 className="gradient-text">📈 Referrals</h2>
+                <p className="text-secondary">
+                    Earn +30 reputation (and +20 for your friend) once someone you refer repays their first loan.
+                </p>
+            </div>
+
+            <div className="glass-card">
+                <h3 className="card-title">Your Referral Link</h3>
+                {data.eligible ? (
+                    <>
+                        <div className="referral-link">
+                            <input className="input-field" value={referralLink} readOnly />
+                            <button className="btn btn-primary" onClick={handleCopyLink}>
+                                {copied ? 'Copied!' : 'Copy'}
+                            </button>
+                        </div>
+                        <p className="text-muted">
+                            {data.remainingRewards} of {data.maxRewardsPerEpoch} rewards left this epoch
+                        </p>
+                    </>
+                ) : (
+                    <p className="text-secondary">
+                        Reach {TIER_NAMES[data.minTier]} tier to start referring friends.
+                    </p>
+                )}
+            </div>
+
+            <div className="glass-card">
+                <h3 className="card-title">Your Referrer</h3>
+                {data.referrer ? (
+                    <p className="text-secondary">You were referred by {shortAddress(data.referrer)}</p>
+                ) : (
+                    <div className="input-group">
+                        <label className="input-label">Referrer Address</label>
+                        <div className="referral-link">
+                            <input
+                                className="input-field"
+                                placeholder="0x..."
+                                value={referrerInput}
+                                onChange={(e) => setReferrerInput(e.target.value)}
+                            />
+                            <button className="btn btn-primary" onClick={handleRegister} disabled={loading}>
+                                {loading ? 'Registering...' : 'Register'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <div className="glass-card">
+                <h3 className="card-title">People You Referred</h3>
+                {data.referrals.length === 0 ? (
+                    <p className="text-secondary">No referrals yet. Share your link to get started!</p>
+                ) : (
+                    <div className="referral-list">
+                        {data.referrals.map((referral) => (
+                            <div key={referral.user} className="referral-item">
+                                <div>
+                                    <span className="referral-user">{shortAddress(referral.user)}</span>
+                                    <span className="text-muted">
+                                        {' '}· joined {new Date(referral.timestamp * 1000).toLocaleDateString()}
+                                    </span>
+                                </div>
+                                {referral.status === 'claimable' && (
+                                    <button
+                                        className="btn btn-sm btn-primary"
+                                        onClick={() => handleClaim(referral.user)}
+                                        disabled={loading || data.remainingRewards === 0}
+                                    >
+                                        Claim Reward
+                                    </button>
+                                )}
+                                {referral.status === 'pending' && (
+                                    <span className="referral-status">Waiting for first repayment</span>
+                                )}
+                                {referral.status === 'claimed' && (
+                                    <span className="referral-status referral-status-claimed">Rewarded</span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default Referrals;
@@ -0,0 +1,248 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import './Vouches.css';
+
+const TIER_NAMES = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const formatEth = (value) => parseFloat(ethers.formatEther(value)).toFixed(4);
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString();
+
+// Load the vouches the user received and gave in each of their circles
+const fetchVouches = async (trustCircle, reputationNFT, account) => {
+    const circleIds = await trustCircle.getUserCircles(account);
+    const now = Math.floor(Date.now() / 1000);
+
+    return Promise.all(circleIds.map(async (id) => {
+        const circle = await trustCircle.circles(id);
+        const members = await trustCircle.getCircleMembers(id);
+
+        const received = await Promise.all((await trustCircle.getVouches(id, account)).map(async (voucher) => {
+            const expiresAt = Number(await trustCircle.getVouchExpiry(id, account, voucher));
+            const data = await reputationNFT.getReputationData(voucher);
+            return {
+                address: voucher,
+                tier: Number(data.currentTier),
+                weight: Number(await trustCircle.getVouchWeight(voucher)),
+                expiresAt,
+                expired: expiresAt <= now,
+                // Stake this voucher puts behind you
+                stake: await trustCircle.memberStakes(id, voucher)
+            };
+        }));
+
+        const vouchees = await trustCircle.getVouchedFor(id, account);
+        const given = await Promise.all(vouchees.map(async (member) => {
+            const expiresAt = Number(await trustCircle.getVouchExpiry(id, member, account));
+            return {
+                address: member,
+                expiresAt,
+                expired: expiresAt <= now,
+                // Your stake covers this member's outstanding guaranteed principal
+                exposure: await trustCircle.guaranteedDebt(member),
+                openLoans: Number(await trustCircle.openLoans(member))
+            };
+        }));
+
+        const vouched = new Set(vouchees.map((member) => member.toLowerCase()));
+
+        return {
+            id: Number(id),
+            name: circle.name,
+            active: circle.active,
+            received,
+            given,
+            stake: await trustCircle.memberStakes(id, account),
+            candidates: members.filter((member) =>
+                member.toLowerCase() !== account.toLowerCase() && !vouched.has(member.toLowerCase())
+            )
+        };
+    }));
+};
+
+function Vouches({ contracts, account }) {
+    const [circles, setCircles] = useState(null);
+    const [candidates, setCandidates] = useState({});
+    const [loading, setLoading] = useState(false);
+
+    const loadVouches = useCallback(async () => {
+        try {
+            setCircles(await fetchVouches(contracts.trustCircle, contracts.reputationNFT, account));
+        } catch (error) {
+            console.error('Error loading vouches:', error);
+        }
+    }, [contracts, account]);
+
+    useEffect(() => {
+        if (contracts?.trustCircle && contracts?.reputationNFT && account) {
+            fetchVouches(contracts.trustCircle, contracts.reputationNFT, account)
+                .then(setCircles)
+                .catch((error) => console.error('Error loading vouches:', error));
+        }
+    }, [contracts, account]);
+
+    const handleVouch = async (circleId) => {
+        try {
+            const member = candidates[circleId];
+            if (!member) {
+                alert('Please choose a member');
+                return;
+            }
+
+            setLoading(true);
+            const tx = await contracts.trustCircle.vouchForMember(circleId, member);
+            await tx.wait();
+            await loadVouches();
+            setCandidates({ ...candidates, [circleId]: '' });
+            setLoading(false);
+        } catch (error) {
+            console.error('Error vouching:', error);
+            setLoading(false);
+            alert('Failed to vouch: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleRenew = async (circleId, member) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.renewVouch(circleId, member);
+            await tx.wait();
+            await loadVouches();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error renewing vouch:', error);
+            setLoading(false);
+            alert('Failed to renew vouch: ' + (error.reason || error.message));
+        }
+    };
+
+    const handleRevoke = async (circleId, member) => {
+        try {
+            setLoading(true);
+            const tx = await contracts.trustCircle.revokeVouch(circleId, member);
+            await tx.wait();
+            await loadVouches();
+            setLoading(false);
+        } catch (error) {
+            console.error('Error revoking vouch:', error);
+            setLoading(false);
+            alert('Failed to revoke vouch: ' + (error.reason || error.message));
+        }
+    };
+
+    if (!circles) {
+        return <div className="text-center text-secondary">Loading vouches...</div>;
+    }
+
+    if (circles.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="vouches">
+            <h3>Vouches</h3>
+            <p className="text-secondary">
+                A vouch adds 10 (Bronze) to 50 (Diamond) trust points depending on the voucher's tier and lasts
+                180 days unless renewed. Vouchers are slashed if the member defaults, so a vouch cannot be revoked
+                while the member has an open loan.
+            </p>
+
+            {circles.map((circle) => (
+                <div key={circle.id} className="vouch-circle">
+                    <div className="vouch-header">
+                        <span className="vouch-name">{circle.name}</span>
+                        <span className="text-secondary">Your stake: {formatEth(circle.stake)} ETH</span>
+                    </div>
+
+                    <h4>Vouched for you</h4>
+                    {circle.received.length === 0 ? (
+                        <p className="text-secondary">No vouches yet.</p>
+                    ) : (
+                        <div className="vouch-table">
+                            <div className="vouch-row vouch-row-head">
+                                <span>Voucher</span>
+                                <span>Weight</span>
+                                <span>Stake behind you</span>
+                                <span>Expires</span>
+                            </div>
+                            {circle.received.map((vouch) => (
+                                <div key={vouch.address} className="vouch-row">
+                                    <span>{shortAddress(vouch.address)}</span>
+                                    <span>{vouch.expired ? 0 : vouch.weight} pts ({TIER_NAMES[vouch.tier]})</span>
+                                    <span>{formatEth(vouch.stake)} ETH</span>
+                                    <span className={vouch.expired ? 'vouch-expired' : ''}>
+                                        {vouch.expired ? 'Expired' : formatDate(vouch.expiresAt)}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <h4>You vouch for</h4>
+                    {circle.given.length === 0 ? (
+                        <p className="text-secondary">You have not vouched for anyone in this circle.</p>
+                    ) : (
+                        <div className="vouch-table">
+                            <div className="vouch-row vouch-row-head">
+                                <span>Member</span>
+                                <span>Your exposure</span>
+                                <span>Expires</span>
+                                <span></span>
+                            </div>
+                            {circle.given.map((vouch) => (
+                                <div key={vouch.address} className="vouch-row">
+                                    <span>{shortAddress(vouch.address)}</span>
+                                    <span className={vouch.exposure > 0n ? 'vouch-exposed' : ''}>
+                                        {formatEth(vouch.exposure)} ETH
+                                    </span>
+                                    <span className={vouch.expired ? 'vouch-expired' : ''}>
+                                        {vouch.expired ? 'Expired' : formatDate(vouch.expiresAt)}
+                                    </span>
+                                    <span className="vouch-actions">
+                                        <button
+                                            className="btn btn-outline btn-sm"
+                                            onClick={() => handleRenew(circle.id, vouch.address)}
+                                            disabled={loading || !circle.active}
+                                        >
+                                            Renew
+                                        </button>
+                                        <button
+                                            className="btn btn-outline btn-sm"
+                                            onClick={() => handleRevoke(circle.id, vouch.address)}
+                                            disabled={loading || vouch.openLoans > 0}
+                                            title={vouch.openLoans > 0 ? 'Blocked while the member has an open loan' : ''}
+                                        >
+                                            Revoke
+                                        </button>
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {circle.active && circle.candidates.length > 0 && (
+                        <div className="vouch-form">
+                            <select
+                                className="input-field"
+                                value={candidates[circle.id] || ''}
+                                onChange={(e) => setCandidates({ ...candidates, [circle.id]: e.target.value })}
+                            >
+                                <option value="">Member</option>
+                                {circle.candidates.map((member) => (
+                                    <option key={member} value={member}>{shortAddress(member)}</option>
+                                ))}
+                            </select>
+                            <button className="btn btn-primary btn-sm" onClick={() => handleVouch(circle.id)} disabled={loading}>
+                                Vouch
+                            </button>
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default Vouches;
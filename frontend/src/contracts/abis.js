@@ -0,0 +1,677 @@
+// Generated by `npx hardhat generate-bindings` from the Hardhat artifacts. Do not edit.
+
+// ReputationNFT (contracts/ReputationNFT.sol)
+export const REPUTATION_NFT_ABI = [
+    "constructor()",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error AddressEmptyCode(address target)",
+    "error CheckpointUnorderedInsertion()",
+    "error ECDSAInvalidSignature()",
+    "error ECDSAInvalidSignatureLength(uint256 length)",
+    "error ECDSAInvalidSignatureS(bytes32 s)",
+    "error ERC1967InvalidImplementation(address implementation)",
+    "error ERC1967NonPayable()",
+    "error ERC5805FutureLookup(uint256 timepoint, uint48 clock)",
+    "error ERC6372InconsistentClock()",
+    "error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)",
+    "error ERC721InsufficientApproval(address operator, uint256 tokenId)",
+    "error ERC721InvalidApprover(address approver)",
+    "error ERC721InvalidOperator(address operator)",
+    "error ERC721InvalidOwner(address owner)",
+    "error ERC721InvalidReceiver(address receiver)",
+    "error ERC721InvalidSender(address sender)",
+    "error ERC721NonexistentToken(uint256 tokenId)",
+    "error FailedCall()",
+    "error InvalidAccountNonce(address account, uint256 currentNonce)",
+    "error InvalidInitialization()",
+    "error NotInitializing()",
+    "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+    "error UUPSUnauthorizedCallContext()",
+    "error UUPSUnsupportedProxiableUUID(bytes32 slot)",
+    "error VotesExpiredSignature(uint256 expiry)",
+    "event AchievementBadgesUpdated(address indexed achievementBadges)",
+    "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+    "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+    "event DecayModelUpdated(uint256 baseline, uint256 gracePeriod, uint256 decayPerPeriod, uint256 recoveryPerPeriod, uint256 rehabStreak)",
+    "event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)",
+    "event DelegateVotesChanged(address indexed delegate, uint256 previousVotes, uint256 newVotes)",
+    "event EIP712DomainChanged()",
+    "event Initialized(uint64 version)",
+    "event LeaderboardUpdated(address indexed leaderboard)",
+    "event ReputationMinted(address indexed user, uint256 indexed tokenId)",
+    "event ReputationUpdated(uint256 indexed tokenId, int256 delta, uint256 newScore, uint8 newTier, uint8 indexed reason)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event Upgraded(address indexed implementation)",
+    "function CLOCK_MODE() view returns (string)",
+    "function DECAY_PERIOD() view returns (uint256)",
+    "function UPGRADE_INTERFACE_VERSION() view returns (string)",
+    "function achievementBadges() view returns (address)",
+    "function approve(address to, uint256 tokenId)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function clock() view returns (uint48)",
+    "function decayModel() view returns (uint256 baseline, uint256 gracePeriod, uint256 decayPerPeriod, uint256 recoveryPerPeriod, uint256 rehabStreak)",
+    "function delegate(address delegatee)",
+    "function delegateBySig(address delegatee, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s)",
+    "function delegates(address account) view returns (address)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function getPastTotalSupply(uint256 timepoint) view returns (uint256)",
+    "function getPastVotes(address account, uint256 timepoint) view returns (uint256)",
+    "function getProjectedScore(address user, uint256 timestamp) view returns (uint256)",
+    "function getReputationData(address user) view returns ((uint256 score, uint256 loansCompleted, uint256 totalBorrowed, uint256 totalRepaid, uint256 lastUpdated, uint8 currentTier))",
+    "function getReputationScore(address user) view returns (uint256)",
+    "function getVotes(address account) view returns (uint256)",
+    "function getVotingUnits(address user) view returns (uint256)",
+    "function initialize(address _roles)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function leaderboard() view returns (address)",
+    "function mint(address user) returns (uint256)",
+    "function name() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function proxiableUUID() view returns (bytes32)",
+    "function recordLoan(address user, uint256 amount, uint256 repaid)",
+    "function rehabilitation(uint256) view returns (uint256 decayedUntil, uint256 penaltyBalance, uint256 cleanStreak, uint256 recoveringSince)",
+    "function reputationData(uint256) view returns (uint256 score, uint256 loansCompleted, uint256 totalBorrowed, uint256 totalRepaid, uint256 lastUpdated, uint8 currentTier)",
+    "function roles() view returns (address)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+    "function setAchievementBadges(address _achievementBadges)",
+    "function setApprovalForAll(address operator, bool approved)",
+    "function setDecayModel(uint256 baseline, uint256 gracePeriod, uint256 decayPerPeriod, uint256 recoveryPerPeriod, uint256 rehabStreak)",
+    "function setLeaderboard(address _leaderboard)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function symbol() view returns (string)",
+    "function syncReputation(address user)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function transferFrom(address from, address to, uint256 tokenId)",
+    "function updateReputation(address user, int256 delta)",
+    "function updateReputation(address user, int256 delta, uint8 reason)",
+    "function upgradeToAndCall(address newImplementation, bytes data) payable",
+    "function userToTokenId(address) view returns (uint256)"
+];
+
+// TrustCircle (contracts/TrustCircle.sol)
+export const TRUST_CIRCLE_ABI = [
+    "constructor()",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error AddressEmptyCode(address target)",
+    "error ERC1967InvalidImplementation(address implementation)",
+    "error ERC1967NonPayable()",
+    "error FailedCall()",
+    "error InvalidInitialization()",
+    "error NotInitializing()",
+    "error UUPSUnauthorizedCallContext()",
+    "error UUPSUnsupportedProxiableUUID(bytes32 slot)",
+    "event AchievementBadgesUpdated(address indexed achievementBadges)",
+    "event BidPlaced(uint256 indexed roscaId, uint256 indexed round, address indexed member, uint256 discount)",
+    "event CircleAdminTransferred(uint256 indexed circleId, address indexed previousCreator, address indexed newCreator)",
+    "event CircleCreated(uint256 indexed circleId, address indexed creator, string name, uint256 minReputation)",
+    "event CircleDissolved(uint256 indexed circleId)",
+    "event CircleSlashed(uint256 indexed circleId, address indexed defaulter, uint256 affectedMembers)",
+    "event ContributionMade(uint256 indexed roscaId, uint256 indexed round, address indexed member, uint256 amount)",
+    "event ContributionMissed(uint256 indexed roscaId, uint256 indexed round, address indexed member)",
+    "event CreditDelegated(uint256 indexed circleId, address indexed delegator, address indexed delegate, uint256 amount, uint256 expiresAt)",
+    "event CreditRevoked(address indexed delegator, address indexed delegate)",
+    "event DelegatedCreditReleased(address indexed delegator, address indexed delegate, uint256 amount)",
+    "event DelegatedCreditUsed(address indexed delegator, address indexed delegate, uint256 amount)",
+    "event GuaranteeClaimed(uint256 indexed circleId, address indexed defaulter, address indexed voucher, uint256 amount)",
+    "event Initialized(uint64 version)",
+    "event MemberInvited(uint256 indexed circleId, address indexed member)",
+    "event MemberJoined(uint256 indexed circleId, address indexed member)",
+    "event MemberLeft(uint256 indexed circleId, address indexed member)",
+    "event MemberRemoved(uint256 indexed circleId, address indexed member)",
+    "event MemberVouched(uint256 indexed circleId, address indexed voucher, address indexed member)",
+    "event PotPaid(uint256 indexed roscaId, uint256 indexed round, address indexed recipient, uint256 amount, uint256 discount)",
+    "event RemovalVoted(uint256 indexed circleId, address indexed voter, address indexed member, uint256 votes)",
+    "event RoscaCompleted(uint256 indexed roscaId, uint256 indexed circleId)",
+    "event RoscaStarted(uint256 indexed roscaId, uint256 indexed circleId, uint256 contribution, uint256 roundLength, uint8 payoutOrder)",
+    "event SavingsWithdrawn(address indexed member, uint256 amount)",
+    "event Staked(uint256 indexed circleId, address indexed member, uint256 amount)",
+    "event Unstaked(uint256 indexed circleId, address indexed member, uint256 amount)",
+    "event Upgraded(address indexed implementation)",
+    "event VouchRenewed(uint256 indexed circleId, address indexed voucher, address indexed member, uint256 expiresAt)",
+    "event VouchRevoked(uint256 indexed circleId, address indexed voucher, address indexed member)",
+    "function MAX_MEMBERS() view returns (uint256)",
+    "function MIN_MEMBERS() view returns (uint256)",
+    "function MIN_ROUND_LENGTH() view returns (uint256)",
+    "function MISSED_CONTRIBUTION_PENALTY() view returns (int256)",
+    "function MISSED_CONTRIBUTION_VOUCHER_PENALTY() view returns (int256)",
+    "function UPGRADE_INTERFACE_VERSION() view returns (string)",
+    "function VOUCHES_REQUIRED() view returns (uint256)",
+    "function VOUCH_DURATION() view returns (uint256)",
+    "function VOUCH_POINTS_PER_TIER() view returns (uint256)",
+    "function acceptInvitation(uint256 circleId)",
+    "function achievementBadges() view returns (address)",
+    "function addCreditInUse(address borrower, uint256 credit)",
+    "function addGuaranteedDebt(address borrower, uint256 amount)",
+    "function circleRosca(uint256) view returns (uint256)",
+    "function circleStakes(uint256) view returns (uint256)",
+    "function circles(uint256) view returns (string name, address creator, uint256 minReputation, uint256 createdAt, bool active)",
+    "function closeRound(uint256 circleId)",
+    "function contribute(uint256 circleId) payable",
+    "function coverDefault(address defaulter, uint256 debt) returns (uint256)",
+    "function createCircle(string name, uint256 minReputation) returns (uint256)",
+    "function creditDelegations(address, address) view returns (uint256 circleId, uint256 amount, uint256 expiresAt, uint256 used)",
+    "function creditInUse(address) view returns (uint256)",
+    "function delegateCredit(uint256 circleId, address delegate, uint256 amount, uint256 expiresAt)",
+    "function delegatedCreditInUse(address) view returns (uint256)",
+    "function dissolveCircle(uint256 circleId)",
+    "function getAvailableDelegatedCredit(address delegator, address delegate) view returns (uint256)",
+    "function getCircleMembers(uint256 circleId) view returns (address[])",
+    "function getDelegates(address delegator) view returns (address[])",
+    "function getDelegators(address delegate) view returns (address[])",
+    "function getExposure(uint256 circleId, address member) view returns (uint256)",
+    "function getGuaranteeBacking(address user) view returns (uint256)",
+    "function getMemberBacking(uint256 circleId, address member) view returns (uint256)",
+    "function getNextRecipient(uint256 roscaId) view returns (address)",
+    "function getRemovalVotes(uint256 circleId, address member) view returns (address[])",
+    "function getRoscaMembers(uint256 roscaId) view returns (address[] participants, address[] recipients)",
+    "function getRoundContributions(uint256 roscaId, uint256 round) view returns (address[] participants, bool[] paid)",
+    "function getRoundDeadline(uint256 roscaId) view returns (uint256)",
+    "function getTrustScore(address user) view returns (uint256)",
+    "function getUserCircles(address user) view returns (uint256[])",
+    "function getVouchExpiry(uint256 circleId, address member, address voucher) view returns (uint256)",
+    "function getVouchWeight(address voucher) view returns (uint256)",
+    "function getVouchedFor(uint256 circleId, address voucher) view returns (address[])",
+    "function getVouches(uint256 circleId, address member) view returns (address[])",
+    "function guaranteedDebt(address) view returns (uint256)",
+    "function hasContributed(uint256, uint256, address) view returns (bool)",
+    "function hasReceivedPot(uint256, address) view returns (bool)",
+    "function initialize(address _reputationNFT, address _parameters, address _roles)",
+    "function inviteMember(uint256 circleId, address member)",
+    "function isMember(uint256 circleId, address user) view returns (bool)",
+    "function leaveCircle(uint256 circleId)",
+    "function loanClosed(address borrower)",
+    "function loanOpened(address borrower)",
+    "function memberStakes(uint256, address) view returns (uint256)",
+    "function missedContributions(uint256, address) view returns (uint256)",
+    "function openLoans(address) view returns (uint256)",
+    "function parameters() view returns (address)",
+    "function placeBid(uint256 circleId, uint256 discount)",
+    "function proxiableUUID() view returns (bytes32)",
+    "function releaseDelegatedCredit(address delegator, address delegate, uint256 amount)",
+    "function removeCreditInUse(address borrower, uint256 credit)",
+    "function removeGuaranteedDebt(address borrower, uint256 amount)",
+    "function renewVouch(uint256 circleId, address member)",
+    "function reputationNFT() view returns (address)",
+    "function revokeCredit(address delegate)",
+    "function revokeVouch(uint256 circleId, address member)",
+    "function roles() view returns (address)",
+    "function roscas(uint256) view returns (uint256 circleId, uint256 contribution, uint256 roundLength, uint8 payoutOrder, uint256 startTime, uint256 currentRound, bool active, address highestBidder, uint256 highestBid, uint256 roundStart)",
+    "function roundPots(uint256, uint256) view returns (uint256)",
+    "function savingsBalances(address) view returns (uint256)",
+    "function setAchievementBadges(address _achievementBadges)",
+    "function slashCircle(uint256 circleId, address defaulter)",
+    "function stake(uint256 circleId) payable",
+    "function startRosca(uint256 circleId, uint256 contribution, uint256 roundLength, uint8 payoutOrder) returns (uint256)",
+    "function transferCircleAdmin(uint256 circleId, address newCreator)",
+    "function unstake(uint256 circleId, uint256 amount)",
+    "function upgradeToAndCall(address newImplementation, bytes data) payable",
+    "function useDelegatedCredit(address delegator, address delegate, uint256 amount)",
+    "function userCircles(address, uint256) view returns (uint256)",
+    "function voteToRemove(uint256 circleId, address member)",
+    "function vouchForMember(uint256 circleId, address member)",
+    "function withdrawSavings()"
+];
+
+// LendingPool (contracts/LendingPool.sol)
+export const LENDING_POOL_ABI = [
+    "constructor()",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error AddressEmptyCode(address target)",
+    "error ERC1967InvalidImplementation(address implementation)",
+    "error ERC1967NonPayable()",
+    "error EnforcedPause()",
+    "error ExpectedPause()",
+    "error FailedCall()",
+    "error InvalidInitialization()",
+    "error NotInitializing()",
+    "error ReentrancyGuardReentrantCall()",
+    "error UUPSUnauthorizedCallContext()",
+    "error UUPSUnsupportedProxiableUUID(bytes32 slot)",
+    "event AchievementBadgesUpdated(address indexed achievementBadges)",
+    "event DefaultCovered(uint256 indexed loanId, uint256 amount)",
+    "event DelegatedLoanOpened(uint256 indexed loanId, address indexed delegate, address indexed delegator, uint256 amount)",
+    "event Deposited(address indexed lender, uint256 amount, uint256 shares)",
+    "event EmergencyWithdrawUpdated(address indexed emergencyWithdraw)",
+    "event EmergencyWithdrawal(address indexed lender, uint256 amount, uint256 shares)",
+    "event Initialized(uint64 version)",
+    "event InstallmentMissed(uint256 indexed loanId, address indexed borrower, uint256 installment, uint256 lateFee)",
+    "event InstallmentPlanCreated(uint256 indexed loanId, uint8 frequency, uint256 installments)",
+    "event InterestDistributed(uint256 indexed loanId, uint256 interest)",
+    "event InterestRateModelUpdated(address indexed model)",
+    "event LeaderboardUpdated(address indexed leaderboard)",
+    "event LoanDefaulted(uint256 indexed loanId, address indexed borrower, uint256 amountOwed)",
+    "event LoanExtended(uint256 indexed loanId, uint256 additionalDuration, uint256 newDuration, uint256 fee)",
+    "event LoanExtensionUpdated(address indexed loanExtension)",
+    "event LoanRepaid(uint256 indexed loanId, address indexed borrower, uint256 amount, bool early)",
+    "event LoanRequested(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 rate)",
+    "event Paused(address account)",
+    "event PoolStateUpdated(uint256 totalLiquidity, uint256 totalBorrowed, uint256 loansIssued, uint256 loansDefaulted)",
+    "event QueuedWithdrawalCancelled(address indexed lender, uint256 shares)",
+    "event QueuedWithdrawalPaid(address indexed lender, uint256 amount, uint256 shares)",
+    "event Unpaused(address account)",
+    "event Upgraded(address indexed implementation)",
+    "event WithdrawalQueued(address indexed lender, uint256 shares, uint256 position)",
+    "event Withdrawn(address indexed lender, uint256 amount, uint256 shares)",
+    "function CREDIT_PRECISION() view returns (uint256)",
+    "function DEFAULT_PENALTY() view returns (int256)",
+    "function DELEGATOR_PENALTY_SHARE() view returns (uint256)",
+    "function GRACE_PERIOD() view returns (uint256)",
+    "function INSTALLMENT_GRACE() view returns (uint256)",
+    "function LATE_FEE() view returns (uint256)",
+    "function MAX_MISSED_INSTALLMENTS() view returns (uint256)",
+    "function MAX_QUEUE_PAYOUTS() view returns (uint256)",
+    "function MAX_RATE() view returns (uint256)",
+    "function MIN_RATE() view returns (uint256)",
+    "function MISSED_INSTALLMENT_PENALTY() view returns (int256)",
+    "function QUEUE_PAYOUT_GAS() view returns (uint256)",
+    "function UPGRADE_INTERFACE_VERSION() view returns (string)",
+    "function achievementBadges() view returns (address)",
+    "function borrow(uint256 amount, uint256 duration) returns (uint256)",
+    "function borrowWithDelegation(address delegator, uint256 amount, uint256 duration) returns (uint256)",
+    "function borrowWithInstallments(uint256 amount, uint256 duration, uint8 frequency) returns (uint256)",
+    "function borrowerLoans(address, uint256) view returns (uint256)",
+    "function cancelQueuedWithdrawal()",
+    "function chargeMissedInstallments(uint256 loanId)",
+    "function claimPendingPayout()",
+    "function convertToAssets(uint256 shares) view returns (uint256)",
+    "function convertToShares(uint256 amount) view returns (uint256)",
+    "function creditPerPoint() view returns (uint256)",
+    "function defaultedLoans() view returns (uint256)",
+    "function deposit() payable",
+    "function emergencyWithdraw() view returns (address)",
+    "function emergencyWithdrawFor(address account, uint256 amount)",
+    "function extendLoan(uint256 loanId, uint256 additionalDuration) payable",
+    "function getBorrowerLoans(address borrower) view returns (uint256[])",
+    "function getBorrowingLimit(address borrower) view returns (uint256)",
+    "function getDueDate(uint256 loanId) view returns (uint256)",
+    "function getInstallmentSchedule(uint256 loanId) view returns (uint256[], uint256[])",
+    "function getInterestRate(address borrower) view returns (uint256)",
+    "function getLenderValue(address lender) view returns (uint256)",
+    "function getLoan(uint256 loanId) view returns ((address borrower, uint256 amount, uint256 interestRate, uint256 startTime, uint256 duration, uint256 amountRepaid, bool active, bool defaulted))",
+    "function getNextInstallment(uint256 loanId) view returns (uint256 index, uint256 dueDate, uint256 amountDue, uint256 missedInstallments)",
+    "function getQueueLength() view returns (uint256)",
+    "function getQueuePosition(address lender) view returns (uint256)",
+    "function getQueuedWithdrawal(address lender) view returns ((address lender, uint256 shares, uint256 principal, uint256 requestTime))",
+    "function getTotalOwed(uint256 loanId) view returns (uint256)",
+    "function getUtilization() view returns (uint256)",
+    "function initialize(address _reputationNFT, address _trustCircle, address _interestRateModel, address _parameters, address _roles)",
+    "function installmentPlans(uint256) view returns (uint8 frequency, uint256 installments, uint256 missedInstallments, uint256 lateFees, uint256 checkedInstallments)",
+    "function interestRateModel() view returns (address)",
+    "function leaderboard() view returns (address)",
+    "function lenders(address) view returns (uint256 deposited, uint256 earned, uint256 lastDepositTime, uint256 shares)",
+    "function loanDelegators(uint256) view returns (address)",
+    "function loanExtension() view returns (address)",
+    "function loanExtensions(uint256) view returns (uint256)",
+    "function loans(uint256) view returns (address borrower, uint256 amount, uint256 interestRate, uint256 startTime, uint256 duration, uint256 amountRepaid, bool active, bool defaulted)",
+    "function markDefaulted(uint256 loanId)",
+    "function maxLoan() view returns (uint256)",
+    "function minLoan() view returns (uint256)",
+    "function parameters() view returns (address)",
+    "function pause()",
+    "function paused() view returns (bool)",
+    "function pendingPayouts(address) view returns (uint256)",
+    "function priorityQueue(uint256) view returns (address lender, uint256 shares, uint256 principal, uint256 requestTime)",
+    "function priorityQueueHead() view returns (uint256)",
+    "function processWithdrawalQueue()",
+    "function proxiableUUID() view returns (bytes32)",
+    "function queueWithdrawal(uint256 shares)",
+    "function redeem(uint256 shares) returns (uint256)",
+    "function repay(uint256 loanId) payable",
+    "function reputationNFT() view returns (address)",
+    "function roles() view returns (address)",
+    "function setAchievementBadges(address _achievementBadges)",
+    "function setEmergencyWithdraw(address _emergencyWithdraw)",
+    "function setInterestRateModel(address model)",
+    "function setLeaderboard(address _leaderboard)",
+    "function setLoanExtension(address _loanExtension)",
+    "function totalBorrowed() view returns (uint256)",
+    "function totalLiquidity() view returns (uint256)",
+    "function totalShares() view returns (uint256)",
+    "function trustCircle() view returns (address)",
+    "function unpause()",
+    "function upgradeToAndCall(address newImplementation, bytes data) payable",
+    "function withdraw(uint256 amount)",
+    "function withdrawalQueue(uint256) view returns (address lender, uint256 shares, uint256 principal, uint256 requestTime)",
+    "function withdrawalQueueHead() view returns (uint256)",
+    "receive() payable"
+];
+
+// TokenLendingPool (contracts/TokenLendingPool.sol)
+export const TOKEN_LENDING_POOL_ABI = [
+    "constructor(address _asset, address _reputationNFT, address _trustCircle, address _interestRateModel, address _parameters, uint256 _minLoan, uint256 _maxLoan, uint256 _creditPerPoint, address _roles)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error EnforcedPause()",
+    "error ExpectedPause()",
+    "error InvalidInitialization()",
+    "error NotInitializing()",
+    "error ReentrancyGuardReentrantCall()",
+    "error SafeERC20FailedOperation(address token)",
+    "event AchievementBadgesUpdated(address indexed achievementBadges)",
+    "event DefaultCovered(uint256 indexed loanId, uint256 amount)",
+    "event Deposited(address indexed lender, uint256 amount, uint256 shares)",
+    "event EmergencyWithdrawUpdated(address indexed emergencyWithdraw)",
+    "event EmergencyWithdrawal(address indexed lender, uint256 amount, uint256 shares)",
+    "event Initialized(uint64 version)",
+    "event InstallmentMissed(uint256 indexed loanId, address indexed borrower, uint256 installment, uint256 lateFee)",
+    "event InstallmentPlanCreated(uint256 indexed loanId, uint8 frequency, uint256 installments)",
+    "event InterestDistributed(uint256 indexed loanId, uint256 interest)",
+    "event InterestRateModelUpdated(address indexed model)",
+    "event LeaderboardUpdated(address indexed leaderboard)",
+    "event LoanDefaulted(uint256 indexed loanId, address indexed borrower, uint256 amountOwed)",
+    "event LoanRepaid(uint256 indexed loanId, address indexed borrower, uint256 amount, bool early)",
+    "event LoanRequested(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 rate)",
+    "event Paused(address account)",
+    "event PoolStateUpdated(uint256 totalLiquidity, uint256 totalBorrowed, uint256 loansIssued, uint256 loansDefaulted)",
+    "event QueuedWithdrawalCancelled(address indexed lender, uint256 shares)",
+    "event QueuedWithdrawalPaid(address indexed lender, uint256 amount, uint256 shares)",
+    "event Unpaused(address account)",
+    "event WithdrawalQueued(address indexed lender, uint256 shares, uint256 position)",
+    "event Withdrawn(address indexed lender, uint256 amount, uint256 shares)",
+    "function CREDIT_PRECISION() view returns (uint256)",
+    "function DEFAULT_PENALTY() view returns (int256)",
+    "function GRACE_PERIOD() view returns (uint256)",
+    "function INSTALLMENT_GRACE() view returns (uint256)",
+    "function LATE_FEE() view returns (uint256)",
+    "function MAX_MISSED_INSTALLMENTS() view returns (uint256)",
+    "function MAX_QUEUE_PAYOUTS() view returns (uint256)",
+    "function MAX_RATE() view returns (uint256)",
+    "function MIN_RATE() view returns (uint256)",
+    "function MISSED_INSTALLMENT_PENALTY() view returns (int256)",
+    "function achievementBadges() view returns (address)",
+    "function asset() view returns (address)",
+    "function borrow(uint256 amount, uint256 duration) returns (uint256)",
+    "function borrowWithInstallments(uint256 amount, uint256 duration, uint8 frequency) returns (uint256)",
+    "function borrowerLoans(address, uint256) view returns (uint256)",
+    "function cancelQueuedWithdrawal()",
+    "function chargeMissedInstallments(uint256 loanId)",
+    "function claimPendingPayout()",
+    "function convertToAssets(uint256 shares) view returns (uint256)",
+    "function convertToShares(uint256 amount) view returns (uint256)",
+    "function creditPerPoint() view returns (uint256)",
+    "function defaultedLoans() view returns (uint256)",
+    "function deposit(uint256 amount)",
+    "function emergencyWithdraw() view returns (address)",
+    "function emergencyWithdrawFor(address account, uint256 amount)",
+    "function getBorrowerLoans(address borrower) view returns (uint256[])",
+    "function getBorrowingLimit(address borrower) view returns (uint256)",
+    "function getDueDate(uint256 loanId) view returns (uint256)",
+    "function getInstallmentSchedule(uint256 loanId) view returns (uint256[], uint256[])",
+    "function getInterestRate(address borrower) view returns (uint256)",
+    "function getLenderValue(address lender) view returns (uint256)",
+    "function getLoan(uint256 loanId) view returns ((address borrower, uint256 amount, uint256 interestRate, uint256 startTime, uint256 duration, uint256 amountRepaid, bool active, bool defaulted))",
+    "function getNextInstallment(uint256 loanId) view returns (uint256 index, uint256 dueDate, uint256 amountDue, uint256 missedInstallments)",
+    "function getQueueLength() view returns (uint256)",
+    "function getQueuePosition(address lender) view returns (uint256)",
+    "function getQueuedWithdrawal(address lender) view returns ((address lender, uint256 shares, uint256 principal, uint256 requestTime))",
+    "function getTotalOwed(uint256 loanId) view returns (uint256)",
+    "function getUtilization() view returns (uint256)",
+    "function installmentPlans(uint256) view returns (uint8 frequency, uint256 installments, uint256 missedInstallments, uint256 lateFees, uint256 checkedInstallments)",
+    "function interestRateModel() view returns (address)",
+    "function leaderboard() view returns (address)",
+    "function lenders(address) view returns (uint256 deposited, uint256 earned, uint256 lastDepositTime, uint256 shares)",
+    "function loanExtensions(uint256) view returns (uint256)",
+    "function loans(uint256) view returns (address borrower, uint256 amount, uint256 interestRate, uint256 startTime, uint256 duration, uint256 amountRepaid, bool active, bool defaulted)",
+    "function markDefaulted(uint256 loanId)",
+    "function maxLoan() view returns (uint256)",
+    "function minLoan() view returns (uint256)",
+    "function parameters() view returns (address)",
+    "function pause()",
+    "function paused() view returns (bool)",
+    "function pendingPayouts(address) view returns (uint256)",
+    "function priorityQueue(uint256) view returns (address lender, uint256 shares, uint256 principal, uint256 requestTime)",
+    "function priorityQueueHead() view returns (uint256)",
+    "function processWithdrawalQueue()",
+    "function queueWithdrawal(uint256 shares)",
+    "function redeem(uint256 shares) returns (uint256)",
+    "function repay(uint256 loanId, uint256 amount)",
+    "function reputationNFT() view returns (address)",
+    "function roles() view returns (address)",
+    "function setAchievementBadges(address _achievementBadges)",
+    "function setEmergencyWithdraw(address _emergencyWithdraw)",
+    "function setInterestRateModel(address model)",
+    "function setLeaderboard(address _leaderboard)",
+    "function totalBorrowed() view returns (uint256)",
+    "function totalLiquidity() view returns (uint256)",
+    "function totalShares() view returns (uint256)",
+    "function trustCircle() view returns (address)",
+    "function unpause()",
+    "function withdraw(uint256 amount)",
+    "function withdrawalQueue(uint256) view returns (address lender, uint256 shares, uint256 principal, uint256 requestTime)",
+    "function withdrawalQueueHead() view returns (uint256)"
+];
+
+// LendingPoolFactory (contracts/LendingPoolFactory.sol)
+export const LENDING_POOL_FACTORY_ABI = [
+    "constructor(address _reputationNFT, address _trustCircle, address _parameters, address _roles)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "event PoolCreated(address indexed asset, address indexed pool, address interestRateModel, uint256 minLoan, uint256 maxLoan, uint256 creditPerPoint)",
+    "function allPools(uint256) view returns (address)",
+    "function createPool(address asset, address interestRateModel, uint256 minLoan, uint256 maxLoan, uint256 creditPerPoint) returns (address)",
+    "function getPoolCount() view returns (uint256)",
+    "function getPools() view returns (address[])",
+    "function parameters() view returns (address)",
+    "function poolForAsset(address) view returns (address)",
+    "function reputationNFT() view returns (address)",
+    "function roles() view returns (address)",
+    "function trustCircle() view returns (address)"
+];
+
+// LoanExtension (contracts/LoanExtension.sol)
+export const LOAN_EXTENSION_ABI = [
+    "constructor(address _reputationNFT, address _lendingPool)",
+    "event ExtensionApproved(uint256 indexed loanId, address indexed borrower)",
+    "event ExtensionExecuted(uint256 indexed loanId, uint256 newEndTime)",
+    "event ExtensionRequested(uint256 indexed loanId, uint256 newDuration, uint256 fee)",
+    "function EXTENSION_PENALTY() view returns (uint256)",
+    "function extensions(uint256) view returns (uint256 loanId, uint256 newDuration, uint256 extensionFee, uint256 requestTime, bool approved, bool executed)",
+    "function getExtension(uint256 loanId) view returns ((uint256 loanId, uint256 newDuration, uint256 extensionFee, uint256 requestTime, bool approved, bool executed))",
+    "function getExtensionFee(uint256 loanId) view returns (uint256)",
+    "function hasExtension(uint256 loanId) view returns (bool)",
+    "function lendingPool() view returns (address)",
+    "function reputationNFT() view returns (address)",
+    "function requestExtension(uint256 loanId, uint256 additionalDays) payable"
+];
+
+// EmergencyWithdraw (contracts/EmergencyWithdraw.sol)
+export const EMERGENCY_WITHDRAW_ABI = [
+    "constructor(address _reputationNFT, address _lendingPool)",
+    "error ReentrancyGuardReentrantCall()",
+    "event WithdrawalCancelled(address indexed user)",
+    "event WithdrawalExecuted(address indexed user, uint256 amount)",
+    "event WithdrawalRequested(address indexed user, uint256 amount, uint256 executionTime)",
+    "function EMERGENCY_PENALTY() view returns (uint256)",
+    "function TIMELOCK_PERIOD() view returns (uint256)",
+    "function cancelWithdrawal()",
+    "function executeWithdrawal()",
+    "function getTimeRemaining(address user) view returns (uint256)",
+    "function isWithdrawalReady(address user) view returns (bool)",
+    "function lendingPool() view returns (address)",
+    "function reputationNFT() view returns (address)",
+    "function requestWithdrawal(uint256 amount)",
+    "function withdrawalRequests(address) view returns (address user, uint256 amount, uint256 requestTime, bool executed)"
+];
+
+// GovernanceToken (contracts/GovernanceToken.sol)
+export const GOVERNANCE_TOKEN_ABI = [
+    "constructor(address _parameters, address _reputationNFT)",
+    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description)",
+    "event ProposalExecuted(uint256 indexed proposalId, bool passed)",
+    "event VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight)",
+    "function QUORUM_PERCENT() view returns (uint256)",
+    "function VOTING_PERIOD() view returns (uint256)",
+    "function castVote(uint256 proposalId, bool support)",
+    "function createProposal(string description, uint8 proposalType, uint256 newValue) returns (uint256)",
+    "function executeProposal(uint256 proposalId)",
+    "function getActiveProposals() view returns (uint256[])",
+    "function getParameterKey(uint8 proposalType) view returns (bytes32)",
+    "function getProposal(uint256 proposalId) view returns ((uint256 id, string description, address proposer, uint256 forVotes, uint256 againstVotes, uint256 startTime, uint256 endTime, uint256 snapshot, bool executed, uint8 proposalType, uint256 newValue))",
+    "function getVotingPower(uint256 proposalId, address user) view returns (uint256)",
+    "function hasUserVoted(uint256 proposalId, address user) view returns (bool)",
+    "function hasVoted(uint256, address) view returns (bool)",
+    "function parameters() view returns (address)",
+    "function proposalCount() view returns (uint256)",
+    "function proposals(uint256) view returns (uint256 id, string description, address proposer, uint256 forVotes, uint256 againstVotes, uint256 startTime, uint256 endTime, uint256 snapshot, bool executed, uint8 proposalType, uint256 newValue)",
+    "function quorum(uint256 proposalId) view returns (uint256)",
+    "function reputationNFT() view returns (address)",
+    "function votes(uint256, address) view returns (bool)"
+];
+
+// ProtocolParameters (contracts/ProtocolParameters.sol)
+export const PROTOCOL_PARAMETERS_ABI = [
+    "constructor(address _roles)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "event ChangeExecuted(bytes32 indexed key, uint256 oldValue, uint256 newValue)",
+    "event ChangeScheduled(bytes32 indexed key, uint256 newValue, uint256 executeAfter)",
+    "event GovernanceUpdated(address indexed governance)",
+    "event ParameterDefined(bytes32 indexed key, uint256 value, uint256 minValue, uint256 maxValue)",
+    "function BASE_RATE() view returns (bytes32)",
+    "function EXTENSION_FEE_PERCENT() view returns (bytes32)",
+    "function MAX_LOAN_DURATION() view returns (bytes32)",
+    "function MIN_CIRCLE_REPUTATION() view returns (bytes32)",
+    "function TIMELOCK_DELAY() view returns (uint256)",
+    "function defineParameter(bytes32 key, uint256 value, uint256 minValue, uint256 maxValue)",
+    "function executeChange(bytes32 key)",
+    "function getParameter(bytes32 key) view returns (uint256)",
+    "function governance() view returns (address)",
+    "function isWithinBounds(bytes32 key, uint256 value) view returns (bool)",
+    "function parameters(bytes32) view returns (uint256 value, uint256 minValue, uint256 maxValue, bool exists)",
+    "function pendingChanges(bytes32) view returns (uint256 newValue, uint256 executeAfter)",
+    "function roles() view returns (address)",
+    "function scheduleChange(bytes32 key, uint256 newValue)",
+    "function setGovernance(address _governance)"
+];
+
+// Leaderboard (contracts/Leaderboard.sol)
+export const LEADERBOARD_ABI = [
+    "constructor(address _roles)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "event StatsUpdated(address indexed user, uint256 reputation, uint256 loansCompleted)",
+    "event UserRegistered(address indexed user)",
+    "function getTopByLoans(uint256 count) view returns ((address user, uint256 reputation, uint256 loansCompleted, uint256 totalRepaid, uint256 trustScore, uint256 lastUpdated)[])",
+    "function getTopByReputation(uint256 count) view returns ((address user, uint256 reputation, uint256 loansCompleted, uint256 totalRepaid, uint256 trustScore, uint256 lastUpdated)[])",
+    "function getTotalUsers() view returns (uint256)",
+    "function getUserLoansRank(address user) view returns (uint256)",
+    "function getUserRank(address user) view returns (uint256)",
+    "function isRegistered(address) view returns (bool)",
+    "function roles() view returns (address)",
+    "function updateLoanStats(address user, uint256 loansCompleted, uint256 totalRepaid)",
+    "function updateReputation(address user, uint256 reputation)",
+    "function updateTrustScore(address user, uint256 trustScore)",
+    "function userStats(address) view returns (address user, uint256 reputation, uint256 loansCompleted, uint256 totalRepaid, uint256 trustScore, uint256 lastUpdated)",
+    "function users(uint256) view returns (address)"
+];
+
+// AchievementBadges (contracts/AchievementBadges.sol)
+export const ACHIEVEMENT_BADGES_ABI = [
+    "constructor(address _reputationNFT, address _roles)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)",
+    "error ERC721InsufficientApproval(address operator, uint256 tokenId)",
+    "error ERC721InvalidApprover(address approver)",
+    "error ERC721InvalidOperator(address operator)",
+    "error ERC721InvalidOwner(address owner)",
+    "error ERC721InvalidReceiver(address receiver)",
+    "error ERC721InvalidSender(address sender)",
+    "error ERC721NonexistentToken(uint256 tokenId)",
+    "event AchievementActiveSet(uint256 indexed achievementId, bool active)",
+    "event AchievementAdded(uint256 indexed achievementId, string name, uint8 metric, uint256 levels)",
+    "event AchievementExpirySet(uint256 indexed achievementId, uint256 expiresAt)",
+    "event AchievementUnlocked(address indexed user, uint256 indexed achievementId, uint256 level, uint256 tokenId)",
+    "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+    "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+    "event GovernanceUpdated(address indexed governance)",
+    "event ProgressUpdated(address indexed user, uint8 indexed metric, uint256 value)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "function CIRCLE_BUILDER() view returns (uint256)",
+    "function DIAMOND_TIER() view returns (uint256)",
+    "function FIRST_LOAN() view returns (uint256)",
+    "function FIRST_REPAYMENT() view returns (uint256)",
+    "function LENDER() view returns (uint256)",
+    "function MAX_LEVELS() view returns (uint256)",
+    "function PERFECT_PAYBACK() view returns (uint256)",
+    "function TRUSTED_MEMBER() view returns (uint256)",
+    "function VETERAN_BORROWER() view returns (uint256)",
+    "function WHALE() view returns (uint256)",
+    "function achievementLevel(address, uint256) view returns (uint256)",
+    "function achievementTokenId(address, uint256) view returns (uint256)",
+    "function addAchievement(string name, string description, uint8 metric, uint256[] thresholds, uint256[] bonuses, uint256 expiresAt) returns (uint256)",
+    "function addProgress(address user, uint8 metric, uint256 amount)",
+    "function approve(address to, uint256 tokenId)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function checkAchievement(address user, uint256 achievementId) view returns (bool)",
+    "function getAchievement(uint256 achievementId) view returns ((string name, string description, uint8 metric, uint256[] thresholds, uint256[] bonuses, uint256 expiresAt, bool active))",
+    "function getAchievementCount() view returns (uint256)",
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function getUserAchievements(address user) view returns (uint256[])",
+    "function governance() view returns (address)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function name() view returns (string)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function progress(address, uint8) view returns (uint256)",
+    "function recordProgress(address user, uint8 metric, uint256 value)",
+    "function reputationNFT() view returns (address)",
+    "function roles() view returns (address)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+    "function setAchievementActive(uint256 achievementId, bool active)",
+    "function setAchievementExpiry(uint256 achievementId, uint256 expiresAt)",
+    "function setApprovalForAll(address operator, bool approved)",
+    "function setGovernance(address _governance)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function symbol() view returns (string)",
+    "function tokenAchievement(uint256) view returns (uint256)",
+    "function tokenLevel(uint256) view returns (uint256)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function transferFrom(address from, address to, uint256 tokenId)",
+    "function unlockAchievement(address user, uint256 achievementId)"
+];
+
+// ReferralSystem (contracts/ReferralSystem.sol)
+export const REFERRAL_SYSTEM_ABI = [
+    "constructor(address _reputationNFT, address _roles)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "event MilestoneReached(address indexed referrer, uint256 totalReferrals, uint256 bonus)",
+    "event ReferralLimitsUpdated(uint256 maxRewardsPerEpoch, uint8 minReferrerTier)",
+    "event ReferralRewardClaimed(address indexed referrer, address indexed referred, uint256 referrerBonus, uint256 referredBonus)",
+    "event UserReferred(address indexed referrer, address indexed referred, uint256 timestamp)",
+    "function EPOCH_DURATION() view returns (uint256)",
+    "function MILESTONE_BONUS() view returns (uint256)",
+    "function REFERRED_BONUS() view returns (uint256)",
+    "function REFERRER_BONUS() view returns (uint256)",
+    "function claimReferralReward(address referred)",
+    "function getCurrentEpoch() view returns (uint256)",
+    "function getReferralCount(address referrer) view returns (uint256)",
+    "function getReferrals(address referrer) view returns (address[])",
+    "function getReferrer(address user) view returns (address)",
+    "function getRemainingRewards(address referrer) view returns (uint256)",
+    "function isReferred(address user) view returns (bool)",
+    "function isRewardClaimable(address referred) view returns (bool)",
+    "function maxRewardsPerEpoch() view returns (uint256)",
+    "function minReferrerTier() view returns (uint8)",
+    "function referrals(address) view returns (address referrer, address referred, uint256 timestamp, bool rewardClaimed, uint256 loansAtRegistration)",
+    "function referrerToReferrals(address, uint256) view returns (address)",
+    "function registerReferral(address referrer)",
+    "function reputationNFT() view returns (address)",
+    "function rewardedReferrals(address) view returns (uint256)",
+    "function rewardsInEpoch(address, uint256) view returns (uint256)",
+    "function roles() view returns (address)",
+    "function setReferralLimits(uint256 _maxRewardsPerEpoch, uint8 _minReferrerTier)"
+];
+
+// IERC20Metadata (@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol)
+export const ERC20_ABI = [
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 value) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function decimals() view returns (uint8)",
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function totalSupply() view returns (uint256)",
+    "function transfer(address to, uint256 value) returns (bool)",
+    "function transferFrom(address from, address to, uint256 value) returns (bool)"
+];
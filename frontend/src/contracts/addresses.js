@@ -0,0 +1,4 @@
+// Generated by `npx hardhat generate-bindings` from deployments/*.json. Do not edit.
+
+/** @type {Record<number, import('./index').Deployment>} */
+export const DEPLOYMENTS = {};
@@ -0,0 +1,76 @@
+import { ethers } from 'ethers';
+import {
+    REPUTATION_NFT_ABI,
+    TRUST_CIRCLE_ABI,
+    LENDING_POOL_ABI,
+    LENDING_POOL_FACTORY_ABI,
+    LOAN_EXTENSION_ABI,
+    EMERGENCY_WITHDRAW_ABI,
+    GOVERNANCE_TOKEN_ABI,
+    PROTOCOL_PARAMETERS_ABI,
+    LEADERBOARD_ABI,
+    ACHIEVEMENT_BADGES_ABI,
+    REFERRAL_SYSTEM_ABI
+} from './abis';
+import { DEPLOYMENTS } from './addresses';
+
+export { TOKEN_LENDING_POOL_ABI, ERC20_ABI } from './abis';
+
+/**
+ * @typedef {object} Deployment
+ * @property {string} network Hardhat network the protocol was deployed to
+ * @property {Record<string, string>} contracts Deployment entry name => address
+ */
+
+/**
+ * @typedef {object} ProtocolContracts
+ * @property {ethers.Contract} reputationNFT
+ * @property {ethers.Contract} lendingPool
+ * @property {ethers.Contract} trustCircle
+ * @property {ethers.Contract} loanExtension
+ * @property {ethers.Contract} emergencyWithdraw
+ * @property {ethers.Contract} governanceToken
+ * @property {ethers.Contract} protocolParameters
+ * @property {ethers.Contract} leaderboard
+ * @property {ethers.Contract} achievementBadges
+ * @property {ethers.Contract} referralSystem
+ * @property {ethers.Contract} lendingPoolFactory
+ */
+
+// Binding => [deployment entry, ABI]
+const BINDINGS = {
+    reputationNFT: ['ReputationNFT', REPUTATION_NFT_ABI],
+    lendingPool: ['LendingPool', LENDING_POOL_ABI],
+    trustCircle: ['TrustCircle', TRUST_CIRCLE_ABI],
+    loanExtension: ['LoanExtension', LOAN_EXTENSION_ABI],
+    emergencyWithdraw: ['EmergencyWithdraw', EMERGENCY_WITHDRAW_ABI],
+    governanceToken: ['GovernanceToken', GOVERNANCE_TOKEN_ABI],
+    protocolParameters: ['ProtocolParameters', PROTOCOL_PARAMETERS_ABI],
+    leaderboard: ['Leaderboard', LEADERBOARD_ABI],
+    achievementBadges: ['AchievementBadges', ACHIEVEMENT_BADGES_ABI],
+    referralSystem: ['ReferralSystem', REFERRAL_SYSTEM_ABI],
+    lendingPoolFactory: ['LendingPoolFactory', LENDING_POOL_FACTORY_ABI]
+};
+
+/** Chains the protocol is deployed on, as `{ chainId, network }` */
+export const SUPPORTED_CHAINS = Object.entries(DEPLOYMENTS).map(([chainId, { network }]) => ({
+    chainId: Number(chainId),
+    network
+}));
+
+/**
+ * Deployment on a chain
+ * @param {bigint|number} chainId Chain the wallet is connected to
+ * @returns {Deployment|null} The deployment, or null if the protocol is not deployed there
+ */
+export const getDeployment = (chainId) => DEPLOYMENTS[Number(chainId)] ?? null;
+
+/**
+ * Bind every protocol contract of a deployment
+ * @param {Deployment} deployment Deployment from getDeployment
+ * @param {ethers.ContractRunner} runner Signer or provider the contracts send through
+ * @returns {ProtocolContracts}
+ */
+export const connectContracts = (deployment, runner) => Object.fromEntries(
+    Object.entries(BINDINGS).map(([key, [name, abi]]) => [key, new ethers.Contract(deployment.contracts[name], abi, runner)])
+);
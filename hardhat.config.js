@@ -1,6 +1,9 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
+require("./tasks/verify-deployment");
+require("./tasks/generate-bindings");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
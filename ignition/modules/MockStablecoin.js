@@ -0,0 +1,9 @@
+// Mintable stablecoin lent by the token pool on networks without a real one
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("MockStablecoin", (m) => {
+    const stablecoin = m.contract("MockERC20", ["Mock USD", "mUSD", 6]);
+
+    return { Stablecoin: stablecoin };
+});
@@ -0,0 +1,148 @@
+// Hardhat Ignition module that deploys and wires the whole protocol. Ignition journals
+// every transaction, so a deployment that fails halfway resumes where it stopped.
+// Learn more about it at https://v2.hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const ERC1967Proxy = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const TWO_DAYS = 2 * 24 * 60 * 60;
+
+// Deploy an implementation behind a UUPS proxy that is initialized in the same transaction
+function deployProxy(m, name, initArgs) {
+    const implementation = m.contract(name, [], { id: `${name}Implementation` });
+    const initData = m.encodeFunctionCall(implementation, "initialize", initArgs);
+    const proxy = m.contract("ERC1967Proxy", ERC1967Proxy, [implementation, initData], { id: `${name}Proxy` });
+    return m.contractAt(name, proxy);
+}
+
+module.exports = buildModule("TrustCircleProtocol", (m) => {
+    const deployer = m.getAccount(0);
+
+    // Stablecoin lent by the token pool, with $10 - $5,000 loans and $2 of credit per point (6 decimals)
+    const stablecoin = m.getParameter("stablecoin");
+    const stablecoinMinLoan = m.getParameter("stablecoinMinLoan", 10_000_000n);
+    const stablecoinMaxLoan = m.getParameter("stablecoinMaxLoan", 5_000_000_000n);
+    const stablecoinCreditPerPoint = m.getParameter("stablecoinCreditPerPoint", 2_000_000n);
+
+    // Account that schedules upgrades of the proxied core contracts, and the timelock delay
+    const upgradeProposer = m.getParameter("upgradeProposer", deployer);
+    const upgradeDelay = m.getParameter("upgradeDelay", TWO_DAYS);
+
+    // Registries; only the timelock can upgrade the proxied core contracts or hand that role on
+    const timelock = m.contract("ProtocolTimelock", [upgradeDelay, [upgradeProposer], ZERO_ADDRESS]);
+    const roles = m.contract("ProtocolRoles", [deployer, timelock]);
+    const protocolParameters = m.contract("ProtocolParameters", [roles]);
+
+    // Core contracts (UUPS proxies)
+    const reputationNFT = deployProxy(m, "ReputationNFT", [roles]);
+    const trustCircle = deployProxy(m, "TrustCircle", [reputationNFT, protocolParameters, roles]);
+
+    // Governed base rate, +4% up to 80% utilization, +30% above
+    const interestRateModel = m.contract("KinkInterestRateModel", [protocolParameters, 400, 3000, 8000]);
+    const lendingPool = deployProxy(m, "LendingPool", [
+        reputationNFT,
+        trustCircle,
+        interestRateModel,
+        protocolParameters,
+        roles,
+    ]);
+
+    // Periphery
+    const leaderboard = m.contract("Leaderboard", [roles]);
+    const governanceToken = m.contract("GovernanceToken", [protocolParameters, reputationNFT]);
+    const achievementBadges = m.contract("AchievementBadges", [reputationNFT, roles]);
+    const loanExtension = m.contract("LoanExtension", [reputationNFT, lendingPool]);
+    const emergencyWithdraw = m.contract("EmergencyWithdraw", [reputationNFT, lendingPool]);
+    const referralSystem = m.contract("ReferralSystem", [reputationNFT, roles]);
+    const lendingPoolFactory = m.contract("LendingPoolFactory", [reputationNFT, trustCircle, protocolParameters, roles]);
+
+    // Role IDs, read from the registry
+    const PARAM_ADMIN_ROLE = m.staticCall(roles, "PARAM_ADMIN_ROLE", [], 0, { id: "PARAM_ADMIN_ROLE" });
+    const UPDATER_ROLE = m.staticCall(roles, "UPDATER_ROLE", [], 0, { id: "UPDATER_ROLE" });
+    const SLASHER_ROLE = m.staticCall(roles, "SLASHER_ROLE", [], 0, { id: "SLASHER_ROLE" });
+
+    // The deployer holds the param admin role only for the wiring steps; it is revoked at the end
+    const grantParamAdmin = m.call(roles, "grantRole", [PARAM_ADMIN_ROLE, deployer], { id: "GrantDeployerParamAdmin" });
+    const wiring = [];
+    const wire = (contract, method, args) => {
+        const call = m.call(contract, method, args, { after: [grantParamAdmin] });
+        wiring.push(call);
+        return call;
+    };
+
+    // Stablecoin pool with its own rate curve: governed base rate, +2% up to 90% utilization, +20% above
+    const stablecoinRateModel = m.contract("KinkInterestRateModel", [protocolParameters, 200, 2000, 9000], {
+        id: "StablecoinInterestRateModel",
+    });
+    const createPool = wire(lendingPoolFactory, "createPool", [
+        stablecoin,
+        stablecoinRateModel,
+        stablecoinMinLoan,
+        stablecoinMaxLoan,
+        stablecoinCreditPerPoint,
+    ]);
+    const tokenPoolAddress = m.readEventArgument(createPool, "PoolCreated", "pool");
+    const tokenLendingPool = m.contractAt("TokenLendingPool", tokenPoolAddress);
+
+    // Protocol contracts that update reputation, achievements, the leaderboard and circle state
+    const updaters = {
+        LendingPool: lendingPool,
+        TokenLendingPool: tokenLendingPool,
+        TrustCircle: trustCircle,
+        ReputationNFT: reputationNFT,
+        AchievementBadges: achievementBadges,
+        LoanExtension: loanExtension,
+        EmergencyWithdraw: emergencyWithdraw,
+        ReferralSystem: referralSystem,
+    };
+    for (const [name, updater] of Object.entries(updaters)) {
+        m.call(roles, "grantRole", [UPDATER_ROLE, updater], { id: `Grant${name}Updater` });
+    }
+
+    // Lending pools slash circles; the ETH pool also draws on circle guarantee funds
+    m.call(roles, "grantRole", [SLASHER_ROLE, lendingPool], { id: "GrantLendingPoolSlasher" });
+    m.call(roles, "grantRole", [SLASHER_ROLE, tokenLendingPool], { id: "GrantTokenLendingPoolSlasher" });
+
+    // Pool, circle and tier activity unlock achievements
+    wire(lendingPool, "setAchievementBadges", [achievementBadges]);
+    wire(tokenLendingPool, "setAchievementBadges", [achievementBadges]);
+    wire(trustCircle, "setAchievementBadges", [achievementBadges]);
+    wire(reputationNFT, "setAchievementBadges", [achievementBadges]);
+
+    // LoanExtension extends loans and EmergencyWithdraw skips the withdrawal queue
+    wire(lendingPool, "setLoanExtension", [loanExtension]);
+    wire(lendingPool, "setEmergencyWithdraw", [emergencyWithdraw]);
+
+    // GovernanceToken schedules parameter changes
+    wire(protocolParameters, "setGovernance", [governanceToken]);
+
+    // ReputationNFT and the lending pools push stats to the Leaderboard
+    wire(reputationNFT, "setLeaderboard", [leaderboard]);
+    wire(lendingPool, "setLeaderboard", [leaderboard]);
+    wire(tokenLendingPool, "setLeaderboard", [leaderboard]);
+
+    // Nobody keeps configuration rights the deployment does not need; the deployer stays
+    // admin so it can grant PAUSER_ROLE and PARAM_ADMIN_ROLE to operators later
+    m.call(roles, "revokeRole", [PARAM_ADMIN_ROLE, deployer], { id: "RevokeDeployerParamAdmin", after: wiring });
+
+    // Keys match the contract names in deployments/<network>.json
+    return {
+        ProtocolRoles: roles,
+        ProtocolTimelock: timelock,
+        ProtocolParameters: protocolParameters,
+        GovernanceToken: governanceToken,
+        Leaderboard: leaderboard,
+        ReputationNFT: reputationNFT,
+        TrustCircle: trustCircle,
+        KinkInterestRateModel: interestRateModel,
+        LendingPool: lendingPool,
+        AchievementBadges: achievementBadges,
+        LoanExtension: loanExtension,
+        EmergencyWithdraw: emergencyWithdraw,
+        ReferralSystem: referralSystem,
+        LendingPoolFactory: lendingPoolFactory,
+        StablecoinInterestRateModel: stablecoinRateModel,
+        TokenLendingPool: tokenLendingPool,
+    };
+});
@@ -0,0 +1,128 @@
+// Event ABIs for every contract the indexer follows, keyed by the
+// contract names used in deployments/<network>.json
+
+const LENDING_POOL_EVENTS = [
+    "event Deposited(address indexed lender, uint256 amount, uint256 shares)",
+    "event Withdrawn(address indexed lender, uint256 amount, uint256 shares)",
+    "event LoanRequested(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 rate)",
+    "event LoanRepaid(uint256 indexed loanId, address indexed borrower, uint256 amount, bool early)",
+    "event LoanDefaulted(uint256 indexed loanId, address indexed borrower, uint256 amountOwed)",
+    "event DefaultCovered(uint256 indexed loanId, uint256 amount)",
+    "event InterestDistributed(uint256 indexed loanId, uint256 interest)",
+    "event LoanExtended(uint256 indexed loanId, uint256 additionalDuration, uint256 newDuration, uint256 fee)",
+    "event DelegatedLoanOpened(uint256 indexed loanId, address indexed delegate, address indexed delegator, uint256 amount)",
+    "event WithdrawalQueued(address indexed lender, uint256 shares, uint256 position)",
+    "event QueuedWithdrawalPaid(address indexed lender, uint256 amount, uint256 shares)",
+    "event QueuedWithdrawalCancelled(address indexed lender, uint256 shares)",
+    "event EmergencyWithdrawal(address indexed lender, uint256 amount, uint256 shares)",
+    "event InstallmentPlanCreated(uint256 indexed loanId, uint8 frequency, uint256 installments)",
+    "event InstallmentMissed(uint256 indexed loanId, address indexed borrower, uint256 installment, uint256 lateFee)",
+    "event PoolStateUpdated(uint256 totalLiquidity, uint256 totalBorrowed, uint256 loansIssued, uint256 loansDefaulted)",
+    "event Paused(address account)",
+    "event Unpaused(address account)"
+];
+
+// ERC-20 pools emit the same events, minus loan extensions and delegated loans
+const TOKEN_LENDING_POOL_EVENTS = LENDING_POOL_EVENTS.filter(
+    (event) => !event.startsWith("event LoanExtended(") && !event.startsWith("event DelegatedLoanOpened(")
+);
+
+const LENDING_POOL_FACTORY_EVENTS = [
+    "event PoolCreated(address indexed asset, address indexed pool, address interestRateModel, uint256 minLoan, uint256 maxLoan, uint256 creditPerPoint)"
+];
+
+const REPUTATION_NFT_EVENTS = [
+    "event ReputationMinted(address indexed user, uint256 indexed tokenId)",
+    "event ReputationUpdated(uint256 indexed tokenId, int256 delta, uint256 newScore, uint8 newTier, uint8 indexed reason)",
+    "event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)",
+    "event DecayModelUpdated(uint256 baseline, uint256 gracePeriod, uint256 decayPerPeriod, uint256 recoveryPerPeriod, uint256 rehabStreak)"
+];
+
+const TRUST_CIRCLE_EVENTS = [
+    "event CircleCreated(uint256 indexed circleId, address indexed creator, string name, uint256 minReputation)",
+    "event MemberInvited(uint256 indexed circleId, address indexed member)",
+    "event MemberJoined(uint256 indexed circleId, address indexed member)",
+    "event MemberVouched(uint256 indexed circleId, address indexed voucher, address indexed member)",
+    "event VouchRenewed(uint256 indexed circleId, address indexed voucher, address indexed member, uint256 expiresAt)",
+    "event VouchRevoked(uint256 indexed circleId, address indexed voucher, address indexed member)",
+    "event MemberLeft(uint256 indexed circleId, address indexed member)",
+    "event RemovalVoted(uint256 indexed circleId, address indexed voter, address indexed member, uint256 votes)",
+    "event MemberRemoved(uint256 indexed circleId, address indexed member)",
+    "event CircleAdminTransferred(uint256 indexed circleId, address indexed previousCreator, address indexed newCreator)",
+    "event CircleDissolved(uint256 indexed circleId)",
+    "event CircleSlashed(uint256 indexed circleId, address indexed defaulter, uint256 affectedMembers)",
+    "event Staked(uint256 indexed circleId, address indexed member, uint256 amount)",
+    "event Unstaked(uint256 indexed circleId, address indexed member, uint256 amount)",
+    "event GuaranteeClaimed(uint256 indexed circleId, address indexed defaulter, address indexed voucher, uint256 amount)",
+    "event RoscaStarted(uint256 indexed roscaId, uint256 indexed circleId, uint256 contribution, uint256 roundLength, uint8 payoutOrder)",
+    "event ContributionMade(uint256 indexed roscaId, uint256 indexed round, address indexed member, uint256 amount)",
+    "event BidPlaced(uint256 indexed roscaId, uint256 indexed round, address indexed member, uint256 discount)",
+    "event ContributionMissed(uint256 indexed roscaId, uint256 indexed round, address indexed member)",
+    "event PotPaid(uint256 indexed roscaId, uint256 indexed round, address indexed recipient, uint256 amount, uint256 discount)",
+    "event RoscaCompleted(uint256 indexed roscaId, uint256 indexed circleId)",
+    "event SavingsWithdrawn(address indexed member, uint256 amount)",
+    "event CreditDelegated(uint256 indexed circleId, address indexed delegator, address indexed delegate, uint256 amount, uint256 expiresAt)",
+    "event CreditRevoked(address indexed delegator, address indexed delegate)",
+    "event DelegatedCreditUsed(address indexed delegator, address indexed delegate, uint256 amount)",
+    "event DelegatedCreditReleased(address indexed delegator, address indexed delegate, uint256 amount)"
+];
+
+const ACHIEVEMENT_BADGES_EVENTS = [
+    "event AchievementUnlocked(address indexed user, uint256 indexed achievementId, uint256 level, uint256 tokenId)",
+    "event AchievementAdded(uint256 indexed achievementId, string name, uint8 metric, uint256 levels)",
+    "event ProgressUpdated(address indexed user, uint8 indexed metric, uint256 value)"
+];
+
+const GOVERNANCE_TOKEN_EVENTS = [
+    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description)",
+    "event VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight)",
+    "event ProposalExecuted(uint256 indexed proposalId, bool passed)"
+];
+
+const PROTOCOL_PARAMETERS_EVENTS = [
+    "event ChangeScheduled(bytes32 indexed key, uint256 newValue, uint256 executeAfter)",
+    "event ChangeExecuted(bytes32 indexed key, uint256 oldValue, uint256 newValue)"
+];
+
+const LOAN_EXTENSION_EVENTS = [
+    "event ExtensionRequested(uint256 indexed loanId, uint256 newDuration, uint256 fee)",
+    "event ExtensionApproved(uint256 indexed loanId, address indexed borrower)",
+    "event ExtensionExecuted(uint256 indexed loanId, uint256 newEndTime)"
+];
+
+const EMERGENCY_WITHDRAW_EVENTS = [
+    "event WithdrawalRequested(address indexed user, uint256 amount, uint256 executionTime)",
+    "event WithdrawalExecuted(address indexed user, uint256 amount)",
+    "event WithdrawalCancelled(address indexed user)"
+];
+
+// Emitted by the proxied core contracts when the implementation changes
+const UPGRADE_EVENTS = [
+    "event Upgraded(address indexed implementation)"
+];
+
+const PROTOCOL_ROLES_EVENTS = [
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"
+];
+
+const REFERRAL_SYSTEM_EVENTS = [
+    "event UserReferred(address indexed referrer, address indexed referred, uint256 timestamp)",
+    "event ReferralRewardClaimed(address indexed referrer, address indexed referred, uint256 referrerBonus, uint256 referredBonus)",
+    "event MilestoneReached(address indexed referrer, uint256 totalReferrals, uint256 bonus)"
+];
+
+module.exports = {
+    LendingPool: [...LENDING_POOL_EVENTS, ...UPGRADE_EVENTS],
+    TokenLendingPool: TOKEN_LENDING_POOL_EVENTS,
+    LendingPoolFactory: LENDING_POOL_FACTORY_EVENTS,
+    ReputationNFT: [...REPUTATION_NFT_EVENTS, ...UPGRADE_EVENTS],
+    TrustCircle: [...TRUST_CIRCLE_EVENTS, ...UPGRADE_EVENTS],
+    AchievementBadges: ACHIEVEMENT_BADGES_EVENTS,
+    GovernanceToken: GOVERNANCE_TOKEN_EVENTS,
+    ProtocolParameters: PROTOCOL_PARAMETERS_EVENTS,
+    LoanExtension: LOAN_EXTENSION_EVENTS,
+    EmergencyWithdraw: EMERGENCY_WITHDRAW_EVENTS,
+    ReferralSystem: REFERRAL_SYSTEM_EVENTS,
+    ProtocolRoles: PROTOCOL_ROLES_EVENTS,
+};
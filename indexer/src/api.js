@@ -0,0 +1,91 @@
+const http = require("http");
+
+/**
+ * Small HTTP/JSON API over the event store
+ *
+ *   GET /status                          Indexing progress
+ *   GET /events                          Events, filtered by contract, event, account,
+ *                                        fromBlock, toBlock and arg.<name>=<value>
+ *   GET /accounts/:address/events        Events that mention an address
+ *   GET /loans/:loanId/events            Lifecycle events of a loan
+ *
+ * Lists accept limit (max 1000) and offset and are ordered newest first.
+ */
+function createApi({ store, indexer }) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        const parts = url.pathname.split("/").filter(Boolean);
+
+        try {
+            if (req.method !== "GET") {
+                return send(res, 405, { error: "Method not allowed" });
+            }
+
+            if (parts.length === 1 && parts[0] === "status") {
+                return send(res, 200, {
+                    lastBlock: store.getLastBlock(),
+                    head: indexer.head,
+                    contracts: Object.fromEntries(
+                        [...indexer.contracts].map(([address, { name }]) => [name, address])
+                    ),
+                });
+            }
+
+            if (parts.length === 1 && parts[0] === "events") {
+                return send(res, 200, store.getEvents(parseFilter(url.searchParams)));
+            }
+
+            if (parts.length === 3 && parts[0] === "accounts" && parts[2] === "events") {
+                const filter = parseFilter(url.searchParams);
+                return send(res, 200, store.getEvents({ ...filter, account: parts[1] }));
+            }
+
+            if (parts.length === 3 && parts[0] === "loans" && parts[2] === "events") {
+                const filter = parseFilter(url.searchParams);
+                return send(res, 200, store.getEvents({ ...filter, args: { ...filter.args, loanId: parts[1] } }));
+            }
+
+            return send(res, 404, { error: "Not found" });
+        } catch (error) {
+            return send(res, 400, { error: error.message });
+        }
+    });
+}
+
+function parseFilter(params) {
+    const filter = {
+        contract: params.get("contract") || undefined,
+        event: params.get("event") || undefined,
+        account: params.get("account") || undefined,
+        fromBlock: parseInteger(params.get("fromBlock")),
+        toBlock: parseInteger(params.get("toBlock")),
+        limit: Math.min(parseInteger(params.get("limit")) ?? 100, 1000),
+        offset: parseInteger(params.get("offset")) ?? 0,
+        args: {},
+    };
+
+    for (const [key, value] of params) {
+        if (key.startsWith("arg.")) {
+            filter.args[key.slice(4)] = value;
+        }
+    }
+
+    return filter;
+}
+
+function parseInteger(value) {
+    if (value === null || value === "") return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) throw new Error(`Invalid number: ${value}`);
+    return number;
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+    });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = { createApi };
@@ -0,0 +1,184 @@
+const Database = require("better-sqlite3");
+
+const ARG_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+
+    -- Hashes of indexed blocks, used to detect reorgs
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        contract TEXT NOT NULL,
+        address TEXT NOT NULL,
+        event TEXT NOT NULL,
+        args TEXT NOT NULL,
+        UNIQUE (tx_hash, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_block ON events (block_number);
+    CREATE INDEX IF NOT EXISTS events_name ON events (contract, event);
+
+    -- Every address argument of an event, so history can be queried per account
+    CREATE TABLE IF NOT EXISTS event_accounts (
+        event_id INTEGER NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+        account TEXT NOT NULL,
+        role TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS event_accounts_account ON event_accounts (account, event_id);
+`;
+
+/**
+ * SQLite store for indexed events
+ */
+class EventStore {
+    constructor(filename) {
+        this.db = new Database(filename);
+        this.db.pragma("journal_mode = WAL");
+        this.db.pragma("foreign_keys = ON");
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            getMeta: this.db.prepare("SELECT value FROM meta WHERE key = ?"),
+            setMeta: this.db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"),
+            insertBlock: this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"),
+            latestBlocks: this.db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?"),
+            insertEvent: this.db.prepare(`
+                INSERT OR IGNORE INTO events (block_number, block_hash, timestamp, tx_hash, log_index, contract, address, event, args)
+                VALUES (@blockNumber, @blockHash, @timestamp, @txHash, @logIndex, @contract, @address, @event, @args)
+            `),
+            insertAccount: this.db.prepare("INSERT INTO event_accounts (event_id, account, role) VALUES (?, ?, ?)"),
+            deleteEventsAfter: this.db.prepare("DELETE FROM events WHERE block_number > ?"),
+            deleteBlocksAfter: this.db.prepare("DELETE FROM blocks WHERE number > ?"),
+        };
+    }
+
+    /**
+     * Last block whose events are fully stored, or null before the first sync
+     */
+    getLastBlock() {
+        const row = this.statements.getMeta.get("lastBlock");
+        return row ? Number(row.value) : null;
+    }
+
+    /**
+     * Stored block hashes at or below a block, newest first
+     */
+    getRecentBlocks(fromBlock, limit) {
+        return this.statements.latestBlocks.all(fromBlock, limit);
+    }
+
+    /**
+     * Store a batch of blocks and events and advance the last indexed block atomically
+     */
+    saveBatch(toBlock, blocks, events) {
+        this.db.transaction(() => {
+            for (const block of blocks) {
+                this.statements.insertBlock.run(block.number, block.hash, block.timestamp);
+            }
+
+            for (const event of events) {
+                const result = this.statements.insertEvent.run({
+                    ...event,
+                    args: JSON.stringify(event.args),
+                });
+                if (result.changes === 0) continue;
+
+                for (const { account, role } of event.accounts) {
+                    this.statements.insertAccount.run(result.lastInsertRowid, account, role);
+                }
+            }
+
+            this.statements.setMeta.run("lastBlock", String(toBlock));
+        })();
+    }
+
+    /**
+     * Drop everything above a block after a reorg
+     */
+    rollback(toBlock) {
+        this.db.transaction(() => {
+            this.statements.deleteEventsAfter.run(toBlock);
+            this.statements.deleteBlocksAfter.run(toBlock);
+            this.statements.setMeta.run("lastBlock", String(toBlock));
+        })();
+    }
+
+    /**
+     * Query events, newest first
+     * @param {object} filter contract, event, account, fromBlock, toBlock, args (name => value), limit, offset
+     */
+    getEvents({ contract, event, account, fromBlock, toBlock, args = {}, limit = 100, offset = 0 } = {}) {
+        const conditions = [];
+        const params = {};
+
+        if (contract) {
+            conditions.push("e.contract = @contract");
+            params.contract = contract;
+        }
+        if (event) {
+            conditions.push("e.event = @event");
+            params.event = event;
+        }
+        if (account) {
+            conditions.push("e.id IN (SELECT event_id FROM event_accounts WHERE account = @account)");
+            params.account = account.toLowerCase();
+        }
+        if (fromBlock !== undefined) {
+            conditions.push("e.block_number >= @fromBlock");
+            params.fromBlock = fromBlock;
+        }
+        if (toBlock !== undefined) {
+            conditions.push("e.block_number <= @toBlock");
+            params.toBlock = toBlock;
+        }
+        // Numbers are stored as decimal strings and booleans as 0/1, so compare as text
+        Object.entries(args).forEach(([name, value], i) => {
+            if (!ARG_NAME.test(name)) throw new Error(`Invalid argument name: ${name}`);
+            conditions.push(`LOWER(CAST(json_extract(e.args, '$.${name}') AS TEXT)) = LOWER(@arg${i})`);
+            params[`arg${i}`] = value === true || value === "true" ? "1" : value === false || value === "false" ? "0" : String(value);
+        });
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+        const rows = this.db.prepare(`
+            SELECT e.* FROM events e ${where}
+            ORDER BY e.block_number DESC, e.log_index DESC
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit, offset });
+
+        return rows.map(formatEvent);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+function formatEvent(row) {
+    return {
+        id: row.id,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        timestamp: row.timestamp,
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        contract: row.contract,
+        address: row.address,
+        event: row.event,
+        args: JSON.parse(row.args),
+    };
+}
+
+module.exports = { EventStore };
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { EventStore } = require("./db");
+const { Indexer } = require("./indexer");
+const { createApi } = require("./api");
+
+// Configuration from the environment
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const NETWORK = process.env.NETWORK || "localhost";
+const DEPLOYMENT_FILE = process.env.DEPLOYMENT_FILE ||
+    path.join(__dirname, "..", "..", "deployments", `${NETWORK}.json`);
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, "..", `${NETWORK}.db`);
+const PORT = Number(process.env.PORT || 4000);
+const POLL_INTERVAL = Number(process.env.POLL_INTERVAL || 2000);
+
+async function main() {
+    if (!fs.existsSync(DEPLOYMENT_FILE)) {
+        throw new Error(`Deployment file not found: ${DEPLOYMENT_FILE} (run scripts/deploy.js first)`);
+    }
+    const deployment = JSON.parse(fs.readFileSync(DEPLOYMENT_FILE, "utf8"));
+
+    const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+    const store = new EventStore(DB_PATH);
+    const indexer = new Indexer({
+        provider,
+        store,
+        contracts: deployment.contracts,
+        startBlock: Number(process.env.START_BLOCK ?? deployment.startBlock ?? 0),
+        pollInterval: POLL_INTERVAL,
+    });
+
+    console.log(`📡 Indexing ${indexer.contracts.size} contracts from ${RPC_URL}`);
+    console.log(`💾 Database: ${DB_PATH}`);
+    indexer.start();
+
+    const server = createApi({ store, indexer });
+    server.listen(PORT, () => {
+        console.log(`🚀 API listening on http://localhost:${PORT}`);
+    });
+
+    const shutdown = () => {
+        indexer.stop();
+        server.close(() => {
+            store.close();
+            process.exit(0);
+        });
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,191 @@
+const { ethers } = require("ethers");
+const ABIS = require("./abis");
+
+/**
+ * Follows a JSON-RPC endpoint and stores protocol events in an EventStore.
+ * Each batch is written atomically together with the last indexed block, so a
+ * restarted indexer resumes where it stopped. Stored block hashes are compared
+ * with the chain before every sync to roll back reorganized blocks.
+ */
+class Indexer {
+    /**
+     * @param {object} options
+     * @param {ethers.JsonRpcProvider} options.provider JSON-RPC provider
+     * @param {EventStore} options.store Event store
+     * @param {object} options.contracts Contract name => address
+     * @param {number} [options.startBlock] First block to index
+     * @param {number} [options.batchSize] Blocks per eth_getLogs request
+     * @param {number} [options.reorgDepth] Stored blocks checked for reorgs
+     * @param {number} [options.pollInterval] Milliseconds between syncs
+     */
+    constructor({ provider, store, contracts, startBlock = 0, batchSize = 500, reorgDepth = 64, pollInterval = 2000 }) {
+        this.provider = provider;
+        this.store = store;
+        this.startBlock = startBlock;
+        this.batchSize = batchSize;
+        this.reorgDepth = reorgDepth;
+        this.pollInterval = pollInterval;
+        this.head = null;
+        this.running = false;
+        this.timer = null;
+
+        // Address => { name, iface }
+        this.contracts = new Map();
+        for (const [name, address] of Object.entries(contracts)) {
+            if (!ABIS[name] || !address) continue;
+            this.contracts.set(address.toLowerCase(), { name, iface: new ethers.Interface(ABIS[name]) });
+        }
+    }
+
+    /**
+     * Index everything up to the current chain head
+     * @returns {Promise<number>} Last indexed block
+     */
+    async sync() {
+        this.head = Number(await this.provider.send("eth_blockNumber", []));
+
+        let lastBlock = this.store.getLastBlock();
+        if (lastBlock !== null) {
+            lastBlock = await this._handleReorg(lastBlock);
+        }
+
+        let fromBlock = lastBlock === null ? this.startBlock : lastBlock + 1;
+        while (fromBlock <= this.head) {
+            const toBlock = Math.min(fromBlock + this.batchSize - 1, this.head);
+            await this._indexRange(fromBlock, toBlock);
+            fromBlock = toBlock + 1;
+        }
+
+        return this.store.getLastBlock();
+    }
+
+    /**
+     * Sync on an interval until stopped
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        const tick = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                console.error("Sync failed:", error.message);
+            }
+            if (this.running) {
+                this.timer = setTimeout(tick, this.pollInterval);
+            }
+        };
+        tick();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Find the newest stored block still on the canonical chain and drop everything after it
+     * @returns {Promise<number>} Block to resume after
+     */
+    async _handleReorg(lastBlock) {
+        const stored = this.store.getRecentBlocks(lastBlock, this.reorgDepth);
+
+        for (const block of stored) {
+            if (block.number > this.head) continue;
+
+            const current = await this._getBlock(block.number);
+            if (current && current.hash === block.hash) {
+                if (block.number < lastBlock) {
+                    console.log(`Reorg detected: rolling back from block ${lastBlock} to ${block.number}`);
+                    this.store.rollback(block.number);
+                }
+                return block.number;
+            }
+        }
+
+        // Reorg deeper than the stored window: index again from the start
+        console.log(`Reorg deeper than ${this.reorgDepth} blocks: re-indexing from block ${this.startBlock}`);
+        this.store.rollback(this.startBlock - 1);
+        return this.startBlock - 1;
+    }
+
+    /**
+     * Fetch, decode and store the logs of a block range
+     */
+    async _indexRange(fromBlock, toBlock) {
+        const logs = await this.provider.send("eth_getLogs", [{
+            address: [...this.contracts.keys()],
+            fromBlock: ethers.toQuantity(fromBlock),
+            toBlock: ethers.toQuantity(toBlock),
+        }]);
+
+        // Record every block with events plus the range tip for reorg checks
+        const numbers = new Set(logs.map((log) => Number(log.blockNumber)));
+        numbers.add(toBlock);
+
+        const blocks = await Promise.all([...numbers].map((number) => this._getBlock(number)));
+        const blocksByNumber = new Map(blocks.map((block) => [block.number, block]));
+
+        const events = [];
+        for (const log of logs) {
+            if (log.removed) continue;
+
+            const block = blocksByNumber.get(Number(log.blockNumber));
+            if (block.hash !== log.blockHash) {
+                throw new Error(`Chain reorganized while indexing block ${block.number}`);
+            }
+
+            const event = this._decodeLog(log, block);
+            if (event) events.push(event);
+        }
+
+        this.store.saveBatch(toBlock, blocks, events);
+    }
+
+    /**
+     * Decode a log with the ABI of the contract that emitted it
+     */
+    _decodeLog(log, block) {
+        const contract = this.contracts.get(log.address.toLowerCase());
+        if (!contract) return null;
+
+        const parsed = contract.iface.parseLog(log);
+        if (!parsed) return null;
+
+        const args = {};
+        const accounts = [];
+        parsed.fragment.inputs.forEach((input, i) => {
+            const value = parsed.args[i];
+            args[input.name] = typeof value === "bigint" ? value.toString() : value;
+            if (input.type === "address") {
+                accounts.push({ account: value.toLowerCase(), role: input.name });
+            }
+        });
+
+        return {
+            blockNumber: block.number,
+            blockHash: block.hash,
+            timestamp: block.timestamp,
+            txHash: log.transactionHash,
+            logIndex: Number(log.logIndex),
+            contract: contract.name,
+            address: log.address.toLowerCase(),
+            event: parsed.name,
+            args,
+            accounts,
+        };
+    }
+
+    /**
+     * Fetch a block header straight from the node (bypasses provider caching)
+     */
+    async _getBlock(number) {
+        const block = await this.provider.send("eth_getBlockByNumber", [ethers.toQuantity(number), false]);
+        if (!block) return null;
+        return { number, hash: block.hash, timestamp: Number(block.timestamp) };
+    }
+}
+
+module.exports = { Indexer };
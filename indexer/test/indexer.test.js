@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const { EventStore } = require("../src/db");
+const { Indexer } = require("../src/indexer");
+const { createApi } = require("../src/api");
+
+const { ethers, upgrades } = hre;
+
+// Runs the indexer over JSON-RPC against the same server `npx hardhat node` starts
+describe("Indexer", function () {
+    let server;
+    let rpcUrl;
+    let contracts;
+    let signers;
+    let dbPath;
+
+    before(async function () {
+        await hre.run("compile", { quiet: true });
+
+        server = await hre.run(TASK_NODE_CREATE_SERVER, {
+            hostname: "127.0.0.1",
+            port: 0,
+            provider: hre.network.provider,
+        });
+        const { port } = await server.listen();
+        rpcUrl = `http://127.0.0.1:${port}`;
+
+        signers = await ethers.getSigners();
+        contracts = await deployContracts();
+        await runProtocolActivity();
+    });
+
+    after(async function () {
+        await server.close();
+    });
+
+    beforeEach(function () {
+        dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "events.db");
+    });
+
+    function createIndexer(store) {
+        const addresses = {};
+        for (const [name, contract] of Object.entries(contracts)) {
+            addresses[name] = contract.target;
+        }
+        return new Indexer({
+            provider: new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true }),
+            store,
+            contracts: addresses,
+            batchSize: 5,
+        });
+    }
+
+    async function deployContracts() {
+        const [owner] = signers;
+        const deploy = async (name, ...args) => {
+            const factory = await ethers.getContractFactory(name);
+            const contract = await factory.deploy(...args);
+            await contract.waitForDeployment();
+            return contract;
+        };
+        const deployProxy = async (name, ...args) => {
+            const factory = await ethers.getContractFactory(name);
+            const contract = await upgrades.deployProxy(factory, args, { kind: "uups" });
+            await contract.waitForDeployment();
+            return contract;
+        };
+
+        const ProtocolRoles = await deploy("ProtocolRoles", owner.address, owner.address);
+        const ProtocolParameters = await deploy("ProtocolParameters", ProtocolRoles.target);
+        const ReputationNFT = await deployProxy("ReputationNFT", ProtocolRoles.target);
+        const GovernanceToken = await deploy("GovernanceToken", ProtocolParameters.target, ReputationNFT.target);
+        const TrustCircle = await deployProxy("TrustCircle", ReputationNFT.target, ProtocolParameters.target, ProtocolRoles.target);
+        const KinkInterestRateModel = await deploy("KinkInterestRateModel", ProtocolParameters.target, 400, 3000, 8000);
+        const LendingPool = await deployProxy(
+            "LendingPool",
+            ReputationNFT.target,
+            TrustCircle.target,
+            KinkInterestRateModel.target,
+            ProtocolParameters.target,
+            ProtocolRoles.target
+        );
+        const AchievementBadges = await deploy("AchievementBadges", ReputationNFT.target, ProtocolRoles.target);
+
+        const updaterRole = await ProtocolRoles.UPDATER_ROLE();
+        for (const updater of [LendingPool.target, TrustCircle.target, AchievementBadges.target, owner.address]) {
+            await ProtocolRoles.grantRole(updaterRole, updater);
+        }
+        await ProtocolRoles.grantRole(await ProtocolRoles.SLASHER_ROLE(), LendingPool.target);
+
+        return { ReputationNFT, GovernanceToken, TrustCircle, LendingPool, AchievementBadges };
+    }
+
+    async function runProtocolActivity() {
+        const [, lender, borrower, voucher] = signers;
+        const { ReputationNFT, GovernanceToken, TrustCircle, LendingPool, AchievementBadges } = contracts;
+
+        await ReputationNFT.mint(borrower.address);
+        await ReputationNFT.mint(voucher.address);
+        await ReputationNFT.updateReputation(voucher.address, 200);
+
+        await LendingPool.connect(lender).deposit({ value: ethers.parseEther("2") });
+        await LendingPool.connect(borrower).borrow(ethers.parseEther("0.05"), 30);
+        await LendingPool.connect(borrower).repay(1, { value: ethers.parseEther("0.06") });
+
+        await TrustCircle.connect(voucher).createCircle("Indexers", 0);
+        await TrustCircle.connect(voucher).inviteMember(1, borrower.address);
+        await TrustCircle.connect(borrower).acceptInvitation(1);
+        await TrustCircle.connect(voucher).vouchForMember(1, borrower.address);
+
+        await AchievementBadges.unlockAchievement(borrower.address, 0);
+
+        await GovernanceToken.connect(voucher).createProposal("Raise base rate", 0, 400);
+        await GovernanceToken.connect(voucher).castVote(0, true);
+    }
+
+    it("Should index protocol events into SQLite", async function () {
+        const [, lender, borrower, voucher] = signers;
+        const store = new EventStore(dbPath);
+        const indexer = createIndexer(store);
+        const lastBlock = await indexer.sync();
+        expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        const names = new Set(store.getEvents({ limit: 1000 }).map((event) => event.event));
+        for (const name of [
+            "LoanRequested", "LoanRepaid", "ReputationUpdated", "CircleCreated",
+            "MemberVouched", "AchievementUnlocked", "VoteCast",
+        ]) {
+            expect(names.has(name), name).to.be.true;
+        }
+
+        const [loan] = store.getEvents({ event: "LoanRequested" });
+        expect(loan.contract).to.equal("LendingPool");
+        expect(loan.args.borrower).to.equal(borrower.address);
+        expect(loan.args.amount).to.equal(ethers.parseEther("0.05").toString());
+        expect(loan.timestamp).to.be.greaterThan(0);
+
+        const deposits = store.getEvents({ account: lender.address, event: "Deposited" });
+        expect(deposits).to.have.length(1);
+
+        const [vote] = store.getEvents({ event: "VoteCast", args: { voter: voucher.address, support: true } });
+        expect(vote.args.weight).to.equal((await contracts.GovernanceToken.getVotingPower(0, voucher.address)).toString());
+
+        store.close();
+    });
+
+    it("Should resume from the last indexed block", async function () {
+        const [, , borrower] = signers;
+
+        let store = new EventStore(dbPath);
+        await createIndexer(store).sync();
+        const indexedBefore = store.getEvents({ limit: 1000 }).length;
+        store.close();
+
+        await contracts.ReputationNFT.updateReputation(borrower.address, 10);
+
+        store = new EventStore(dbPath);
+        const lastBlock = store.getLastBlock();
+        await createIndexer(store).sync();
+
+        const events = store.getEvents({ limit: 1000 });
+        expect(events).to.have.length(indexedBefore + 1);
+        expect(events[0].event).to.equal("ReputationUpdated");
+        expect(events[0].blockNumber).to.be.greaterThan(lastBlock);
+        store.close();
+    });
+
+    it("Should roll back events from reorganized blocks", async function () {
+        const [, , borrower, voucher] = signers;
+        const store = new EventStore(dbPath);
+        const indexer = createIndexer(store);
+        await indexer.sync();
+
+        const snapshot = await hre.network.provider.send("evm_snapshot");
+        await contracts.ReputationNFT.updateReputation(borrower.address, 25);
+        await contracts.ReputationNFT.updateReputation(borrower.address, 25);
+        await indexer.sync();
+        expect(store.getEvents({ event: "ReputationUpdated", args: { delta: 25 } })).to.have.length(2);
+
+        // Replace those blocks with a different fork that is one block longer
+        await hre.network.provider.send("evm_revert", [snapshot]);
+        await contracts.ReputationNFT.updateReputation(voucher.address, -5);
+        await hre.network.provider.send("hardhat_mine", ["0x2"]);
+        await indexer.sync();
+
+        expect(store.getEvents({ event: "ReputationUpdated", args: { delta: 25 } })).to.have.length(0);
+        expect(store.getEvents({ event: "ReputationUpdated", args: { delta: -5 } })).to.have.length(1);
+        expect(store.getLastBlock()).to.equal(await ethers.provider.getBlockNumber());
+        store.close();
+    });
+
+    it("Should serve indexed events over HTTP", async function () {
+        const [, , borrower] = signers;
+        const store = new EventStore(dbPath);
+        const indexer = createIndexer(store);
+        await indexer.sync();
+
+        const api = createApi({ store, indexer });
+        await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+        const base = `http://127.0.0.1:${api.address().port}`;
+
+        try {
+            const status = await (await fetch(`${base}/status`)).json();
+            expect(status.lastBlock).to.equal(indexer.head);
+            expect(status.contracts.LendingPool).to.equal(contracts.LendingPool.target.toLowerCase());
+
+            const history = await (await fetch(`${base}/accounts/${borrower.address}/events?limit=5`)).json();
+            expect(history).to.have.length(5);
+            expect(history[0].blockNumber).to.be.at.least(history[4].blockNumber);
+
+            const loan = await (await fetch(`${base}/loans/1/events`)).json();
+            expect(loan.map((event) => event.event)).to.include.members(["LoanRequested", "LoanRepaid"]);
+
+            const circles = await (await fetch(`${base}/events?contract=TrustCircle&event=CircleCreated`)).json();
+            expect(circles[0].args.name).to.equal("Indexers");
+
+            const invalid = await fetch(`${base}/events?limit=abc`);
+            expect(invalid.status).to.equal(400);
+        } finally {
+            await new Promise((resolve) => api.close(resolve));
+            store.close();
+        }
+    });
+});
@@ -1,4 +1,36 @@
 const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const ProtocolModule = require("../ignition/modules/Protocol");
+const MockStablecoinModule = require("../ignition/modules/MockStablecoin");
+
+// Proxied core contracts registered with the upgrades plugin for storage layout checks
+const PROXIES = ["ReputationNFT", "TrustCircle", "LendingPool"];
+
+// Networks where a mock stablecoin and the deployer as upgrade proposer are acceptable
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Artifacts of deployment entries not named after their contract
+const ARTIFACT_NAMES = {
+    StablecoinInterestRateModel: "KinkInterestRateModel",
+};
+
+/**
+ * First block the indexer needs to scan: the earliest transaction in the Ignition journal,
+ * so a resumed deployment still covers the blocks of the interrupted run
+ */
+function journalStartBlock(deploymentDir) {
+    const journalPath = path.join(deploymentDir, "journal.jsonl");
+    if (!fs.existsSync(journalPath)) return null;
+
+    const blocks = fs.readFileSync(journalPath, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+        .filter((message) => message.type === "TRANSACTION_CONFIRM")
+        .map((message) => Number(message.receipt.blockNumber));
+    return blocks.length > 0 ? Math.min(...blocks) : null;
+}
 
 async function main() {
     console.log("🚀 Deploying TrustCircle contracts...\n");
@@ -8,71 +40,89 @@ async function main() {
     console.log("Deploying with account:", deployer.address);
     console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString(), "\n");
 
-    // Deploy ReputationNFT
-    console.log("📝 Deploying ReputationNFT...");
-    const ReputationNFT = await hre.ethers.getContractFactory("ReputationNFT");
-    const reputationNFT = await ReputationNFT.deploy();
-    await reputationNFT.waitForDeployment();
-    const reputationNFTAddress = await reputationNFT.getAddress();
-    console.log("✅ ReputationNFT deployed to:", reputationNFTAddress, "\n");
-
-    // Deploy TrustCircle
-    console.log("📝 Deploying TrustCircle...");
-    const TrustCircle = await hre.ethers.getContractFactory("TrustCircle");
-    const trustCircle = await TrustCircle.deploy(reputationNFTAddress);
-    await trustCircle.waitForDeployment();
-    const trustCircleAddress = await trustCircle.getAddress();
-    console.log("✅ TrustCircle deployed to:", trustCircleAddress, "\n");
-
-    // Deploy LendingPool
-    console.log("📝 Deploying LendingPool...");
-    const LendingPool = await hre.ethers.getContractFactory("LendingPool");
-    const lendingPool = await LendingPool.deploy(reputationNFTAddress, trustCircleAddress);
-    await lendingPool.waitForDeployment();
-    const lendingPoolAddress = await lendingPool.getAddress();
-    console.log("✅ LendingPool deployed to:", lendingPoolAddress, "\n");
-
-    // Deploy AchievementBadges
-    console.log("📝 Deploying AchievementBadges...");
-    const AchievementBadges = await hre.ethers.getContractFactory("AchievementBadges");
-    const achievementBadges = await AchievementBadges.deploy(reputationNFTAddress);
-    await achievementBadges.waitForDeployment();
-    const achievementBadgesAddress = await achievementBadges.getAddress();
-    console.log("✅ AchievementBadges deployed to:", achievementBadgesAddress, "\n");
-
-    // Set up permissions
-    console.log("🔐 Setting up permissions...");
-
-    // Authorize LendingPool to update reputation
-    await reputationNFT.setAuthorizedUpdater(lendingPoolAddress, true);
-    console.log("✅ LendingPool authorized to update reputation");
-
-    // Authorize TrustCircle to update reputation
-    await reputationNFT.setAuthorizedUpdater(trustCircleAddress, true);
-    console.log("✅ TrustCircle authorized to update reputation");
-
-    // Authorize AchievementBadges to update reputation
-    await reputationNFT.setAuthorizedUpdater(achievementBadgesAddress, true);
-    console.log("✅ AchievementBadges authorized to update reputation\n");
+    // Ignition keeps one journal per deployment ID; re-running resumes it instead of redeploying
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const deploymentId = process.env.DEPLOYMENT_ID || `chain-${chainId}`;
+    const deploymentDir = path.join(hre.config.paths.ignition, "deployments", deploymentId);
+    const firstBlock = await hre.ethers.provider.getBlockNumber();
+
+    // Fail before deploying anything if a public network is missing its settings
+    const isLocal = LOCAL_NETWORKS.includes(hre.network.name);
+    if (!isLocal && !process.env.UPGRADE_PROPOSER) {
+        throw new Error(`Set UPGRADE_PROPOSER to the account that schedules upgrades on ${hre.network.name}`);
+    }
+
+    // Stablecoin to lend: STABLECOIN_ADDRESS on public networks, a mock on local ones
+    let stablecoinAddress = process.env.STABLECOIN_ADDRESS;
+    let stablecoinArtifact = "IERC20Metadata";
+    if (!stablecoinAddress) {
+        if (!isLocal) {
+            throw new Error(`Set STABLECOIN_ADDRESS to the ERC-20 to lend on ${hre.network.name}`);
+        }
+        console.log("📝 Deploying MockERC20 stablecoin...");
+        const { Stablecoin } = await hre.ignition.deploy(MockStablecoinModule, { deploymentId });
+        stablecoinAddress = await Stablecoin.getAddress();
+        stablecoinArtifact = "MockERC20";
+        console.log("✅ MockERC20 deployed to:", stablecoinAddress, "\n");
+    }
+    const stablecoin = await hre.ethers.getContractAt("IERC20Metadata", stablecoinAddress);
+    const stablecoinUnit = 10n ** (await stablecoin.decimals());
+
+    // UPGRADE_PROPOSER schedules upgrades (the deployer on local networks); UPGRADE_DELAY is in seconds
+    const parameters = {
+        TrustCircleProtocol: {
+            stablecoin: stablecoinAddress,
+            stablecoinMinLoan: 10n * stablecoinUnit,
+            stablecoinMaxLoan: 5000n * stablecoinUnit,
+            stablecoinCreditPerPoint: 2n * stablecoinUnit,
+            ...(process.env.UPGRADE_PROPOSER && { upgradeProposer: process.env.UPGRADE_PROPOSER }),
+            ...(process.env.UPGRADE_DELAY && { upgradeDelay: Number(process.env.UPGRADE_DELAY) }),
+        },
+    };
+
+    console.log(`📝 Deploying and wiring the protocol (deployment ${deploymentId})...`);
+    const deployed = await hre.ignition.deploy(ProtocolModule, { deploymentId, parameters, displayUi: true });
+
+    const contracts = { Stablecoin: stablecoinAddress };
+    for (const [name, contract] of Object.entries(deployed)) {
+        contracts[name] = await contract.getAddress();
+    }
+
+    // Register the proxies so scripts/upgrade.js can check new implementations against them
+    console.log("\n🔐 Registering proxies with the upgrades plugin...");
+    for (const name of PROXIES) {
+        const factory = await hre.ethers.getContractFactory(name);
+        try {
+            await hre.upgrades.forceImport(contracts[name], factory, { kind: "uups" });
+            console.log(`✅ ${name} proxy registered`);
+        } catch (error) {
+            // Already registered by an earlier run
+            if (!/already registered/i.test(error.message)) throw error;
+            console.log(`✅ ${name} proxy already registered`);
+        }
+    }
+
+    // ABIs travel with the addresses so clients need no build artifacts
+    const abis = {};
+    for (const name of Object.keys(contracts)) {
+        const artifactName = name === "Stablecoin" ? stablecoinArtifact : (ARTIFACT_NAMES[name] || name);
+        abis[name] = (await hre.artifacts.readArtifact(artifactName)).abi;
+    }
 
     // Save deployment addresses
     const deployment = {
         network: hre.network.name,
+        chainId: Number(chainId),
         deployer: deployer.address,
         timestamp: new Date().toISOString(),
-        contracts: {
-            ReputationNFT: reputationNFTAddress,
-            TrustCircle: trustCircleAddress,
-            LendingPool: lendingPoolAddress,
-            AchievementBadges: achievementBadgesAddress,
-        },
+        deploymentId,
+        startBlock: journalStartBlock(deploymentDir) ?? firstBlock,
+        contracts,
+        abis,
     };
 
-    console.log("📦 Deployment Summary:");
-    console.log(JSON.stringify(deployment, null, 2));
-
-    const fs = require("fs");
-    const path = require("path");
+    console.log("\n📦 Deployment Summary:");
+    console.log(JSON.stringify({ ...deployment, abis: undefined }, null, 2));
 
     // Create deployments directory if it doesn't exist
     const deploymentsDir = path.join(__dirname, "..", "deployments");
@@ -85,6 +135,12 @@ async function main() {
     fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
     console.log(`\n💾 Deployment info saved to: ${deploymentPath}`);
 
+    // Fail loudly if any permission or wiring edge is missing
+    await hre.run("verify-deployment", { file: deploymentPath });
+
+    // Point the frontend at the new addresses
+    await hre.run("generate-bindings");
+
     console.log("\n✨ Deployment complete! ✨");
 }
 
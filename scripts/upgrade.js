@@ -0,0 +1,71 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Proxied contracts and the deployment keys that hold their proxy addresses
+const UPGRADEABLE = ["ReputationNFT", "TrustCircle", "LendingPool"];
+
+/**
+ * Upgrade a proxied core contract through the ProtocolTimelock.
+ *
+ *   CONTRACT=LendingPool npx hardhat run scripts/upgrade.js --network sepolia
+ *
+ * The first run validates the new implementation's storage layout against the one the
+ * proxy uses, deploys it and schedules the upgrade. Run again with EXECUTE=true once the
+ * timelock delay has passed. IMPLEMENTATION overrides the contract built for the upgrade
+ * (e.g. LendingPoolV2), and MIGRATION adds a migration call (e.g. "migrateToV2()").
+ */
+async function main() {
+    const name = process.env.CONTRACT;
+    if (!UPGRADEABLE.includes(name)) {
+        throw new Error(`CONTRACT must be one of: ${UPGRADEABLE.join(", ")}`);
+    }
+
+    const deploymentPath = path.join(__dirname, "..", "deployments", `${hre.network.name}.json`);
+    if (!fs.existsSync(deploymentPath)) {
+        throw new Error(`No deployment found at ${deploymentPath}`);
+    }
+    const { contracts } = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+    const proxyAddress = contracts[name];
+    const timelock = await hre.ethers.getContractAt("ProtocolTimelock", contracts.ProtocolTimelock);
+
+    const factory = await hre.ethers.getContractFactory(process.env.IMPLEMENTATION || name);
+
+    // Throws if the new layout moves, retypes or removes existing storage
+    console.log(`🔍 Validating ${name} storage layout...`);
+    await hre.upgrades.validateUpgrade(proxyAddress, factory, { kind: "uups" });
+    console.log("✅ Storage layout is compatible\n");
+
+    // Deploys the implementation, or reuses it if this exact build was already deployed
+    const implementation = await hre.upgrades.prepareUpgrade(proxyAddress, factory, { kind: "uups" });
+    console.log("✅ Implementation at:", implementation, "\n");
+
+    const migration = process.env.MIGRATION
+        ? factory.interface.encodeFunctionData(process.env.MIGRATION)
+        : "0x";
+    const proxy = await hre.ethers.getContractAt(name, proxyAddress);
+    const data = proxy.interface.encodeFunctionData("upgradeToAndCall", [implementation, migration]);
+    const salt = hre.ethers.id(`${name}:${implementation}`);
+    const predecessor = hre.ethers.ZeroHash;
+
+    const operationId = await timelock.hashOperation(proxyAddress, 0, data, predecessor, salt);
+    if (process.env.EXECUTE === "true") {
+        console.log(`⏩ Executing ${name} upgrade...`);
+        await (await timelock.execute(proxyAddress, 0, data, predecessor, salt)).wait();
+        console.log(`✨ ${name} upgraded to ${implementation}`);
+        return;
+    }
+
+    const delay = await timelock.getMinDelay();
+    console.log(`⏳ Scheduling ${name} upgrade...`);
+    await (await timelock.schedule(proxyAddress, 0, data, predecessor, salt, delay)).wait();
+    console.log(`✅ Scheduled operation ${operationId}`);
+    console.log(`Run again with EXECUTE=true after ${delay} seconds to apply it.`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
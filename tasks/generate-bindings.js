@@ -0,0 +1,94 @@
+const { task } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+// ABIs the frontend imports: export name => artifact
+const ABIS = {
+    REPUTATION_NFT_ABI: "ReputationNFT",
+    TRUST_CIRCLE_ABI: "TrustCircle",
+    LENDING_POOL_ABI: "LendingPool",
+    TOKEN_LENDING_POOL_ABI: "TokenLendingPool",
+    LENDING_POOL_FACTORY_ABI: "LendingPoolFactory",
+    LOAN_EXTENSION_ABI: "LoanExtension",
+    EMERGENCY_WITHDRAW_ABI: "EmergencyWithdraw",
+    GOVERNANCE_TOKEN_ABI: "GovernanceToken",
+    PROTOCOL_PARAMETERS_ABI: "ProtocolParameters",
+    LEADERBOARD_ABI: "Leaderboard",
+    ACHIEVEMENT_BADGES_ABI: "AchievementBadges",
+    REFERRAL_SYSTEM_ABI: "ReferralSystem",
+    ERC20_ABI: "IERC20Metadata",
+};
+
+// In-process networks whose contracts are gone once the deploy script exits
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+const header = (source) => `// Generated by \`npx hardhat generate-bindings\` from ${source}. Do not edit.\n`;
+
+/**
+ * Human-readable ABIs for every contract the frontend talks to, with full signatures
+ * so named return values survive.
+ * @param {object} hre Hardhat runtime environment
+ * @returns {Promise<string>} Source of frontend/src/contracts/abis.js
+ */
+async function renderAbis(hre) {
+    let source = header("the Hardhat artifacts");
+    for (const [exportName, artifactName] of Object.entries(ABIS)) {
+        const { abi, sourceName } = await hre.artifacts.readArtifact(artifactName);
+        const fragments = new hre.ethers.Interface(abi).format();
+        source += `\n// ${artifactName} (${sourceName})\n`;
+        source += `export const ${exportName} = ${JSON.stringify(fragments, null, 4)};\n`;
+    }
+    return source;
+}
+
+/**
+ * Address map keyed by chain ID, built from every deployments/<network>.json.
+ * @param {string} deploymentsDir Directory the deploy script writes to
+ * @returns {{source: string, chains: Array<{chainId: number, network: string}>}} Source of
+ *   frontend/src/contracts/addresses.js and the chains it covers
+ */
+function renderAddresses(deploymentsDir) {
+    const deployments = {};
+    const files = fs.existsSync(deploymentsDir) ? fs.readdirSync(deploymentsDir).sort() : [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+        const { network, chainId, contracts } = JSON.parse(fs.readFileSync(path.join(deploymentsDir, file), "utf8"));
+        if (EPHEMERAL_NETWORKS.includes(network)) continue;
+        if (chainId === undefined) {
+            throw new Error(`${file} has no chainId; redeploy with scripts/deploy.js`);
+        }
+        if (deployments[chainId]) {
+            throw new Error(`${file} and ${deployments[chainId].network}.json are both deployments on chain ${chainId}`);
+        }
+        deployments[chainId] = { network, contracts };
+    }
+
+    const source = header("deployments/*.json")
+        + "\n/** @type {Record<number, import('./index').Deployment>} */\n"
+        + `export const DEPLOYMENTS = ${JSON.stringify(deployments, null, 4)};\n`;
+    const chains = Object.entries(deployments).map(([chainId, { network }]) => ({ chainId: Number(chainId), network }));
+    return { source, chains };
+}
+
+task("generate-bindings", "Generate the frontend's contract ABIs and per-chain address map")
+    .addOptionalParam("out", "Output directory (defaults to frontend/src/contracts)")
+    .setAction(async ({ out }, hre) => {
+        await hre.run("compile", { quiet: true });
+
+        const root = hre.config.paths.root;
+        const outDir = out || path.join(root, "frontend", "src", "contracts");
+        fs.mkdirSync(outDir, { recursive: true });
+
+        fs.writeFileSync(path.join(outDir, "abis.js"), await renderAbis(hre));
+        const { source, chains } = renderAddresses(path.join(root, "deployments"));
+        fs.writeFileSync(path.join(outDir, "addresses.js"), source);
+
+        console.log(`\n🧩 Frontend bindings written to ${outDir}`);
+        for (const { chainId, network } of chains) {
+            console.log(`✅ ${network} (chain ${chainId})`);
+        }
+        if (chains.length === 0) {
+            console.log("⚠️  No deployments found; the frontend will report every network as unsupported");
+        }
+    });
+
+module.exports = { renderAbis, renderAddresses };
@@ -0,0 +1,142 @@
+const { task } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+
+// Roles each deployment entry must hold in ProtocolRoles
+const ROLE_EDGES = {
+    UPDATER_ROLE: [
+        "LendingPool",
+        "TokenLendingPool",
+        "TrustCircle",
+        "ReputationNFT",
+        "AchievementBadges",
+        "LoanExtension",
+        "EmergencyWithdraw",
+        "ReferralSystem",
+    ],
+    SLASHER_ROLE: ["LendingPool", "TokenLendingPool"],
+    UPGRADER_ROLE: ["ProtocolTimelock"],
+};
+
+// Contracts that check permissions against the shared registry
+const REGISTRY_USERS = [
+    "ReputationNFT",
+    "TrustCircle",
+    "LendingPool",
+    "TokenLendingPool",
+    "LendingPoolFactory",
+    "AchievementBadges",
+    "Leaderboard",
+    "ProtocolParameters",
+    "ReferralSystem",
+];
+
+// [contract, getter, expected entry]: every address a contract must point at
+const WIRING_EDGES = [
+    ["ReputationNFT", "leaderboard", "Leaderboard"],
+    ["ReputationNFT", "achievementBadges", "AchievementBadges"],
+    ["TrustCircle", "reputationNFT", "ReputationNFT"],
+    ["TrustCircle", "parameters", "ProtocolParameters"],
+    ["TrustCircle", "achievementBadges", "AchievementBadges"],
+    ["LendingPool", "reputationNFT", "ReputationNFT"],
+    ["LendingPool", "trustCircle", "TrustCircle"],
+    ["LendingPool", "parameters", "ProtocolParameters"],
+    ["LendingPool", "interestRateModel", "KinkInterestRateModel"],
+    ["LendingPool", "loanExtension", "LoanExtension"],
+    ["LendingPool", "emergencyWithdraw", "EmergencyWithdraw"],
+    ["LendingPool", "leaderboard", "Leaderboard"],
+    ["LendingPool", "achievementBadges", "AchievementBadges"],
+    ["TokenLendingPool", "asset", "Stablecoin"],
+    ["TokenLendingPool", "interestRateModel", "StablecoinInterestRateModel"],
+    ["TokenLendingPool", "leaderboard", "Leaderboard"],
+    ["TokenLendingPool", "achievementBadges", "AchievementBadges"],
+    ["ProtocolParameters", "governance", "GovernanceToken"],
+    ["GovernanceToken", "parameters", "ProtocolParameters"],
+    ["GovernanceToken", "reputationNFT", "ReputationNFT"],
+    ["AchievementBadges", "reputationNFT", "ReputationNFT"],
+    ["ReferralSystem", "reputationNFT", "ReputationNFT"],
+    ["LoanExtension", "lendingPool", "LendingPool"],
+    ["EmergencyWithdraw", "lendingPool", "LendingPool"],
+];
+
+/**
+ * Check every role and wiring edge of a deployment.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} contracts Deployment entry name => address
+ * @returns {Promise<Array<{edge: string, ok: boolean}>>} One result per edge
+ */
+async function checkDeployment(hre, contracts) {
+    const { ethers } = hre;
+    const results = [];
+    const check = (edge, ok) => results.push({ edge, ok });
+    const at = (name) => ethers.getContractAt(name, contracts[name]);
+    const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+    const roles = await at("ProtocolRoles");
+    for (const [role, holders] of Object.entries(ROLE_EDGES)) {
+        const roleId = await roles[role]();
+        for (const holder of holders) {
+            check(`${holder} holds ${role}`, await roles.hasRole(roleId, contracts[holder]));
+        }
+    }
+
+    for (const name of REGISTRY_USERS) {
+        const contract = await at(name);
+        check(`${name} uses ProtocolRoles`, same(await contract.roles(), contracts.ProtocolRoles));
+    }
+
+    for (const [name, getter, expected] of WIRING_EDGES) {
+        const contract = await at(name);
+        check(`${name}.${getter} is ${expected}`, same(await contract[getter](), contracts[expected]));
+    }
+
+    const factory = await at("LendingPoolFactory");
+    check(
+        "LendingPoolFactory lists TokenLendingPool for Stablecoin",
+        same(await factory.poolForAsset(contracts.Stablecoin), contracts.TokenLendingPool)
+    );
+
+    // Proxies must point at an implementation, and upgrades must wait out the timelock delay
+    for (const name of ["ReputationNFT", "TrustCircle", "LendingPool"]) {
+        const implementation = await hre.upgrades.erc1967.getImplementationAddress(contracts[name]);
+        check(`${name} proxy has an implementation`, implementation !== ethers.ZeroAddress);
+    }
+    const timelock = await at("ProtocolTimelock");
+    check("ProtocolTimelock has a delay", (await timelock.getMinDelay()) > 0n);
+
+    // Nobody else can upgrade, and the registry admin cannot grant itself the role
+    const upgraderRole = await roles.UPGRADER_ROLE();
+    check("UPGRADER_ROLE is its own admin", (await roles.getRoleAdmin(upgraderRole)) === upgraderRole);
+    check("ProtocolTimelock is the only UPGRADER_ROLE holder", (await roles.getRoleMemberCount(upgraderRole)) === 1n);
+
+    // Reputation, leaderboard and achievement writes only come from protocol contracts
+    const updaters = await roles.getRoleMembers(await roles.UPDATER_ROLE());
+    const codes = await Promise.all(updaters.map((account) => ethers.provider.getCode(account)));
+    check("No EOA holds UPDATER_ROLE", codes.every((code) => code !== "0x"));
+
+    return results;
+}
+
+task("verify-deployment", "Check that every permission and wiring edge of a deployment is in place")
+    .addOptionalParam("file", "Deployment file (defaults to deployments/<network>.json)")
+    .setAction(async ({ file }, hre) => {
+        const deploymentPath = file || path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+        if (!fs.existsSync(deploymentPath)) {
+            throw new Error(`No deployment found at ${deploymentPath}`);
+        }
+        const { contracts } = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+
+        console.log(`\n🔍 Verifying ${deploymentPath}...`);
+        const results = await checkDeployment(hre, contracts);
+        for (const { edge, ok } of results) {
+            console.log(`${ok ? "✅" : "❌"} ${edge}`);
+        }
+
+        const missing = results.filter(({ ok }) => !ok);
+        if (missing.length > 0) {
+            throw new Error(`${missing.length} of ${results.length} deployment edges are missing`);
+        }
+        console.log(`✅ All ${results.length} deployment edges in place`);
+    });
+
+module.exports = { checkDeployment };
@@ -1,6 +1,18 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const hre = require("hardhat");
+const { ethers, upgrades, ignition } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const ProtocolModule = require("../ignition/modules/Protocol");
+const MockStablecoinModule = require("../ignition/modules/MockStablecoin");
+const { checkDeployment } = require("../tasks/verify-deployment");
+
+const UPDATER_ROLE = ethers.id("UPDATER_ROLE");
+const SLASHER_ROLE = ethers.id("SLASHER_ROLE");
+const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+const PARAM_ADMIN_ROLE = ethers.id("PARAM_ADMIN_ROLE");
+const UPGRADER_ROLE = ethers.id("UPGRADER_ROLE");
+const UPGRADE_DELAY = 2 * 24 * 60 * 60;
 
 describe("TrustCircle Protocol - Integration Tests", function () {
     // Fixture to deploy all contracts
@@ -8,32 +20,109 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         const [owner, user1, user2, user3, user4, user5] = await ethers.getSigners();
 
         // Deploy contracts
+        const ProtocolTimelock = await ethers.getContractFactory("ProtocolTimelock");
+        const timelock = await ProtocolTimelock.deploy(UPGRADE_DELAY, [owner.address], ethers.ZeroAddress);
+
+        const ProtocolRoles = await ethers.getContractFactory("ProtocolRoles");
+        const roles = await ProtocolRoles.deploy(owner.address, await timelock.getAddress());
+
+        const ProtocolParameters = await ethers.getContractFactory("ProtocolParameters");
+        const protocolParameters = await ProtocolParameters.deploy(await roles.getAddress());
+
         const ReputationNFT = await ethers.getContractFactory("ReputationNFT");
-        const reputationNFT = await ReputationNFT.deploy();
+        const reputationNFT = await upgrades.deployProxy(ReputationNFT, [await roles.getAddress()], { kind: "uups" });
+
+        const Leaderboard = await ethers.getContractFactory("Leaderboard");
+        const leaderboard = await Leaderboard.deploy(await roles.getAddress());
+
+        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+        const governanceToken = await GovernanceToken.deploy(
+            await protocolParameters.getAddress(),
+            await reputationNFT.getAddress()
+        );
 
         const TrustCircle = await ethers.getContractFactory("TrustCircle");
-        const trustCircle = await TrustCircle.deploy(await reputationNFT.getAddress());
+        const trustCircle = await upgrades.deployProxy(TrustCircle, [
+            await reputationNFT.getAddress(),
+            await protocolParameters.getAddress(),
+            await roles.getAddress()
+        ], { kind: "uups" });
+
+        // Governed base rate (3%), +4% up to 80% utilization, +30% from 80% to 100%
+        const KinkInterestRateModel = await ethers.getContractFactory("KinkInterestRateModel");
+        const interestRateModel = await KinkInterestRateModel.deploy(
+            await protocolParameters.getAddress(),
+            400,
+            3000,
+            8000
+        );
 
         const LendingPool = await ethers.getContractFactory("LendingPool");
-        const lendingPool = await LendingPool.deploy(
+        const lendingPool = await upgrades.deployProxy(LendingPool, [
             await reputationNFT.getAddress(),
-            await trustCircle.getAddress()
-        );
+            await trustCircle.getAddress(),
+            await interestRateModel.getAddress(),
+            await protocolParameters.getAddress(),
+            await roles.getAddress()
+        ], { kind: "uups" });
 
         const AchievementBadges = await ethers.getContractFactory("AchievementBadges");
-        const achievementBadges = await AchievementBadges.deploy(await reputationNFT.getAddress());
+        const achievementBadges = await AchievementBadges.deploy(
+            await reputationNFT.getAddress(),
+            await roles.getAddress()
+        );
+
+        const LoanExtension = await ethers.getContractFactory("LoanExtension");
+        const loanExtension = await LoanExtension.deploy(
+            await reputationNFT.getAddress(),
+            await lendingPool.getAddress()
+        );
+
+        const EmergencyWithdraw = await ethers.getContractFactory("EmergencyWithdraw");
+        const emergencyWithdraw = await EmergencyWithdraw.deploy(
+            await reputationNFT.getAddress(),
+            await lendingPool.getAddress()
+        );
+
+        const ReferralSystem = await ethers.getContractFactory("ReferralSystem");
+        const referralSystem = await ReferralSystem.deploy(
+            await reputationNFT.getAddress(),
+            await roles.getAddress()
+        );
 
-        // Set up permissions
-        await reputationNFT.setAuthorizedUpdater(await lendingPool.getAddress(), true);
-        await reputationNFT.setAuthorizedUpdater(await trustCircle.getAddress(), true);
-        await reputationNFT.setAuthorizedUpdater(await achievementBadges.getAddress(), true);
-        await achievementBadges.setAuthorizedUnlocker(await lendingPool.getAddress(), true);
+        // Set up permissions; the owner also mints and adjusts reputation directly
+        await roles.grantRole(PARAM_ADMIN_ROLE, owner.address);
+        await roles.grantRole(PAUSER_ROLE, owner.address);
+        for (const updater of [
+            lendingPool, trustCircle, achievementBadges, loanExtension,
+            emergencyWithdraw, referralSystem, reputationNFT, owner
+        ]) {
+            await roles.grantRole(UPDATER_ROLE, await updater.getAddress());
+        }
+        await roles.grantRole(SLASHER_ROLE, await lendingPool.getAddress());
+        await lendingPool.setLoanExtension(await loanExtension.getAddress());
+        await lendingPool.setEmergencyWithdraw(await emergencyWithdraw.getAddress());
+        await protocolParameters.setGovernance(await governanceToken.getAddress());
+        await reputationNFT.setLeaderboard(await leaderboard.getAddress());
+        await lendingPool.setLeaderboard(await leaderboard.getAddress());
+        await reputationNFT.setAchievementBadges(await achievementBadges.getAddress());
+        await trustCircle.setAchievementBadges(await achievementBadges.getAddress());
+        await lendingPool.setAchievementBadges(await achievementBadges.getAddress());
 
         return {
+            roles,
+            timelock,
+            protocolParameters,
+            governanceToken,
+            leaderboard,
             reputationNFT,
             trustCircle,
+            interestRateModel,
             lendingPool,
             achievementBadges,
+            loanExtension,
+            emergencyWithdraw,
+            referralSystem,
             owner,
             user1,
             user2,
@@ -45,7 +134,7 @@ describe("TrustCircle Protocol - Integration Tests", function () {
 
     describe("ReputationNFT", function () {
         it("Should mint reputation NFT with initial score", async function () {
-            const { reputationNFT, owner, user1 } = await loadFixture(deployContractsFixture);
+            const { reputationNFT, user1 } = await loadFixture(deployContractsFixture);
 
             await reputationNFT.mint(user1.address);
             const score = await reputationNFT.getReputationScore(user1.address);
@@ -59,7 +148,6 @@ describe("TrustCircle Protocol - Integration Tests", function () {
             await reputationNFT.mint(user1.address);
 
             // Authorize owner for test purposes
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
 
             // Update reputation
             await reputationNFT.updateReputation(user1.address, 50);
@@ -80,24 +168,135 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         });
 
         it("Should calculate correct tier based on score", async function () {
-            const { reputationNFT, owner, user1 } = await loadFixture(deployContractsFixture);
+            const { reputationNFT, user1 } = await loadFixture(deployContractsFixture);
 
             await reputationNFT.mint(user1.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user1.address, 850); // Total 950 = Diamond
 
             const data = await reputationNFT.getReputationData(user1.address);
             expect(data.currentTier).to.equal(4); // Diamond
         });
+
+        it("Should record the reason for each reputation change", async function () {
+            const { reputationNFT, lendingPool, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user2.address);
+            const tokenId = await reputationNFT.userToTokenId(user2.address);
+
+            // Two-argument updates are manual adjustments
+            await expect(reputationNFT.updateReputation(user2.address, 400))
+                .to.emit(reputationNFT, "ReputationUpdated")
+                .withArgs(tokenId, 400, 500, 2, 0);
+
+            const updateWithReason = reputationNFT["updateReputation(address,int256,uint8)"];
+            await expect(updateWithReason(user2.address, 25, 5))
+                .to.emit(reputationNFT, "ReputationUpdated")
+                .withArgs(tokenId, 25, 525, 2, 5); // Achievement
+
+            // Protocol contracts attribute their changes
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 30);
+            const totalOwed = await lendingPool.getTotalOwed(1);
+
+            await expect(lendingPool.connect(user2).repay(1, { value: totalOwed }))
+                .to.emit(reputationNFT, "ReputationUpdated")
+                .withArgs(tokenId, 50, 600, 2, 2); // Early repayment
+        });
+    });
+
+    describe("Reputation Decay and Rehabilitation", function () {
+        const DAY = 24 * 60 * 60;
+
+        // user1 at 800 (Platinum) with the default model: baseline 300, 90 day grace, 10 points per 30 days
+        async function decayFixture() {
+            const fixture = await deployContractsFixture();
+            const { reputationNFT, user1 } = fixture;
+
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.updateReputation(user1.address, 700);
+
+            const tokenId = await reputationNFT.userToTokenId(user1.address);
+            return { ...fixture, tokenId };
+        }
+
+        it("Should decay inactive scores toward the baseline without a write", async function () {
+            const { reputationNFT, user1, tokenId } = await loadFixture(decayFixture);
+
+            await time.increase(89 * DAY);
+            expect(await reputationNFT.getReputationScore(user1.address)).to.equal(800);
+
+            // 60 days past the grace period
+            await time.increase(61 * DAY);
+            expect(await reputationNFT.getReputationScore(user1.address)).to.equal(780);
+            const data = await reputationNFT.getReputationData(user1.address);
+            expect(data.score).to.equal(780);
+            expect(data.currentTier).to.equal(2); // Gold
+            expect((await reputationNFT.reputationData(tokenId)).score).to.equal(800);
+
+            // Never below the baseline
+            const later = (await time.latest()) + 10 * 365 * DAY;
+            expect(await reputationNFT.getProjectedScore(user1.address, later)).to.equal(300);
+        });
+
+        it("Should not lose partial periods when syncing often", async function () {
+            const { reputationNFT, user1, tokenId } = await loadFixture(decayFixture);
+
+            // 14.67 points due after 44 days of decay
+            await time.increase(134 * DAY);
+            await expect(reputationNFT.syncReputation(user1.address))
+                .to.emit(reputationNFT, "ReputationUpdated")
+                .withArgs(tokenId, -14, 786, 2, 14); // Decay
+
+            for (let i = 0; i < 3; i++) {
+                await time.increase(10 * DAY);
+                await reputationNFT.syncReputation(user1.address);
+            }
+
+            // 74 days of decay in total
+            expect((await reputationNFT.reputationData(tokenId)).score).to.equal(776);
+            expect(await reputationNFT.getReputationScore(user1.address)).to.equal(776);
+        });
+
+        it("Should recover default penalties after a clean repayment streak", async function () {
+            const { reputationNFT, user1, tokenId } = await loadFixture(decayFixture);
+
+            const updateWithReason = reputationNFT["updateReputation(address,int256,uint8)"];
+            await updateWithReason(user1.address, -200, 7); // Default
+            expect((await reputationNFT.rehabilitation(tokenId)).penaltyBalance).to.equal(200);
+
+            // No recovery before the streak is complete
+            await reputationNFT.recordLoan(user1.address, ethers.parseEther("0.1"), ethers.parseEther("0.1"));
+            await reputationNFT.recordLoan(user1.address, ethers.parseEther("0.1"), ethers.parseEther("0.1"));
+            await time.increase(30 * DAY);
+            expect(await reputationNFT.getReputationScore(user1.address)).to.equal(600);
+
+            await reputationNFT.recordLoan(user1.address, ethers.parseEther("0.1"), ethers.parseEther("0.1"));
+            await time.increase(60 * DAY);
+            expect(await reputationNFT.getReputationScore(user1.address)).to.equal(650);
+
+            await expect(reputationNFT.syncReputation(user1.address))
+                .to.emit(reputationNFT, "ReputationUpdated")
+                .withArgs(tokenId, 50, 650, 2, 15); // Rehabilitation
+            expect((await reputationNFT.rehabilitation(tokenId)).penaltyBalance).to.equal(150);
+
+            // A new default restarts the streak
+            await updateWithReason(user1.address, -100, 8); // DefaultSlash
+            const rehab = await reputationNFT.rehabilitation(tokenId);
+            expect(rehab.penaltyBalance).to.equal(250);
+            expect(rehab.cleanStreak).to.equal(0);
+            expect(rehab.recoveringSince).to.equal(0);
+
+            await expect(reputationNFT.connect(user1).setDecayModel(300, 0, 0, 0, 1))
+                .to.be.revertedWithCustomError(reputationNFT, "AccessControlUnauthorizedAccount");
+        });
     });
 
     describe("TrustCircle", function () {
         it("Should create a trust circle", async function () {
-            const { trustCircle, reputationNFT, owner, user1 } = await loadFixture(deployContractsFixture);
+            const { trustCircle, reputationNFT, user1 } = await loadFixture(deployContractsFixture);
 
             // Mint and boost reputation to 200
             await reputationNFT.mint(user1.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user1.address, 100);
 
             await trustCircle.connect(user1).createCircle("Test Circle", 100);
@@ -108,11 +307,10 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         });
 
         it("Should invite and accept members", async function () {
-            const { trustCircle, reputationNFT, owner, user1, user2 } = await loadFixture(deployContractsFixture);
+            const { trustCircle, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
 
             // Setup
             await reputationNFT.mint(user1.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user1.address, 100);
             await reputationNFT.mint(user2.address);
 
@@ -127,11 +325,10 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         });
 
         it("Should allow vouching for members", async function () {
-            const { trustCircle, reputationNFT, owner, user1, user2 } = await loadFixture(deployContractsFixture);
+            const { trustCircle, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
 
             // Setup
             await reputationNFT.mint(user1.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user1.address, 100);
             await reputationNFT.mint(user2.address);
 
@@ -148,6 +345,593 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         });
     });
 
+    describe("Vouch Weight, Expiry and Revocation", function () {
+        const DAY = 24 * 60 * 60;
+
+        // user2 (Gold) and user4 (Bronze) both vouch for user3
+        async function vouchFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, trustCircle, user1, user2, user3, user4 } = fixture;
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            for (const user of [user2, user3, user4]) {
+                await reputationNFT.mint(user.address);
+            }
+            await reputationNFT.updateReputation(user2.address, 500);
+
+            await trustCircle.connect(user2).createCircle("Weighted", 50);
+            for (const member of [user3, user4]) {
+                await trustCircle.connect(user2).inviteMember(1, member.address);
+                await trustCircle.connect(member).acceptInvitation(1);
+            }
+            await trustCircle.connect(user2).vouchForMember(1, user3.address);
+            await trustCircle.connect(user4).vouchForMember(1, user3.address);
+
+            return fixture;
+        }
+
+        it("Should weight vouches by the voucher's reputation tier", async function () {
+            const { trustCircle, user2, user3, user4 } = await loadFixture(vouchFixture);
+
+            expect(await trustCircle.getVouchWeight(user2.address)).to.equal(30);
+            expect(await trustCircle.getVouchWeight(user4.address)).to.equal(10);
+
+            // 50 circle base points + 30 (Gold) + 10 (Bronze)
+            expect(await trustCircle.getTrustScore(user3.address)).to.equal(90);
+        });
+
+        it("Should stop counting expired vouches until they are renewed", async function () {
+            const { trustCircle, user2, user3 } = await loadFixture(vouchFixture);
+
+            // Base points plus the established-circle bonus only
+            await time.increase(181 * DAY);
+            expect(await trustCircle.getTrustScore(user3.address)).to.equal(80);
+
+            await expect(trustCircle.connect(user2).renewVouch(1, user3.address))
+                .to.emit(trustCircle, "VouchRenewed");
+            expect(await trustCircle.getTrustScore(user3.address)).to.equal(110);
+
+            await expect(trustCircle.connect(user3).renewVouch(1, user2.address))
+                .to.be.revertedWith("Not vouched");
+        });
+
+        it("Should block revoking a vouch while the member has an active loan", async function () {
+            const { lendingPool, trustCircle, reputationNFT, user2, user3, user4 } = await loadFixture(vouchFixture);
+
+            await lendingPool.connect(user3).borrow(ethers.parseEther("0.05"), 30);
+            await expect(trustCircle.connect(user2).revokeVouch(1, user3.address))
+                .to.be.revertedWith("Member has an active loan");
+
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            await lendingPool.connect(user3).repay(1, { value: totalOwed });
+
+            await expect(trustCircle.connect(user2).revokeVouch(1, user3.address))
+                .to.emit(trustCircle, "VouchRevoked").withArgs(1, user2.address, user3.address);
+            expect(await trustCircle.getVouches(1, user3.address)).to.deep.equal([user4.address]);
+            expect(await trustCircle.getVouchedFor(1, user2.address)).to.deep.equal([]);
+            expect(await trustCircle.getTrustScore(user3.address)).to.equal(60);
+
+            // Vouching again does not pay the fully-vouched bonus twice
+            const score = await reputationNFT.getReputationScore(user3.address);
+            await trustCircle.connect(user2).vouchForMember(1, user3.address);
+            expect(await reputationNFT.getReputationScore(user3.address)).to.equal(score);
+        });
+    });
+
+    describe("Circle Lifecycle", function () {
+        // user2 runs a circle with user3, user4 and user5; user3 and user4 vouch for each other
+        async function lifecycleFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, trustCircle, user1, user2, user3, user4, user5 } = fixture;
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            for (const user of [user2, user3, user4, user5]) {
+                await reputationNFT.mint(user.address);
+            }
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            await trustCircle.connect(user2).createCircle("Neighbours", 50);
+            for (const member of [user3, user4, user5]) {
+                await trustCircle.connect(user2).inviteMember(1, member.address);
+                await trustCircle.connect(member).acceptInvitation(1);
+            }
+            await trustCircle.connect(user3).vouchForMember(1, user4.address);
+            await trustCircle.connect(user4).vouchForMember(1, user3.address);
+
+            return fixture;
+        }
+
+        it("Should let members leave and clean up their circle entry and vouches", async function () {
+            const { trustCircle, user2, user3, user4 } = await loadFixture(lifecycleFixture);
+
+            await expect(trustCircle.connect(user2).leaveCircle(1))
+                .to.be.revertedWith("Creator must transfer or dissolve");
+
+            await expect(trustCircle.connect(user3).leaveCircle(1))
+                .to.emit(trustCircle, "MemberLeft").withArgs(1, user3.address);
+
+            expect(await trustCircle.isMember(1, user3.address)).to.equal(false);
+            expect(await trustCircle.getUserCircles(user3.address)).to.deep.equal([]);
+            expect(await trustCircle.getCircleMembers(1)).to.have.lengthOf(3);
+            expect(await trustCircle.getVouches(1, user3.address)).to.deep.equal([]);
+            expect(await trustCircle.getVouches(1, user4.address)).to.deep.equal([]);
+        });
+
+        it("Should block leaving with an open loan", async function () {
+            const { lendingPool, trustCircle, user3 } = await loadFixture(lifecycleFixture);
+
+            await lendingPool.connect(user3).borrow(ethers.parseEther("0.05"), 30);
+            expect(await trustCircle.openLoans(user3.address)).to.equal(1);
+            await expect(trustCircle.connect(user3).leaveCircle(1))
+                .to.be.revertedWith("Member has open loans");
+
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            await lendingPool.connect(user3).repay(1, { value: totalOwed });
+            await trustCircle.connect(user3).leaveCircle(1);
+        });
+
+        it("Should remove a member once a majority of the others vote", async function () {
+            const { trustCircle, user2, user3, user4, user5 } = await loadFixture(lifecycleFixture);
+
+            await expect(trustCircle.connect(user3).voteToRemove(1, user2.address))
+                .to.be.revertedWith("Cannot remove the creator");
+
+            await trustCircle.connect(user2).voteToRemove(1, user5.address);
+            await expect(trustCircle.connect(user2).voteToRemove(1, user5.address))
+                .to.be.revertedWith("Already voted");
+            expect(await trustCircle.isMember(1, user5.address)).to.equal(true);
+
+            // 2 of the 3 other members
+            await expect(trustCircle.connect(user3).voteToRemove(1, user5.address))
+                .to.emit(trustCircle, "MemberRemoved").withArgs(1, user5.address);
+            expect(await trustCircle.isMember(1, user5.address)).to.equal(false);
+
+            await expect(trustCircle.connect(user4).voteToRemove(1, user5.address))
+                .to.be.revertedWith("Target is not a member");
+        });
+
+        it("Should only count removal votes of current members", async function () {
+            const { trustCircle, user2, user3, user4, user5 } = await loadFixture(lifecycleFixture);
+
+            await trustCircle.connect(user4).voteToRemove(1, user5.address);
+            await trustCircle.connect(user4).leaveCircle(1);
+
+            // user4's vote left with them: 1 of the 2 other members is not a majority
+            await expect(trustCircle.connect(user2).voteToRemove(1, user5.address))
+                .to.emit(trustCircle, "RemovalVoted").withArgs(1, user2.address, user5.address, 1)
+                .and.to.not.emit(trustCircle, "MemberRemoved");
+            expect(await trustCircle.getRemovalVotes(1, user5.address)).to.deep.equal([user2.address]);
+
+            await expect(trustCircle.connect(user3).voteToRemove(1, user5.address))
+                .to.emit(trustCircle, "MemberRemoved").withArgs(1, user5.address);
+        });
+
+        it("Should not take removal votes against a member with an open loan", async function () {
+            const { lendingPool, trustCircle, user2, user3 } = await loadFixture(lifecycleFixture);
+
+            await lendingPool.connect(user3).borrow(ethers.parseEther("0.05"), 30);
+            await expect(trustCircle.connect(user2).voteToRemove(1, user3.address))
+                .to.be.revertedWith("Member has open loans");
+            expect(await trustCircle.getRemovalVotes(1, user3.address)).to.deep.equal([]);
+        });
+
+        it("Should hand the circle over and dissolve it, refunding stakes", async function () {
+            const { lendingPool, trustCircle, user2, user3, user4 } = await loadFixture(lifecycleFixture);
+
+            await expect(trustCircle.connect(user2).transferCircleAdmin(1, user3.address))
+                .to.emit(trustCircle, "CircleAdminTransferred").withArgs(1, user2.address, user3.address);
+            await trustCircle.connect(user2).leaveCircle(1);
+
+            await trustCircle.connect(user4).stake(1, { value: ethers.parseEther("1") });
+            await lendingPool.connect(user3).borrow(ethers.parseEther("0.05"), 30);
+            await expect(trustCircle.connect(user3).dissolveCircle(1))
+                .to.be.revertedWith("Members have open loans");
+
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            await lendingPool.connect(user3).repay(1, { value: totalOwed });
+            await expect(trustCircle.connect(user3).dissolveCircle(1))
+                .to.emit(trustCircle, "CircleDissolved").withArgs(1);
+
+            expect((await trustCircle.circles(1)).active).to.equal(false);
+            expect(await trustCircle.getUserCircles(user4.address)).to.deep.equal([]);
+            expect(await trustCircle.circleStakes(1)).to.equal(0);
+            await expect(trustCircle.connect(user4).withdrawSavings())
+                .to.changeEtherBalance(user4, ethers.parseEther("1"));
+        });
+
+        it("Should only count circles with the minimum number of members towards trust", async function () {
+            const { trustCircle, user2, user3, user4, user5 } = await loadFixture(lifecycleFixture);
+
+            // Circle base points plus user4's Bronze vouch for user3
+            expect(await trustCircle.getTrustScore(user3.address)).to.equal(60);
+
+            await trustCircle.connect(user5).leaveCircle(1);
+            expect(await trustCircle.getTrustScore(user3.address)).to.equal(60);
+
+            // Two members left: below MIN_MEMBERS
+            await trustCircle.connect(user2).voteToRemove(1, user4.address);
+            await trustCircle.connect(user3).voteToRemove(1, user4.address);
+            expect(await trustCircle.getCircleMembers(1)).to.have.lengthOf(2);
+            expect(await trustCircle.getTrustScore(user3.address)).to.equal(0);
+        });
+    });
+
+    describe("Circle Guarantee Fund", function () {
+        // user2 borrows; user3 and user4 vouch for user2 and stake into the circle
+        async function guaranteeFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, trustCircle, user1, user2, user3, user4 } = fixture;
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            for (const user of [user2, user3, user4]) {
+                await reputationNFT.mint(user.address);
+            }
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            await trustCircle.connect(user2).createCircle("Guarantors", 50);
+            for (const voucher of [user3, user4]) {
+                await trustCircle.connect(user2).inviteMember(1, voucher.address);
+                await trustCircle.connect(voucher).acceptInvitation(1);
+                await trustCircle.connect(voucher).vouchForMember(1, user2.address);
+            }
+
+            return fixture;
+        }
+
+        it("Should raise the borrowing limit of vouched members by the stake backing them", async function () {
+            const { lendingPool, trustCircle, user2, user3, user4 } = await loadFixture(guaranteeFixture);
+
+            const limitBefore = await lendingPool.getBorrowingLimit(user2.address);
+
+            await trustCircle.connect(user3).stake(1, { value: ethers.parseEther("1") });
+            await trustCircle.connect(user4).stake(1, { value: ethers.parseEther("3") });
+
+            expect(await trustCircle.circleStakes(1)).to.equal(ethers.parseEther("4"));
+            expect(await trustCircle.getMemberBacking(1, user2.address)).to.equal(ethers.parseEther("4"));
+            expect(await lendingPool.getBorrowingLimit(user2.address))
+                .to.equal(limitBefore + ethers.parseEther("4"));
+
+            // Stakers are not backed by anyone
+            expect(await trustCircle.getMemberBacking(1, user3.address)).to.equal(0);
+        });
+
+        it("Should lock stake while a vouched member owes the pool", async function () {
+            const { lendingPool, trustCircle, user2, user3 } = await loadFixture(guaranteeFixture);
+
+            await trustCircle.connect(user3).stake(1, { value: ethers.parseEther("1") });
+            await lendingPool.connect(user2).borrow(ethers.parseEther("1"), 30);
+
+            expect(await trustCircle.getExposure(1, user3.address)).to.equal(ethers.parseEther("1"));
+            await expect(trustCircle.connect(user3).unstake(1, ethers.parseEther("1")))
+                .to.be.revertedWith("Stake backs outstanding loans");
+
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            await lendingPool.connect(user2).repay(1, { value: totalOwed });
+
+            expect(await trustCircle.getExposure(1, user3.address)).to.equal(0);
+            await expect(trustCircle.connect(user3).unstake(1, ethers.parseEther("1")))
+                .to.changeEtherBalance(user3, ethers.parseEther("1"));
+        });
+
+        it("Should not let one stake back more borrowing than it covers", async function () {
+            const { lendingPool, trustCircle, reputationNFT, user2, user3, user4 } = await loadFixture(guaranteeFixture);
+
+            // user3's single 1 ETH stake backs both user2 and user4
+            await reputationNFT.updateReputation(user4.address, 400);
+            await trustCircle.connect(user3).vouchForMember(1, user4.address);
+            const unbackedLimit = await lendingPool.getBorrowingLimit(user4.address);
+            await trustCircle.connect(user3).stake(1, { value: ethers.parseEther("1") });
+
+            expect(await trustCircle.getGuaranteeBacking(user2.address)).to.equal(ethers.parseEther("1"));
+            expect(await trustCircle.getGuaranteeBacking(user4.address)).to.equal(ethers.parseEther("1"));
+
+            // Once user2 draws on it, only the rest is left for user4
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.6"), 30);
+            expect(await trustCircle.getGuaranteeBacking(user4.address)).to.equal(ethers.parseEther("0.4"));
+            expect(await lendingPool.getBorrowingLimit(user4.address)).to.equal(unbackedLimit + ethers.parseEther("0.4"));
+
+            await lendingPool.connect(user4).borrow(ethers.parseEther("0.4"), 30);
+            expect(await trustCircle.getGuaranteeBacking(user2.address)).to.equal(0);
+            expect(await trustCircle.getGuaranteeBacking(user4.address)).to.equal(0);
+            expect(await trustCircle.getExposure(1, user3.address)).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should cover a default from vouchers' stakes pro rata before lenders lose", async function () {
+            const { lendingPool, trustCircle, user2, user3, user4 } = await loadFixture(guaranteeFixture);
+
+            await trustCircle.connect(user3).stake(1, { value: ethers.parseEther("1") });
+            await trustCircle.connect(user4).stake(1, { value: ethers.parseEther("3") });
+            await lendingPool.connect(user2).borrow(ethers.parseEther("2"), 30);
+
+            const debt = await lendingPool.getTotalOwed(1);
+            const liquidityBefore = await lendingPool.totalLiquidity();
+
+            // 1:3 split, each share rounded down
+            const covered = debt / 4n + debt * 3n / 4n;
+
+            await time.increase(38 * 24 * 60 * 60);
+            await expect(lendingPool.markDefaulted(1))
+                .to.emit(lendingPool, "DefaultCovered").withArgs(1, covered)
+                .and.to.emit(trustCircle, "GuaranteeClaimed").withArgs(1, user2.address, user3.address, debt / 4n)
+                .and.to.emit(trustCircle, "GuaranteeClaimed").withArgs(1, user2.address, user4.address, debt * 3n / 4n);
+
+            // Lenders keep their principal and still earn the interest
+            expect(await lendingPool.totalLiquidity()).to.equal(liquidityBefore - ethers.parseEther("2") + covered);
+            expect(await trustCircle.memberStakes(1, user3.address)).to.equal(ethers.parseEther("1") - debt / 4n);
+            expect(await trustCircle.guaranteedDebt(user2.address)).to.equal(0);
+        });
+
+        it("Should only let authorized pools slash circles or claim guarantees", async function () {
+            const { trustCircle, user1, user2 } = await loadFixture(guaranteeFixture);
+
+            await expect(trustCircle.connect(user1).slashCircle(1, user2.address))
+                .to.be.revertedWithCustomError(trustCircle, "AccessControlUnauthorizedAccount");
+            await expect(trustCircle.connect(user1).coverDefault(user2.address, 1))
+                .to.be.revertedWithCustomError(trustCircle, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Credit Delegation", function () {
+        const DAY = 24 * 60 * 60;
+
+        // user2 (Silver) shares a circle with user3 (new Bronze member)
+        async function delegationFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, trustCircle, user1, user2, user3 } = fixture;
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            for (const user of [user2, user3]) {
+                await reputationNFT.mint(user.address);
+            }
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            await trustCircle.connect(user2).createCircle("Mentors", 50);
+            await trustCircle.connect(user2).inviteMember(1, user3.address);
+            await trustCircle.connect(user3).acceptInvitation(1);
+
+            const expiresAt = (await time.latest()) + 30 * DAY;
+            await trustCircle.connect(user2).delegateCredit(1, user3.address, ethers.parseEther("0.3"), expiresAt);
+
+            return { ...fixture, expiresAt };
+        }
+
+        it("Should let a delegate borrow against the delegator's limit", async function () {
+            const { lendingPool, trustCircle, user2, user3 } = await loadFixture(delegationFixture);
+            const amount = ethers.parseEther("0.3");
+
+            expect(await lendingPool.getBorrowingLimit(user3.address)).to.be.lessThan(amount);
+            await expect(lendingPool.connect(user3).borrow(amount, 30))
+                .to.be.revertedWith("Amount exceeds borrowing limit");
+
+            const delegatorLimit = await lendingPool.getBorrowingLimit(user2.address);
+            await expect(lendingPool.connect(user3).borrowWithDelegation(user2.address, amount, 30))
+                .to.emit(lendingPool, "DelegatedLoanOpened").withArgs(1, user3.address, user2.address, amount)
+                .and.to.emit(trustCircle, "DelegatedCreditUsed").withArgs(user2.address, user3.address, amount);
+
+            // The delegator's limit shrinks while the loan is open
+            expect(await lendingPool.getBorrowingLimit(user2.address)).to.equal(delegatorLimit - amount);
+            expect(await trustCircle.getAvailableDelegatedCredit(user2.address, user3.address)).to.equal(0);
+
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            await lendingPool.connect(user3).repay(1, { value: totalOwed });
+
+            expect(await trustCircle.delegatedCreditInUse(user2.address)).to.equal(0);
+            expect(await trustCircle.getAvailableDelegatedCredit(user2.address, user3.address)).to.equal(amount);
+        });
+
+        it("Should enforce the delegation cap, expiry and revocation", async function () {
+            const { lendingPool, trustCircle, user1, user2, user3, expiresAt } = await loadFixture(delegationFixture);
+
+            await expect(lendingPool.connect(user3).borrowWithDelegation(user2.address, ethers.parseEther("0.4"), 30))
+                .to.be.revertedWith("Exceeds delegated credit");
+            await expect(lendingPool.connect(user1).borrowWithDelegation(user2.address, ethers.parseEther("0.1"), 30))
+                .to.be.revertedWith("No reputation NFT");
+            await expect(trustCircle.connect(user2).delegateCredit(1, user1.address, 1, expiresAt))
+                .to.be.revertedWith("Target is not a member");
+
+            await time.increaseTo(expiresAt);
+            await expect(lendingPool.connect(user3).borrowWithDelegation(user2.address, ethers.parseEther("0.1"), 30))
+                .to.be.revertedWith("Delegation expired");
+
+            // Renew, borrow part of it, then revoke the rest
+            await trustCircle.connect(user2).delegateCredit(1, user3.address, ethers.parseEther("0.3"), expiresAt + 30 * DAY);
+            await lendingPool.connect(user3).borrowWithDelegation(user2.address, ethers.parseEther("0.1"), 30);
+            await expect(trustCircle.connect(user2).revokeCredit(user3.address))
+                .to.emit(trustCircle, "CreditRevoked").withArgs(user2.address, user3.address);
+
+            const delegation = await trustCircle.creditDelegations(user2.address, user3.address);
+            expect(delegation.amount).to.equal(ethers.parseEther("0.1"));
+            expect(await trustCircle.getDelegates(user2.address)).to.deep.equal([user3.address]);
+            await expect(lendingPool.connect(user3).borrowWithDelegation(user2.address, ethers.parseEther("0.1"), 30))
+                .to.be.revertedWith("Delegation expired");
+        });
+
+        it("Should pass a share of the default penalty to the delegator", async function () {
+            const { lendingPool, trustCircle, reputationNFT, user2, user3 } = await loadFixture(delegationFixture);
+
+            await lendingPool.connect(user3).borrowWithDelegation(user2.address, ethers.parseEther("0.3"), 30);
+            const delegatorScore = await reputationNFT.getReputationScore(user2.address);
+
+            await time.increase(38 * DAY);
+            await expect(lendingPool.markDefaulted(1))
+                .to.emit(trustCircle, "DelegatedCreditReleased").withArgs(user2.address, user3.address, ethers.parseEther("0.3"));
+
+            // Half of the 200 point default penalty; user2 vouched for nobody, so no circle slash
+            expect(await reputationNFT.getReputationScore(user2.address)).to.equal(delegatorScore - 100n);
+            expect(await trustCircle.delegatedCreditInUse(user2.address)).to.equal(0);
+        });
+    });
+
+    describe("Savings Circles", function () {
+        const WEEK = 7 * 24 * 60 * 60;
+        const contribution = ethers.parseEther("0.1");
+
+        // user2 runs a circle with user3 and user4; user3 vouched for user4
+        async function savingsFixture() {
+            const fixture = await deployContractsFixture();
+            const { reputationNFT, trustCircle, user2, user3, user4 } = fixture;
+
+            for (const user of [user2, user3, user4]) {
+                await reputationNFT.mint(user.address);
+            }
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            await trustCircle.connect(user2).createCircle("Savers", 50);
+            for (const member of [user3, user4]) {
+                await trustCircle.connect(user2).inviteMember(1, member.address);
+                await trustCircle.connect(member).acceptInvitation(1);
+            }
+            await trustCircle.connect(user3).vouchForMember(1, user4.address);
+
+            return fixture;
+        }
+
+        it("Should pay each round's pot in fixed member order", async function () {
+            const { trustCircle, user2, user3, user4 } = await loadFixture(savingsFixture);
+            const members = [user2, user3, user4];
+
+            await expect(trustCircle.connect(user2).startRosca(1, contribution, WEEK, 0))
+                .to.emit(trustCircle, "RoscaStarted").withArgs(1, 1, contribution, WEEK, 0);
+
+            for (let round = 0; round < members.length; round++) {
+                expect(await trustCircle.getNextRecipient(1)).to.equal(members[round].address);
+                for (const member of members) {
+                    await trustCircle.connect(member).contribute(1, { value: contribution });
+                }
+                await expect(trustCircle.closeRound(1)).to.be.revertedWith("Round still open");
+
+                await time.increase(WEEK);
+                await expect(trustCircle.closeRound(1))
+                    .to.emit(trustCircle, "PotPaid").withArgs(1, round, members[round].address, contribution * 3n, 0);
+            }
+
+            expect((await trustCircle.roscas(1)).active).to.equal(false);
+            const [, recipients] = await trustCircle.getRoscaMembers(1);
+            expect(recipients).to.deep.equal(members.map((member) => member.address));
+
+            await expect(trustCircle.connect(user3).withdrawSavings())
+                .to.changeEtherBalance(user3, contribution * 3n);
+        });
+
+        it("Should slash members who miss a contribution and their vouchers", async function () {
+            const { trustCircle, reputationNFT, user2, user3, user4 } = await loadFixture(savingsFixture);
+
+            await trustCircle.connect(user2).startRosca(1, contribution, WEEK, 0);
+            await trustCircle.connect(user2).contribute(1, { value: contribution });
+            await trustCircle.connect(user3).contribute(1, { value: contribution });
+
+            await time.increase(WEEK);
+            await expect(trustCircle.connect(user4).contribute(1, { value: contribution }))
+                .to.be.revertedWith("Round is over");
+
+            const user3Before = await reputationNFT.getReputationScore(user3.address);
+            const user4Before = await reputationNFT.getReputationScore(user4.address);
+
+            await expect(trustCircle.closeRound(1))
+                .to.emit(trustCircle, "ContributionMissed").withArgs(1, 0, user4.address)
+                .and.to.emit(trustCircle, "CircleSlashed").withArgs(1, user4.address, 1);
+
+            expect(await reputationNFT.getReputationScore(user4.address)).to.equal(user4Before - 25n);
+            expect(await reputationNFT.getReputationScore(user3.address)).to.equal(user3Before - 5n);
+            expect(await trustCircle.missedContributions(1, user4.address)).to.equal(1);
+
+            // The recipient still receives what was paid in
+            expect(await trustCircle.savingsBalances(user2.address)).to.equal(contribution * 2n);
+        });
+
+        it("Should forfeit the pot of a recipient who missed their own contribution", async function () {
+            const { trustCircle, user2, user3, user4 } = await loadFixture(savingsFixture);
+
+            // user2 is first in line but does not pay in
+            await trustCircle.connect(user2).startRosca(1, contribution, WEEK, 0);
+            await trustCircle.connect(user3).contribute(1, { value: contribution });
+            await trustCircle.connect(user4).contribute(1, { value: contribution });
+
+            await time.increase(WEEK);
+            await expect(trustCircle.closeRound(1))
+                .to.emit(trustCircle, "PotPaid").withArgs(1, 0, user2.address, 0, contribution * 2n);
+
+            // The members who paid get their contributions back, and user2 loses their turn
+            expect(await trustCircle.savingsBalances(user2.address)).to.equal(0);
+            expect(await trustCircle.savingsBalances(user3.address)).to.equal(contribution);
+            expect(await trustCircle.savingsBalances(user4.address)).to.equal(contribution);
+            expect(await trustCircle.getNextRecipient(1)).to.equal(user3.address);
+        });
+
+        it("Should open a full round after a round is closed late", async function () {
+            const { trustCircle, reputationNFT, user2, user3, user4 } = await loadFixture(savingsFixture);
+            const members = [user2, user3, user4];
+
+            await trustCircle.connect(user2).startRosca(1, contribution, WEEK, 0);
+            for (const member of members) {
+                await trustCircle.connect(member).contribute(1, { value: contribution });
+            }
+
+            // Nobody closes the first round until two weeks after it ended
+            await time.increase(3 * WEEK);
+            await trustCircle.closeRound(1);
+            const closedAt = await time.latest();
+            expect(await trustCircle.getRoundDeadline(1)).to.equal(closedAt + WEEK);
+
+            // The second round cannot be closed before members had a week to pay
+            await expect(trustCircle.closeRound(1)).to.be.revertedWith("Round still open");
+            const user4Before = await reputationNFT.getReputationScore(user4.address);
+            for (const member of members) {
+                await trustCircle.connect(member).contribute(1, { value: contribution });
+            }
+
+            await time.increase(WEEK);
+            await expect(trustCircle.closeRound(1)).to.not.emit(trustCircle, "ContributionMissed");
+            expect(await reputationNFT.getReputationScore(user4.address)).to.equal(user4Before);
+        });
+
+        it("Should give bid rounds to the highest discount and share it with the others", async function () {
+            const { trustCircle, user2, user3, user4 } = await loadFixture(savingsFixture);
+            const members = [user2, user3, user4];
+
+            await trustCircle.connect(user2).startRosca(1, contribution, WEEK, 2);
+            for (const member of members) {
+                await trustCircle.connect(member).contribute(1, { value: contribution });
+            }
+
+            await trustCircle.connect(user3).placeBid(1, ethers.parseEther("0.02"));
+            await trustCircle.connect(user4).placeBid(1, ethers.parseEther("0.04"));
+            await expect(trustCircle.connect(user3).placeBid(1, ethers.parseEther("0.03")))
+                .to.be.revertedWith("Bid too low");
+            expect(await trustCircle.getNextRecipient(1)).to.equal(user4.address);
+
+            await time.increase(WEEK);
+            await expect(trustCircle.closeRound(1))
+                .to.emit(trustCircle, "PotPaid")
+                .withArgs(1, 0, user4.address, ethers.parseEther("0.26"), ethers.parseEther("0.04"));
+
+            expect(await trustCircle.savingsBalances(user2.address)).to.equal(ethers.parseEther("0.02"));
+            expect(await trustCircle.savingsBalances(user3.address)).to.equal(ethers.parseEther("0.02"));
+
+            // Past recipients cannot bid again
+            await trustCircle.connect(user4).contribute(1, { value: contribution });
+            await expect(trustCircle.connect(user4).placeBid(1, 1))
+                .to.be.revertedWith("Already received a pot");
+        });
+
+        it("Should draw a random order covering every member once", async function () {
+            const { trustCircle, user1, user2, user3, user4 } = await loadFixture(savingsFixture);
+
+            await expect(trustCircle.connect(user3).startRosca(1, contribution, WEEK, 1))
+                .to.be.revertedWith("Only circle creator");
+            await trustCircle.connect(user2).startRosca(1, contribution, WEEK, 1);
+            await expect(trustCircle.connect(user2).startRosca(1, contribution, WEEK, 1))
+                .to.be.revertedWith("Rotation already running");
+            await expect(trustCircle.connect(user1).contribute(1, { value: contribution }))
+                .to.be.revertedWith("Not a participant");
+
+            const [participants] = await trustCircle.getRoscaMembers(1);
+            const next = await trustCircle.getNextRecipient(1);
+            expect(participants).to.include(next);
+            expect([...participants].sort()).to.deep.equal([user2.address, user3.address, user4.address].sort());
+        });
+    });
+
     describe("LendingPool", function () {
         it("Should allow liquidity deposit", async function () {
             const { lendingPool, user1 } = await loadFixture(deployContractsFixture);
@@ -161,14 +945,13 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         });
 
         it("Should allow borrowing with reputation", async function () {
-            const { lendingPool, reputationNFT, owner, user1, user2 } = await loadFixture(deployContractsFixture);
+            const { lendingPool, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
 
             // User1 deposits liquidity
             await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
 
             // User2 gets reputation and borrows
             await reputationNFT.mint(user2.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user2.address, 400); // Total 500 = Gold
 
             const borrowAmount = ethers.parseEther("0.1");
@@ -179,10 +962,9 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         });
 
         it("Should calculate interest rate based on reputation", async function () {
-            const { lendingPool, reputationNFT, owner, user1 } = await loadFixture(deployContractsFixture);
+            const { lendingPool, reputationNFT, user1 } = await loadFixture(deployContractsFixture);
 
             await reputationNFT.mint(user1.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user1.address, 700); // Total 800 = Platinum
 
             const rate = await lendingPool.getInterestRate(user1.address);
@@ -190,12 +972,11 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         });
 
         it("Should allow loan repayment", async function () {
-            const { lendingPool, reputationNFT, owner, user1, user2 } = await loadFixture(deployContractsFixture);
+            const { lendingPool, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
 
             // Setup: deposit and borrow
             await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
             await reputationNFT.mint(user2.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user2.address, 400);
 
             const borrowAmount = ethers.parseEther("0.1");
@@ -209,20 +990,38 @@ describe("TrustCircle Protocol - Integration Tests", function () {
             expect(loan.active).to.be.false;
         });
 
+        it("Should emit pool state snapshots for analytics", async function () {
+            const { lendingPool, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await expect(lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") }))
+                .to.emit(lendingPool, "PoolStateUpdated")
+                .withArgs(ethers.parseEther("5"), 0, 0, 0);
+
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            await expect(lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 30))
+                .to.emit(lendingPool, "PoolStateUpdated")
+                .withArgs(ethers.parseEther("5"), ethers.parseEther("0.1"), 1, 0);
+
+            await time.increase(38 * 24 * 60 * 60);
+            await expect(lendingPool.markDefaulted(1))
+                .to.emit(lendingPool, "PoolStateUpdated")
+                .withArgs(ethers.parseEther("4.9"), 0, 1, 1);
+        });
+
         it("Should calculate borrowing limit based on reputation and trust", async function () {
-            const { lendingPool, reputationNFT, trustCircle, owner, user1, user2, user3 } =
+            const { lendingPool, reputationNFT, trustCircle, user1, user2, user3 } =
                 await loadFixture(deployContractsFixture);
 
             // Setup user1 with reputation and trust circle
             await reputationNFT.mint(user1.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user1.address, 400); // 500 total
 
             await trustCircle.connect(user1).createCircle("Test", 50);
 
             // Add another member for vouches
             await reputationNFT.mint(user2.address);
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user2.address, 100);
             await trustCircle.connect(user1).inviteMember(1, user2.address);
             await trustCircle.connect(user2).acceptInvitation(1);
@@ -233,33 +1032,1415 @@ describe("TrustCircle Protocol - Integration Tests", function () {
         });
     });
 
-    describe("AchievementBadges", function () {
-        it("Should unlock achievement and award reputation", async function () {
-            const { achievementBadges, reputationNFT, owner, user1 } = await loadFixture(deployContractsFixture);
+    describe("Roles and Pausing", function () {
+        const DAY = 24 * 60 * 60;
 
-            await reputationNFT.mint(user1.address);
-            const scoreBefore = await reputationNFT.getReputationScore(user1.address);
+        // user3 borrows against a vouch from user2 in user2's circle
+        async function rolesFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, trustCircle, user1, user2, user3 } = fixture;
 
-            // Unlock FirstLoan achievement (20 reputation bonus)
-            await achievementBadges.unlockAchievement(user1.address, 0); // AchievementType.FirstLoan
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            for (const user of [user2, user3]) {
+                await reputationNFT.mint(user.address);
+                await reputationNFT.updateReputation(user.address, 400);
+            }
 
-            const scoreAfter = await reputationNFT.getReputationScore(user1.address);
-            expect(scoreAfter).to.equal(scoreBefore + BigInt(20));
+            await trustCircle.connect(user2).createCircle("Guarded", 50);
+            await trustCircle.connect(user2).inviteMember(1, user3.address);
+            await trustCircle.connect(user3).acceptInvitation(1);
+            await trustCircle.connect(user2).vouchForMember(1, user3.address);
+            await lendingPool.connect(user3).borrow(ethers.parseEther("0.1"), 30);
 
-            const hasAchievement = await achievementBadges.checkAchievement(user1.address, 0);
-            expect(hasAchievement).to.be.true;
+            return fixture;
+        }
+
+        it("Should slash the defaulter's circle through the slasher role", async function () {
+            const { roles, lendingPool, reputationNFT, trustCircle, user2, user3 } = await loadFixture(rolesFixture);
+
+            await time.increase(38 * DAY);
+
+            // Pools can only default loans while they hold the slasher role
+            await roles.revokeRole(SLASHER_ROLE, await lendingPool.getAddress());
+            await expect(lendingPool.markDefaulted(1))
+                .to.be.revertedWithCustomError(trustCircle, "AccessControlUnauthorizedAccount");
+            await roles.grantRole(SLASHER_ROLE, await lendingPool.getAddress());
+
+            const voucherBefore = await reputationNFT.getReputationScore(user2.address);
+            const borrowerBefore = await reputationNFT.getReputationScore(user3.address);
+
+            await expect(lendingPool.markDefaulted(1))
+                .to.emit(trustCircle, "CircleSlashed")
+                .withArgs(1, user3.address, 1);
+
+            // Default penalty and circle slash for the borrower, voucher slash for user2
+            expect(await reputationNFT.getReputationScore(user3.address)).to.equal(borrowerBefore - 350n);
+            expect(await reputationNFT.getReputationScore(user2.address)).to.equal(voucherBefore - 30n);
         });
 
-        it("Should prevent duplicate achievement unlocks", async function () {
-            const { achievementBadges, reputationNFT, user1 } = await loadFixture(deployContractsFixture);
+        it("Should pause deposits, borrowing and withdrawals but not repayments", async function () {
+            const { lendingPool, user1, user2, user3 } = await loadFixture(rolesFixture);
+
+            await expect(lendingPool.connect(user1).pause())
+                .to.be.revertedWithCustomError(lendingPool, "AccessControlUnauthorizedAccount");
+            await expect(lendingPool.pause()).to.emit(lendingPool, "Paused");
+
+            await expect(lendingPool.connect(user1).deposit({ value: ethers.parseEther("1") }))
+                .to.be.revertedWithCustomError(lendingPool, "EnforcedPause");
+            await expect(lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 30))
+                .to.be.revertedWithCustomError(lendingPool, "EnforcedPause");
+            await expect(lendingPool.connect(user1).withdraw(ethers.parseEther("1")))
+                .to.be.revertedWithCustomError(lendingPool, "EnforcedPause");
+
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            await lendingPool.connect(user3).repay(1, { value: totalOwed });
+            expect((await lendingPool.getLoan(1)).active).to.be.false;
+
+            await lendingPool.unpause();
+            await expect(lendingPool.connect(user1).withdraw(ethers.parseEther("1")))
+                .to.emit(lendingPool, "Withdrawn");
+        });
+
+        it("Should manage every contract's permissions from the shared registry", async function () {
+            const { roles, reputationNFT, leaderboard, protocolParameters, user1, user2 } =
+                await loadFixture(rolesFixture);
+
+            await expect(reputationNFT.connect(user1).setDecayModel(300, 0, 0, 0, 1))
+                .to.be.revertedWithCustomError(reputationNFT, "AccessControlUnauthorizedAccount");
+            await expect(roles.connect(user1).grantRole(PARAM_ADMIN_ROLE, user1.address))
+                .to.be.revertedWithCustomError(roles, "AccessControlUnauthorizedAccount");
+
+            await roles.grantRole(PARAM_ADMIN_ROLE, user1.address);
+            await reputationNFT.connect(user1).setDecayModel(300, 0, 0, 0, 1);
+            await protocolParameters.connect(user1).defineParameter(ethers.id("NEW_PARAM"), 1, 0, 10);
+
+            await roles.grantRole(UPDATER_ROLE, user2.address);
+            await leaderboard.connect(user2).updateReputation(user2.address, 700);
+            expect(await leaderboard.getUserRank(user2.address)).to.equal(1);
+        });
+    });
+
+    describe("Upgrades", function () {
+        // user3 borrows against a vouch from user2; the timelock holds the upgrader role
+        async function upgradeFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, trustCircle, user1, user2, user3 } = fixture;
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            for (const user of [user2, user3]) {
+                await reputationNFT.mint(user.address);
+                await reputationNFT.updateReputation(user.address, 400);
+            }
+
+            await trustCircle.connect(user2).createCircle("Durable", 50);
+            await trustCircle.connect(user2).inviteMember(1, user3.address);
+            await trustCircle.connect(user3).acceptInvitation(1);
+            await trustCircle.connect(user2).vouchForMember(1, user3.address);
+            await lendingPool.connect(user3).borrow(ethers.parseEther("0.1"), 30);
+
+            return fixture;
+        }
+
+        // Schedule an upgrade (with its migration call) on the timelock and execute it after the delay
+        async function upgradeThroughTimelock(timelock, proxy, name) {
+            const factory = await ethers.getContractFactory(name);
+            const implementation = await upgrades.prepareUpgrade(proxy, factory, { kind: "uups" });
+            const migration = factory.interface.encodeFunctionData("migrateToV2");
+            const data = proxy.interface.encodeFunctionData("upgradeToAndCall", [implementation, migration]);
+            const target = await proxy.getAddress();
+
+            await timelock.schedule(target, 0, data, ethers.ZeroHash, ethers.ZeroHash, UPGRADE_DELAY);
+            await time.increase(UPGRADE_DELAY);
+            await timelock.execute(target, 0, data, ethers.ZeroHash, ethers.ZeroHash);
+
+            return factory.attach(target);
+        }
+
+        it("Should keep loans, vouches and scores across an upgrade", async function () {
+            const { timelock, lendingPool, reputationNFT, trustCircle, user1, user2, user3 } =
+                await loadFixture(upgradeFixture);
+
+            const loanBefore = await lendingPool.getLoan(1);
+            const liquidityBefore = await lendingPool.totalLiquidity();
+            const lenderBefore = await lendingPool.lenders(user1.address);
+            const scoreBefore = await reputationNFT.getReputationScore(user3.address);
+            const votesBefore = await reputationNFT.getVotes(user2.address);
+
+            const reputationV2 = await upgradeThroughTimelock(timelock, reputationNFT, "ReputationNFTV2");
+            const circleV2 = await upgradeThroughTimelock(timelock, trustCircle, "TrustCircleV2");
+            const poolV2 = await upgradeThroughTimelock(timelock, lendingPool, "LendingPoolV2");
+
+            for (const upgraded of [reputationV2, circleV2, poolV2]) {
+                expect(await upgraded.version()).to.equal(2);
+                expect(await upgraded.migratedAt()).to.be.greaterThan(0);
+            }
+
+            // Loans, pool accounting, vouches and reputation all carry over
+            expect(await poolV2.getLoan(1)).to.deep.equal(loanBefore);
+            expect(await poolV2.totalLiquidity()).to.equal(liquidityBefore);
+            expect(await poolV2.lenders(user1.address)).to.deep.equal(lenderBefore);
+            expect(await circleV2.getVouches(1, user3.address)).to.deep.equal([user2.address]);
+            expect(await circleV2.guaranteedDebt(user3.address)).to.equal(ethers.parseEther("0.1"));
+            expect(await reputationV2.getReputationScore(user3.address)).to.equal(scoreBefore);
+            expect(await reputationV2.getVotes(user2.address)).to.equal(votesBefore);
+
+            // The upgraded contracts keep working together
+            const totalOwed = await poolV2.getTotalOwed(1);
+            await poolV2.connect(user3).repay(1, { value: totalOwed });
+            expect((await poolV2.getLoan(1)).active).to.be.false;
+            expect((await reputationV2.getReputationData(user3.address)).loansCompleted).to.equal(1);
+
+            // Migrations run once
+            await expect(poolV2.migrateToV2()).to.be.revertedWithCustomError(poolV2, "InvalidInitialization");
+        });
+
+        it("Should only upgrade through the upgrader role after the timelock delay", async function () {
+            const { timelock, roles, lendingPool, owner, user1 } = await loadFixture(upgradeFixture);
+
+            const LendingPoolV2 = await ethers.getContractFactory("LendingPoolV2");
+            const implementation = await upgrades.prepareUpgrade(lendingPool, LendingPoolV2, { kind: "uups" });
+            const data = lendingPool.interface.encodeFunctionData("upgradeToAndCall", [implementation, "0x"]);
+            const target = await lendingPool.getAddress();
+
+            await expect(lendingPool.upgradeToAndCall(implementation, "0x"))
+                .to.be.revertedWithCustomError(lendingPool, "AccessControlUnauthorizedAccount")
+                .withArgs(owner.address, UPGRADER_ROLE);
+            await expect(lendingPool.initialize(target, target, target, target, target))
+                .to.be.revertedWithCustomError(lendingPool, "InvalidInitialization");
+
+            // The registry admin cannot grant itself the upgrader role to skip the delay
+            await expect(roles.grantRole(UPGRADER_ROLE, owner.address))
+                .to.be.revertedWithCustomError(roles, "AccessControlUnauthorizedAccount")
+                .withArgs(owner.address, UPGRADER_ROLE);
+
+            await expect(timelock.connect(user1).schedule(target, 0, data, ethers.ZeroHash, ethers.ZeroHash, UPGRADE_DELAY))
+                .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+            await timelock.schedule(target, 0, data, ethers.ZeroHash, ethers.ZeroHash, UPGRADE_DELAY);
+            await expect(timelock.execute(target, 0, data, ethers.ZeroHash, ethers.ZeroHash))
+                .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+            await time.increase(UPGRADE_DELAY);
+            await expect(timelock.connect(user1).execute(target, 0, data, ethers.ZeroHash, ethers.ZeroHash))
+                .to.emit(lendingPool, "Upgraded")
+                .withArgs(implementation);
+        });
+
+        it("Should reject an implementation with an incompatible storage layout", async function () {
+            const { trustCircle } = await loadFixture(upgradeFixture);
+
+            const LendingPoolV2 = await ethers.getContractFactory("LendingPoolV2");
+            await expect(upgrades.validateUpgrade(trustCircle, LendingPoolV2, { kind: "uups" }))
+                .to.be.rejectedWith(/storage layout is incompatible/);
+        });
+    });
+
+    describe("Deployment", function () {
+        // Whole protocol deployed and wired by the Ignition module, keyed like deployments/<network>.json
+        async function ignitionFixture() {
+            const { Stablecoin } = await ignition.deploy(MockStablecoinModule);
+            const deployed = await ignition.deploy(ProtocolModule, {
+                parameters: { TrustCircleProtocol: { stablecoin: await Stablecoin.getAddress() } },
+            });
+
+            const contracts = { Stablecoin: await Stablecoin.getAddress() };
+            for (const [name, contract] of Object.entries(deployed)) {
+                contracts[name] = await contract.getAddress();
+            }
+            return { ...deployed, contracts };
+        }
+
+        it("Should deploy and wire every contract and permission", async function () {
+            const { contracts, ProtocolRoles, LendingPool, ReputationNFT } = await loadFixture(ignitionFixture);
+            const [, user1] = await ethers.getSigners();
+
+            const results = await checkDeployment(hre, contracts);
+            expect(results.filter(({ ok }) => !ok)).to.deep.equal([]);
+            expect(results.length).to.equal(52);
+
+            // The deployer only kept the admin role
+            const [deployer] = await ethers.getSigners();
+            for (const role of [UPDATER_ROLE, PAUSER_ROLE, PARAM_ADMIN_ROLE]) {
+                expect(await ProtocolRoles.hasRole(role, deployer.address)).to.be.false;
+            }
+
+            // The deployed protocol is usable end to end once an operator may mint
+            await ProtocolRoles.grantRole(UPDATER_ROLE, deployer.address);
+            await ReputationNFT.mint(user1.address);
+            await LendingPool.connect(user1).deposit({ value: ethers.parseEther("1") });
+            await expect(LendingPool.connect(user1).borrow(ethers.parseEther("0.05"), 30))
+                .to.emit(LendingPool, "LoanRequested");
+        });
+
+        it("Should report missing permission and wiring edges", async function () {
+            const { contracts, ProtocolRoles, LendingPool } = await loadFixture(ignitionFixture);
+
+            const [deployer] = await ethers.getSigners();
+            await ProtocolRoles.revokeRole(SLASHER_ROLE, contracts.TokenLendingPool);
+            await ProtocolRoles.grantRole(UPDATER_ROLE, deployer.address);
+            await ProtocolRoles.grantRole(PARAM_ADMIN_ROLE, deployer.address);
+            await LendingPool.setLoanExtension(ethers.ZeroAddress);
+
+            const missing = (await checkDeployment(hre, contracts))
+                .filter(({ ok }) => !ok)
+                .map(({ edge }) => edge);
+            expect(missing).to.deep.equal([
+                "TokenLendingPool holds SLASHER_ROLE",
+                "LendingPool.loanExtension is LoanExtension",
+                "No EOA holds UPDATER_ROLE",
+            ]);
+        });
+    });
+
+    describe("Interest Rate Model", function () {
+        it("Should follow the kink curve", async function () {
+            const { interestRateModel } = await loadFixture(deployContractsFixture);
+            const liquidity = ethers.parseEther("10");
+
+            expect(await interestRateModel.getBorrowRate(liquidity, 0)).to.equal(300);
+            expect(await interestRateModel.getBorrowRate(liquidity, ethers.parseEther("4"))).to.equal(500);
+            expect(await interestRateModel.getBorrowRate(liquidity, ethers.parseEther("8"))).to.equal(700);
+            expect(await interestRateModel.getBorrowRate(liquidity, ethers.parseEther("9"))).to.equal(2200);
+            expect(await interestRateModel.getBorrowRate(liquidity, liquidity)).to.equal(3700);
+        });
+
+        it("Should add the reputation tier premium to the market rate", async function () {
+            const { lendingPool, reputationNFT, user1 } = await loadFixture(deployContractsFixture);
 
             await reputationNFT.mint(user1.address);
-            await achievementBadges.unlockAchievement(user1.address, 0);
+            expect(await lendingPool.getInterestRate(user1.address)).to.equal(1000); // Bronze: 3% + 7%
+
+            await reputationNFT.updateReputation(user1.address, 400);
+            expect(await lendingPool.getInterestRate(user1.address)).to.equal(500); // Gold: 3% + 2%
+        });
+
+        it("Should raise rates as utilization grows", async function () {
+            const { lendingPool, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("1") });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 900); // Diamond
+
+            const rateBefore = await lendingPool.getInterestRate(user2.address);
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.8"), 30);
+
+            expect(await lendingPool.getUtilization()).to.equal(8000);
+            expect(await lendingPool.getInterestRate(user2.address)).to.equal(rateBefore + 400n);
+        });
+
+        it("Should let the param admin swap the rate model", async function () {
+            const { roles, lendingPool, reputationNFT, owner, user1 } = await loadFixture(deployContractsFixture);
+
+            // Model backed by its own registry with a 6% base rate
+            const ProtocolParameters = await ethers.getContractFactory("ProtocolParameters");
+            const steeperParameters = await ProtocolParameters.deploy(await roles.getAddress());
+            await steeperParameters.setGovernance(owner.address);
+            await steeperParameters.scheduleChange(await steeperParameters.BASE_RATE(), 600);
+            await time.increase(2 * 24 * 60 * 60);
+            await steeperParameters.executeChange(await steeperParameters.BASE_RATE());
+
+            const KinkInterestRateModel = await ethers.getContractFactory("KinkInterestRateModel");
+            const steeper = await KinkInterestRateModel.deploy(await steeperParameters.getAddress(), 400, 3000, 8000);
+
+            await expect(lendingPool.connect(user1).setInterestRateModel(await steeper.getAddress()))
+                .to.be.revertedWithCustomError(lendingPool, "AccessControlUnauthorizedAccount");
+
+            await lendingPool.setInterestRateModel(await steeper.getAddress());
+
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.updateReputation(user1.address, 900);
+            expect(await lendingPool.getInterestRate(user1.address)).to.equal(600);
+        });
+    });
+
+    describe("LendingPool Yield", function () {
+        it("Should mint shares 1:1 on first deposit", async function () {
+            const { lendingPool, user1 } = await loadFixture(deployContractsFixture);
+
+            const amount = ethers.parseEther("2");
+            await lendingPool.connect(user1).deposit({ value: amount });
+
+            const lenderInfo = await lendingPool.lenders(user1.address);
+            expect(lenderInfo.shares).to.equal(amount);
+            expect(await lendingPool.totalShares()).to.equal(amount);
+            expect(await lendingPool.getLenderValue(user1.address)).to.equal(amount);
+        });
+
+        it("Should credit repaid interest to lenders", async function () {
+            const { lendingPool, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            const deposit = ethers.parseEther("5");
+            await lendingPool.connect(user1).deposit({ value: deposit });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            const borrowAmount = ethers.parseEther("0.5");
+            await lendingPool.connect(user2).borrow(borrowAmount, 30);
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            const interest = totalOwed - borrowAmount;
+
+            await expect(lendingPool.connect(user2).repay(1, { value: totalOwed }))
+                .to.emit(lendingPool, "InterestDistributed")
+                .withArgs(1, interest);
+
+            expect(await lendingPool.totalBorrowed()).to.equal(0);
+            expect(await lendingPool.totalLiquidity()).to.equal(deposit + interest);
+            expect(await lendingPool.getLenderValue(user1.address)).to.equal(deposit + interest);
+        });
+
+        it("Should pay principal plus yield on withdrawal", async function () {
+            const { lendingPool, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            const deposit = ethers.parseEther("5");
+            await lendingPool.connect(user1).deposit({ value: deposit });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.5"), 30);
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            await lendingPool.connect(user2).repay(1, { value: totalOwed });
+
+            const value = await lendingPool.getLenderValue(user1.address);
+            const shares = (await lendingPool.lenders(user1.address)).shares;
+
+            await expect(lendingPool.connect(user1).redeem(shares))
+                .to.changeEtherBalance(user1, value);
+
+            const lenderInfo = await lendingPool.lenders(user1.address);
+            expect(lenderInfo.shares).to.equal(0);
+            expect(lenderInfo.deposited).to.equal(0);
+            expect(lenderInfo.earned).to.equal(value - deposit);
+        });
+
+        it("Should mint fewer shares to later depositors after yield accrues", async function () {
+            const { lendingPool, reputationNFT, user1, user2, user3 } = await loadFixture(deployContractsFixture);
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.5"), 30);
+            await lendingPool.connect(user2).repay(1, { value: await lendingPool.getTotalOwed(1) });
+
+            const deposit = ethers.parseEther("1");
+            await lendingPool.connect(user3).deposit({ value: deposit });
+
+            const lenderInfo = await lendingPool.lenders(user3.address);
+            expect(lenderInfo.shares).to.be.lessThan(deposit);
+            expect(await lendingPool.getLenderValue(user3.address)).to.be.closeTo(deposit, 1);
+        });
+
+        it("Should refuse deposits once defaults wipe out the pool", async function () {
+            const { lendingPool, reputationNFT, user1, user2, user3 } = await loadFixture(deployContractsFixture);
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("0.5") });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.5"), 30);
+
+            await time.increase(38 * 24 * 60 * 60);
+            await lendingPool.markDefaulted(1);
+            expect(await lendingPool.totalLiquidity()).to.equal(0);
+            expect(await lendingPool.totalShares()).to.be.greaterThan(0);
+
+            // user1's worthless shares would otherwise be priced 1:1 against user3's deposit
+            await expect(lendingPool.connect(user3).deposit({ value: ethers.parseEther("1") }))
+                .to.be.revertedWith("Pool is insolvent");
+        });
+
+        it("Should split partial repayments into principal and interest", async function () {
+            const { lendingPool, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            const borrowAmount = ethers.parseEther("0.5");
+            await lendingPool.connect(user2).borrow(borrowAmount, 30);
+
+            await lendingPool.connect(user2).repay(1, { value: ethers.parseEther("0.3") });
+            expect(await lendingPool.totalBorrowed()).to.equal(ethers.parseEther("0.2"));
+
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            await lendingPool.connect(user2).repay(1, { value: totalOwed - ethers.parseEther("0.3") });
+            expect(await lendingPool.totalBorrowed()).to.equal(0);
+            expect(await lendingPool.totalLiquidity()).to.equal(ethers.parseEther("5") + totalOwed - borrowAmount);
+        });
+    });
+
+    describe("LoanExtension", function () {
+        async function borrowFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, user1, user2 } = fixture;
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.4"), 30);
+
+            return fixture;
+        }
+
+        it("Should push back the due date without charging more interest", async function () {
+            const { lendingPool, loanExtension, user2 } = await loadFixture(borrowFixture);
+
+            const fee = await loanExtension.getExtensionFee(1);
+            expect(fee).to.equal(ethers.parseEther("0.02")); // 5% of 0.4 ETH
+            const totalOwed = await lendingPool.getTotalOwed(1);
+
+            await expect(loanExtension.connect(user2).requestExtension(1, 14, { value: fee }))
+                .to.emit(lendingPool, "LoanExtended")
+                .withArgs(1, 14 * 86400, 44 * 86400, fee);
+
+            // The fee pays for the extra time; interest stays priced on the original 30 days
+            const loan = await lendingPool.getLoan(1);
+            expect(loan.duration).to.equal(30 * 86400);
+            expect(await lendingPool.getDueDate(1)).to.equal(loan.startTime + BigInt(44 * 86400));
+            expect(await lendingPool.getTotalOwed(1)).to.equal(totalOwed);
+            expect(await loanExtension.hasExtension(1)).to.be.true;
+            expect((await loanExtension.getExtension(1)).executed).to.be.true;
+        });
+
+        it("Should pay the extension fee to lenders", async function () {
+            const { lendingPool, loanExtension, user1, user2 } = await loadFixture(borrowFixture);
+
+            const fee = await loanExtension.getExtensionFee(1);
+            const valueBefore = await lendingPool.getLenderValue(user1.address);
+
+            await expect(loanExtension.connect(user2).requestExtension(1, 14, { value: fee + ethers.parseEther("1") }))
+                .to.changeEtherBalances([user2, lendingPool], [-fee, fee]);
+
+            expect(await lendingPool.getLenderValue(user1.address)).to.equal(valueBefore + fee);
+            expect(await ethers.provider.getBalance(await loanExtension.getAddress())).to.equal(0);
+        });
+
+        it("Should move the default deadline", async function () {
+            const { lendingPool, loanExtension, user2 } = await loadFixture(borrowFixture);
+
+            const fee = await loanExtension.getExtensionFee(1);
+            await loanExtension.connect(user2).requestExtension(1, 30, { value: fee });
+
+            // Original deadline: 30 days + 7 day grace period
+            await time.increase(38 * 86400);
+            await expect(lendingPool.markDefaulted(1)).to.be.revertedWith("Grace period not over");
+        });
+
+        it("Should only accept extensions from the LoanExtension contract", async function () {
+            const { lendingPool, user2 } = await loadFixture(borrowFixture);
+
+            await expect(lendingPool.connect(user2).extendLoan(1, 86400))
+                .to.be.revertedWith("Only loan extension contract");
+        });
+    });
+
+    describe("Installment Plans", function () {
+        const WEEKLY = 1;
+        const MONTHLY = 2;
+        const DAY = 24 * 60 * 60;
+
+        async function installmentFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, user1, user2 } = fixture;
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+            await lendingPool.connect(user2).borrowWithInstallments(ethers.parseEther("0.4"), 30, WEEKLY);
+
+            return fixture;
+        }
+
+        it("Should split the loan into weekly installments", async function () {
+            const { lendingPool } = await loadFixture(installmentFixture);
+
+            const plan = await lendingPool.installmentPlans(1);
+            expect(plan.frequency).to.equal(WEEKLY);
+            expect(plan.installments).to.equal(5); // 30 days = 4 full weeks + a final 2 days
+
+            const loan = await lendingPool.getLoan(1);
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            const [dueDates, amountsDue] = await lendingPool.getInstallmentSchedule(1);
+
+            expect(dueDates[0]).to.equal(loan.startTime + BigInt(7 * DAY));
+            expect(dueDates[4]).to.equal(loan.startTime + loan.duration);
+            expect(amountsDue[0]).to.equal(totalOwed / 5n);
+            expect(amountsDue[4]).to.equal(totalOwed);
+
+            const next = await lendingPool.getNextInstallment(1);
+            expect(next.index).to.equal(0);
+            expect(next.amountDue).to.equal(totalOwed / 5n);
+        });
+
+        it("Should advance to the next installment once one is paid", async function () {
+            const { lendingPool, user2 } = await loadFixture(installmentFixture);
+
+            const first = await lendingPool.getNextInstallment(1);
+            await lendingPool.connect(user2).repay(1, { value: first.amountDue });
+
+            const next = await lendingPool.getNextInstallment(1);
+            expect(next.index).to.equal(1);
+
+            // Paid on time: nothing to charge after the first due date passes
+            await time.increase(10 * DAY);
+            await lendingPool.chargeMissedInstallments(1);
+            expect((await lendingPool.installmentPlans(1)).missedInstallments).to.equal(0);
+        });
+
+        it("Should charge a late fee and reputation penalty per missed installment", async function () {
+            const { lendingPool, reputationNFT, user2 } = await loadFixture(installmentFixture);
+
+            const totalOwed = await lendingPool.getTotalOwed(1);
+            const lateFee = (totalOwed / 5n) * 500n / 10000n;
+            const scoreBefore = await reputationNFT.getReputationScore(user2.address);
+
+            // First installment is due after 7 days, plus a 2 day grace period
+            await time.increase(10 * DAY);
+            await expect(lendingPool.chargeMissedInstallments(1))
+                .to.emit(lendingPool, "InstallmentMissed")
+                .withArgs(1, user2.address, 0, lateFee);
+
+            expect(await lendingPool.getTotalOwed(1)).to.equal(totalOwed + lateFee);
+            expect(await reputationNFT.getReputationScore(user2.address)).to.equal(scoreBefore - 15n);
+
+            // Charging again does not penalize the same installment twice
+            await lendingPool.chargeMissedInstallments(1);
+            expect((await lendingPool.installmentPlans(1)).lateFees).to.equal(lateFee);
+        });
+
+        it("Should charge missed installments when the borrower pays late", async function () {
+            const { lendingPool, reputationNFT, user2 } = await loadFixture(installmentFixture);
+
+            const first = await lendingPool.getNextInstallment(1);
+            const lateFee = ((await lendingPool.getTotalOwed(1)) / 5n) * 500n / 10000n;
+            const scoreBefore = await reputationNFT.getReputationScore(user2.address);
+
+            // Nobody charges the missed installment before the borrower pays it
+            await time.increase(10 * DAY);
+            await expect(lendingPool.connect(user2).repay(1, { value: first.amountDue }))
+                .to.emit(lendingPool, "InstallmentMissed")
+                .withArgs(1, user2.address, 0, lateFee);
+
+            expect((await lendingPool.installmentPlans(1)).lateFees).to.equal(lateFee);
+            expect(await reputationNFT.getReputationScore(user2.address)).to.equal(scoreBefore - 15n);
+
+            // The payment went to the installment, leaving the late fee owed
+            const next = await lendingPool.getNextInstallment(1);
+            expect(next.index).to.equal(0);
+            expect(next.amountDue).to.equal(lateFee);
+        });
+
+        it("Should allow default after too many missed installments", async function () {
+            const { lendingPool } = await loadFixture(installmentFixture);
+
+            await time.increase(17 * DAY);
+            await expect(lendingPool.markDefaulted(1)).to.be.revertedWith("Grace period not over");
+
+            // Third installment is missed after 21 days + 2 day grace, well before maturity
+            await time.increase(7 * DAY);
+            await expect(lendingPool.markDefaulted(1)).to.emit(lendingPool, "LoanDefaulted");
+
+            const plan = await lendingPool.installmentPlans(1);
+            expect(plan.missedInstallments).to.equal(3);
+            expect((await lendingPool.getLoan(1)).defaulted).to.be.true;
+        });
+
+        it("Should not default a borrower who caught up on missed installments", async function () {
+            const { lendingPool, user2 } = await loadFixture(installmentFixture);
+
+            // Three installments missed, then everything due is paid late, fees included
+            await time.increase(24 * DAY);
+            await lendingPool.chargeMissedInstallments(1);
+            const [, amountsDue] = await lendingPool.getInstallmentSchedule(1);
+            await lendingPool.connect(user2).repay(1, { value: amountsDue[2] });
+
+            const plan = await lendingPool.installmentPlans(1);
+            expect(plan.missedInstallments).to.equal(3);
+            expect((await lendingPool.getNextInstallment(1)).missedInstallments).to.equal(0);
+            await expect(lendingPool.markDefaulted(1)).to.be.revertedWith("Grace period not over");
+
+            // A later installment is still charged once it is missed
+            await time.increase(7 * DAY);
+            await expect(lendingPool.chargeMissedInstallments(1))
+                .to.emit(lendingPool, "InstallmentMissed")
+                .withArgs(1, user2.address, 3, plan.lateFees / 3n);
+            expect((await lendingPool.installmentPlans(1)).missedInstallments).to.equal(4);
+        });
+
+        it("Should reject schedules with a single installment", async function () {
+            const { lendingPool, user2 } = await loadFixture(installmentFixture);
+
+            await expect(lendingPool.connect(user2).borrowWithInstallments(ethers.parseEther("0.1"), 30, MONTHLY))
+                .to.be.revertedWith("Duration too short for schedule");
+            await expect(lendingPool.connect(user2).borrowWithInstallments(ethers.parseEther("0.1"), 30, 0))
+                .to.be.revertedWith("Invalid frequency");
+        });
+    });
+
+    describe("Token Lending Pools", function () {
+        const usd = (amount) => ethers.parseUnits(amount, 6);
+
+        async function tokenPoolFixture() {
+            const fixture = await deployContractsFixture();
+            const { roles, reputationNFT, trustCircle, protocolParameters, user1, user2 } = fixture;
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const stablecoin = await MockERC20.deploy("Mock USD", "mUSD", 6);
+
+            const KinkInterestRateModel = await ethers.getContractFactory("KinkInterestRateModel");
+            const stablecoinRateModel = await KinkInterestRateModel.deploy(
+                await protocolParameters.getAddress(),
+                200,
+                2000,
+                9000
+            );
+
+            const LendingPoolFactory = await ethers.getContractFactory("LendingPoolFactory");
+            const poolFactory = await LendingPoolFactory.deploy(
+                await reputationNFT.getAddress(),
+                await trustCircle.getAddress(),
+                await protocolParameters.getAddress(),
+                await roles.getAddress()
+            );
+
+            // $10 - $5,000 loans, $2 of credit per reputation point
+            await poolFactory.createPool(
+                await stablecoin.getAddress(),
+                await stablecoinRateModel.getAddress(),
+                usd("10"),
+                usd("5000"),
+                usd("2")
+            );
+            const tokenPool = await ethers.getContractAt(
+                "TokenLendingPool",
+                await poolFactory.poolForAsset(await stablecoin.getAddress())
+            );
+            await roles.grantRole(UPDATER_ROLE, await tokenPool.getAddress());
+            await roles.grantRole(SLASHER_ROLE, await tokenPool.getAddress());
+
+            await stablecoin.mint(user1.address, usd("10000"));
+            await stablecoin.mint(user2.address, usd("1000"));
+            await stablecoin.connect(user1).approve(await tokenPool.getAddress(), ethers.MaxUint256);
+            await stablecoin.connect(user2).approve(await tokenPool.getAddress(), ethers.MaxUint256);
+
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            return { ...fixture, stablecoin, stablecoinRateModel, poolFactory, tokenPool };
+        }
+
+        it("Should deploy one pool per asset sharing the role registry", async function () {
+            const { roles, poolFactory, tokenPool, stablecoin, stablecoinRateModel, reputationNFT, user1 } =
+                await loadFixture(tokenPoolFixture);
+
+            expect(await poolFactory.getPools()).to.deep.equal([await tokenPool.getAddress()]);
+            expect(await tokenPool.asset()).to.equal(await stablecoin.getAddress());
+            expect(await tokenPool.roles()).to.equal(await roles.getAddress());
+            expect(await tokenPool.reputationNFT()).to.equal(await reputationNFT.getAddress());
+            expect(await tokenPool.maxLoan()).to.equal(usd("5000"));
+
+            await expect(poolFactory.createPool(
+                await stablecoin.getAddress(), await stablecoinRateModel.getAddress(), usd("10"), usd("5000"), usd("2")
+            )).to.be.revertedWith("Pool already exists");
+            await expect(poolFactory.connect(user1).createPool(
+                user1.address, await stablecoinRateModel.getAddress(), usd("10"), usd("5000"), usd("2")
+            )).to.be.revertedWithCustomError(poolFactory, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should lend, borrow and repay in the pool asset", async function () {
+            const { tokenPool, stablecoin, reputationNFT, user1, user2 } = await loadFixture(tokenPoolFixture);
+
+            await tokenPool.connect(user1).deposit(usd("5000"));
+            expect(await tokenPool.totalLiquidity()).to.equal(usd("5000"));
+
+            // 500 reputation * $2 per point
+            expect(await tokenPool.getBorrowingLimit(user2.address)).to.equal(usd("1000"));
+
+            await expect(tokenPool.connect(user2).borrow(usd("400"), 30))
+                .to.changeTokenBalances(stablecoin, [user2, tokenPool], [usd("400"), -usd("400")]);
+
+            const totalOwed = await tokenPool.getTotalOwed(1);
+            await expect(tokenPool.connect(user2).repay(1, usd("1000")))
+                .to.changeTokenBalances(stablecoin, [user2, tokenPool], [-totalOwed, totalOwed]);
+
+            expect((await tokenPool.getLoan(1)).active).to.be.false;
+            expect(await tokenPool.getLenderValue(user1.address)).to.be.greaterThan(usd("5000"));
+
+            // Loan counts toward reputation; ETH-denominated totals are untouched
+            const data = await reputationNFT.getReputationData(user2.address);
+            expect(data.loansCompleted).to.equal(1);
+            expect(data.totalBorrowed).to.equal(0);
+        });
+
+        it("Should include late fees when repaying an installment loan in full", async function () {
+            const { tokenPool, stablecoin, user1, user2 } = await loadFixture(tokenPoolFixture);
+
+            await tokenPool.connect(user1).deposit(usd("5000"));
+            await tokenPool.connect(user2).borrowWithInstallments(usd("400"), 30, 1);
+            const owedBefore = await tokenPool.getTotalOwed(1);
+
+            // The first weekly installment is missed, and nobody charges it before the repayment
+            await time.increase(10 * 24 * 60 * 60);
+            const lateFee = (owedBefore / 5n) * 500n / 10000n;
+            await expect(tokenPool.connect(user2).repay(1, usd("1000")))
+                .to.changeTokenBalance(stablecoin, user2, -(owedBefore + lateFee));
+
+            expect((await tokenPool.getLoan(1)).active).to.be.false;
+        });
+
+        it("Should apply per-asset loan limits", async function () {
+            const { tokenPool, lendingPool, user1, user2 } = await loadFixture(tokenPoolFixture);
+
+            await tokenPool.connect(user1).deposit(usd("5000"));
+
+            await expect(tokenPool.connect(user2).borrow(usd("5"), 30))
+                .to.be.revertedWith("Invalid loan amount");
+            await expect(tokenPool.connect(user2).borrow(usd("1500"), 30))
+                .to.be.revertedWith("Amount exceeds borrowing limit");
+
+            // The ETH pool keeps its own limits
+            expect(await lendingPool.minLoan()).to.equal(ethers.parseEther("0.01"));
+            expect(await lendingPool.getBorrowingLimit(user2.address)).to.equal(ethers.parseEther("0.5"));
+        });
+
+        it("Should share a borrower's credit across pools", async function () {
+            const { tokenPool, lendingPool, reputationNFT, user1, user2 } = await loadFixture(tokenPoolFixture);
+
+            await tokenPool.connect(user1).deposit(usd("5000"));
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("1") });
+
+            // 0.3 ETH draws 300 of user2's reputation points of credit
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.3"), 30);
+            const tokenLimit = (await reputationNFT.getReputationScore(user2.address) - 300n) * usd("2");
+            expect(await tokenPool.getBorrowingLimit(user2.address)).to.equal(tokenLimit);
+            await expect(tokenPool.connect(user2).borrow(tokenLimit + usd("2"), 30))
+                .to.be.revertedWith("Amount exceeds borrowing limit");
+
+            await tokenPool.connect(user2).borrow(tokenLimit, 30);
+            expect(await lendingPool.getBorrowingLimit(user2.address)).to.equal(0);
+            await expect(lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 30))
+                .to.be.revertedWith("Amount exceeds borrowing limit");
+
+            // Repaying in one pool frees credit in the other
+            await tokenPool.connect(user2).repay(1, usd("1000"));
+            expect(await lendingPool.getBorrowingLimit(user2.address)).to.be.greaterThanOrEqual(ethers.parseEther("0.2"));
+        });
+    });
+
+    describe("Withdrawal Queue", function () {
+        // Two lenders fund the pool and user2 borrows all of it
+        async function illiquidPoolFixture() {
+            const fixture = await deployContractsFixture();
+            const { lendingPool, reputationNFT, user1, user2, user3 } = fixture;
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("0.3") });
+            await lendingPool.connect(user3).deposit({ value: ethers.parseEther("0.2") });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.5"), 30);
+
+            return fixture;
+        }
+
+        it("Should revert direct withdrawals when the pool is fully lent out", async function () {
+            const { lendingPool, user1 } = await loadFixture(illiquidPoolFixture);
+
+            await expect(lendingPool.connect(user1).withdraw(ethers.parseEther("0.1")))
+                .to.be.revertedWith("Insufficient pool liquidity");
+        });
+
+        it("Should pay queued withdrawals in FIFO order as repayments come in", async function () {
+            const { lendingPool, user1, user2, user3 } = await loadFixture(illiquidPoolFixture);
+
+            const shares1 = (await lendingPool.lenders(user1.address)).shares;
+            const shares3 = (await lendingPool.lenders(user3.address)).shares;
+            await lendingPool.connect(user1).queueWithdrawal(shares1);
+            await lendingPool.connect(user3).queueWithdrawal(shares3);
+
+            expect(await lendingPool.getQueuePosition(user1.address)).to.equal(1);
+            expect(await lendingPool.getQueuePosition(user3.address)).to.equal(2);
+
+            // A partial repayment covers the first lender only
+            await expect(lendingPool.connect(user2).repay(1, { value: ethers.parseEther("0.3") }))
+                .to.changeEtherBalance(user1, ethers.parseEther("0.3"));
+
+            expect(await lendingPool.getQueuePosition(user1.address)).to.equal(0);
+            expect(await lendingPool.getQueuePosition(user3.address)).to.equal(1);
+
+            // The rest of the repayment pays the second lender, including all the interest
+            const remaining = (await lendingPool.getTotalOwed(1)) - ethers.parseEther("0.3");
+            await expect(lendingPool.connect(user2).repay(1, { value: remaining }))
+                .to.changeEtherBalance(user3, remaining);
+
+            expect(await lendingPool.getQueueLength()).to.equal(0);
+            expect(await lendingPool.totalShares()).to.equal(0);
+            expect((await lendingPool.lenders(user3.address)).earned).to.equal(remaining - ethers.parseEther("0.2"));
+        });
+
+        it("Should block direct withdrawals from jumping the queue", async function () {
+            const { lendingPool, user1, user2, user3 } = await loadFixture(illiquidPoolFixture);
+
+            const shares1 = (await lendingPool.lenders(user1.address)).shares;
+            await lendingPool.connect(user1).queueWithdrawal(shares1);
+            await lendingPool.connect(user2).repay(1, { value: ethers.parseEther("0.1") });
+
+            await expect(lendingPool.connect(user3).withdraw(ethers.parseEther("0.05")))
+                .to.be.revertedWith("Insufficient pool liquidity");
+        });
+
+        it("Should return shares when a queued withdrawal is cancelled", async function () {
+            const { lendingPool, user1 } = await loadFixture(illiquidPoolFixture);
+
+            const shares = (await lendingPool.lenders(user1.address)).shares;
+            await lendingPool.connect(user1).queueWithdrawal(shares);
+            expect((await lendingPool.lenders(user1.address)).shares).to.equal(0);
+
+            await lendingPool.connect(user1).cancelQueuedWithdrawal();
+
+            const lenderInfo = await lendingPool.lenders(user1.address);
+            expect(lenderInfo.shares).to.equal(shares);
+            expect(lenderInfo.deposited).to.equal(ethers.parseEther("0.3"));
+            expect(await lendingPool.getQueuePosition(user1.address)).to.equal(0);
+        });
+
+        it("Should count cancelled entries toward the per-call payout bound", async function () {
+            const { lendingPool, user1, user2, user3 } = await loadFixture(illiquidPoolFixture);
+
+            const shares1 = (await lendingPool.lenders(user1.address)).shares;
+            const shares3 = (await lendingPool.lenders(user3.address)).shares;
+            await lendingPool.connect(user1).queueWithdrawal(shares1);
+
+            // Fill the queue behind user1 with cancelled entries
+            const maxPayouts = await lendingPool.MAX_QUEUE_PAYOUTS();
+            for (let i = 0n; i < maxPayouts; i++) {
+                await lendingPool.connect(user3).queueWithdrawal(1);
+                await lendingPool.connect(user3).cancelQueuedWithdrawal();
+            }
+            await lendingPool.connect(user3).queueWithdrawal(shares3);
+
+            // Paying user1 and skipping the cancelled entries uses up the call's budget
+            await lendingPool.connect(user2).repay(1, { value: await lendingPool.getTotalOwed(1) });
+            expect(await lendingPool.getQueuePosition(user1.address)).to.equal(0);
+            expect(await lendingPool.getQueuePosition(user3.address)).to.equal(2);
+
+            await lendingPool.processWithdrawalQueue();
+            expect(await lendingPool.getQueuePosition(user3.address)).to.equal(0);
+            expect(await lendingPool.getQueueLength()).to.equal(0);
+        });
+
+        it("Should pay timelocked emergency withdrawals ahead of the queue", async function () {
+            const { lendingPool, emergencyWithdraw, reputationNFT, user1, user2, user3 } =
+                await loadFixture(illiquidPoolFixture);
+
+            await reputationNFT.mint(user3.address);
+
+            const shares1 = (await lendingPool.lenders(user1.address)).shares;
+            await lendingPool.connect(user1).queueWithdrawal(shares1);
+
+            const amount = ethers.parseEther("0.2");
+            await emergencyWithdraw.connect(user3).requestWithdrawal(amount);
+            await expect(emergencyWithdraw.connect(user3).executeWithdrawal())
+                .to.be.revertedWith("Timelock not expired");
+
+            await time.increase(7 * 86400);
+            expect(await emergencyWithdraw.getTimeRemaining(user3.address)).to.equal(0);
+            await emergencyWithdraw.connect(user3).executeWithdrawal();
+
+            // Reputation penalty applied
+            expect(await reputationNFT.getReputationScore(user3.address)).to.equal(50);
+
+            // The next repayment goes to the emergency withdrawal first
+            await expect(lendingPool.connect(user2).repay(1, { value: ethers.parseEther("0.25") }))
+                .to.changeEtherBalances([user3, user1], [amount, ethers.parseEther("0.05")]);
+        });
+
+        it("Should not let lenders without a reputation NFT jump the queue", async function () {
+            const { lendingPool, emergencyWithdraw, user1, user3 } = await loadFixture(illiquidPoolFixture);
+
+            const shares1 = (await lendingPool.lenders(user1.address)).shares;
+            await lendingPool.connect(user1).queueWithdrawal(shares1);
+
+            // user3 deposited without an NFT, so the reputation penalty would cost them nothing
+            await expect(emergencyWithdraw.connect(user3).requestWithdrawal(ethers.parseEther("0.2")))
+                .to.be.revertedWith("No reputation NFT");
+            expect(await emergencyWithdraw.isWithdrawalReady(user3.address)).to.be.false;
+        });
+    });
+
+    describe("Governance", function () {
+        const DAY = 24 * 60 * 60;
+
+        async function passProposal(governanceToken, voter, proposalType, newValue) {
+            await governanceToken.connect(voter).createProposal("Change parameter", proposalType, newValue);
+            const proposalId = (await governanceToken.proposalCount()) - 1n;
+            await governanceToken.connect(voter).castVote(proposalId, true);
+            await time.increase(3 * DAY);
+            await governanceToken.executeProposal(proposalId);
+            return proposalId;
+        }
+
+        it("Should reject proposals outside parameter bounds", async function () {
+            const { governanceToken, reputationNFT, user1 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+
+            await expect(
+                governanceToken.connect(user1).createProposal("Max duration 5 years", 2, 1825)
+            ).to.be.revertedWith("Value out of bounds");
+        });
+
+        it("Should only let governance schedule changes", async function () {
+            const { protocolParameters, user1 } = await loadFixture(deployContractsFixture);
+
+            await expect(
+                protocolParameters.connect(user1).scheduleChange(await protocolParameters.BASE_RATE(), 500)
+            ).to.be.revertedWith("Only governance");
+        });
+
+        it("Should apply a passed proposal after the timelock", async function () {
+            const { protocolParameters, governanceToken, interestRateModel, reputationNFT, user1 } =
+                await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address); // Sole holder, 100% of the voting supply
+            await passProposal(governanceToken, user1, 0, 500); // ChangeInterestRate
+
+            const key = await protocolParameters.BASE_RATE();
+            await expect(protocolParameters.executeChange(key)).to.be.revertedWith("Timelock not expired");
+
+            await time.increase(2 * DAY);
+            await expect(protocolParameters.executeChange(key))
+                .to.emit(protocolParameters, "ChangeExecuted")
+                .withArgs(key, 300, 500);
+
+            expect(await interestRateModel.getBorrowRate(ethers.parseEther("10"), 0)).to.equal(500);
+        });
+
+        it("Should not schedule proposals that fail quorum", async function () {
+            const { protocolParameters, governanceToken, reputationNFT, user1, user2 } =
+                await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user1.address, -80); // 20 of 120 votes
+            const proposalId = await passProposal(governanceToken, user1, 2, 400);
+            expect(await governanceToken.quorum(proposalId)).to.equal(24); // 20% of 120
+
+            const pending = await protocolParameters.pendingChanges(await protocolParameters.MAX_LOAN_DURATION());
+            expect(pending.executeAfter).to.equal(0);
+        });
+
+        it("Should not let a single new holder pass a proposal", async function () {
+            const { protocolParameters, governanceToken, reputationNFT, user1, user2, user3 } =
+                await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.updateReputation(user1.address, 500); // Gold, 900 votes
+            await reputationNFT.mint(user2.address);
+
+            // A fresh Bronze account holds 100 of 1100 votes, short of the 220 quorum
+            await reputationNFT.mint(user3.address);
+            const proposalId = await passProposal(governanceToken, user3, 0, 1000);
+            expect(await governanceToken.quorum(proposalId)).to.equal(220);
+
+            const proposal = await governanceToken.getProposal(proposalId);
+            expect(proposal.forVotes).to.equal(100);
+            expect(proposal.againstVotes).to.equal(0);
+            const pending = await protocolParameters.pendingChanges(await protocolParameters.BASE_RATE());
+            expect(pending.executeAfter).to.equal(0);
+        });
+
+        it("Should govern loan duration, circle reputation and extension fee", async function () {
+            const { protocolParameters, governanceToken, lendingPool, trustCircle, loanExtension, reputationNFT, user1, user2 } =
+                await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await passProposal(governanceToken, user1, 1, 300); // ChangeMinReputation
+            await passProposal(governanceToken, user1, 2, 400); // ChangeLoanDuration
+            await passProposal(governanceToken, user1, 3, 10);  // ChangeExtensionFee
+            await time.increase(2 * DAY);
+            await protocolParameters.executeChange(await protocolParameters.MIN_CIRCLE_REPUTATION());
+            await protocolParameters.executeChange(await protocolParameters.MAX_LOAN_DURATION());
+            await protocolParameters.executeChange(await protocolParameters.EXTENSION_FEE_PERCENT());
+
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 150); // Score 250
+            await expect(trustCircle.connect(user2).createCircle("Circle", 200))
+                .to.be.revertedWith("Insufficient reputation to create circle");
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            await expect(lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 401))
+                .to.be.revertedWith("Invalid duration");
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 400);
+
+            expect(await loanExtension.getExtensionFee(1)).to.equal(ethers.parseEther("0.01"));
+        });
+
+        it("Should derive voting power from reputation score and tier", async function () {
+            const { reputationNFT, user1 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            expect(await reputationNFT.delegates(user1.address)).to.equal(user1.address);
+            expect(await reputationNFT.getVotes(user1.address)).to.equal(100); // Bronze 1x
+
+            await reputationNFT.updateReputation(user1.address, 500);
+            expect(await reputationNFT.getVotes(user1.address)).to.equal(900); // Gold 600 * 1.5x
+
+            await reputationNFT.updateReputation(user1.address, 400);
+            expect(await reputationNFT.getVotes(user1.address)).to.equal(3000); // Diamond 1000 * 3x
+            expect(await reputationNFT.getPastTotalSupply((await ethers.provider.getBlockNumber()) - 1)).to.equal(900);
+        });
+
+        it("Should count votes from the snapshot taken at proposal start", async function () {
+            const { governanceToken, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await governanceToken.connect(user1).createProposal("Raise base rate", 0, 400);
+
+            // Reputation gained after the proposal started does not count
+            await reputationNFT.updateReputation(user1.address, 100);
+            expect(await governanceToken.getVotingPower(0, user1.address)).to.equal(100);
+
+            await expect(governanceToken.connect(user1).castVote(0, true))
+                .to.emit(governanceToken, "VoteCast")
+                .withArgs(0, user1.address, true, 100);
+
+            // Members minted after the snapshot cannot vote on it
+            await reputationNFT.mint(user2.address);
+            await expect(governanceToken.connect(user2).castVote(0, false))
+                .to.be.revertedWith("No voting power");
+        });
+
+        it("Should let circle members delegate to a representative", async function () {
+            const { governanceToken, reputationNFT, user1, user2, user3 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.mint(user3.address);
+
+            await reputationNFT.connect(user2).delegate(user1.address);
+            await reputationNFT.connect(user3).delegate(user1.address);
+            expect(await reputationNFT.getVotes(user1.address)).to.equal(300);
+            expect(await reputationNFT.getVotes(user2.address)).to.equal(0);
+
+            await governanceToken.connect(user1).createProposal("Longer loans", 2, 400);
+            await governanceToken.connect(user1).castVote(0, true);
+            await expect(governanceToken.connect(user2).castVote(0, false))
+                .to.be.revertedWith("No voting power");
+
+            const proposal = await governanceToken.getProposal(0);
+            expect(proposal.forVotes).to.equal(300);
+        });
+    });
+
+    describe("Leaderboard", function () {
+        it("Should register users when their reputation NFT is minted", async function () {
+            const { leaderboard, reputationNFT, user1 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+
+            expect(await leaderboard.isRegistered(user1.address)).to.be.true;
+            expect(await leaderboard.getTotalUsers()).to.equal(1);
+            expect((await leaderboard.userStats(user1.address)).reputation).to.equal(100);
+            expect(await leaderboard.getUserRank(user1.address)).to.equal(1);
+        });
+
+        it("Should rank users by reputation as scores change", async function () {
+            const { leaderboard, reputationNFT, user1, user2, user3 } = await loadFixture(deployContractsFixture);
+
+            for (const user of [user1, user2, user3]) {
+                await reputationNFT.mint(user.address);
+            }
+            await reputationNFT.updateReputation(user2.address, 300);
+            await reputationNFT.updateReputation(user3.address, 100);
+
+            let top = await leaderboard.getTopByReputation(3);
+            expect(top.map((stats) => stats.user)).to.deep.equal([user2.address, user3.address, user1.address]);
+            expect(await leaderboard.getUserRank(user1.address)).to.equal(3);
+
+            await reputationNFT.updateReputation(user1.address, 500);
+            top = await leaderboard.getTopByReputation(2);
+            expect(top.map((stats) => stats.user)).to.deep.equal([user1.address, user2.address]);
+            expect(await leaderboard.getUserRank(user3.address)).to.equal(3);
+
+            // Users with equal scores share a rank
+            await reputationNFT.updateReputation(user3.address, 200);
+            expect(await leaderboard.getUserRank(user2.address)).to.equal(2);
+            expect(await leaderboard.getUserRank(user3.address)).to.equal(2);
+        });
+
+        it("Should record loans and trust scores pushed by the lending pool", async function () {
+            const { leaderboard, lendingPool, reputationNFT, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.mint(user2.address);
+
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.05"), 30);
+            await lendingPool.connect(user2).repay(1, { value: ethers.parseEther("0.06") });
+
+            const stats = await leaderboard.userStats(user2.address);
+            expect(stats.loansCompleted).to.equal(1);
+            expect(stats.totalRepaid).to.be.greaterThan(ethers.parseEther("0.05"));
+            expect(stats.reputation).to.equal(await reputationNFT.getReputationScore(user2.address));
+
+            const top = await leaderboard.getTopByLoans(2);
+            expect(top[0].user).to.equal(user2.address);
+            expect(await leaderboard.getUserLoansRank(user1.address)).to.equal(2);
+        });
+
+        it("Should only accept stats from authorized contracts", async function () {
+            const { leaderboard, user1 } = await loadFixture(deployContractsFixture);
+
+            await expect(leaderboard.connect(user1).updateReputation(user1.address, 1000))
+                .to.be.revertedWithCustomError(leaderboard, "AccessControlUnauthorizedAccount");
+            expect(await leaderboard.getUserRank(user1.address)).to.equal(0);
+        });
+    });
+
+    describe("AchievementBadges", function () {
+        it("Should unlock achievement and award reputation", async function () {
+            const { achievementBadges, reputationNFT, user1 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            const scoreBefore = await reputationNFT.getReputationScore(user1.address);
+
+            // Unlock FirstLoan achievement (20 reputation bonus)
+            await achievementBadges.unlockAchievement(user1.address, 0); // AchievementType.FirstLoan
+
+            const scoreAfter = await reputationNFT.getReputationScore(user1.address);
+            expect(scoreAfter).to.equal(scoreBefore + BigInt(20));
+
+            const hasAchievement = await achievementBadges.checkAchievement(user1.address, 0);
+            expect(hasAchievement).to.be.true;
+        });
+
+        it("Should prevent duplicate achievement unlocks", async function () {
+            const { achievementBadges, reputationNFT, user1 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await achievementBadges.unlockAchievement(user1.address, 0);
 
             await expect(
                 achievementBadges.unlockAchievement(user1.address, 0)
             ).to.be.revertedWith("Achievement already unlocked");
         });
+
+        it("Should unlock lending achievements from pool activity", async function () {
+            const { achievementBadges, reputationNFT, lendingPool, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            // Lender and BigLender
+            await expect(lendingPool.connect(user1).deposit({ value: ethers.parseEther("2") }))
+                .to.emit(achievementBadges, "AchievementUnlocked")
+                .withArgs(user1.address, 8, 1, anyValue);
+            expect(await achievementBadges.getUserAchievements(user1.address)).to.deep.equal([7n, 8n]);
+
+            // FirstLoan, then FirstRepayment and PerfectPayback on an early repayment
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 30);
+            await lendingPool.connect(user2).repay(1, { value: await lendingPool.getTotalOwed(1) });
+            expect(await achievementBadges.getUserAchievements(user2.address)).to.deep.equal([0n, 1n, 2n]);
+
+            // Owned badges are skipped instead of reverting the loan
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 30);
+            await lendingPool.connect(user2).repay(2, { value: await lendingPool.getTotalOwed(2) });
+            expect(await achievementBadges.balanceOf(user2.address)).to.equal(3);
+        });
+
+        it("Should unlock circle and tier achievements", async function () {
+            const { achievementBadges, reputationNFT, trustCircle, user1 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.updateReputation(user1.address, 100);
+
+            await trustCircle.connect(user1).createCircle("Builders", 0);
+            expect(await achievementBadges.checkAchievement(user1.address, 4)).to.be.true; // CircleBuilder
+
+            // Reaching Diamond unlocks DiamondTier once
+            await reputationNFT.updateReputation(user1.address, 700);
+            expect(await achievementBadges.checkAchievement(user1.address, 6)).to.be.true;
+            await reputationNFT.updateReputation(user1.address, -200);
+            await reputationNFT.updateReputation(user1.address, 200);
+            expect(await achievementBadges.balanceOf(user1.address)).to.equal(2);
+        });
+
+        it("Should skip lenders without a reputation NFT until they mint one", async function () {
+            const { achievementBadges, reputationNFT, lendingPool, user1 } = await loadFixture(deployContractsFixture);
+
+            await expect(lendingPool.connect(user1).deposit({ value: ethers.parseEther("2") }))
+                .not.to.emit(achievementBadges, "AchievementUnlocked");
+            expect(await achievementBadges.progress(user1.address, 6)).to.equal(ethers.parseEther("2"));
+
+            // Progress is kept, so both lending badges unlock on the next deposit
+            await reputationNFT.mint(user1.address);
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("0.1") });
+            expect(await achievementBadges.getUserAchievements(user1.address)).to.deep.equal([7n, 8n]);
+        });
+
+        it("Should upgrade tiered badges in place as progress grows", async function () {
+            const { achievementBadges, reputationNFT, lendingPool, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await lendingPool.connect(user1).deposit({ value: ethers.parseEther("5") });
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user2.address, 400);
+
+            // Bronze/silver "Frequent Borrower" at 1 and 2 loans taken
+            await achievementBadges.addAchievement("Frequent Borrower", "Took 1 and 2 loans", 0, [1, 2], [5, 10], 0);
+            const achievementId = 9;
+
+            await lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 30);
+            expect(await achievementBadges.achievementLevel(user2.address, achievementId)).to.equal(1);
+
+            await expect(lendingPool.connect(user2).borrow(ethers.parseEther("0.1"), 30))
+                .to.emit(achievementBadges, "AchievementUnlocked")
+                .withArgs(user2.address, achievementId, 2, anyValue);
+
+            // One badge per achievement, showing the highest level as on-chain SVG
+            const tokenId = await achievementBadges.achievementTokenId(user2.address, achievementId);
+            expect(await achievementBadges.balanceOf(user2.address)).to.equal(2); // FirstLoan + Frequent Borrower
+            const uri = await achievementBadges.tokenURI(tokenId);
+            const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            expect(metadata.name).to.equal("Frequent Borrower");
+            expect(metadata.image).to.match(/^data:image\/svg\+xml;base64,/);
+            expect(metadata.attributes).to.deep.include({ trait_type: "Level", value: "Silver" });
+            expect(metadata.attributes).to.deep.include({ trait_type: "Reputation Bonus", value: 15 });
+        });
+
+        it("Should let only param admins or governance manage the catalog", async function () {
+            const { achievementBadges, user1 } = await loadFixture(deployContractsFixture);
+
+            await expect(
+                achievementBadges.connect(user1).addAchievement("Sneaky", "", 0, [1], [1000], 0)
+            ).to.be.revertedWith("Not catalog admin");
+            await expect(
+                achievementBadges.addAchievement("Backwards", "", 0, [2, 1], [1, 1], 0)
+            ).to.be.revertedWith("Thresholds must ascend");
+            await expect(
+                achievementBadges.addAchievement("Unbalanced", "", 0, [1, 2], [1], 0)
+            ).to.be.revertedWith("Bonus per level required");
+
+            await achievementBadges.setGovernance(user1.address);
+            await achievementBadges.connect(user1).addAchievement("Seasonal", "", 0, [1], [10], 0);
+            expect(await achievementBadges.getAchievementCount()).to.equal(10);
+        });
+
+        it("Should stop awarding expired or retired achievements", async function () {
+            const { achievementBadges, reputationNFT, trustCircle, user1, user2 } = await loadFixture(deployContractsFixture);
+
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user1.address, 100);
+            await reputationNFT.updateReputation(user2.address, 100);
+
+            // Seasonal circle badge that ends in a day; the launch CircleBuilder badge is retired
+            const expiresAt = (await time.latest()) + 24 * 60 * 60;
+            await achievementBadges.addAchievement("Spring Circles", "Created a circle this spring", 3, [1], [10], expiresAt);
+            await achievementBadges.setAchievementActive(4, false);
+
+            await trustCircle.connect(user1).createCircle("Early", 0);
+            expect(await achievementBadges.getUserAchievements(user1.address)).to.deep.equal([9n]);
+
+            await time.increase(2 * 24 * 60 * 60);
+            await trustCircle.connect(user2).createCircle("Late", 0);
+            expect(await achievementBadges.getUserAchievements(user2.address)).to.deep.equal([]);
+        });
+    });
+
+    describe("ReferralSystem", function () {
+        async function referralFixture() {
+            const fixture = await deployContractsFixture();
+            const { reputationNFT, lendingPool, user1, user2, user3 } = fixture;
+
+            await lendingPool.connect(user3).deposit({ value: ethers.parseEther("5") });
+            await reputationNFT.mint(user1.address);
+            await reputationNFT.mint(user2.address);
+            await reputationNFT.updateReputation(user1.address, 150); // Silver referrer
+            await reputationNFT.updateReputation(user2.address, 400);
+            return fixture;
+        }
+
+        async function repayFirstLoan(lendingPool, borrower) {
+            const loanId = await lendingPool.connect(borrower).borrow.staticCall(ethers.parseEther("0.1"), 30);
+            await lendingPool.connect(borrower).borrow(ethers.parseEther("0.1"), 30);
+            await lendingPool.connect(borrower).repay(loanId, { value: await lendingPool.getTotalOwed(loanId) });
+        }
+
+        it("Should only pay the reward after the referred user repays a loan", async function () {
+            const { referralSystem, reputationNFT, lendingPool, user1, user2 } = await loadFixture(referralFixture);
+
+            await referralSystem.connect(user2).registerReferral(user1.address);
+            await expect(
+                referralSystem.connect(user1).claimReferralReward(user2.address)
+            ).to.be.revertedWith("Referred user has not repaid a loan");
+            expect(await referralSystem.isRewardClaimable(user2.address)).to.be.false;
+
+            await repayFirstLoan(lendingPool, user2);
+            expect(await referralSystem.isRewardClaimable(user2.address)).to.be.true;
+
+            const referrerBefore = await reputationNFT.getReputationScore(user1.address);
+            await expect(referralSystem.connect(user1).claimReferralReward(user2.address))
+                .to.emit(referralSystem, "ReferralRewardClaimed")
+                .withArgs(user1.address, user2.address, 30, 20);
+            expect(await reputationNFT.getReputationScore(user1.address)).to.equal(referrerBefore + 30n);
+        });
+
+        it("Should not reward referring a user who already repaid a loan", async function () {
+            const { referralSystem, lendingPool, user1, user2 } = await loadFixture(referralFixture);
+
+            await repayFirstLoan(lendingPool, user2);
+            await referralSystem.connect(user2).registerReferral(user1.address);
+
+            expect((await referralSystem.referrals(user2.address)).loansAtRegistration).to.equal(1);
+            expect(await referralSystem.isRewardClaimable(user2.address)).to.be.false;
+            await expect(
+                referralSystem.connect(user1).claimReferralReward(user2.address)
+            ).to.be.revertedWith("Referred user has not repaid a loan");
+
+            // A loan repaid after the referral unlocks it
+            await repayFirstLoan(lendingPool, user2);
+            await expect(referralSystem.connect(user1).claimReferralReward(user2.address))
+                .to.emit(referralSystem, "ReferralRewardClaimed");
+        });
+
+        it("Should require a minimum referrer tier", async function () {
+            const { referralSystem, reputationNFT, user1, user2, user3 } = await loadFixture(referralFixture);
+
+            await reputationNFT.mint(user3.address); // Bronze
+            await expect(
+                referralSystem.connect(user2).registerReferral(user3.address)
+            ).to.be.revertedWith("Referrer tier too low");
+
+            await referralSystem.setReferralLimits(5, 0);
+            await referralSystem.connect(user2).registerReferral(user3.address);
+            expect(await referralSystem.getReferrer(user2.address)).to.equal(user3.address);
+            await expect(
+                referralSystem.connect(user1).setReferralLimits(100, 0)
+            ).to.be.revertedWithCustomError(referralSystem, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should cap rewards per referrer per epoch", async function () {
+            const { referralSystem, reputationNFT, lendingPool, user1, user2, user4 } = await loadFixture(referralFixture);
+
+            await referralSystem.setReferralLimits(1, 1);
+            await reputationNFT.mint(user4.address);
+            await reputationNFT.updateReputation(user4.address, 400);
+
+            for (const referred of [user2, user4]) {
+                await referralSystem.connect(referred).registerReferral(user1.address);
+                await repayFirstLoan(lendingPool, referred);
+            }
+
+            await referralSystem.connect(user1).claimReferralReward(user2.address);
+            expect(await referralSystem.getRemainingRewards(user1.address)).to.equal(0);
+            await expect(
+                referralSystem.connect(user1).claimReferralReward(user4.address)
+            ).to.be.revertedWith("Epoch reward cap reached");
+
+            // The cap resets in the next epoch
+            await time.increase(30 * 24 * 60 * 60);
+            await referralSystem.connect(user1).claimReferralReward(user4.address);
+            expect(await referralSystem.rewardedReferrals(user1.address)).to.equal(2);
+        });
     });
 
     describe("Full User Journey", function () {
@@ -283,7 +2464,6 @@ describe("TrustCircle Protocol - Integration Tests", function () {
             expect(reputation).to.equal(100);
 
             // Step 3: User2 boosts reputation to be able to create circle
-            await reputationNFT.setAuthorizedUpdater(owner.address, true);
             await reputationNFT.updateReputation(user2.address, 100);
 
             // Step 4: User2 creates trust circle